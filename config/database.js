@@ -0,0 +1,92 @@
+// ==================== MYSQL CONNECTION ====================
+// Single pool shared by server.js, the controllers and the services.
+
+const mysql = require('mysql2');
+
+let db;
+if (process.env.MYSQL_URL) {
+  console.log('   Using MYSQL_URL connection');
+  db = mysql.createPool({
+    uri: process.env.MYSQL_URL,
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0
+  }).promise();
+} else {
+  console.log('   MySQL Host:', process.env.MYSQL_HOST);
+  console.log('   MySQL Port:', process.env.MYSQL_PORT);
+  db = mysql.createPool({
+    host: process.env.MYSQL_HOST,
+    user: process.env.MYSQL_USER,
+    password: process.env.MYSQL_PASSWORD,
+    database: process.env.MYSQL_DATABASE,
+    port: parseInt(process.env.MYSQL_PORT) || 3306,
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0
+  }).promise();
+}
+
+// Adds a column to an existing table when it is missing (MySQL has no ADD COLUMN IF NOT EXISTS).
+// Resolves to true when the column was added by this call.
+async function ensureColumn(table, column, definition) {
+  const [[{ count }]] = await db.query(
+    `SELECT COUNT(*) AS count FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  if (count === 0) {
+    await db.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+    console.log(`   Added column ${table}.${column}`);
+    return true;
+  }
+  return false;
+}
+
+async function ensureIndex(table, indexName, kind, columns) {
+  const [[{ count }]] = await db.query(
+    `SELECT COUNT(*) AS count FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, indexName]
+  );
+  if (count === 0) {
+    await db.query(`CREATE ${kind} \`${indexName}\` ON \`${table}\` ${columns}`);
+    console.log(`   Added index ${table}.${indexName}`);
+  }
+}
+
+// Runs fn(conn) inside a transaction on a dedicated connection, rolling back if it throws
+async function withTransaction(fn) {
+  const conn = await db.getConnection();
+  await conn.beginTransaction();
+  try {
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+// Recomputes the cached villager/sensor totals on a panchayat location from the live rows
+async function refreshPanchayatCounters(panchayatId, conn = db) {
+  if (!panchayatId) return;
+  await conn.query(
+    `UPDATE locations SET
+       total_villagers = (SELECT COUNT(*) FROM villagers WHERE panchayat_id = ? AND is_active = TRUE),
+       total_sensors = (SELECT COUNT(*) FROM sensors WHERE panchayat_id = ? AND status <> 'deleted')
+     WHERE id = ?`,
+    [panchayatId, panchayatId, panchayatId]
+  );
+}
+
+module.exports = {
+  db,
+  ensureColumn,
+  ensureIndex,
+  withTransaction,
+  refreshPanchayatCounters
+};
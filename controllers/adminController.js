@@ -1,75 +1,244 @@
-const pool = require('../config/database');
-const bcrypt = require('bcryptjs');
+const { db, withTransaction, refreshPanchayatCounters } = require('../config/database');
+const { auditLog } = require('../services/auditLog');
+const { sensorAssignments } = require('../services/sensorAssignments');
+const { TenancyError } = require('../services/tenancy');
+const { locationService, LocationError } = require('../services/locations');
+const { sensorTypes, SensorTypeError } = require('../services/sensorTypes');
+const { checkPhone, checkAadhaar, checkSensorStatus } = require('../services/validation');
+
+// Request body fields each action may write, mapped to their column names
+const VILLAGER_FIELDS = {
+    aadhaarNumber: 'aadhaar_number',
+    name: 'name',
+    phone: 'phone',
+    panchayatId: 'panchayat_id',
+    villageId: 'village_id',
+    fatherName: 'father_name',
+    email: 'email',
+    address: 'address',
+    familyMembers: 'family_members',
+    rationCardNumber: 'ration_card_number',
+    occupation: 'occupation',
+    incomeRange: 'income_range',
+    education: 'education'
+};
+
+const SENSOR_FIELDS = {
+    name: 'name',
+    type: 'type',
+    subType: 'sub_type',
+    icon: 'icon',
+    unit: 'unit',
+    location: 'location_description',
+    villageId: 'village_id',
+    panchayatId: 'panchayat_id',
+    districtId: 'district_id',
+    latitude: 'latitude',
+    longitude: 'longitude',
+    installationDate: 'installation_date',
+    manufacturer: 'manufacturer',
+    model: 'model',
+    serialNumber: 'serial_number',
+    status: 'status',
+    lastMaintenance: 'last_maintenance',
+    notes: 'notes',
+    minNormal: 'min_normal',
+    maxNormal: 'max_normal',
+    minWarning: 'min_warning',
+    maxWarning: 'max_warning',
+    minDanger: 'min_danger',
+    maxDanger: 'max_danger'
+};
+
+
+// Request fields of the threshold columns, whose defaults come from the sensor type
+const THRESHOLD_FIELDS = {
+    minNormal: 'min_normal',
+    maxNormal: 'max_normal',
+    minWarning: 'min_warning',
+    maxWarning: 'max_warning',
+    minDanger: 'min_danger',
+    maxDanger: 'max_danger'
+};
+
+// The threshold fields present in body as numbers (null or '' clears one); throws a
+// SensorTypeError for anything non-numeric
+function parseThresholdFields(body) {
+    const parsed = {};
+    for (const field of Object.keys(THRESHOLD_FIELDS)) {
+        const raw = body[field];
+        if (raw === undefined) continue;
+        if (raw === null || raw === '') {
+            parsed[field] = null;
+            continue;
+        }
+        const value = Number(raw);
+        if (!Number.isFinite(value)) throw new SensorTypeError(`${field} must be a number`);
+        parsed[field] = value;
+    }
+    return parsed;
+}
+
+// Column-keyed thresholds of `base` (a sensor row or a type's defaults) with `parsed` applied
+function mergeThresholds(base, parsed) {
+    const merged = {};
+    for (const [field, column] of Object.entries(THRESHOLD_FIELDS)) {
+        const value = parsed[field] !== undefined ? parsed[field] : base[column];
+        merged[column] = value === null || value === undefined ? null : Number(value);
+    }
+    return merged;
+}
+
+// Picks the whitelisted fields present in body and returns { columns, values }
+function pickColumns(body, fields) {
+    const columns = [];
+    const values = [];
+    for (const [field, column] of Object.entries(fields)) {
+        if (body[field] === undefined) continue;
+        columns.push(column);
+        const value = body[field];
+        values.push(column === 'family_members' ? JSON.stringify(value || []) : value);
+    }
+    return { columns, values };
+}
+
+// Staff tied to one panchayat add records there unless the body names another
+function withDefaultPanchayat(body, scope) {
+    if (body.panchayatId !== undefined || scope.defaultPanchayatId === null) return body;
+    return { ...body, panchayatId: scope.defaultPanchayatId };
+}
+
+// Loads a row for a change by this account: null when it is missing or in a panchayat
+// the account cannot see, a TenancyError when it can see but not change it
+async function fetchScopedRow(conn, table, id, scope, activeCondition) {
+    const [[row]] = await conn.query(`SELECT * FROM ${table} WHERE id = ? AND ${activeCondition}`, [id]);
+    if (!row || !scope.canRead(row.panchayat_id)) return null;
+    scope.assertWritable(row.panchayat_id);
+    return row;
+}
+
+// Tenancy, location and sensor type errors carry the status to answer with
+function isStatusError(error) {
+    return error instanceof TenancyError || error instanceof LocationError || error instanceof SensorTypeError;
+}
+
+function sendStatusError(res, error) {
+    return res.status(error.status).json({ success: false, error: error.message });
+}
+
+// Places a villager the way the dashboard routes do: a village must exist and lie in
+// the panchayat sent with it, and fixes the panchayat when none is sent. `current` is
+// the row being changed. Returns { panchayatId, villageId }; throws a LocationError.
+async function placeVillager(body, current = null, conn = db) {
+    if (body.villageId) {
+        const picked = await locationService.resolveVillage({ village_id: body.villageId }, body.panchayatId, conn);
+        if (picked.error) throw new LocationError(picked.error);
+        return picked;
+    }
+
+    let panchayatId = current ? current.panchayat_id : null;
+    let villageId = body.villageId === undefined && current ? current.village_id : null;
+    if (body.panchayatId !== undefined) {
+        const panchayat = await locationService.resolvePanchayatId({ panchayat_id: body.panchayatId }, conn);
+        if (panchayat.error) throw new LocationError(panchayat.error);
+        // A village from the old panchayat cannot stay
+        if (panchayat.id !== panchayatId) villageId = null;
+        panchayatId = panchayat.id;
+    }
+    return { panchayatId, villageId };
+}
+
+// A sensor's village, panchayat and district, checked against the location tree like
+// the dashboard's sensor routes; null when the body names none. Throws a LocationError.
+async function placeSensor(body, conn = db) {
+    if (body.villageId === undefined && body.panchayatId === undefined && body.districtId === undefined) {
+        return null;
+    }
+    const location = await locationService.resolveSensorLocation({
+        village_id: body.villageId,
+        panchayat_id: body.panchayatId,
+        district_id: body.districtId
+    }, conn);
+    if (location.error) throw new LocationError(location.error);
+    return location;
+}
+
+// Pushes the change to staff watching the panchayat and to the villager concerned
+function emitChange(req, event, payload, scope) {
+    if (req.realtime) {
+        req.realtime.publish(event, payload, scope);
+    }
+}
 
 class AdminController {
     // ========== VILLAGER MANAGEMENT ==========
-    
+
     static async addVillager(req, res) {
         try {
-            const {
-                aadhaarNumber, name, phone, villageId,
-                fatherName, email, address, familyMembers,
-                rationCardNumber, occupation, incomeRange, education
-            } = req.body;
-            
-            const adminId = req.user.userId;
+            const { aadhaarNumber, name, phone } = req.body;
+
+            if (!aadhaarNumber || !name || !phone) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required fields: aadhaarNumber, name, phone'
+                });
+            }
+            const invalid = checkAadhaar(aadhaarNumber) || checkPhone(phone);
+            if (invalid) {
+                return res.status(400).json({ success: false, error: invalid });
+            }
 
             // Check if villager already exists
-            const existing = await pool.query(
-                'SELECT id FROM villagers WHERE aadhaar_number = $1',
+            const [existing] = await db.query(
+                'SELECT id FROM villagers WHERE aadhaar_number = ?',
                 [aadhaarNumber]
             );
-            
-            if (existing.rows.length > 0) {
+
+            if (existing.length > 0) {
                 return res.status(400).json({
                     success: false,
                     error: 'Villager with this Aadhaar already exists'
                 });
             }
 
-            // Insert new villager
-            const result = await pool.query(
-                `INSERT INTO villagers (
-                    aadhaar_number, name, phone, village_id,
-                    father_name, email, address, family_members,
-                    ration_card_number, occupation, income_range,
-                    education, registered_by
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-                RETURNING *`,
-                [
-                    aadhaarNumber, name, phone, villageId,
-                    fatherName, email, address, JSON.stringify(familyMembers || []),
-                    rationCardNumber, occupation, incomeRange,
-                    education, adminId
-                ]
-            );
-
-            // Log audit
-            await pool.query(
-                `INSERT INTO audit_logs (admin_id, action_type, table_name, record_id)
-                 VALUES ($1, 'create_villager', 'villagers', $2)`,
-                [adminId, aadhaarNumber]
-            );
-
-            // Update village count
-            await pool.query(
-                'UPDATE panchayats SET total_villagers = total_villagers + 1 WHERE id = $1',
-                [villageId]
-            );
+            const requested = withDefaultPanchayat(req.body, req.scope);
+            const body = { ...requested, ...(await placeVillager(requested)) };
+            req.scope.assertWritable(body.panchayatId);
+
+            const { columns, values } = pickColumns(body, VILLAGER_FIELDS);
+            columns.push('registered_by');
+            values.push(req.user.userId);
+
+            const villager = await withTransaction(async (conn) => {
+                const [result] = await conn.query(
+                    `INSERT INTO villagers (${columns.join(', ')})
+                     VALUES (${columns.map(() => '?').join(', ')})`,
+                    values
+                );
+                const [[row]] = await conn.query('SELECT * FROM villagers WHERE id = ?', [result.insertId]);
+
+                await auditLog.record(req, { action: 'create_villager', table: 'villagers', recordId: row.id, after: row }, conn);
+                await refreshPanchayatCounters(row.panchayat_id, conn);
+                return row;
+            });
 
             // Emit real-time update
-            req.io.emit('villager_added', {
-                villageId,
-                villager: result.rows[0]
-            });
+            emitChange(req, 'villager_added', { villager }, { panchayatId: villager.panchayat_id });
 
             res.json({
                 success: true,
                 message: 'Villager added successfully',
-                data: result.rows[0]
+                data: villager
             });
 
         } catch (error) {
+            if (isStatusError(error)) return sendStatusError(res, error);
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Phone or Aadhaar number already exists'
+                });
+            }
             res.status(500).json({
                 success: false,
                 error: error.message
@@ -80,66 +249,75 @@ class AdminController {
     static async updateVillager(req, res) {
         try {
             const { id } = req.params;
-            const updates = req.body;
-            const adminId = req.user.userId;
 
-            // Get old values for audit
-            const oldData = await pool.query(
-                'SELECT * FROM villagers WHERE id = $1',
-                [id]
-            );
+            const invalid = (req.body.aadhaarNumber !== undefined && checkAadhaar(req.body.aadhaarNumber))
+                || (req.body.phone !== undefined && checkPhone(req.body.phone));
+            if (invalid) {
+                return res.status(400).json({ success: false, error: invalid });
+            }
 
-            if (oldData.rows.length === 0) {
-                return res.status(404).json({
+            if (pickColumns(req.body, VILLAGER_FIELDS).columns.length === 0) {
+                return res.status(400).json({
                     success: false,
-                    error: 'Villager not found'
+                    error: 'No updatable fields supplied'
                 });
             }
 
-            // Build dynamic update query
-            const setClause = [];
-            const values = [];
-            let valueIndex = 1;
+            const villager = await withTransaction(async (conn) => {
+                // Get old values for audit
+                const oldData = await fetchScopedRow(conn, 'villagers', id, req.scope, 'is_active = TRUE');
+                if (!oldData) return null;
 
-            Object.keys(updates).forEach(key => {
-                if (key !== 'id') {
-                    setClause.push(`${key} = $${valueIndex}`);
-                    values.push(updates[key]);
-                    valueIndex++;
+                let changes = req.body;
+                if (req.body.villageId !== undefined || req.body.panchayatId !== undefined) {
+                    changes = { ...req.body, ...(await placeVillager(req.body, oldData, conn)) };
+                    req.scope.assertWritable(changes.panchayatId);
+                }
+                const { columns, values } = pickColumns(changes, VILLAGER_FIELDS);
+
+                await conn.query(
+                    `UPDATE villagers
+                     SET ${columns.map(column => `${column} = ?`).join(', ')}
+                     WHERE id = ?`,
+                    [...values, id]
+                );
+                const [[row]] = await conn.query('SELECT * FROM villagers WHERE id = ?', [id]);
+
+                await auditLog.record(req, { action: 'update_villager', table: 'villagers', recordId: id, before: oldData, after: row }, conn);
+                if (oldData.panchayat_id !== row.panchayat_id) {
+                    await refreshPanchayatCounters(oldData.panchayat_id, conn);
+                    await refreshPanchayatCounters(row.panchayat_id, conn);
                 }
+                return row;
             });
 
-            values.push(id); // For WHERE clause
-
-            const query = `
-                UPDATE villagers 
-                SET ${setClause.join(', ')}, last_updated = CURRENT_TIMESTAMP
-                WHERE id = $${valueIndex}
-                RETURNING *
-            `;
-
-            const result = await pool.query(query, values);
-
-            // Log audit
-            await pool.query(
-                `INSERT INTO audit_logs (admin_id, action_type, table_name, record_id, old_values, new_values)
-                 VALUES ($1, 'update_villager', 'villagers', $2, $3, $4)`,
-                [adminId, id, JSON.stringify(oldData.rows[0]), JSON.stringify(updates)]
-            );
+            if (!villager) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Villager not found'
+                });
+            }
 
             // Emit real-time update
-            req.io.emit('villager_updated', {
-                villageId: result.rows[0].village_id,
-                villager: result.rows[0]
+            emitChange(req, 'villager_updated', { villager }, {
+                panchayatId: villager.panchayat_id,
+                villagerId: villager.id
             });
 
             res.json({
                 success: true,
                 message: 'Villager updated successfully',
-                data: result.rows[0]
+                data: villager
             });
 
         } catch (error) {
+            if (isStatusError(error)) return sendStatusError(res, error);
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Phone or Aadhaar number already exists'
+                });
+            }
             res.status(500).json({
                 success: false,
                 error: error.message
@@ -147,55 +325,57 @@ class AdminController {
         }
     }
 
+    // Soft delete: the row is kept, its sensors are released and its mobile sessions revoked
     static async deleteVillager(req, res) {
         try {
             const { id } = req.params;
-            const adminId = req.user.userId;
 
-            // Get villager data before deletion
-            const villager = await pool.query(
-                'SELECT * FROM villagers WHERE id = $1',
-                [id]
-            );
+            const villager = await withTransaction(async (conn) => {
+                // Get villager data before deletion
+                const row = await fetchScopedRow(conn, 'villagers', id, req.scope, 'is_active = TRUE');
+                if (!row) return null;
+
+                await conn.query(
+                    'UPDATE villagers SET is_active = FALSE, deleted_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [id]
+                );
+                await sensorAssignments.releaseVillager(conn, {
+                    villagerId: row.id,
+                    reason: 'villager_deleted',
+                    adminId: req.user.userId
+                });
+                const [unmapped] = await conn.query(
+                    'UPDATE sensors SET villager_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE villager_id = ?',
+                    [id]
+                );
+                await conn.query(
+                    'UPDATE villager_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE villager_id = ? AND revoked_at IS NULL',
+                    [id]
+                );
+
+                await auditLog.record(req, { action: 'delete_villager', table: 'villagers', recordId: id, before: row }, conn);
+                await refreshPanchayatCounters(row.panchayat_id, conn);
+                return { ...row, unmappedSensors: unmapped.affectedRows };
+            });
 
-            if (villager.rows.length === 0) {
+            if (!villager) {
                 return res.status(404).json({
                     success: false,
                     error: 'Villager not found'
                 });
             }
 
-            // Soft delete (update is_active to false)
-            await pool.query(
-                'UPDATE villagers SET is_active = false WHERE id = $1',
-                [id]
-            );
-
-            // Log audit
-            await pool.query(
-                `INSERT INTO audit_logs (admin_id, action_type, table_name, record_id, old_values)
-                 VALUES ($1, 'delete_villager', 'villagers', $2, $3)`,
-                [adminId, id, JSON.stringify(villager.rows[0])]
-            );
-
-            // Update village count
-            await pool.query(
-                'UPDATE panchayats SET total_villagers = total_villagers - 1 WHERE id = $1',
-                [villager.rows[0].village_id]
-            );
-
             // Emit real-time update
-            req.io.emit('villager_deleted', {
-                villageId: villager.rows[0].village_id,
-                villagerId: id
-            });
+            emitChange(req, 'villager_deleted', { villagerId: villager.id }, { panchayatId: villager.panchayat_id });
 
             res.json({
                 success: true,
-                message: 'Villager deleted successfully'
+                message: 'Villager deleted successfully',
+                unmappedSensors: villager.unmappedSensors
             });
 
         } catch (error) {
+            if (isStatusError(error)) return sendStatusError(res, error);
             res.status(500).json({
                 success: false,
                 error: error.message
@@ -204,75 +384,87 @@ class AdminController {
     }
 
     // ========== SENSOR MANAGEMENT ==========
-    
+
     static async addSensor(req, res) {
         try {
             const sensorData = req.body;
-            const adminId = req.user.userId;
-
-            // Generate unique sensor ID
-            const sensorId = `${sensorData.type}_${Date.now()}`;
-
-            const result = await pool.query(
-                `INSERT INTO sensors_metadata (
-                    id, name, type, sub_type, icon, unit, location,
-                    village_id, latitude, longitude, installation_date,
-                    manufacturer, model, serial_number,
-                    min_normal, max_normal, min_warning, max_warning,
-                    min_danger, max_danger, added_by
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
-                RETURNING *`,
-                [
-                    sensorId,
-                    sensorData.name,
-                    sensorData.type,
-                    sensorData.sub_type,
-                    sensorData.icon || '📡',
-                    sensorData.unit,
-                    sensorData.location,
-                    sensorData.villageId,
-                    sensorData.latitude,
-                    sensorData.longitude,
-                    sensorData.installationDate,
-                    sensorData.manufacturer,
-                    sensorData.model,
-                    sensorData.serialNumber,
-                    sensorData.minNormal,
-                    sensorData.maxNormal,
-                    sensorData.minWarning,
-                    sensorData.maxWarning,
-                    sensorData.minDanger,
-                    sensorData.maxDanger,
-                    adminId
-                ]
-            );
 
-            // Update sensor count
-            await pool.query(
-                'UPDATE panchayats SET total_sensors = total_sensors + 1 WHERE id = $1',
-                [sensorData.villageId]
-            );
+            if (!sensorData.type) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'type is required'
+                });
+            }
+            const sensorType = sensorTypes.resolve(sensorData.type);
+            if (!sensorType) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown sensor type "${sensorData.type}"`
+                });
+            }
+            if (sensorData.status !== undefined && checkSensorStatus(sensorData.status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: checkSensorStatus(sensorData.status)
+                });
+            }
+
+            // LoRa devices are keyed by their devEUI; generate an id for anything else
+            const sensorId = sensorData.devEUI || `${sensorType.key}_${Date.now()}`;
+
+            const requested = withDefaultPanchayat(sensorData, req.scope);
+            const location = await placeSensor(requested);
+            const body = location ? { ...requested, ...location } : requested;
+            req.scope.assertWritable(body.panchayatId);
 
-            // Log audit
-            await pool.query(
-                `INSERT INTO audit_logs (admin_id, action_type, table_name, record_id)
-                 VALUES ($1, 'create_sensor', 'sensors_metadata', $2)`,
-                [adminId, sensorId]
+            // Thresholds not given start from the type's defaults; the result is checked
+            // against the type the same way a threshold update is
+            const defaults = {};
+            for (const [field, column] of Object.entries(THRESHOLD_FIELDS)) {
+                defaults[field] = sensorType.thresholds[column];
+            }
+            const thresholds = parseThresholdFields(body);
+            sensorTypes.checkThresholds(sensorType.key, mergeThresholds(sensorType.thresholds, thresholds));
+
+            const { columns, values } = pickColumns(
+                { name: sensorId, status: 'active', ...defaults, ...body, ...thresholds, type: sensorType.key },
+                SENSOR_FIELDS
             );
+            columns.unshift('id');
+            values.unshift(sensorId);
+            columns.push('added_by');
+            values.push(req.user.userId);
+
+            const sensor = await withTransaction(async (conn) => {
+                await conn.query(
+                    `INSERT INTO sensors (${columns.join(', ')})
+                     VALUES (${columns.map(() => '?').join(', ')})`,
+                    values
+                );
+                const [[row]] = await conn.query('SELECT * FROM sensors WHERE id = ?', [sensorId]);
+
+                await auditLog.record(req, { action: 'create_sensor', table: 'sensors', recordId: sensorId, after: row }, conn);
+                await refreshPanchayatCounters(row.panchayat_id, conn);
+                return row;
+            });
 
             // Emit real-time update
-            req.io.emit('sensor_added', {
-                villageId: sensorData.villageId,
-                sensor: result.rows[0]
-            });
+            emitChange(req, 'sensor_added', { sensor }, { panchayatId: sensor.panchayat_id });
 
             res.json({
                 success: true,
                 message: 'Sensor added successfully',
-                data: result.rows[0]
+                data: sensor
             });
 
         } catch (error) {
+            if (isStatusError(error)) return sendStatusError(res, error);
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Sensor already exists'
+                });
+            }
             res.status(500).json({
                 success: false,
                 error: error.message
@@ -283,22 +475,62 @@ class AdminController {
     static async updateSensor(req, res) {
         try {
             const { sensorId } = req.params;
-            const updates = req.body;
-            const adminId = req.user.userId;
-
-            const result = await pool.query(
-                `UPDATE sensors_metadata 
-                 SET ${
-                    Object.keys(updates).map((key, index) => 
-                        `${key} = $${index + 1}`
-                    ).join(', ')
-                 }, updated_at = CURRENT_TIMESTAMP
-                 WHERE id = $${Object.keys(updates).length + 1}
-                 RETURNING *`,
-                [...Object.values(updates), sensorId]
-            );
 
-            if (result.rows.length === 0) {
+            if (req.body.status !== undefined && checkSensorStatus(req.body.status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: checkSensorStatus(req.body.status)
+                });
+            }
+
+            let changes = req.body;
+            if (req.body.type !== undefined) {
+                const sensorType = sensorTypes.resolve(req.body.type);
+                if (!sensorType) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unknown sensor type "${req.body.type}"`
+                    });
+                }
+                changes = { ...req.body, type: sensorType.key };
+            }
+            const thresholds = parseThresholdFields(req.body);
+            const location = await placeSensor(req.body);
+            changes = { ...changes, ...thresholds, ...location };
+
+            const { columns, values } = pickColumns(changes, SENSOR_FIELDS);
+            if (columns.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No updatable fields supplied'
+                });
+            }
+
+            const sensor = await withTransaction(async (conn) => {
+                const oldData = await fetchScopedRow(conn, 'sensors', sensorId, req.scope, `status <> 'deleted'`);
+                if (!oldData) return null;
+                if (location) req.scope.assertWritable(location.panchayatId);
+                if (Object.keys(thresholds).length > 0 || changes.type !== undefined) {
+                    sensorTypes.checkThresholds(changes.type || oldData.type, mergeThresholds(oldData, thresholds));
+                }
+
+                await conn.query(
+                    `UPDATE sensors
+                     SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [...values, sensorId]
+                );
+                const [[row]] = await conn.query('SELECT * FROM sensors WHERE id = ?', [sensorId]);
+
+                await auditLog.record(req, { action: 'update_sensor', table: 'sensors', recordId: sensorId, before: oldData, after: row }, conn);
+                if (oldData.panchayat_id !== row.panchayat_id) {
+                    await refreshPanchayatCounters(oldData.panchayat_id, conn);
+                    await refreshPanchayatCounters(row.panchayat_id, conn);
+                }
+                return row;
+            });
+
+            if (!sensor) {
                 return res.status(404).json({
                     success: false,
                     error: 'Sensor not found'
@@ -306,18 +538,19 @@ class AdminController {
             }
 
             // Emit real-time update
-            req.io.emit('sensor_updated', {
-                sensorId,
-                sensor: result.rows[0]
+            emitChange(req, 'sensor_updated', { sensorId, sensor }, {
+                panchayatId: sensor.panchayat_id,
+                villagerId: sensor.villager_id
             });
 
             res.json({
                 success: true,
                 message: 'Sensor updated successfully',
-                data: result.rows[0]
+                data: sensor
             });
 
         } catch (error) {
+            if (isStatusError(error)) return sendStatusError(res, error);
             res.status(500).json({
                 success: false,
                 error: error.message
@@ -327,32 +560,43 @@ class AdminController {
 
     static async deleteSensor(req, res) {
         try {
-            const { sensorId } = req.params;
-            const adminId = req.user.userId;
+            const sensorId = req.params.sensorId || req.params.devEUI;
+
+            const sensor = await withTransaction(async (conn) => {
+                // Get sensor data before deletion
+                const row = await fetchScopedRow(conn, 'sensors', sensorId, req.scope, `status <> 'deleted'`);
+                if (!row) return null;
+
+                if (row.villager_id !== null) {
+                    await sensorAssignments.release(conn, {
+                        sensorId: row.id,
+                        reason: 'sensor_deleted',
+                        adminId: req.user.userId
+                    });
+                }
 
-            // Get sensor data before deletion
-            const sensor = await pool.query(
-                'SELECT * FROM sensors_metadata WHERE id = $1',
-                [sensorId]
-            );
+                // Soft delete (update status)
+                await conn.query(
+                    `UPDATE sensors SET status = 'deleted', villager_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [sensorId]
+                );
+
+                await auditLog.record(req, { action: 'delete_sensor', table: 'sensors', recordId: sensorId, before: row }, conn);
+                await refreshPanchayatCounters(row.panchayat_id, conn);
+                return row;
+            });
 
-            if (sensor.rows.length === 0) {
+            if (!sensor) {
                 return res.status(404).json({
                     success: false,
                     error: 'Sensor not found'
                 });
             }
 
-            // Soft delete (update status)
-            await pool.query(
-                'UPDATE sensors_metadata SET status = $1 WHERE id = $2',
-                ['deleted', sensorId]
-            );
-
             // Emit real-time update
-            req.io.emit('sensor_deleted', {
-                sensorId,
-                villageId: sensor.rows[0].village_id
+            emitChange(req, 'sensor_deleted', { sensorId }, {
+                panchayatId: sensor.panchayat_id,
+                villagerId: sensor.villager_id
             });
 
             res.json({
@@ -361,6 +605,7 @@ class AdminController {
             });
 
         } catch (error) {
+            if (isStatusError(error)) return sendStatusError(res, error);
             res.status(500).json({
                 success: false,
                 error: error.message
@@ -369,43 +614,52 @@ class AdminController {
     }
 
     // ========== DASHBOARD DATA ==========
-    
+
     static async getDashboardData(req, res) {
         try {
-            const adminId = req.user.userId;
-            const panchayatId = req.user.panchayatId;
-
-            // Get all statistics
+            // Get all statistics, limited to the panchayats this account can see
+            const [panchayatScope, panchayatParams] = req.scope.filter('panchayat_id');
+            const [villageScope, villageParams] = req.scope.filter('parent_id');
+            const [alertScope, alertParams] = req.scope.filter('panchayat_id');
             const [
-                villagersCount,
-                sensorsCount,
-                villagesCount,
-                alertsCount,
-                recentVillagers,
-                recentSensors,
-                activeAlerts
+                [[villagersCount]],
+                [[sensorsCount]],
+                [[villagesCount]],
+                [[alertsCount]],
+                [recentVillagers],
+                [recentSensors],
+                [activeAlerts]
             ] = await Promise.all([
-                pool.query('SELECT COUNT(*) FROM villagers WHERE is_active = true'),
-                pool.query('SELECT COUNT(*) FROM sensors_metadata WHERE status = $1', ['active']),
-                pool.query('SELECT COUNT(*) FROM villages WHERE panchayat_id = $1', [panchayatId]),
-                pool.query('SELECT COUNT(*) FROM sensor_alerts WHERE is_resolved = false'),
-                pool.query('SELECT * FROM villagers ORDER BY registered_at DESC LIMIT 10'),
-                pool.query('SELECT * FROM sensors_metadata ORDER BY created_at DESC LIMIT 10'),
-                pool.query('SELECT * FROM sensor_alerts WHERE is_resolved = false ORDER BY created_at DESC LIMIT 10')
+                db.query(`SELECT COUNT(*) AS count FROM villagers WHERE is_active = TRUE AND ${panchayatScope}`, panchayatParams),
+                db.query(`SELECT COUNT(*) AS count FROM sensors WHERE status = 'active' AND ${panchayatScope}`, panchayatParams),
+                db.query(`SELECT COUNT(*) AS count FROM locations WHERE type = 'village' AND ${villageScope}`, villageParams),
+                db.query(`SELECT COUNT(*) AS count FROM sensor_alerts WHERE is_resolved = FALSE AND ${alertScope}`, alertParams),
+                db.query(
+                    `SELECT * FROM villagers WHERE is_active = TRUE AND ${panchayatScope} ORDER BY created_at DESC LIMIT 10`,
+                    panchayatParams
+                ),
+                db.query(
+                    `SELECT * FROM sensors WHERE status <> 'deleted' AND ${panchayatScope} ORDER BY installed_at DESC LIMIT 10`,
+                    panchayatParams
+                ),
+                db.query(
+                    `SELECT * FROM sensor_alerts WHERE is_resolved = FALSE AND ${alertScope} ORDER BY created_at DESC LIMIT 10`,
+                    alertParams
+                )
             ]);
 
             res.json({
                 success: true,
                 data: {
                     statistics: {
-                        totalVillagers: parseInt(villagersCount.rows[0].count),
-                        totalSensors: parseInt(sensorsCount.rows[0].count),
-                        totalVillages: parseInt(villagesCount.rows[0].count),
-                        activeAlerts: parseInt(alertsCount.rows[0].count)
+                        totalVillagers: villagersCount.count,
+                        totalSensors: sensorsCount.count,
+                        totalVillages: villagesCount.count,
+                        activeAlerts: alertsCount.count
                     },
-                    recentVillagers: recentVillagers.rows,
-                    recentSensors: recentSensors.rows,
-                    activeAlerts: activeAlerts.rows
+                    recentVillagers,
+                    recentSensors,
+                    activeAlerts
                 }
             });
 
@@ -418,4 +672,4 @@ class AdminController {
     }
 }
 
-module.exports = AdminController;
\ No newline at end of file
+module.exports = AdminController;
@@ -16,7 +16,7 @@ CREATE TABLE admin_users (
     full_name VARCHAR(100) NOT NULL,
     email VARCHAR(100),
     phone VARCHAR(15),
-    panchayat_id INTEGER,
+    panchayat_id INTEGER, -- location the account works in: a panchayat (read/write), or a district or state (read-only below it); NULL = every panchayat
     role VARCHAR(20) DEFAULT 'operator', -- operator, supervisor, admin
     is_active BOOLEAN DEFAULT TRUE,
     permissions JSONB DEFAULT '{
@@ -25,6 +25,7 @@ CREATE TABLE admin_users (
         "view_reports": true,
         "manage_admins": false
     }',
+    token_version INTEGER NOT NULL DEFAULT 0, -- raised on every password reset; staff tokens carrying an older version are refused
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_login TIMESTAMP
 );
@@ -130,21 +131,95 @@ CREATE TABLE sensor_alerts (
     message TEXT,
     value FLOAT,
     threshold FLOAT,
+    panchayat_id INTEGER REFERENCES panchayats(id), -- panchayat of the sensor when the alert opened
     village_id INTEGER REFERENCES villages(id),
     is_resolved BOOLEAN DEFAULT FALSE,
     resolved_by INTEGER REFERENCES admin_users(id),
     resolved_at TIMESTAMP,
+    resolution_note TEXT,
+    acknowledged_by INTEGER REFERENCES admin_users(id),
+    acknowledged_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE sensor_alert_events (
+    id SERIAL PRIMARY KEY,
+    alert_id INTEGER REFERENCES sensor_alerts(id),
+    event_type VARCHAR(30), -- opened, escalated, acknowledged, comment, resolved, auto_resolved
+    note TEXT,
+    value FLOAT,
+    admin_id INTEGER REFERENCES admin_users(id),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================
+-- SENSOR ASSIGNMENTS (Ownership history)
+-- ============================================
+
+CREATE TABLE sensor_assignments (
+    id SERIAL PRIMARY KEY,
+    sensor_id VARCHAR(50) NOT NULL,
+    villager_id INTEGER NOT NULL REFERENCES villagers(id),
+    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    assigned_by INTEGER REFERENCES admin_users(id),
+    assign_note TEXT,
+    unassigned_at TIMESTAMP, -- NULL = current owner
+    unassigned_by INTEGER REFERENCES admin_users(id),
+    end_reason VARCHAR(30), -- unmapped, reassigned, villager_deleted, sensor_deleted
+    end_note TEXT
+);
+
+-- ============================================
+-- SENSOR TYPES (Units, display and default thresholds)
+-- ============================================
+
+CREATE TABLE sensor_types (
+    id SERIAL PRIMARY KEY,
+    type_key VARCHAR(50) UNIQUE NOT NULL, -- stored in sensors.type; never renamed
+    label VARCHAR(100) NOT NULL,
+    aliases JSONB, -- other spellings found in sensors.type, e.g. ["temperature", "temp"]
+    unit VARCHAR(20) NOT NULL DEFAULT '',
+    display_precision SMALLINT NOT NULL DEFAULT 2,
+    icon VARCHAR(50),
+    valid_min DECIMAL(10,2), -- readings outside the valid range are ignored by alerts
+    valid_max DECIMAL(10,2),
+    min_normal DECIMAL(10,2), -- defaults copied onto new sensors
+    max_normal DECIMAL(10,2),
+    min_warning DECIMAL(10,2),
+    max_warning DECIMAL(10,2),
+    min_danger DECIMAL(10,2),
+    max_danger DECIMAL(10,2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- VILLAGE BACKFILL (Rows needing manual review)
+-- ============================================
+
+CREATE TABLE village_backfill_issues (
+    id SERIAL PRIMARY KEY,
+    record_type VARCHAR(20) NOT NULL, -- villager, sensor
+    record_id VARCHAR(50) NOT NULL,
+    label VARCHAR(255), -- first address / location segment that was tried
+    reason VARCHAR(30) NOT NULL, -- no_label, suspicious_label, ambiguous, no_panchayat, unmatched
+    candidates JSONB, -- [{id, name, panchayat}]
+    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP, -- set once the record has a village
+    UNIQUE(record_type, record_id)
+);
+
 -- ============================================
 -- AUDIT LOG (Track all admin actions)
 -- ============================================
 
 CREATE TABLE audit_logs (
     id SERIAL PRIMARY KEY,
+    actor_type VARCHAR(20) DEFAULT 'staff', -- staff, villager, system
     admin_id INTEGER REFERENCES admin_users(id),
-    action_type VARCHAR(50), -- create_villager, update_sensor, delete_sensor
+    villager_id INTEGER REFERENCES villagers(id),
+    action_type VARCHAR(50), -- create_villager, update_sensor, delete_sensor, map_sensor, unmap_sensor, reassign_sensor, villager_login
     table_name VARCHAR(50),
     record_id VARCHAR(100),
     old_values JSONB,
@@ -154,6 +229,40 @@ CREATE TABLE audit_logs (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================
+-- REPORTS (Weekly / monthly panchayat reports)
+-- ============================================
+
+CREATE TABLE report_schedules (
+    id SERIAL PRIMARY KEY,
+    panchayat_id INTEGER REFERENCES panchayats(id), -- NULL = all panchayats
+    period VARCHAR(10) NOT NULL, -- weekly, monthly
+    format VARCHAR(10) DEFAULT 'pdf', -- pdf, html
+    is_active BOOLEAN DEFAULT TRUE,
+    next_run_at TIMESTAMP,
+    last_run_at TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    last_error TEXT,
+    created_by INTEGER REFERENCES admin_users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE generated_reports (
+    id SERIAL PRIMARY KEY,
+    schedule_id INTEGER REFERENCES report_schedules(id),
+    panchayat_id INTEGER REFERENCES panchayats(id),
+    period VARCHAR(10) NOT NULL,
+    format VARCHAR(10) NOT NULL,
+    period_start TIMESTAMP,
+    period_end TIMESTAMP,
+    is_partial BOOLEAN DEFAULT FALSE,
+    file_name VARCHAR(255) NOT NULL, -- stored under REPORTS_DIR
+    file_size INTEGER,
+    generated_by INTEGER REFERENCES admin_users(id), -- NULL when produced by a schedule
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================
 -- INDEXES for Performance
 -- ============================================
@@ -163,10 +272,20 @@ CREATE INDEX idx_villagers_aadhaar ON villagers(aadhaar_number);
 CREATE INDEX idx_sensors_village ON sensors_metadata(village_id);
 CREATE INDEX idx_sensors_type ON sensors_metadata(type);
 CREATE INDEX idx_alerts_sensor ON sensor_alerts(sensor_id);
+CREATE INDEX idx_alerts_panchayat ON sensor_alerts(panchayat_id);
 CREATE INDEX idx_alerts_village ON sensor_alerts(village_id);
 CREATE INDEX idx_alerts_resolved ON sensor_alerts(is_resolved);
+CREATE INDEX idx_alert_events_alert ON sensor_alert_events(alert_id);
+CREATE INDEX idx_assignments_sensor ON sensor_assignments(sensor_id, unassigned_at);
+CREATE INDEX idx_assignments_villager ON sensor_assignments(villager_id);
+CREATE INDEX idx_backfill_open ON village_backfill_issues(resolved_at);
 CREATE INDEX idx_audit_admin ON audit_logs(admin_id);
 CREATE INDEX idx_audit_created ON audit_logs(created_at);
+CREATE INDEX idx_audit_villager ON audit_logs(villager_id);
+CREATE INDEX idx_audit_record ON audit_logs(table_name, record_id);
+CREATE INDEX idx_report_schedules_due ON report_schedules(is_active, next_run_at);
+CREATE INDEX idx_generated_reports_panchayat ON generated_reports(panchayat_id);
+CREATE INDEX idx_generated_reports_created ON generated_reports(created_at);
 
 -- ============================================
 -- COMMENTS for Documentation
@@ -178,7 +297,12 @@ COMMENT ON TABLE villages IS 'Villages under each panchayat';
 COMMENT ON TABLE villagers IS 'Villagers registered in the system';
 COMMENT ON TABLE sensors_metadata IS 'Sensor device information and metadata';
 COMMENT ON TABLE sensor_alerts IS 'Alerts generated by sensor readings';
+COMMENT ON TABLE sensor_alert_events IS 'Lifecycle history and staff comments for each alert';
+COMMENT ON TABLE sensor_assignments IS 'Which villager owned each sensor and when';
+COMMENT ON TABLE village_backfill_issues IS 'Villagers and sensors whose village could not be derived from their address';
 COMMENT ON TABLE audit_logs IS 'Audit trail of all admin actions';
+COMMENT ON TABLE report_schedules IS 'Recurring weekly and monthly report jobs';
+COMMENT ON TABLE generated_reports IS 'Archive of generated report files';
 
 -- ============================================
 -- NO DEFAULT DATA INSERTED
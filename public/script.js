@@ -1,6 +1,12 @@
 const API_BASE = 'https://smart-panchayat.onrender.com/api';
 console.log('API Base:', API_BASE);
 
+let authToken = localStorage.getItem('adminToken');
+let socket = null;
+let sensorList = [];
+let currentUser = null;
+let staffAccounts = [];
+
 console.log('Mobile Debug Info:');
 console.log('User Agent:', navigator.userAgent);
 console.log('Platform:', navigator.platform);
@@ -20,22 +26,206 @@ async function testAPIConnection() {
     }
 }
 
+// Authenticated API call - attaches the staff token and sends the user back to login on 401
+async function apiFetch(path, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
+    }
+
+    const response = await fetch(`${API_BASE}${path}`, { ...options, headers });
+
+    if (response.status === 401 && authToken) {
+        logout();
+        showToast('Session expired. Please log in again.', 'warning');
+    }
+
+    return response;
+}
+
+// Show the logged-in account in the sidebar and reveal sections it may use
+async function loadCurrentUser() {
+    try {
+        const response = await apiFetch('/admin/auth/me');
+        const data = await response.json();
+
+        if (data.success) {
+            currentUser = data.user;
+            document.getElementById('currentUserName').textContent = currentUser.fullName || currentUser.username;
+            const jurisdiction = currentUser.jurisdiction || {};
+            document.getElementById('currentUserRole').textContent = jurisdiction.restricted
+                ? `${currentUser.role} · ${jurisdiction.locationName || 'no jurisdiction'}${jurisdiction.readOnly ? ' (read-only)' : ''}`
+                : currentUser.role;
+
+            const canManageStaff = currentUser.role === 'admin' || currentUser.permissions.manage_admins;
+            document.getElementById('staffNavLink').style.display = canManageStaff ? 'block' : 'none';
+
+            const canViewAudit = currentUser.role === 'admin' || currentUser.role === 'supervisor';
+            document.getElementById('auditNavLink').style.display = canViewAudit ? 'block' : 'none';
+        }
+    } catch (error) {
+        console.error('Error loading current user:', error);
+    }
+}
+
+function startDashboard() {
+    loadCurrentUser();
+    loadDashboard();
+    loadAllVillagers();
+    loadAllSensors();
+    fillDistrictFilters();
+    fillSensorTypeSelects();
+    connectRealtime();
+}
+
+// Server pushes readings, alerts and changes made by other staff, so nothing polls
+function connectRealtime() {
+    if (socket || typeof io === 'undefined') {
+        return;
+    }
+
+    socket = io(API_BASE.replace(/\/api$/, ''), { auth: { token: authToken } });
+
+    socket.on('connect_error', error => {
+        console.error('Realtime connection error:', error.message);
+    });
+
+    // Catch up on anything missed while disconnected
+    socket.io.on('reconnect', () => {
+        loadDashboard();
+        loadAllSensors();
+    });
+
+    socket.on('sensor_reading', applySensorUpdate);
+    socket.on('sensor_status', applySensorUpdate);
+
+    ['sensor_added', 'sensor_updated', 'sensor_deleted', 'sensor_mapped', 'sensor_unmapped', 'sensors_imported'].forEach(event => {
+        socket.on(event, () => {
+            loadAllSensors();
+            loadDashboard();
+        });
+    });
+
+    socket.on('sensor_types_updated', () => {
+        fillSensorTypeSelects();
+    });
+
+    socket.on('locations_updated', () => {
+        locationTree = null;
+        if (document.getElementById('locationsSection').style.display !== 'none') loadLocations();
+        fillDistrictFilters();
+        loadDashboard();
+    });
+
+    ['villager_added', 'villager_updated', 'villager_deleted', 'villagers_imported'].forEach(event => {
+        socket.on(event, () => {
+            loadAllVillagers();
+            loadDashboard();
+        });
+    });
+
+    socket.on('report_generated', () => {
+        if (document.getElementById('reportModal').classList.contains('show')) {
+            loadReportArchive();
+        }
+    });
+
+    ['alert_opened', 'alert_updated', 'alert_resolved'].forEach(event => {
+        socket.on(event, alert => {
+            loadDashboard();
+            if (document.getElementById('alertsSection').style.display !== 'none') {
+                loadAlerts();
+            }
+            if (event === 'alert_opened') {
+                showToast(`🚨 ${alert.sensor_name || alert.sensor_id}: ${alert.message}`, alert.alert_type === 'danger' ? 'danger' : 'warning');
+            }
+        });
+    });
+}
+
+function disconnectRealtime() {
+    if (socket) {
+        socket.disconnect();
+        socket = null;
+    }
+}
+
+// Patch one sensor in place from a pushed reading or status change
+function applySensorUpdate(update) {
+    const sensor = sensorList.find(item => item.devEUI === update.devEUI);
+    if (!sensor) {
+        return;
+    }
+
+    ['measurement', 'time', 'status'].forEach(field => {
+        if (update[field] !== undefined) {
+            sensor[field] = update[field];
+        }
+    });
+    updateSensorsTable(sensorList);
+    updateSensorStatusTable(sensorList);
+}
+
+function showLoginModal() {
+    const modalElement = document.getElementById('loginModal');
+    (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+}
+
+async function login() {
+    const username = document.getElementById('loginUsername').value.trim();
+    const password = document.getElementById('loginPassword').value;
+
+    if (!username || !password) {
+        showToast('Username and password are required', 'danger');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/admin/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            authToken = result.token;
+            localStorage.setItem('adminToken', authToken);
+            document.getElementById('loginForm').reset();
+            bootstrap.Modal.getInstance(document.getElementById('loginModal')).hide();
+            startDashboard();
+        } else {
+            showToast('❌ ' + result.error, 'danger');
+        }
+    } catch (error) {
+        console.error('Login error:', error);
+        showToast('⚠️ Login failed. Check server connection.', 'warning');
+    }
+}
+
+function logout() {
+    authToken = null;
+    currentUser = null;
+    localStorage.removeItem('adminToken');
+    document.getElementById('currentUserName').textContent = '—';
+    document.getElementById('currentUserRole').textContent = '';
+    document.getElementById('staffNavLink').style.display = 'none';
+    document.getElementById('auditNavLink').style.display = 'none';
+    disconnectRealtime();
+    showLoginModal();
+}
+
 // SINGLE DOMContentLoaded listener
 document.addEventListener('DOMContentLoaded', async function() {
     console.log('🚀 Dashboard loading...');
     const apiConnected = await testAPIConnection();
 
     if (apiConnected) {
-        loadDashboard();
-        loadAllVillagers();
-        loadAllSensors();
-        loadSensorsForStatus();
-
-        // 🔄 AUTO REFRESH SENSOR DATA (Option A)
-        setInterval(() => {
-            loadAllSensors();
-            loadSensorsForStatus();
-        }, 5000);
+        if (authToken) {
+            startDashboard();
+        } else {
+            showLoginModal();
+        }
 
     } else {
         showToast('⚠️ Cannot connect to server. Please wait...', 'warning');
@@ -46,12 +236,25 @@ document.addEventListener('DOMContentLoaded', async function() {
 
         // Section navigation
         function showSection(section) {
-            document.getElementById('dashboardSection').style.display = 'none';
-            document.getElementById('villagersSection').style.display = 'none';
-            document.getElementById('sensorsSection').style.display = 'none';
+            ['dashboard', 'villagers', 'sensors', 'alerts', 'locations', 'staff', 'audit'].forEach(name => {
+                document.getElementById(name + 'Section').style.display = 'none';
+            });
 
             document.getElementById(section + 'Section').style.display = 'block';
 
+            if (section === 'alerts') {
+                loadAlerts();
+            }
+            if (section === 'staff') {
+                loadStaff();
+            }
+            if (section === 'audit') {
+                loadAuditLog();
+            }
+            if (section === 'locations') {
+                loadLocations();
+            }
+
             document.querySelectorAll('.sidebar .nav-link').forEach(link => {
                 link.classList.remove('active');
             });
@@ -62,7 +265,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         async function loadDashboard() {
             try {
                 console.log('🔄 Loading dashboard...');
-                const response = await fetch(`${API_BASE}/admin/dashboard`);
+                const response = await apiFetch(`/admin/dashboard`);
                 const data = await response.json();
 
                 if (data.success) {
@@ -73,23 +276,148 @@ document.addEventListener('DOMContentLoaded', async function() {
                     document.getElementById('activeAlerts').textContent = stats.activeAlerts;
 
                     updateRecentVillagers(data.data.recentVillagers || []);
+                    updateActiveAlerts(data.data.activeAlerts || []);
                 }
             } catch (error) {
                 console.error('Error loading dashboard:', error);
             }
         }
 
-        // Load all villagers for management section
+        // Server-side paging of the villager and sensor tables. `filters` maps a query
+        // parameter to the id of the control holding its value.
+        const PAGED_LISTS = {
+            villagers: {
+                pageSize: 25,
+                defaultSort: 'created_at',
+                filters: { q: 'villagerSearch', district_id: 'villagerDistrictFilter', assigned: 'villagerAssignedFilter' },
+                head: 'villagersTableHead',
+                pager: 'villagersPager',
+                noun: 'villagers',
+                load: () => loadAllVillagers()
+            },
+            sensors: {
+                pageSize: 25,
+                defaultSort: 'installed_at',
+                filters: { q: 'sensorSearch', type: 'sensorTypeFilter', district_id: 'sensorDistrictFilter', status: 'sensorStatusFilter', assigned: 'sensorAssignedFilter' },
+                head: 'sensorsTableHead',
+                pager: 'sensorsPager',
+                noun: 'sensors',
+                load: () => loadAllSensors()
+            }
+        };
+        const pagedListState = {
+            villagers: { sort: 'created_at', order: 'desc', offset: 0 },
+            sensors: { sort: 'installed_at', order: 'desc', offset: 0 }
+        };
+
+        function pagedListQuery(kind) {
+            const list = PAGED_LISTS[kind];
+            const state = pagedListState[kind];
+            const params = new URLSearchParams({ sort: state.sort, order: state.order, limit: list.pageSize, offset: state.offset });
+            Object.entries(list.filters).forEach(([name, elementId]) => {
+                const value = document.getElementById(elementId).value.trim();
+                if (value) params.set(name, value);
+            });
+            return params;
+        }
+
+        // A filter changed: start again from the first page
+        function reloadPagedList(kind) {
+            pagedListState[kind].offset = 0;
+            PAGED_LISTS[kind].load();
+        }
+
+        function pagedListGoTo(kind, offset) {
+            pagedListState[kind].offset = Math.max(offset, 0);
+            PAGED_LISTS[kind].load();
+        }
+
+        function sortPagedList(kind, sort) {
+            const state = pagedListState[kind];
+            state.order = state.sort === sort && state.order === 'asc' ? 'desc' : 'asc';
+            state.sort = sort;
+            reloadPagedList(kind);
+        }
+
+        // Pager text and buttons, plus the sort marker on the header, after a page loads
+        function renderPagedList(kind, data) {
+            const list = PAGED_LISTS[kind];
+            const state = pagedListState[kind];
+            const total = data.total || 0;
+
+            // Deleting the last rows of the last page leaves the offset past the end
+            if (total > 0 && state.offset >= total) {
+                pagedListGoTo(kind, Math.floor((total - 1) / list.pageSize) * list.pageSize);
+                return;
+            }
+
+            document.querySelectorAll(`#${list.head} th[data-sort]`).forEach(th => {
+                th.onclick = () => sortPagedList(kind, th.dataset.sort);
+                th.classList.toggle('sorted', th.dataset.sort === state.sort);
+                th.classList.toggle('desc', th.dataset.sort === state.sort && state.order === 'desc');
+            });
+
+            const first = total === 0 ? 0 : state.offset + 1;
+            const last = state.offset + (data.count || 0);
+            document.getElementById(list.pager).innerHTML = `
+                <small class="text-muted">${first}–${last} of ${total} ${list.noun}</small>
+                <div>
+                    <button class="btn btn-sm btn-outline-secondary me-2" ${state.offset === 0 ? 'disabled' : ''}
+                        onclick="pagedListGoTo('${kind}', ${state.offset - list.pageSize})">Previous</button>
+                    <button class="btn btn-sm btn-outline-secondary" ${last >= total ? 'disabled' : ''}
+                        onclick="pagedListGoTo('${kind}', ${state.offset + list.pageSize})">Next</button>
+                </div>
+            `;
+        }
+
+        // District choices for the list filters, from the cached location tree
+        async function fillDistrictFilters() {
+            try {
+                await loadLocationTree();
+            } catch (error) {
+                console.error('Error loading locations:', error);
+                return;
+            }
+            const districts = collectLocations(locationTree.tree, 'district');
+            document.querySelectorAll('select.district-filter').forEach(select => {
+                const selected = select.value;
+                select.innerHTML = '<option value="">All districts</option>' + districts
+                    .map(node => `<option value="${node.id}">${node.name}${node.state ? ` (${node.state})` : ''}</option>`)
+                    .join('');
+                select.value = districts.some(node => String(node.id) === selected) ? selected : '';
+            });
+        }
+
+        // Fills every sensor type select from the registry; the first option keeps its data-empty label
+        async function fillSensorTypeSelects() {
+            let types;
+            try {
+                const response = await apiFetch('/sensor-types');
+                const data = await response.json();
+                if (!data.success) return;
+                types = data.types;
+            } catch (error) {
+                console.error('Error loading sensor types:', error);
+                return;
+            }
+            document.querySelectorAll('select.sensor-type-select').forEach(select => {
+                const selected = select.value;
+                select.innerHTML = `<option value="">${select.dataset.empty || ''}</option>` + types
+                    .map(type => `<option value="${type.key}">${type.label}${type.unit ? ` (${type.unit})` : ''}</option>`)
+                    .join('');
+                select.value = types.some(type => type.key === selected) ? selected : '';
+            });
+        }
+
+        // Load one page of villagers for management section
         async function loadAllVillagers() {
             try {
-                console.log('🔄 Loading villagers from:', `${API_BASE}/villagers`);
-                const response = await fetch(`${API_BASE}/villagers`);
+                const response = await apiFetch(`/villagers?${pagedListQuery('villagers')}`);
                 const data = await response.json();
-                console.log('📥 Villagers API response:', data);
 
                 if (data.success) {
                     updateVillagersTable(data.villagers || []);
-                    console.log(`✅ Loaded ${data.villagers.length} villagers`);
+                    renderPagedList('villagers', data);
                 } else {
                     console.error('❌ Failed to load villagers:', data.error);
                     showToast('Failed to load villagers: ' + data.error, 'danger');
@@ -100,34 +428,25 @@ document.addEventListener('DOMContentLoaded', async function() {
             }
         }
 
-        // Load all sensors for management section
+        // Load one page of sensors for management section
         async function loadAllSensors() {
             try {
-                const response = await fetch(`${API_BASE}/sensors`);
+                const response = await apiFetch(`/sensors?${pagedListQuery('sensors')}`);
                 const data = await response.json();
 
                 if (data.success) {
-                    updateSensorsTable(data.sensors || []);
+                    sensorList = data.sensors || [];
+                    updateSensorsTable(sensorList);
+                    updateSensorStatusTable(sensorList);
+                    renderPagedList('sensors', data);
+                } else {
+                    showToast('Failed to load sensors: ' + data.error, 'danger');
                 }
             } catch (error) {
                 console.error('Error loading sensors:', error);
             }
         }
 
-        // Load sensors for status table
-        async function loadSensorsForStatus() {
-            try {
-                const response = await fetch(`${API_BASE}/sensors`);
-                const data = await response.json();
-
-                if (data.success) {
-                    updateSensorStatusTable(data.sensors || []);
-                }
-            } catch (error) {
-                console.error('Error loading sensor status:', error);
-            }
-        }
-
         // Update recent villagers table - FIXED
         function updateRecentVillagers(villagers) {
             const tbody = document.getElementById('recentVillagersTable');
@@ -150,6 +469,44 @@ document.addEventListener('DOMContentLoaded', async function() {
             });
         }
 
+        // Update active alerts table
+        function updateActiveAlerts(alerts) {
+            const tbody = document.getElementById('activeAlertsTable');
+            tbody.innerHTML = '';
+
+            if (alerts.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="4" class="text-center">No active alerts</td></tr>';
+                return;
+            }
+
+            const badgeClasses = { danger: 'bg-danger', warning: 'bg-warning text-dark', offline: 'bg-secondary' };
+
+            // Sensor names and messages come from editable sensor records, so they are
+            // set as text rather than parsed as HTML
+            const cell = (text) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                return td;
+            };
+
+            alerts.forEach(alert => {
+                const row = document.createElement('tr');
+                const badge = document.createElement('span');
+                badge.className = `badge ${badgeClasses[alert.alert_type] || 'bg-secondary'}`;
+                badge.textContent = alert.alert_type;
+                const typeCell = document.createElement('td');
+                typeCell.appendChild(badge);
+
+                row.append(
+                    cell(alert.sensor_name || alert.sensor_id),
+                    typeCell,
+                    cell(alert.message || ''),
+                    cell(new Date(alert.created_at).toLocaleString())
+                );
+                tbody.appendChild(row);
+            });
+        }
+
         // Update sensor status table
         function updateSensorStatusTable(sensors) {
           const tbody = document.getElementById('sensorStatusTable');
@@ -189,158 +546,1210 @@ document.addEventListener('DOMContentLoaded', async function() {
             }
 
             villagers.forEach(villager => {
+                // Villagers registered without Aadhaar are addressed by id
+                const key = villager.aadhaar_number || String(villager.id);
                 const row = document.createElement('tr');
                 row.setAttribute('data-id', villager.id);
-                row.setAttribute('data-aadhaar', villager.aadhaar_number);
+                row.setAttribute('data-aadhaar', key);
                 row.innerHTML = `
                     <td>${villager.id}</td>
                     <td>${villager.name}</td>
-                    <td>${villager.aadhaar_number}</td>
+                    <td>${villager.aadhaar_number || 'N/A'}</td>
                     <td>${villager.phone || 'N/A'}</td>
                     <td>${villager.village || 'N/A'}</td>
                     <td>${villager.panchayat || 'N/A'}</td>
                     <td>
-                        <button class="btn btn-sm btn-outline-primary me-2" onclick="editVillager('${villager.aadhaar_number}')">
+                        <button class="btn btn-sm btn-outline-primary me-2" onclick="editVillager('${key}')">
                             <i class="bi bi-pencil"></i> Edit
                         </button>
-                        <button class="btn btn-sm btn-outline-danger" onclick="deleteVillager('${villager.aadhaar_number}')">
+                        <button class="btn btn-sm btn-outline-danger" onclick="deleteVillager('${key}')">
                             <i class="bi bi-trash"></i> Delete
                         </button>
                     </td>
                 `;
                 row.style.cursor = 'pointer';
 
-                row.addEventListener('click', (e) => {
-                  if (e.target.tagName === 'BUTTON' || e.target.closest('button')) return;
-                  openVillagerSensors(villager.aadhaar_number);
-                });
+                row.addEventListener('click', (e) => {
+                  if (e.target.tagName === 'BUTTON' || e.target.closest('button')) return;
+                  openVillagerSensors(key);
+                });
+
+                tbody.appendChild(row);
+            });
+        }
+
+        //to see sensor that belong to particular villager
+        async function openVillagerSensors(aadhaar) {
+          try {
+            const res = await apiFetch(`/villagers/${aadhaar}/sensors`);
+            const data = await res.json();
+       
+            if (!data.success) {
+              showToast('Failed to load sensors', 'danger');
+              return;
+            }
+       
+            // Villager info
+            document.getElementById('villagerSensorInfo').innerHTML = `
+              <b>Name:</b> ${data.villager.name}<br>
+              <b>Aadhaar:</b> ${data.villager.aadhaar || 'N/A'}<br>
+              <b>Phone:</b> ${data.villager.phone}<br>
+              <b>Village:</b> ${data.villager.village}
+            `;
+       
+            const tbody = document.getElementById('villagerSensorsTable');
+            tbody.innerHTML = '';
+       
+            if (data.sensors.length === 0) {
+              tbody.innerHTML = `<tr><td colspan="5">No sensors mapped</td></tr>`;
+            }
+       
+            data.sensors.forEach(s => {
+              const badge = s.status === 'Live'
+                ? 'bg-success'
+                : 'bg-secondary';
+       
+              tbody.innerHTML += `
+                <tr>
+                  <td>${s.devEUI}</td>
+                  <td>${s.name}</td>
+                  <td><span class="badge ${badge}">${s.status}</span></td>
+                  <td>${s.measurement}</td>
+                  <td>${s.time}</td>
+                </tr>
+              `;
+            });
+       
+            new bootstrap.Modal(
+              document.getElementById('villagerSensorsModal')
+            ).show();
+       
+          } catch (err) {
+            console.error(err);
+            showToast('Error loading villager sensors', 'danger');
+          }
+        }
+       
+
+        // Update sensors management table
+        function updateSensorsTable(sensors) {
+          const tbody = document.getElementById('allSensorsTable');
+          tbody.innerHTML = '';
+       
+          if (sensors.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4">No sensors found</td></tr>';
+            return;
+          }
+       
+          sensors.forEach(sensor => {
+            const row = document.createElement('tr');
+       
+            row.innerHTML = `
+              <td>${sensor.devEUI}</td>
+              <td>${sensor.name}</td>
+              <td>
+                <div>${sensor.measurement || 'No data'}</div>
+                <small class="text-muted">${sensor.time || ''}</small>
+              </td>
+              <td>
+                <button class="btn btn-sm btn-outline-primary"
+                  onclick="editSensor('${sensor.devEUI}')">Edit</button>
+                <button class="btn btn-sm btn-outline-secondary"
+                  onclick="showExportModal('${sensor.devEUI}')">Export</button>
+                <button class="btn btn-sm btn-outline-danger"
+                  onclick="deleteSensor('${sensor.devEUI}')">Delete</button>
+              </td>
+            `;
+       
+            tbody.appendChild(row);
+          });
+        }
+       
+
+        // Bulk imports share one modal; each kind names its endpoint and preview columns
+        const IMPORT_KINDS = {
+          villagers: {
+            title: 'Import Villagers',
+            path: '/villagers/import',
+            accept: '.csv,.xlsx',
+            help: 'CSV or Excel file with a header row. Columns: <strong>name</strong>, <strong>phone</strong>, ' +
+              '<strong>panchayat</strong> (name or <code>panchayat_id</code>), village (a village of that panchayat, or <code>village_id</code>), ' +
+              'address, aadhaar_number, occupation.',
+            columns: [
+              ['Row', row => row.row],
+              ['Name', row => row.name],
+              ['Phone', row => row.phone],
+              ['Panchayat', row => row.panchayat],
+              ['Village', row => row.village]
+            ],
+            noun: 'villagers',
+            reload() {
+              loadAllVillagers();
+              loadDashboard();
+            }
+          },
+          sensors: {
+            title: 'Import Sensor Manifest',
+            path: '/sensors/import',
+            accept: '.csv,.xlsx,.json',
+            help: 'CSV, Excel or JSON array. Columns: <strong>devEUI</strong>, <strong>district</strong> (name or <code>district_id</code>), ' +
+              'name, type (guessed from the name when blank), panchayat, village, location, latitude, longitude, ' +
+              'phone (maps the sensor to that villager).',
+            columns: [
+              ['Row', row => row.row],
+              ['devEUI', row => row.devEUI],
+              ['Name', row => row.name],
+              ['Type', row => row.type ? `${row.type}${row.typeInferred ? ' <span class="text-muted">(guessed)</span>' : ''}` : ''],
+              ['District', row => row.district],
+              ['Villager Phone', row => row.phone]
+            ],
+            noun: 'sensors',
+            reload() {
+              loadAllSensors();
+              loadDashboard();
+            }
+          }
+        };
+
+        let importKind = null;
+
+        function showImportModal(kind) {
+          importKind = IMPORT_KINDS[kind];
+          const fileInput = document.getElementById('importFile');
+          fileInput.value = '';
+          fileInput.accept = importKind.accept;
+          document.getElementById('importModalTitle').textContent = importKind.title;
+          document.getElementById('importHelp').innerHTML = importKind.help;
+          document.getElementById('importTableHead').innerHTML =
+            importKind.columns.map(([label]) => `<th>${label}</th>`).join('') + '<th>Status</th>';
+          document.getElementById('importSkipInvalid').checked = false;
+          document.getElementById('importSummary').innerHTML = '';
+          document.getElementById('importTable').innerHTML = '';
+          document.getElementById('importButton').disabled = true;
+
+          const modalElement = document.getElementById('importModal');
+          (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+        }
+
+        // Uploads the chosen file; dryRun=false commits it
+        async function uploadImport(dryRun) {
+          const file = document.getElementById('importFile').files[0];
+          if (!file) {
+            showToast('Choose a file first', 'warning');
+            return null;
+          }
+
+          const extension = file.name.toLowerCase().split('.').pop();
+          const format = ['xlsx', 'json'].includes(extension) ? extension : 'csv';
+          const params = new URLSearchParams({ format, dry_run: String(dryRun) });
+          if (!dryRun && document.getElementById('importSkipInvalid').checked) {
+            params.set('skip_invalid', 'true');
+          }
+
+          const response = await apiFetch(`${importKind.path}?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+          });
+          return response.json();
+        }
+
+        function renderImportResult(result) {
+          const summary = document.getElementById('importSummary');
+          const tbody = document.getElementById('importTable');
+          if (!result.summary) {
+            summary.innerHTML = `<div class="alert alert-danger py-2">${result.error}</div>`;
+            tbody.innerHTML = '';
+            return;
+          }
+
+          const { total, valid, invalid, created, toMap, mapped } = result.summary;
+          const committed = result.dryRun === false && result.success;
+          summary.innerHTML = `
+            ${result.error ? `<div class="alert alert-danger py-2">${result.error}</div>` : ''}
+            <span class="badge bg-secondary">${total} rows</span>
+            <span class="badge bg-success">${valid} valid</span>
+            <span class="badge bg-danger">${invalid} with errors</span>
+            ${toMap !== undefined && !committed ? `<span class="badge bg-info">${toMap} to map</span>` : ''}
+            ${committed ? `<span class="badge bg-primary">${created} imported</span>` : ''}
+            ${committed && mapped !== undefined ? `<span class="badge bg-info">${mapped} mapped</span>` : ''}
+          `;
+
+          const badges = {
+            valid: '<span class="badge bg-success">Valid</span>',
+            created: '<span class="badge bg-primary">Imported</span>',
+            mapped: '<span class="badge bg-info">Imported &amp; mapped</span>',
+            skipped: '<span class="badge bg-secondary">Skipped</span>'
+          };
+          tbody.innerHTML = result.rows.map(row => `
+            <tr class="${row.errors.length > 0 ? 'table-danger' : ''}">
+              ${importKind.columns.map(([, value]) => `<td>${value(row) || '—'}</td>`).join('')}
+              <td>${row.errors.length > 0 ? row.errors.join('<br>') : badges[row.status] || row.status}</td>
+            </tr>
+          `).join('');
+        }
+
+        async function previewImport() {
+          try {
+            const result = await uploadImport(true);
+            if (!result) return;
+            renderImportResult(result);
+            document.getElementById('importButton').disabled = !(result.success && result.summary.valid > 0);
+          } catch (error) {
+            console.error('Import preview error:', error);
+            showToast('⚠️ Could not read the file', 'warning');
+          }
+        }
+
+        async function commitImport() {
+          try {
+            const result = await uploadImport(false);
+            if (!result) return;
+            renderImportResult(result);
+
+            if (result.success) {
+              document.getElementById('importButton').disabled = true;
+              showToast(`✅ Imported ${result.summary.created} ${importKind.noun}`, 'success');
+              importKind.reload();
+            } else {
+              showToast('❌ ' + result.error, 'danger');
+            }
+          } catch (error) {
+            console.error('Import error:', error);
+            showToast('⚠️ Import failed', 'warning');
+          }
+        }
+
+        // Exports one sensor when devEUI is given, otherwise every sensor matching the filters
+        function showExportModal(devEUI = '') {
+          const form = document.getElementById('exportForm');
+          form.reset();
+          form.devEUI.value = devEUI;
+          document.getElementById('exportFilters').style.display = devEUI ? 'none' : '';
+          document.getElementById('exportModalTitle').textContent = devEUI ? `Export ${devEUI}` : 'Export Readings';
+
+          const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+          form.start.value = new Date(weekAgo.getTime() - weekAgo.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+          const modalElement = document.getElementById('exportModal');
+          (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+        }
+
+        // Saves a file response using the name from Content-Disposition
+        async function downloadResponse(response, fallbackName) {
+          const disposition = response.headers.get('Content-Disposition') || '';
+          const match = /filename="([^"]+)"/.exec(disposition);
+          const url = URL.createObjectURL(await response.blob());
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = match ? match[1] : fallbackName;
+          document.body.appendChild(link);
+          link.click();
+          link.remove();
+          URL.revokeObjectURL(url);
+        }
+
+        async function exportReadings() {
+          const form = document.getElementById('exportForm');
+          if (!form.start.value) {
+            showToast('Choose a start date', 'danger');
+            return;
+          }
+
+          const params = new URLSearchParams();
+          params.set('start', new Date(form.start.value).toISOString());
+          if (form.stop.value) params.set('stop', new Date(form.stop.value).toISOString());
+          params.set('format', form.format.value);
+          if (form.every.value) params.set('every', form.every.value);
+
+          let path;
+          if (form.devEUI.value) {
+            path = `/sensors/${encodeURIComponent(form.devEUI.value)}/history/export?${params}`;
+          } else {
+            if (form.district.value.trim()) params.set('district', form.district.value.trim());
+            if (form.type.value.trim()) params.set('type', form.type.value.trim());
+            path = `/history/export?${params}`;
+          }
+
+          try {
+            const response = await apiFetch(path);
+            if (!response.ok) {
+              const result = await response.json();
+              showToast('❌ ' + result.error, 'danger');
+              return;
+            }
+
+            await downloadResponse(response, `readings.${form.format.value}`);
+            bootstrap.Modal.getInstance(document.getElementById('exportModal')).hide();
+          } catch (error) {
+            console.error('Export error:', error);
+            showToast('⚠️ Export failed', 'warning');
+          }
+        }
+
+        async function deleteSensor(devEUI) {
+          if (!confirm(`Are you sure you want to delete sensor ${devEUI}?`)) {
+            return;
+          }
+       
+          try {
+            const response = await apiFetch(`/sensors/${devEUI}`, {
+              method: 'DELETE'
+            });
+       
+            const result = await response.json();
+       
+            if (result.success) {
+              showToast('✅ Sensor deleted successfully', 'success');
+       
+              // Refresh sensor tables
+              loadAllSensors();
+              loadDashboard();
+       
+            } else {
+              showToast('❌ ' + result.error, 'danger');
+            }
+       
+          } catch (error) {
+            console.error('Delete sensor error:', error);
+            showToast('⚠️ Failed to delete sensor', 'warning');
+          }
+        }
+       
+         
+       
+         
+
+        // Load alerts for the alerts section
+        async function loadAlerts() {
+            const params = new URLSearchParams();
+            const type = document.getElementById('alertTypeFilter').value;
+            const resolved = document.getElementById('alertResolvedFilter').value;
+            if (type) params.set('type', type);
+            if (resolved) params.set('resolved', resolved);
+
+            try {
+                const response = await apiFetch(`/alerts?${params}`);
+                const data = await response.json();
+
+                if (data.success) {
+                    updateAlertsTable(data.alerts || []);
+                } else {
+                    showToast('Failed to load alerts: ' + data.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Error loading alerts:', error);
+                showToast('Failed to load alerts. Check server connection.', 'danger');
+            }
+        }
+
+        // Update alerts management table
+        function updateAlertsTable(alerts) {
+            const tbody = document.getElementById('alertsTable');
+            tbody.innerHTML = '';
+
+            if (alerts.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="7" class="text-center">No alerts found</td></tr>';
+                return;
+            }
+
+            const badgeClasses = { danger: 'bg-danger', warning: 'bg-warning text-dark', offline: 'bg-secondary' };
+
+            alerts.forEach(alert => {
+                let status = 'Open';
+                if (alert.is_resolved) status = 'Resolved';
+                else if (alert.acknowledged_at) status = 'Acknowledged';
+
+                const actions = alert.is_resolved ? '' : `
+                    ${alert.acknowledged_at ? '' : `<button class="btn btn-sm btn-outline-warning me-2" onclick="acknowledgeAlert(${alert.id})">Acknowledge</button>`}
+                    <button class="btn btn-sm btn-outline-success me-2" onclick="resolveAlert(${alert.id})">Resolve</button>
+                `;
+
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${alert.sensor_name || alert.sensor_id}</td>
+                    <td>${alert.village_name || alert.panchayat_name || 'N/A'}</td>
+                    <td><span class="badge ${badgeClasses[alert.alert_type] || 'bg-secondary'}">${alert.alert_type}</span></td>
+                    <td>${alert.message || ''}</td>
+                    <td>${new Date(alert.created_at).toLocaleString()}</td>
+                    <td>${status}</td>
+                    <td>
+                        ${actions}
+                        <button class="btn btn-sm btn-outline-primary" onclick="openAlertHistory(${alert.id})">History</button>
+                    </td>
+                `;
+                tbody.appendChild(row);
+            });
+        }
+
+        async function acknowledgeAlert(alertId) {
+            try {
+                const response = await apiFetch(`/alerts/${alertId}/acknowledge`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({})
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showToast('Alert acknowledged', 'success');
+                    loadAlerts();
+                } else {
+                    showToast(result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Acknowledge alert error:', error);
+                showToast('Failed to acknowledge alert', 'warning');
+            }
+        }
+
+        async function resolveAlert(alertId) {
+            const note = prompt('Resolution note:');
+            if (!note) {
+                return;
+            }
+
+            try {
+                const response = await apiFetch(`/alerts/${alertId}/resolve`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ note })
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showToast('Alert resolved', 'success');
+                    loadAlerts();
+                    loadDashboard();
+                } else {
+                    showToast(result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Resolve alert error:', error);
+                showToast('Failed to resolve alert', 'warning');
+            }
+        }
+
+        async function openAlertHistory(alertId) {
+            try {
+                const response = await apiFetch(`/alerts/${alertId}`);
+                const data = await response.json();
+
+                if (!data.success) {
+                    showToast('Failed to load alert history', 'danger');
+                    return;
+                }
+
+                const alert = data.alert;
+                document.getElementById('alertHistoryId').value = alert.id;
+                document.getElementById('alertHistoryInfo').innerHTML = `
+                    <b>Sensor:</b> ${alert.sensor_name || alert.sensor_id}<br>
+                    <b>Type:</b> ${alert.alert_type}<br>
+                    <b>Message:</b> ${alert.message || ''}<br>
+                    <b>Resolution:</b> ${alert.resolution_note || (alert.is_resolved ? 'Resolved' : 'Open')}
+                `;
+
+                const tbody = document.getElementById('alertHistoryTable');
+                tbody.innerHTML = '';
+
+                if (data.history.length === 0) {
+                    tbody.innerHTML = '<tr><td colspan="4">No history recorded</td></tr>';
+                }
+
+                data.history.forEach(event => {
+                    tbody.innerHTML += `
+                        <tr>
+                            <td>${new Date(event.created_at).toLocaleString()}</td>
+                            <td>${event.event_type}</td>
+                            <td>${event.note || ''}</td>
+                            <td>${event.admin_id || 'System'}</td>
+                        </tr>
+                    `;
+                });
+
+                const modalElement = document.getElementById('alertHistoryModal');
+                (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+            } catch (error) {
+                console.error(error);
+                showToast('Error loading alert history', 'danger');
+            }
+        }
+
+        async function addAlertComment() {
+            const alertId = document.getElementById('alertHistoryId').value;
+            const input = document.getElementById('alertComment');
+            const comment = input.value.trim();
+            if (!comment) {
+                return;
+            }
+
+            try {
+                const response = await apiFetch(`/alerts/${alertId}/comments`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ comment })
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    input.value = '';
+                    openAlertHistory(alertId);
+                } else {
+                    showToast(result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Add comment error:', error);
+                showToast('Failed to add comment', 'warning');
+            }
+        }
+
+        // Load staff accounts for the staff section
+        async function loadStaff() {
+            try {
+                // Needed to name the place each account works in
+                await loadLocationTree().catch(error => console.error('Error loading locations:', error));
+                const response = await apiFetch('/admin/users');
+                const data = await response.json();
+
+                if (data.success) {
+                    staffAccounts = data.users || [];
+                    updateStaffTable(staffAccounts);
+                } else {
+                    showToast('Failed to load staff: ' + data.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Error loading staff:', error);
+                showToast('Failed to load staff. Check server connection.', 'danger');
+            }
+        }
+
+        // Update staff accounts table
+        function updateStaffTable(users) {
+            const tbody = document.getElementById('staffTable');
+            tbody.innerHTML = '';
+
+            if (users.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="7" class="text-center">No staff accounts found</td></tr>';
+                return;
+            }
+
+            users.forEach(user => {
+                const isSelf = currentUser && currentUser.userId === user.id;
+                const statusBadge = user.isActive
+                    ? '<span class="badge bg-success">Active</span>'
+                    : '<span class="badge bg-secondary">Inactive</span>';
+                const toggleButton = isSelf ? '' : user.isActive
+                    ? `<button class="btn btn-sm btn-outline-danger" onclick="setStaffActive(${user.id}, false)">Deactivate</button>`
+                    : `<button class="btn btn-sm btn-outline-success" onclick="setStaffActive(${user.id}, true)">Activate</button>`;
+
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${user.username}</td>
+                    <td>${user.fullName}</td>
+                    <td>${user.role}</td>
+                    <td>${staffJurisdictionLabel(user.panchayatId)}</td>
+                    <td>${statusBadge}</td>
+                    <td>${user.lastLogin ? new Date(user.lastLogin).toLocaleString() : 'Never'}</td>
+                    <td>
+                        <button class="btn btn-sm btn-outline-primary me-2" onclick="editPermissions(${user.id})">Permissions</button>
+                        ${isSelf ? '' : `<button class="btn btn-sm btn-outline-secondary me-2" onclick="editStaffJurisdiction(${user.id})">Jurisdiction</button>`}
+                        <button class="btn btn-sm btn-outline-warning me-2" onclick="resetStaffPassword(${user.id})">Reset Password</button>
+                        ${toggleButton}
+                    </td>
+                `;
+                tbody.appendChild(row);
+            });
+        }
+
+        function staffJurisdictionLabel(locationId) {
+            if (!locationId) return '<span class="text-muted">All panchayats</span>';
+            const node = locationIndex.get(Number(locationId));
+            if (!node) return `<span class="text-danger">Location #${locationId} (missing)</span>`;
+            return node.type === 'panchayat' ? node.name : `${node.name} <span class="text-muted">(${node.type}, read-only)</span>`;
+        }
+
+        // Options for the places a staff account can be tied to, limited to the current
+        // user's own jurisdiction. Villages are left out: staff belong to a whole panchayat.
+        function fillStaffJurisdictionSelect(select, selectedId) {
+            const jurisdiction = (currentUser && currentUser.jurisdiction) || {};
+            let roots = locationTree ? locationTree.tree : [];
+            let defaultId = '';
+            if (jurisdiction.restricted) {
+                let own = locationIndex.get(jurisdiction.locationId);
+                if (own && own.type === 'village') own = locationIndex.get(own.parentId);
+                roots = own ? [own] : [];
+                defaultId = own ? own.id : '';
+            }
+
+            const options = jurisdiction.restricted ? [] : ['<option value="">All panchayats</option>'];
+            const add = (nodes, depth) => nodes.forEach(node => {
+                if (node.type === 'village') return;
+                options.push(`<option value="${node.id}">${'&nbsp;&nbsp;'.repeat(depth)}${node.name} (${node.type})</option>`);
+                add(node.children, depth + 1);
+            });
+            add(roots, 0);
+
+            select.innerHTML = options.join('');
+            select.value = selectedId || defaultId;
+        }
+
+        function showAddStaffModal() {
+            document.getElementById('staffForm').reset();
+            fillStaffJurisdictionSelect(document.querySelector('#staffForm select[name="panchayat_id"]'), null);
+            new bootstrap.Modal(document.getElementById('addStaffModal')).show();
+        }
+
+        async function saveStaff() {
+            const form = document.getElementById('staffForm');
+            const data = Object.fromEntries(new FormData(form));
+
+            try {
+                const response = await apiFetch('/admin/users', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(data)
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showToast('✅ Staff account created', 'success');
+                    bootstrap.Modal.getInstance(document.getElementById('addStaffModal')).hide();
+                    form.reset();
+                    loadStaff();
+                } else {
+                    showToast('❌ ' + result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Save staff error:', error);
+                showToast('⚠️ Failed to create staff account', 'warning');
+            }
+        }
+
+        function editPermissions(userId) {
+            const user = staffAccounts.find(account => account.id === userId);
+            if (!user) {
+                return;
+            }
+
+            document.getElementById('permissionsStaffId').value = user.id;
+            document.getElementById('permissionsStaffName').textContent = `${user.fullName} (${user.role})`;
+            document.getElementById('permissionsCheckboxes').innerHTML = Object.entries(user.permissions)
+                .map(([flag, enabled]) => `
+                    <div class="form-check">
+                        <input class="form-check-input" type="checkbox" id="perm-${flag}" data-flag="${flag}" ${enabled ? 'checked' : ''}>
+                        <label class="form-check-label" for="perm-${flag}">${flag}</label>
+                    </div>
+                `).join('');
+
+            new bootstrap.Modal(document.getElementById('staffPermissionsModal')).show();
+        }
+
+        async function savePermissions() {
+            const userId = document.getElementById('permissionsStaffId').value;
+            const permissions = {};
+            document.querySelectorAll('#permissionsCheckboxes input[data-flag]').forEach(input => {
+                permissions[input.dataset.flag] = input.checked;
+            });
+
+            try {
+                const response = await apiFetch(`/admin/users/${userId}/permissions`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ permissions })
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showToast('✅ Permissions updated', 'success');
+                    bootstrap.Modal.getInstance(document.getElementById('staffPermissionsModal')).hide();
+                    loadStaff();
+                } else {
+                    showToast('❌ ' + result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Save permissions error:', error);
+                showToast('⚠️ Failed to update permissions', 'warning');
+            }
+        }
+
+        function editStaffJurisdiction(userId) {
+            const user = staffAccounts.find(account => account.id === userId);
+            if (!user) {
+                return;
+            }
+
+            document.getElementById('jurisdictionStaffId').value = user.id;
+            document.getElementById('jurisdictionStaffName').textContent = `${user.fullName} (${user.role})`;
+            fillStaffJurisdictionSelect(document.getElementById('jurisdictionLocation'), user.panchayatId);
+            new bootstrap.Modal(document.getElementById('staffJurisdictionModal')).show();
+        }
+
+        async function saveStaffJurisdiction() {
+            const userId = document.getElementById('jurisdictionStaffId').value;
+            const locationId = document.getElementById('jurisdictionLocation').value;
+
+            try {
+                const response = await apiFetch(`/admin/users/${userId}/panchayat`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ panchayat_id: locationId ? Number(locationId) : null })
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showToast('✅ ' + result.message, 'success');
+                    bootstrap.Modal.getInstance(document.getElementById('staffJurisdictionModal')).hide();
+                    loadStaff();
+                } else {
+                    showToast('❌ ' + result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Save jurisdiction error:', error);
+                showToast('⚠️ Failed to update jurisdiction', 'warning');
+            }
+        }
+
+        async function resetStaffPassword(userId) {
+            const password = prompt('New password (leave empty to generate a temporary one):');
+            if (password === null) {
+                return;
+            }
+
+            try {
+                const response = await apiFetch(`/admin/users/${userId}/reset-password`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(password ? { password } : {})
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    if (result.temporaryPassword) {
+                        alert(`Temporary password: ${result.temporaryPassword}\nShare it with the staff member securely.`);
+                    } else {
+                        showToast('✅ Password reset', 'success');
+                    }
+                } else {
+                    showToast('❌ ' + result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Reset password error:', error);
+                showToast('⚠️ Failed to reset password', 'warning');
+            }
+        }
+
+        async function setStaffActive(userId, isActive) {
+            if (!isActive && !confirm('Deactivate this staff account? They will be logged out immediately.')) {
+                return;
+            }
+
+            try {
+                const response = await apiFetch(`/admin/users/${userId}/${isActive ? 'activate' : 'deactivate'}`, {
+                    method: 'POST'
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showToast('✅ ' + result.message, 'success');
+                    loadStaff();
+                } else {
+                    showToast('❌ ' + result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Staff status error:', error);
+                showToast('⚠️ Failed to update staff account', 'warning');
+            }
+        }
+
+        // Load audit entries matching the audit section filters
+        async function loadAuditLog() {
+            const params = new URLSearchParams();
+            const table = document.getElementById('auditTableFilter').value;
+            const actorType = document.getElementById('auditActorFilter').value;
+            const q = document.getElementById('auditSearch').value.trim();
+            if (table) params.set('table', table);
+            if (actorType) params.set('actor_type', actorType);
+            if (q) params.set('q', q);
+
+            try {
+                const response = await apiFetch(`/audit?${params}`);
+                const data = await response.json();
+
+                if (data.success) {
+                    updateAuditTable(data.entries || []);
+                } else {
+                    showToast('Failed to load audit log: ' + data.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Error loading audit log:', error);
+                showToast('Failed to load audit log. Check server connection.', 'danger');
+            }
+        }
+
+        // Field names touched by an entry: the diff keys for updates, the record keys otherwise
+        function auditChangedFields(entry) {
+            return Object.keys(entry.newValues || entry.oldValues || {});
+        }
+
+        function updateAuditTable(entries) {
+            const tbody = document.getElementById('auditTable');
+            tbody.innerHTML = '';
+
+            if (entries.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="6" class="text-center">No audit entries found</td></tr>';
+                return;
+            }
+
+            entries.forEach(entry => {
+                const fields = auditChangedFields(entry);
+                const summary = fields.length > 4
+                    ? `${fields.slice(0, 4).join(', ')} +${fields.length - 4} more`
+                    : fields.join(', ');
+
+                const row = document.createElement('tr');
+                row.style.cursor = 'pointer';
+                row.onclick = () => openAuditEntry(entry.id);
+                row.innerHTML = `
+                    <td>${new Date(entry.createdAt).toLocaleString()}</td>
+                    <td>${entry.actorName} <small class="text-muted">(${entry.actorType})</small></td>
+                    <td><code>${entry.action}</code></td>
+                    <td>${entry.table || ''} ${entry.recordId ? '#' + entry.recordId : ''}</td>
+                    <td>${summary || '—'}</td>
+                    <td>${entry.ipAddress || ''}</td>
+                `;
+                tbody.appendChild(row);
+            });
+        }
+
+        function formatAuditValue(value) {
+            if (value === null || value === undefined) return '<span class="text-muted">—</span>';
+            if (typeof value === 'object') return `<code>${JSON.stringify(value)}</code>`;
+            return String(value);
+        }
+
+        async function openAuditEntry(entryId) {
+            try {
+                const response = await apiFetch(`/audit/${entryId}`);
+                const data = await response.json();
+
+                if (!data.success) {
+                    showToast('Failed to load audit entry', 'danger');
+                    return;
+                }
+
+                const entry = data.entry;
+                document.getElementById('auditEntryInfo').innerHTML = `
+                    <b>Action:</b> ${entry.action}<br>
+                    <b>Record:</b> ${entry.table || ''} ${entry.recordId ? '#' + entry.recordId : ''}<br>
+                    <b>By:</b> ${entry.actorName} (${entry.actorType})<br>
+                    <b>When:</b> ${new Date(entry.createdAt).toLocaleString()}<br>
+                    <b>From:</b> ${entry.ipAddress || 'unknown'} ${entry.userAgent ? '— ' + entry.userAgent : ''}
+                `;
+
+                const tbody = document.getElementById('auditEntryTable');
+                tbody.innerHTML = '';
+
+                const fields = auditChangedFields(entry);
+                if (fields.length === 0) {
+                    tbody.innerHTML = '<tr><td colspan="3">No field changes recorded</td></tr>';
+                }
+
+                fields.forEach(field => {
+                    tbody.innerHTML += `
+                        <tr>
+                            <td>${field}</td>
+                            <td>${formatAuditValue((entry.oldValues || {})[field])}</td>
+                            <td>${formatAuditValue((entry.newValues || {})[field])}</td>
+                        </tr>
+                    `;
+                });
+
+                const modalElement = document.getElementById('auditEntryModal');
+                (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+            } catch (error) {
+                console.error(error);
+                showToast('Error loading audit entry', 'danger');
+            }
+        }
+
+        // ========== Location hierarchy ==========
+
+        const LOCATION_CHILD_TYPE = { state: 'district', district: 'panchayat', panchayat: 'village' };
+        let locationTree = null;
+        let locationIndex = new Map();
+
+        // Cached /locations/tree; dropped whenever a locations_updated event arrives
+        async function loadLocationTree(force = false) {
+            if (locationTree && !force) return locationTree;
+
+            const response = await apiFetch('/locations/tree');
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error || 'Failed to load locations');
+
+            locationTree = result;
+            locationIndex = new Map();
+            const index = nodes => nodes.forEach(node => {
+                locationIndex.set(node.id, node);
+                index(node.children);
+            });
+            index(result.tree);
+            return locationTree;
+        }
+
+        // Nodes of `type` under `nodes`, looking through intermediate levels (districts under states)
+        function collectLocations(nodes, type, found = []) {
+            nodes.forEach(node => {
+                if (node.type === type) {
+                    found.push(node);
+                } else {
+                    collectLocations(node.children, type, found);
+                }
+            });
+            return found;
+        }
+
+        function canEditLocations() {
+            if (!currentUser || (currentUser.role !== 'admin' && currentUser.role !== 'supervisor')) return false;
+            // District and state supervisors only oversee; the server still limits
+            // panchayat staff to the villages of their own panchayat
+            return !(currentUser.jurisdiction && currentUser.jurisdiction.readOnly);
+        }
+
+        // Fills the cascading <select data-level> elements inside a .location-picker.
+        // selected: { districtId, panchayatId, villageId }
+        async function initLocationPicker(containerId, selected = {}) {
+            const container = document.getElementById(containerId);
+            const selects = {};
+            container.querySelectorAll('select[data-level]').forEach(select => {
+                selects[select.dataset.level] = select;
+            });
+            const levels = ['district', 'panchayat', 'village'].filter(level => selects[level]);
+
+            try {
+                await loadLocationTree();
+            } catch (error) {
+                console.error('Error loading locations:', error);
+                showToast('Could not load locations', 'warning');
+                return;
+            }
+
+            // Work out the whole chain from the deepest known selection
+            const values = {};
+            const deepest = locationIndex.get(Number(selected.villageId))
+                || locationIndex.get(Number(selected.panchayatId))
+                || locationIndex.get(Number(selected.districtId));
+            for (let node = deepest; node; node = locationIndex.get(node.parentId)) {
+                values[node.type] = node.id;
+            }
+
+            const fill = (index) => {
+                const level = levels[index];
+                if (!level) return;
+                const select = selects[level];
+                const parent = index === 0 ? null : locationIndex.get(Number(selects[levels[index - 1]].value));
+                const nodes = index === 0 ? collectLocations(locationTree.tree, level) : (parent ? collectLocations(parent.children, level) : []);
+
+                select.innerHTML = `<option value="">${nodes.length ? `Select ${level}` : `No ${level}s`}</option>` + nodes
+                    .map(node => `<option value="${node.id}">${node.name}${level === 'district' && node.state ? ` (${node.state})` : ''}</option>`)
+                    .join('');
+                select.value = values[level] && nodes.some(node => node.id === values[level]) ? values[level] : '';
+                select.disabled = index > 0 && nodes.length === 0;
+                select.onchange = () => {
+                    levels.slice(index + 1).forEach(next => delete values[next]);
+                    fill(index + 1);
+                };
+                fill(index + 1);
+            };
+            fill(0);
+        }
+
+        async function loadLocations() {
+            const tbody = document.getElementById('locationsTable');
+            try {
+                const { tree, unlocated } = await loadLocationTree(true);
+                const editable = canEditLocations();
+                document.querySelectorAll('.location-edit-control').forEach(control => {
+                    control.style.display = editable ? '' : 'none';
+                });
+
+                const rows = [];
+                const walk = (nodes, depth) => nodes.forEach(node => {
+                    const childType = LOCATION_CHILD_TYPE[node.type];
+                    rows.push(`
+                        <tr>
+                            <td style="padding-left: ${depth * 24 + 8}px">${node.name}</td>
+                            <td><span class="badge bg-secondary">${node.type}</span></td>
+                            <td>${node.counts.villagers}</td>
+                            <td>${node.counts.sensors}</td>
+                            <td>
+                                ${editable && childType ? `<button class="btn btn-sm btn-outline-primary" title="Add ${childType}" onclick="showLocationModal({ type: '${childType}', parentId: ${node.id} })"><i class="bi bi-plus"></i> ${childType}</button>` : ''}
+                                ${editable ? `<button class="btn btn-sm btn-outline-secondary" title="Rename" onclick="showLocationModal({ id: ${node.id} })"><i class="bi bi-pencil"></i></button>` : ''}
+                                ${editable ? `<button class="btn btn-sm btn-outline-danger" title="Delete" onclick="deleteLocation(${node.id})"><i class="bi bi-trash"></i></button>` : ''}
+                            </td>
+                        </tr>
+                    `);
+                    walk(node.children, depth + 1);
+                });
+                walk(tree, 0);
+
+                tbody.innerHTML = rows.length > 0
+                    ? rows.join('')
+                    : '<tr><td colspan="5" class="text-center text-muted">No locations yet</td></tr>';
+                document.getElementById('locationsUnlocated').textContent = unlocated.villagers || unlocated.sensors
+                    ? `Not placed in any location: ${unlocated.villagers} villager(s), ${unlocated.sensors} sensor(s)`
+                    : '';
+                document.getElementById('villageReviewCard').style.display = editable ? '' : 'none';
+                if (editable) loadVillageReview();
+            } catch (error) {
+                console.error('Error loading locations:', error);
+                tbody.innerHTML = '<tr><td colspan="5" class="text-center text-danger">Failed to load locations</td></tr>';
+            }
+        }
+
+        // Villagers and sensors the village backfill could not place by itself
+        async function loadVillageReview() {
+            const tbody = document.getElementById('villageReviewTable');
+            try {
+                const response = await apiFetch('/migrations/village-backfill');
+                const result = await response.json();
+                if (!result.success) throw new Error(result.error);
+
+                document.getElementById('villageReviewCount').textContent = result.count;
+                if (result.issues.length === 0) {
+                    tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Nothing to review</td></tr>';
+                    return;
+                }
+                tbody.innerHTML = result.issues.map(issue => `
+                    <tr>
+                        <td>${issue.recordType === 'villager' ? '<i class="bi bi-person"></i>' : '<i class="bi bi-cpu"></i>'} ${issue.recordName}</td>
+                        <td>${issue.panchayat || '—'}</td>
+                        <td>${issue.label || '—'}<br><small class="text-muted">${issue.sourceText}</small></td>
+                        <td>${issue.description}${issue.candidates.length ? `<br><small class="text-muted">${issue.candidates.map(c => `${c.name}${c.panchayat ? ` (${c.panchayat})` : ''}`).join(', ')}</small>` : ''}</td>
+                        <td>
+                            <button class="btn btn-sm btn-outline-primary"
+                                    onclick="${issue.recordType === 'villager' ? `editVillager('${issue.recordKey}')` : `editSensor('${issue.recordId}')`}">
+                                <i class="bi bi-pencil"></i> Set village
+                            </button>
+                        </td>
+                    </tr>
+                `).join('');
+            } catch (error) {
+                console.error('Error loading village review:', error);
+                tbody.innerHTML = '<tr><td colspan="5" class="text-center text-danger">Failed to load review list</td></tr>';
+            }
+        }
+
+        // Shows what the backfill would change and applies it only once confirmed
+        async function runVillageBackfill() {
+            try {
+                const previewResponse = await apiFetch('/migrations/village-backfill', { method: 'POST' });
+                const preview = await previewResponse.json();
+                if (!preview.success) {
+                    showToast(preview.error, 'danger');
+                    return;
+                }
+
+                const newVillages = preview.villagesToCreate.map(village => village.name);
+                const shown = newVillages.slice(0, 15).join(', ') + (newVillages.length > 15 ? `, and ${newVillages.length - 15} more` : '');
+                const message = [
+                    `Link ${preview.villagers.linked} villager(s) and ${preview.sensors.linked} sensor(s) to villages?`,
+                    newVillages.length ? `New villages to create: ${shown}` : 'No new villages will be created.',
+                    `${preview.issues.length} record(s) will be left for review.`
+                ].join('\n\n');
+                if (!confirm(message)) return;
 
-                tbody.appendChild(row);
-            });
-        }
+                const response = await apiFetch('/migrations/village-backfill?dry_run=false', { method: 'POST' });
+                const result = await response.json();
 
-        //to see sensor that belong to particular villager
-        async function openVillagerSensors(aadhaar) {
-          try {
-            const res = await fetch(`${API_BASE}/villagers/${aadhaar}/sensors`);
-            const data = await res.json();
-       
-            if (!data.success) {
-              showToast('Failed to load sensors', 'danger');
-              return;
-            }
-       
-            // Villager info
-            document.getElementById('villagerSensorInfo').innerHTML = `
-              <b>Name:</b> ${data.villager.name}<br>
-              <b>Aadhaar:</b> ${data.villager.aadhaar}<br>
-              <b>Phone:</b> ${data.villager.phone}<br>
-              <b>Village:</b> ${data.villager.village}
-            `;
-       
-            const tbody = document.getElementById('villagerSensorsTable');
-            tbody.innerHTML = '';
-       
-            if (data.sensors.length === 0) {
-              tbody.innerHTML = `<tr><td colspan="5">No sensors mapped</td></tr>`;
+                if (result.success) {
+                    showToast(
+                        `Linked ${result.villagers.linked} villager(s) and ${result.sensors.linked} sensor(s); ${result.issues.length} need review`,
+                        'success'
+                    );
+                    locationTree = null;
+                    loadLocations();
+                } else {
+                    showToast(result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Error running village backfill:', error);
+                showToast('Village backfill failed', 'danger');
             }
-       
-            data.sensors.forEach(s => {
-              const badge = s.status === 'Live'
-                ? 'bg-success'
-                : 'bg-secondary';
-       
-              tbody.innerHTML += `
-                <tr>
-                  <td>${s.devEUI}</td>
-                  <td>${s.name}</td>
-                  <td><span class="badge ${badge}">${s.status}</span></td>
-                  <td>${s.measurement}</td>
-                  <td>${s.time}</td>
-                </tr>
-              `;
-            });
-       
-            new bootstrap.Modal(
-              document.getElementById('villagerSensorsModal')
-            ).show();
-       
-          } catch (err) {
-            console.error(err);
-            showToast('Error loading villager sensors', 'danger');
-          }
         }
-       
 
-        // Update sensors management table
-        function updateSensorsTable(sensors) {
-          const tbody = document.getElementById('allSensorsTable');
-          tbody.innerHTML = '';
-       
-          if (sensors.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="4">No sensors found</td></tr>';
-            return;
-          }
-       
-          sensors.forEach(sensor => {
-            const row = document.createElement('tr');
-       
-            row.innerHTML = `
-              <td>${sensor.devEUI}</td>
-              <td>${sensor.name}</td>
-              <td>
-                <div>${sensor.measurement || 'No data'}</div>
-                <small class="text-muted">${sensor.time || ''}</small>
-              </td>
-              <td>
-                <button class="btn btn-sm btn-outline-primary"
-                  onclick="editSensor('${sensor.devEUI}')">Edit</button>
-                <button class="btn btn-sm btn-outline-danger"
-                  onclick="deleteSensor('${sensor.devEUI}')">Delete</button>
-              </td>
-            `;
-       
-            tbody.appendChild(row);
-          });
+        // { type, parentId } adds a location; { id } renames an existing one
+        function showLocationModal({ id, type, parentId }) {
+            const form = document.getElementById('locationForm');
+            form.reset();
+            const existing = id ? locationIndex.get(id) : null;
+            const parent = locationIndex.get(existing ? existing.parentId : parentId);
+            const kind = existing ? existing.type : type;
+
+            form.id.value = existing ? existing.id : '';
+            form.type.value = kind;
+            form.parent_id.value = parent ? parent.id : '';
+            form.name.value = existing ? existing.name : '';
+            document.getElementById('locationModalTitle').textContent = existing ? `Rename ${kind}` : `Add ${kind}`;
+            document.getElementById('locationModalParent').textContent = parent ? `In ${parent.type} ${parent.name}` : '';
+
+            const modalElement = document.getElementById('locationModal');
+            (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
         }
-       
 
-        async function deleteSensor(devEUI) {
-          if (!confirm(`Are you sure you want to delete sensor ${devEUI}?`)) {
-            return;
-          }
-       
-          try {
-            const response = await fetch(`${API_BASE}/sensors/${devEUI}`, {
-              method: 'DELETE'
-            });
-       
-            const result = await response.json();
-       
-            if (result.success) {
-              showToast('✅ Sensor deleted successfully', 'success');
-       
-              // Refresh sensor tables
-              loadAllSensors();
-              loadSensorsForStatus();
-              loadDashboard();
-       
-            } else {
-              showToast('❌ ' + result.error, 'danger');
+        async function saveLocation() {
+            const form = document.getElementById('locationForm');
+            const id = form.id.value;
+            const body = id
+                ? { name: form.name.value }
+                : { name: form.name.value, type: form.type.value, parent_id: form.parent_id.value || null };
+
+            try {
+                const response = await apiFetch(id ? `/locations/${id}` : '/locations', {
+                    method: id ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showToast(result.message, 'success');
+                    bootstrap.Modal.getInstance(document.getElementById('locationModal')).hide();
+                    locationTree = null;
+                    loadLocations();
+                } else {
+                    showToast(result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Error saving location:', error);
+                showToast('Failed to save location', 'danger');
+            }
+        }
+
+        async function deleteLocation(id) {
+            const node = locationIndex.get(id);
+            if (!confirm(`Delete ${node ? `${node.type} ${node.name}` : 'this location'}?`)) return;
+
+            try {
+                const response = await apiFetch(`/locations/${id}`, { method: 'DELETE' });
+                const result = await response.json();
+
+                if (result.success) {
+                    showToast(result.message, 'success');
+                    locationTree = null;
+                    loadLocations();
+                } else {
+                    showToast(result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Error deleting location:', error);
+                showToast('Failed to delete location', 'danger');
             }
-       
-          } catch (error) {
-            console.error('Delete sensor error:', error);
-            showToast('⚠️ Failed to delete sensor', 'warning');
-          }
         }
-       
-         
-       
-         
 
         // Modal functions
         function showAddVillagerModal() {
+            document.getElementById('villagerForm').reset();
+            initLocationPicker('villagerLocationPicker');
             const modal = new bootstrap.Modal(document.getElementById('addVillagerModal'));
             modal.show();
         }
@@ -354,6 +1763,7 @@ document.addEventListener('DOMContentLoaded', async function() {
        
           const title = document.querySelector('#addSensorModal .modal-title');
           if (title) title.textContent = 'Add New Sensor';
+          initLocationPicker('sensorLocationPicker');
        
           new bootstrap.Modal(
             document.getElementById('addSensorModal')
@@ -363,7 +1773,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         //Edit Sensor
         async function editSensor(devEUI) {
           try {
-            const res = await fetch(`${API_BASE}/sensors/${devEUI}`);
+            const res = await apiFetch(`/sensors/${devEUI}`);
             const data = await res.json();
        
             if (!data.success) {
@@ -376,9 +1786,12 @@ document.addEventListener('DOMContentLoaded', async function() {
        
             document.getElementById('editDevEUI').value = s.devEUI;
             document.getElementById('editDeviceName').value = s.name;
-            document.getElementById('editVillage').value = s.village || '';
-            document.getElementById('editPanchayat').value = s.panchayat || '';
-            document.getElementById('editSensorPhone').value = s.phone || '';
+            await initLocationPicker('editSensorLocationPicker', {
+              districtId: s.district_id,
+              panchayatId: s.panchayat_id,
+              villageId: s.village_id
+            });
+            renderSensorOwnership(s);
 
        
             new bootstrap.Modal(
@@ -392,20 +1805,114 @@ document.addEventListener('DOMContentLoaded', async function() {
           }
         }
        
+        const OWNER_END_REASONS = {
+            unmapped: 'Unmapped',
+            reassigned: 'Reassigned',
+            villager_deleted: 'Villager removed',
+            sensor_deleted: 'Sensor removed'
+        };
+
+        // Current owner, map/reassign controls and past owners in the edit modal
+        function renderSensorOwnership(sensor) {
+            const owner = sensor.owner;
+            document.getElementById('editSensorOwner').textContent = owner
+                ? `${owner.name} (${owner.phone})${owner.since ? ` since ${new Date(owner.since).toLocaleString()}` : ''}`
+                : 'Not mapped';
+            document.getElementById('editSensorPhone').value = '';
+            document.getElementById('editSensorOwnerNote').value = '';
+            document.getElementById('reassignSensorBtn').textContent = owner ? 'Reassign' : 'Map';
+            document.getElementById('unmapSensorBtn').disabled = !owner;
+
+            const tbody = document.getElementById('sensorOwnersTable');
+            const pastOwners = sensor.pastOwners || [];
+            if (pastOwners.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">No previous owners</td></tr>';
+                return;
+            }
+            tbody.innerHTML = pastOwners.map(entry => `
+                <tr>
+                    <td>${entry.villagerName}${entry.villagerPhone ? `<br><small class="text-muted">${entry.villagerPhone}</small>` : ''}</td>
+                    <td>${new Date(entry.assignedAt).toLocaleString()}</td>
+                    <td>${new Date(entry.unassignedAt).toLocaleString()}</td>
+                    <td>${OWNER_END_REASONS[entry.endReason] || entry.endReason || '—'}${entry.endNote ? `<br><small class="text-muted">${entry.endNote}</small>` : ''}</td>
+                </tr>
+            `).join('');
+        }
+
+        async function reloadSensorOwnership(devEUI) {
+            const res = await apiFetch(`/sensors/${devEUI}`);
+            const data = await res.json();
+            if (data.success) renderSensorOwnership(data.sensor);
+        }
+
+        // Maps an unmapped sensor or moves it to the villager with the entered phone
+        async function reassignSensor() {
+            const devEUI = document.getElementById('editDevEUI').value;
+            const phone = document.getElementById('editSensorPhone').value.trim();
+            if (!phone) {
+                showToast('Enter the villager phone number', 'warning');
+                return;
+            }
+
+            try {
+                const res = await apiFetch(`/sensors/${devEUI}/reassign`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ phone, note: document.getElementById('editSensorOwnerNote').value })
+                });
+                const result = await res.json();
+
+                if (result.success) {
+                    showToast(result.message, 'success');
+                    await reloadSensorOwnership(devEUI);
+                    loadAllSensors();
+                } else {
+                    showToast(result.error, 'danger');
+                }
+            } catch (err) {
+                console.error(err);
+                showToast('Reassign failed', 'danger');
+            }
+        }
+
+        async function unmapSensor() {
+            const devEUI = document.getElementById('editDevEUI').value;
+            if (!confirm('Unmap this sensor from its villager?')) return;
+
+            try {
+                const res = await apiFetch(`/sensors/${devEUI}/unmap`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ note: document.getElementById('editSensorOwnerNote').value })
+                });
+                const result = await res.json();
+
+                if (result.success) {
+                    showToast(result.message, 'success');
+                    await reloadSensorOwnership(devEUI);
+                    loadAllSensors();
+                } else {
+                    showToast(result.error, 'danger');
+                }
+            } catch (err) {
+                console.error(err);
+                showToast('Unmap failed', 'danger');
+            }
+        }
+
         //Update Sensor
         async function updateSensor() {
           const devEUI = document.getElementById('editDevEUI').value;
        
           const payload = {
-            deviceName: document.getElementById('editDeviceName').value,
-            village: document.getElementById('editVillage').value,
-            panchayat: document.getElementById('editPanchayat').value,
-            phone: document.getElementById('editSensorPhone').value
-
+            name: document.getElementById('editDeviceName').value,
+            district_id: document.getElementById('editSensorDistrict').value || null,
+            panchayat_id: document.getElementById('editSensorPanchayat').value || null,
+            village_id: document.getElementById('editSensorVillage').value || null
           };
        
           try {
-            const res = await fetch(`${API_BASE}/sensors/${devEUI}`, {
+            const res = await apiFetch(`/sensors/${devEUI}`, {
               method: 'PUT',
               headers: { 'Content-Type': 'application/json' },
               body: JSON.stringify(payload)
@@ -421,7 +1928,6 @@ document.addEventListener('DOMContentLoaded', async function() {
               ).hide();
        
               loadAllSensors();
-              loadSensorsForStatus();
               loadDashboard();
        
             } else {
@@ -442,7 +1948,7 @@ document.addEventListener('DOMContentLoaded', async function() {
             console.log('📤 Saving villager data:', data);
 
             try {
-                const response = await fetch(`${API_BASE}/villagers`, {
+                const response = await apiFetch(`/villagers`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
@@ -479,7 +1985,7 @@ async function editVillager(aadhaarNumber) {
   try {
     console.log(`📝 Editing villager with Aadhaar: ${aadhaarNumber}`);
 
-    const response = await fetch(`${API_BASE}/villagers/${aadhaarNumber}`);
+    const response = await apiFetch(`/villagers/${aadhaarNumber}`);
     const data = await response.json();
 
     console.log('Edit API response:', data);
@@ -489,12 +1995,14 @@ async function editVillager(aadhaarNumber) {
       console.log('Villager data:', villager);
 
       // Populate the edit form
-      document.getElementById('editAadhaarNumber').value = villager.aadhaar_number;
-      document.getElementById('editAadhaarDisplay').value = villager.aadhaar_number;
+      document.getElementById('editAadhaarNumber').value = villager.aadhaar_number || villager.id;
+      document.getElementById('editAadhaarDisplay').value = villager.aadhaar_number || 'Not recorded';
       document.getElementById('editName').value = villager.name || '';
       document.getElementById('editPhone').value = villager.phone || '';
-      document.getElementById('editVillage').value = villager.village || '';
-      document.getElementById('editPanchayat').value = villager.panchayat || '';
+      await initLocationPicker('editVillagerLocationPicker', {
+        panchayatId: villager.panchayat_id,
+        villageId: villager.village_id
+      });
       document.getElementById('editOccupation').value = villager.occupation || '';
       document.getElementById('editAddress').value = villager.address || '';
 
@@ -519,8 +2027,8 @@ async function updateVillager() {
     const updateData = {
       name: document.getElementById('editName').value || '',
       phone: document.getElementById('editPhone').value || '',
-      village: document.getElementById('editVillage').value || '',
-      panchayat: document.getElementById('editPanchayat').value || '',
+      panchayat_id: document.getElementById('editPanchayat').value || null,
+      village_id: document.getElementById('editVillage').value || null,
       address: document.getElementById('editAddress').value || '',
       occupation: document.getElementById('editOccupation').value || ''
     };
@@ -528,7 +2036,7 @@ async function updateVillager() {
     console.log('📤 Updating villager:', aadhaarNumber, updateData);
 
     // Make PUT request
-    const response = await fetch(`${API_BASE}/villagers/${aadhaarNumber}`, {
+    const response = await apiFetch(`/villagers/${aadhaarNumber}`, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
@@ -565,14 +2073,14 @@ async function updateVillager() {
 
         // Delete villager function
 async function deleteVillager(aadhaarNumber) {
-  if (!confirm('Are you sure you want to delete this villager? This action cannot be undone.')) {
+  if (!confirm('Are you sure you want to delete this villager? Their sensors will be unmapped.')) {
     return;
   }
 
   try {
     console.log(`🗑️ Deleting villager with Aadhaar: ${aadhaarNumber}`);
 
-    const response = await fetch(`${API_BASE}/villagers/${aadhaarNumber}`, {
+    const response = await apiFetch(`/villagers/${aadhaarNumber}`, {
       method: 'DELETE',
       headers: {
         'Accept': 'application/json'
@@ -620,7 +2128,7 @@ async function deleteVillager(aadhaarNumber) {
           }
        
           try {
-            const res = await fetch(`${API_BASE}/sensors`, {
+            const res = await apiFetch(`/sensors`, {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
               body: JSON.stringify(data)
@@ -654,8 +2162,212 @@ async function deleteVillager(aadhaarNumber) {
             showToast('Dashboard data refreshed', 'info');
         }
 
-        function generateReport() {
-            showToast('Report generation feature coming soon!', 'info');
+        async function generateReport() {
+            const form = document.getElementById('reportForm');
+            form.date.value = new Date().toISOString().slice(0, 10);
+
+            const modalElement = document.getElementById('reportModal');
+            (bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement)).show();
+
+            await Promise.all([loadReportPanchayats(), loadReportSchedules(), loadReportArchive()]);
+        }
+
+        async function loadReportPanchayats() {
+            try {
+                const response = await apiFetch('/reports/panchayats');
+                const result = await response.json();
+                if (!result.success) return;
+
+                const select = document.getElementById('reportPanchayat');
+                const selected = select.value;
+                select.innerHTML = '<option value="all">All panchayats</option>' + result.panchayats
+                    .map(p => `<option value="${p.id}">${p.name}${p.parent ? ` (${p.parent})` : ''}</option>`)
+                    .join('');
+                select.value = selected;
+            } catch (error) {
+                console.error('Error loading panchayats:', error);
+            }
+        }
+
+        function reportFormValues() {
+            const form = document.getElementById('reportForm');
+            return {
+                panchayat_id: form.panchayat_id.value,
+                period: form.period.value,
+                date: form.date.value,
+                format: form.format.value
+            };
+        }
+
+        async function downloadReport() {
+            const values = reportFormValues();
+            try {
+                const response = await apiFetch(`/reports/render?${new URLSearchParams(values)}`);
+                if (!response.ok) {
+                    const result = await response.json();
+                    showToast('❌ ' + result.error, 'danger');
+                    return;
+                }
+                await downloadResponse(response, `${values.period}-report.${values.format}`);
+            } catch (error) {
+                console.error('Report download error:', error);
+                showToast('⚠️ Report generation failed', 'warning');
+            }
+        }
+
+        async function saveReport() {
+            try {
+                const response = await apiFetch('/reports', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(reportFormValues())
+                });
+                const result = await response.json();
+                if (result.success) {
+                    showToast('✅ Report saved to archive', 'success');
+                    loadReportArchive();
+                } else {
+                    showToast('❌ ' + result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Save report error:', error);
+                showToast('⚠️ Report generation failed', 'warning');
+            }
+        }
+
+        async function scheduleReport() {
+            const { panchayat_id, period, format } = reportFormValues();
+            try {
+                const response = await apiFetch('/report-schedules', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ panchayat_id, period, format })
+                });
+                const result = await response.json();
+                if (result.success) {
+                    showToast(`✅ ${period} report scheduled`, 'success');
+                    loadReportSchedules();
+                } else {
+                    showToast('❌ ' + result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Schedule report error:', error);
+                showToast('⚠️ Failed to schedule report', 'warning');
+            }
+        }
+
+        async function loadReportSchedules() {
+            const tbody = document.getElementById('reportSchedulesTable');
+            try {
+                const response = await apiFetch('/report-schedules');
+                const result = await response.json();
+                if (!result.success) return;
+
+                if (result.schedules.length === 0) {
+                    tbody.innerHTML = '<tr><td colspan="6" class="text-muted">No scheduled reports</td></tr>';
+                    return;
+                }
+
+                tbody.innerHTML = result.schedules.map(schedule => `
+                    <tr>
+                        <td>${schedule.panchayatName}</td>
+                        <td>${schedule.period}</td>
+                        <td>${schedule.format.toUpperCase()}</td>
+                        <td>${schedule.isActive && schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : '—'}</td>
+                        <td>
+                            ${schedule.isActive ? '<span class="badge bg-success">Active</span>' : '<span class="badge bg-secondary">Paused</span>'}
+                            ${schedule.lastError ? `<span class="badge bg-danger" title="${schedule.lastError.replace(/"/g, '&quot;')}">Failed</span>` : ''}
+                        </td>
+                        <td class="text-end">
+                            <button class="btn btn-sm btn-outline-secondary"
+                                onclick="toggleReportSchedule(${schedule.id}, ${!schedule.isActive})">${schedule.isActive ? 'Pause' : 'Resume'}</button>
+                            <button class="btn btn-sm btn-outline-danger"
+                                onclick="deleteReportSchedule(${schedule.id})">Delete</button>
+                        </td>
+                    </tr>
+                `).join('');
+            } catch (error) {
+                console.error('Error loading report schedules:', error);
+            }
+        }
+
+        async function toggleReportSchedule(id, isActive) {
+            try {
+                const response = await apiFetch(`/report-schedules/${id}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ is_active: isActive })
+                });
+                const result = await response.json();
+                if (result.success) {
+                    loadReportSchedules();
+                } else {
+                    showToast('❌ ' + result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Update schedule error:', error);
+                showToast('⚠️ Failed to update schedule', 'warning');
+            }
+        }
+
+        async function deleteReportSchedule(id) {
+            if (!confirm('Delete this report schedule?')) return;
+            try {
+                const response = await apiFetch(`/report-schedules/${id}`, { method: 'DELETE' });
+                const result = await response.json();
+                if (result.success) {
+                    loadReportSchedules();
+                } else {
+                    showToast('❌ ' + result.error, 'danger');
+                }
+            } catch (error) {
+                console.error('Delete schedule error:', error);
+                showToast('⚠️ Failed to delete schedule', 'warning');
+            }
+        }
+
+        async function loadReportArchive() {
+            const tbody = document.getElementById('reportArchiveTable');
+            try {
+                const response = await apiFetch('/reports?limit=20');
+                const result = await response.json();
+                if (!result.success) return;
+
+                if (result.reports.length === 0) {
+                    tbody.innerHTML = '<tr><td colspan="5" class="text-muted">No saved reports yet</td></tr>';
+                    return;
+                }
+
+                tbody.innerHTML = result.reports.map(report => `
+                    <tr>
+                        <td>${report.panchayatName}</td>
+                        <td>${report.period} · ${new Date(report.periodStart).toLocaleDateString()}${report.partial ? ' (partial)' : ''}</td>
+                        <td>${new Date(report.createdAt).toLocaleString()}</td>
+                        <td>${report.generatedByName || '—'}</td>
+                        <td class="text-end">
+                            <button class="btn btn-sm btn-outline-primary"
+                                onclick="downloadArchivedReport(${report.id}, '${report.fileName}')">${report.format.toUpperCase()}</button>
+                        </td>
+                    </tr>
+                `).join('');
+            } catch (error) {
+                console.error('Error loading report archive:', error);
+            }
+        }
+
+        async function downloadArchivedReport(id, fileName) {
+            try {
+                const response = await apiFetch(`/reports/${id}/download`);
+                if (!response.ok) {
+                    const result = await response.json();
+                    showToast('❌ ' + result.error, 'danger');
+                    return;
+                }
+                await downloadResponse(response, fileName);
+            } catch (error) {
+                console.error('Report download error:', error);
+                showToast('⚠️ Report download failed', 'warning');
+            }
         }
 
         function showToast(message, type = 'info') {
@@ -1,8 +1,15 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
+const { Server: SocketServer } = require('socket.io');
 const cors = require('cors');
 const { InfluxDB } = require('@influxdata/influxdb-client');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const path = require('path');
+const { createOtpDeliveryProvider, shouldEchoOtp } = require('./services/otpDelivery');
+const { OtpStore } = require('./services/otpStore');
 const app = express();
 
 // ==================== DATABASE CONFIGURATIONS ====================
@@ -17,40 +24,46 @@ const INFLUX_CONFIG = {
 
 const PORT = process.env.PORT || 8181;
 
+// Session token configuration
+const AUTH_CONFIG = {
+  jwtSecret: process.env.JWT_SECRET,
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '1h',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  staffTokenTtl: process.env.STAFF_TOKEN_TTL || '8h',
+  allowPhoneLogin: process.env.ALLOW_PHONE_LOGIN === 'true'
+};
+
+if (!AUTH_CONFIG.jwtSecret) {
+  AUTH_CONFIG.jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ JWT_SECRET is not set - using a random secret, sessions will not survive a restart');
+}
+
 // Initialize InfluxDB clients
 const influxDB = new InfluxDB({ url: INFLUX_CONFIG.url, token: INFLUX_CONFIG.token });
 const queryApi = influxDB.getQueryApi(INFLUX_CONFIG.org);
 
-// MySQL Configuration
-const mysql = require('mysql2');
-
 console.log('🔧 Configuration:');
 console.log('   InfluxDB Bucket:', INFLUX_CONFIG.bucket);
 console.log('   InfluxDB Org:', INFLUX_CONFIG.org);
 
-let db;
-if (process.env.MYSQL_URL) {
-  console.log('   Using MYSQL_URL connection');
-  db = mysql.createPool({
-    uri: process.env.MYSQL_URL,
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-  }).promise();
-} else {
-  console.log('   MySQL Host:', process.env.MYSQL_HOST);
-  console.log('   MySQL Port:', process.env.MYSQL_PORT);
-  db = mysql.createPool({
-    host: process.env.MYSQL_HOST,
-    user: process.env.MYSQL_USER,
-    password: process.env.MYSQL_PASSWORD,
-    database: process.env.MYSQL_DATABASE,
-    port: parseInt(process.env.MYSQL_PORT) || 3306,
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-  }).promise();
-}
+// MySQL Configuration
+const { db, ensureColumn, ensureIndex, withTransaction, refreshPanchayatCounters } = require('./config/database');
+const AdminController = require('./controllers/adminController');
+const { auditLog, ACTOR_TYPES } = require('./services/auditLog');
+const { SensorSnapshotService } = require('./services/sensorSnapshots');
+const { RealtimeHub } = require('./services/realtime');
+const { FluxQuery, parseDurationSeconds } = require('./services/fluxQuery');
+const { AADHAAR_PATTERN, PHONE_PATTERN, checkPhone, checkAadhaar, checkSensorStatus } = require('./services/validation');
+const { EXPORT_FORMATS, createExportWriter, streamFluxRows } = require('./services/sensorExport');
+const { PanchayatReportService, ReportError, REPORT_PERIODS } = require('./services/panchayatReports');
+const { REPORT_FORMATS, renderReport } = require('./services/reportRenderer');
+const { ReportScheduler, SCHEDULE_FORMATS } = require('./services/reportScheduler');
+const { ImportFileError, detectImportFormat, readImportRows } = require('./services/spreadsheetImport');
+const { sensorAssignments } = require('./services/sensorAssignments');
+const { LocationService, locationService, LocationError, LOCATION_TYPES } = require('./services/locations');
+const { villageBackfill } = require('./services/villageBackfill');
+const { tenancy, TenancyError } = require('./services/tenancy');
+const { sensorTypes, SensorTypeError } = require('./services/sensorTypes');
 
 // Test MySQL connection immediately
 (async () => {
@@ -66,24 +79,211 @@ if (process.env.MYSQL_URL) {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
       )
     `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sensor_alerts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        sensor_id VARCHAR(50) NOT NULL,
+        alert_type VARCHAR(30) NOT NULL,
+        message TEXT,
+        value FLOAT,
+        threshold FLOAT,
+        panchayat_id INT,
+        village_id INT,
+        is_resolved BOOLEAN DEFAULT FALSE,
+        resolved_by INT,
+        resolved_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_alerts_sensor (sensor_id),
+        INDEX idx_alerts_panchayat (panchayat_id),
+        INDEX idx_alerts_village (village_id),
+        INDEX idx_alerts_resolved (is_resolved)
+      )
+    `);
+
+    await ensureColumn('sensor_alerts', 'acknowledged_by', 'INT NULL');
+    await ensureColumn('sensor_alerts', 'acknowledged_at', 'TIMESTAMP NULL');
+    await ensureColumn('sensor_alerts', 'resolution_note', 'TEXT NULL');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sensor_alert_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        alert_id INT NOT NULL,
+        event_type VARCHAR(30) NOT NULL,
+        note TEXT,
+        value FLOAT,
+        admin_id INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_alert_events_alert (alert_id)
+      )
+    `);
+
+    for (const column of THRESHOLD_COLUMNS) {
+      await ensureColumn('sensors', column, 'FLOAT NULL');
+    }
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS villager_sessions (
+        id VARCHAR(36) PRIMARY KEY,
+        villager_id INT NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP NULL,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP NULL,
+        INDEX idx_villager_sessions_villager (villager_id)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        full_name VARCHAR(100) NOT NULL,
+        email VARCHAR(100),
+        phone VARCHAR(15),
+        panchayat_id INT,
+        role VARCHAR(20) DEFAULT 'operator',
+        is_active BOOLEAN DEFAULT TRUE,
+        permissions JSON,
+        token_version INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login TIMESTAMP NULL
+      )
+    `);
+    await ensureColumn('admin_users', 'token_version', 'INT NOT NULL DEFAULT 0');
+
+    await bootstrapAdminUser();
+
+    await otpStore.ensureSchema();
+
+    await ensureColumn('villagers', 'aadhaar_number', 'VARCHAR(12) NULL');
+    await ensureColumn('villagers', 'occupation', 'VARCHAR(50) NULL');
+    await ensureColumn('villagers', 'is_active', 'BOOLEAN DEFAULT TRUE');
+    await ensureColumn('villagers', 'deleted_at', 'TIMESTAMP NULL');
+    await ensureIndex('villagers', 'uniq_villagers_aadhaar', 'UNIQUE INDEX', '(aadhaar_number)');
+
+    // Extended registration details written by AdminController
+    await ensureColumn('villagers', 'father_name', 'VARCHAR(100) NULL');
+    await ensureColumn('villagers', 'email', 'VARCHAR(100) NULL');
+    await ensureColumn('villagers', 'family_members', 'JSON NULL');
+    await ensureColumn('villagers', 'ration_card_number', 'VARCHAR(20) NULL');
+    await ensureColumn('villagers', 'income_range', 'VARCHAR(30) NULL');
+    await ensureColumn('villagers', 'education', 'VARCHAR(50) NULL');
+    await ensureColumn('villagers', 'registered_by', 'INT NULL');
+
+    await ensureColumn('sensors', 'sub_type', 'VARCHAR(50) NULL');
+    await ensureColumn('sensors', 'icon', 'VARCHAR(10) NULL');
+    await ensureColumn('sensors', 'unit', 'VARCHAR(20) NULL');
+    await ensureColumn('sensors', 'latitude', 'DECIMAL(10,8) NULL');
+    await ensureColumn('sensors', 'longitude', 'DECIMAL(11,8) NULL');
+    await ensureColumn('sensors', 'installation_date', 'DATE NULL');
+    await ensureColumn('sensors', 'manufacturer', 'VARCHAR(100) NULL');
+    await ensureColumn('sensors', 'model', 'VARCHAR(50) NULL');
+    await ensureColumn('sensors', 'serial_number', 'VARCHAR(50) NULL');
+    await ensureColumn('sensors', 'last_maintenance', 'DATE NULL');
+    await ensureColumn('sensors', 'notes', 'TEXT NULL');
+    await ensureColumn('sensors', 'added_by', 'INT NULL');
+
+    await ensureColumn('locations', 'total_villagers', 'INT DEFAULT 0');
+    await ensureColumn('locations', 'total_sensors', 'INT DEFAULT 0');
+
+    // Village-level location replacing the first segment of the address
+    await ensureColumn('villagers', 'village_id', 'INT NULL');
+    await ensureIndex('villagers', 'idx_villagers_village', 'INDEX', '(village_id)');
+    await ensureColumn('sensors', 'village_id', 'INT NULL');
+    await ensureIndex('sensors', 'idx_sensors_village', 'INDEX', '(village_id)');
+
+    // Alerts used to keep the sensor's panchayat in village_id. Move it to panchayat_id once,
+    // and take the village from the sensor when it still sits in that panchayat.
+    if (await ensureColumn('sensor_alerts', 'panchayat_id', 'INT NULL')) {
+      const [moved] = await db.query(`
+        UPDATE sensor_alerts a
+        LEFT JOIN sensors s ON s.id = a.sensor_id
+        SET a.panchayat_id = a.village_id,
+            a.village_id = CASE WHEN s.panchayat_id <=> a.village_id THEN s.village_id ELSE NULL END
+        WHERE a.village_id IS NOT NULL
+      `);
+      console.log(`   Moved the panchayat of ${moved.affectedRows} alerts to sensor_alerts.panchayat_id`);
+    }
+    await ensureIndex('sensor_alerts', 'idx_alerts_panchayat', 'INDEX', '(panchayat_id)');
+
+    // Default orderings of the paged villager and sensor lists
+    await ensureIndex('villagers', 'idx_villagers_active_created', 'INDEX', '(is_active, created_at)');
+    await ensureIndex('sensors', 'idx_sensors_status_installed', 'INDEX', '(status, installed_at)');
+    // Report only: the backfill writes nothing until someone applies it after review
+    await villageBackfill.ensureSchema();
+    const backfill = await villageBackfill.run({ dryRun: true });
+    if (backfill.villagers.linked + backfill.sensors.linked + backfill.issues.length > 0) {
+      console.log(
+        `   Village backfill pending: ${backfill.villagers.linked} villagers and ${backfill.sensors.linked} sensors ` +
+        `could be linked (${backfill.villagers.villagesCreated} new villages), ${backfill.issues.length} need review. ` +
+        'Review with POST /api/migrations/village-backfill, apply with ?dry_run=false'
+      );
+    }
+
+    await auditLog.ensureSchema();
+    await ensureColumn('audit_logs', 'actor_type', "VARCHAR(20) DEFAULT 'staff'");
+    await ensureColumn('audit_logs', 'villager_id', 'INT NULL');
+    await ensureIndex('audit_logs', 'idx_audit_villager', 'INDEX', '(villager_id)');
+
+    await reportScheduler.ensureSchema();
+
+    await sensorAssignments.ensureSchema();
+    const backfilled = await sensorAssignments.backfill();
+    if (backfilled > 0) {
+      console.log(`   Recorded ${backfilled} existing sensor mappings in sensor_assignments`);
+    }
+
+    await sensorTypes.ensureSchema();
+    const seededTypes = await sensorTypes.seed();
+    if (seededTypes > 0) {
+      console.log(`   Installed ${seededTypes} built-in sensor types`);
+    }
+    await sensorTypes.load();
     
     console.log('✅ Database setup complete');
+
+    snapshotService.start();
+    startAlertEngine();
+    reportScheduler.start();
   } catch (error) {
     console.error('❌ MySQL connection failed:', error.message);
   }
 })();
 
 // ==================== OTP STORE ====================
-const otpStore = new Map();
-
-// Helper function to get district name from district_id
-async function getDistrictName(districtId) {
-  if (!districtId) return null;
-  const [rows] = await db.query(
-    'SELECT name FROM locations WHERE id = ? AND type = "district"',
-    [districtId]
-  );
-  return rows.length > 0 ? rows[0].name : null;
+const otpStore = new OtpStore(db, {
+  secret: process.env.OTP_SECRET || AUTH_CONFIG.jwtSecret,
+  ttlSeconds: parseInt(process.env.OTP_TTL_SECONDS) || 300,
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 3,
+  resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+  sendLimitPerPhone: parseInt(process.env.OTP_SEND_LIMIT_PER_PHONE) || 5,
+  sendLimitPerIp: parseInt(process.env.OTP_SEND_LIMIT_PER_IP) || 20,
+  lockoutThreshold: parseInt(process.env.OTP_LOCKOUT_THRESHOLD) || 5,
+  lockoutMinutes: parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15
+});
+
+const otpDelivery = createOtpDeliveryProvider();
+console.log('   OTP delivery:', otpDelivery.name);
+
+// Sends the code through the configured provider; the caller discards the OTP if this throws
+async function deliverOtp(phone, otp) {
+  const minutes = Math.ceil(otpStore.options.ttlSeconds / 60);
+  await otpDelivery.send(phone, `Your Smart Panchayat login code is ${otp}. It expires in ${minutes} minutes.`);
+}
+
+function otpResponse(message, otp) {
+  const body = { success: true, message };
+  if (shouldEchoOtp(otpDelivery)) {
+    body.otp = otp;
+    body.test_mode = true;
+  }
+  return body;
 }
 
 const VILLAGER_WITH_LOCATION_SQL = `
@@ -93,6 +293,12 @@ const VILLAGER_WITH_LOCATION_SQL = `
     v.phone,
     v.address,
     v.panchayat_id,
+    v.village_id,
+    v.aadhaar_number,
+    v.occupation,
+    v.created_at,
+    vl.name AS village_name,
+    vl.state AS village_state,
     p.name AS panchayat_name,
     p.state AS panchayat_state,
     parent.name AS parent_name,
@@ -102,20 +308,12 @@ const VILLAGER_WITH_LOCATION_SQL = `
     grandparent.type AS grandparent_type,
     grandparent.state AS grandparent_state
   FROM villagers v
+  LEFT JOIN locations vl ON vl.id = v.village_id
   LEFT JOIN locations p ON p.id = v.panchayat_id
   LEFT JOIN locations parent ON parent.id = p.parent_id
   LEFT JOIN locations grandparent ON grandparent.id = parent.parent_id
 `;
 
-function extractVillageLabel(address, fallback = '') {
-  if (!address) return fallback;
-  const firstPart = String(address)
-    .split(',')
-    .map(part => part.trim())
-    .find(Boolean);
-  return firstPart || fallback;
-}
-
 function resolveDistrictName(row) {
   if (row.district_name) return row.district_name;
   if (row.parent_type === 'district') return row.parent_name || '';
@@ -123,13 +321,15 @@ function resolveDistrictName(row) {
   return '';
 }
 
+// Empty when no location up the chain records a state
 function resolveStateName(row) {
   return (
+    row.village_state ||
     row.district_state ||
     row.panchayat_state ||
     row.parent_state ||
     row.grandparent_state ||
-    'Kerala'
+    ''
   );
 }
 
@@ -137,7 +337,7 @@ function normalizeVillager(row) {
   const panchayat = row.panchayat_name || '';
   const district = resolveDistrictName(row);
   const state = resolveStateName(row);
-  const village = extractVillageLabel(row.address, panchayat);
+  const village = row.village_name || '';
 
   return {
     id: row.id,
@@ -152,9 +352,21 @@ function normalizeVillager(row) {
   };
 }
 
+// Admin views also need the registration fields the mobile app never shows
+function formatVillagerForAdmin(row) {
+  return {
+    ...normalizeVillager(row),
+    aadhaar_number: row.aadhaar_number,
+    occupation: row.occupation || '',
+    panchayat_id: row.panchayat_id,
+    village_id: row.village_id,
+    created_at: row.created_at
+  };
+}
+
 async function fetchVillagerByPhone(phone, conn = db) {
   const [rows] = await conn.query(
-    `${VILLAGER_WITH_LOCATION_SQL} WHERE v.phone = ?`,
+    `${VILLAGER_WITH_LOCATION_SQL} WHERE v.phone = ? AND v.is_active = TRUE`,
     [phone]
   );
 
@@ -165,90 +377,67 @@ async function fetchVillagerByPhone(phone, conn = db) {
   return normalizeVillager(rows[0]);
 }
 
-function getUnitForType(type) {
-  const units = {
-    'Temp': '°C',
-    'temperature': '°C',
-    'Humidity': '%',
-    'humidity': '%',
-    'AirQuality': 'AQI',
-    'air_quality': 'AQI',
-    'SoilMoisture': '%',
-    'soil_moisture': '%',
-    'SoilPH': 'pH',
-    'soil_ph': 'pH',
-    'WaterPH': 'pH',
-    'water_ph': 'pH',
-    'WaterSalinity': 'ppm',
-    'water_salinity': 'ppm',
-    'Rainfall': 'mm',
-    'rainfall': 'mm',
-    'WaterLevel': 'm',
-    'water_level': 'm'
-  };
-  return units[type] || '';
+async function fetchVillagerById(villagerId, conn = db) {
+  const [rows] = await conn.query(
+    `${VILLAGER_WITH_LOCATION_SQL} WHERE v.id = ? AND v.is_active = TRUE`,
+    [villagerId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return normalizeVillager(rows[0]);
 }
 
-// FIXED: Updated to read _value field correctly
-async function fetchLatestSensorSnapshot(sensorId, sensorType, districtId) {
-  try {
-    const districtName = await getDistrictName(districtId);
-    if (!districtName) {
-      console.log(`⚠️ No district found for sensor ${sensorId}, district_id: ${districtId}`);
-      return { measurement: 'No data', time: '', status: 'Offline', numericValue: null };
-    }
-    
-    const measurementName = `${districtName}_${sensorType}`;
-    
-    const dataQuery = `
-      from(bucket: "${INFLUX_CONFIG.bucket}")
-        |> range(start: -5m)
-        |> filter(fn: (r) => r._measurement == "${measurementName}")
-        |> filter(fn: (r) => r.sensor_id == "${sensorId}")
-        |> last()
-    `;
+// Seconds since the last reading within which a sensor still counts as Live
+const SENSOR_ACTIVE_THRESHOLD = 22;
 
-    const data = await queryInfluxDB(dataQuery);
+const snapshotService = new SensorSnapshotService({
+  db,
+  queryApi,
+  bucket: INFLUX_CONFIG.bucket,
+  formatValue: (type, value) => sensorTypes.formatValue(type, value),
+  liveThresholdSeconds: SENSOR_ACTIVE_THRESHOLD,
+  refreshIntervalMs: parseInt(process.env.SNAPSHOT_REFRESH_INTERVAL) || 5000,
+  freshnessWindowMs: parseInt(process.env.SNAPSHOT_FRESHNESS_WINDOW) || 15000
+});
 
-    let measurement = 'No data';
-    let time = '';
-    let status = 'Offline';
-    let numericValue = null;
+function sensorScope(sensor) {
+  return { panchayatId: sensor.panchayat_id, villagerId: sensor.villager_id };
+}
 
-    if (data && data.length > 0) {
-      const point = data[0];
-      const readingTime = new Date(point._time);
-      time = readingTime.toLocaleString();
-      const diffSeconds = (Date.now() - readingTime.getTime()) / 1000;
-      status = diffSeconds <= 22 ? 'Live' : 'Offline';
-      
-      // Read the _value field (this is what InfluxDB returns)
-      let value = null;
-      if (point._value !== undefined && point._value !== null) {
-        value = point._value;
-      } else if (point.value !== undefined) {
-        value = point.value;
-      }
-      
-      if (value !== null && value !== undefined) {
-        const numValue = typeof value === 'number' ? value : parseFloat(value);
-        if (!isNaN(numValue)) {
-          numericValue = numValue;
-          const unit = getUnitForType(sensorType);
-          measurement = `${sensorType}: ${numValue.toFixed(2)} ${unit}`;
-        }
-      }
-      
-      if (measurement === 'No data' && point.measurement) {
-        measurement = point.measurement;
-      }
-    }
+snapshotService.on('reading', ({ sensor, snapshot }) => {
+  realtime.publish('sensor_reading', {
+    devEUI: sensor.id,
+    name: sensor.name || sensor.id,
+    type: sensor.type,
+    measurement: snapshot.measurement,
+    value: snapshot.numericValue,
+    time: snapshot.time,
+    status: snapshot.status
+  }, sensorScope(sensor));
+});
 
-    return { measurement, time, status, numericValue };
-  } catch (error) {
-    console.error(`❌ Error fetching snapshot for sensor ${sensorId}:`, error.message);
-    return { measurement: 'Error', time: '', status: 'Offline', numericValue: null };
-  }
+snapshotService.on('status', ({ sensor, snapshot, previous }) => {
+  realtime.publish('sensor_status', {
+    devEUI: sensor.id,
+    name: sensor.name || sensor.id,
+    status: snapshot.status,
+    previousStatus: previous.status,
+    time: snapshot.time
+  }, sensorScope(sensor));
+});
+
+// Map(sensorId -> { measurement, time, status, numericValue }) for rows with id, type, district_id,
+// served from the snapshot cache
+function fetchSensorSnapshots(sensors) {
+  return snapshotService.getSnapshots(sensors);
+}
+
+async function fetchLatestSensorSnapshot(sensorId, sensorType, districtId) {
+  const snapshots = await fetchSensorSnapshots([{ id: sensorId, type: sensorType, district_id: districtId }]);
+  return snapshots.get(sensorId);
 }
 
 // ==================== MIDDLEWARE ====================
@@ -272,21 +461,61 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json());
+// Needed behind a reverse proxy so req.ip (used for OTP rate limits) is the client address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Imports read their upload raw through importUpload, which has its own, larger size
+// limit; parsing them here would reject JSON manifests over express.json's 100kb
+const RAW_UPLOAD_PATHS = new Set(['/api/villagers/import', '/api/sensors/import']);
+const parseJsonBody = express.json();
+
+app.use((req, res, next) => {
+  if (RAW_UPLOAD_PATHS.has(req.path)) return next();
+  parseJsonBody(req, res, next);
+});
+
+// Socket.IO shares the HTTP server with Express; routes publish through req.realtime
+const server = http.createServer(app);
+const io = new SocketServer(server, { cors: { origin: '*' } });
+const realtime = new RealtimeHub(io, { authenticate: authenticateSocketToken });
+
+app.use((req, res, next) => {
+  req.realtime = realtime;
+  next();
+});
+
+// Request body fields that are never written to the log, at any depth
+const REDACTED_BODY_FIELDS = new Set(['password', 'newPassword', 'otp', 'code', 'refreshToken']);
+
+function redactBody(value) {
+  if (Array.isArray(value)) return value.map(redactBody);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    REDACTED_BODY_FIELDS.has(key) ? '[REDACTED]' : redactBody(field)
+  ]));
+}
 
 app.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
   if (req.body && Object.keys(req.body).length > 0) {
-    console.log('Body:', JSON.stringify(req.body));
+    console.log('Body:', JSON.stringify(redactBody(req.body)));
   }
   next();
 });
 
 // ==================== HELPER FUNCTIONS ====================
 
+// Only FluxQuery instances are accepted, so no hand-assembled Flux text reaches InfluxDB
 async function queryInfluxDB(fluxQuery) {
+  if (!(fluxQuery instanceof FluxQuery)) {
+    throw new TypeError('queryInfluxDB expects a FluxQuery');
+  }
   try {
-    const result = await queryApi.collectRows(fluxQuery);
+    const result = await queryApi.collectRows(fluxQuery.toString());
     return result || [];
   } catch (error) {
     console.error('❌ InfluxDB query error:', error.message);
@@ -294,622 +523,3857 @@ async function queryInfluxDB(fluxQuery) {
   }
 }
 
-const SENSOR_ACTIVE_THRESHOLD = 22;
-
-async function getActiveSensorCount() {
+async function getActiveSensorCount(scope) {
   try {
+    const [inScope, scopeParams] = scope.filter('s.panchayat_id');
     const [sensors] = await db.query(`
       SELECT s.id, s.type, s.district_id
       FROM sensors s
-      WHERE s.villager_id IS NOT NULL
-    `);
-    
-    let activeCount = 0;
-    
-    for (const sensor of sensors) {
-      const snapshot = await fetchLatestSensorSnapshot(sensor.id, sensor.type, sensor.district_id);
-      if (snapshot.status === 'Live') {
-        activeCount++;
-      }
-    }
+      WHERE s.villager_id IS NOT NULL AND ${inScope}
+    `, scopeParams);
     
-    return activeCount;
+    const snapshots = await fetchSensorSnapshots(sensors);
+    return [...snapshots.values()].filter(snapshot => snapshot.status === 'Live').length;
   } catch (error) {
     console.error('Error getting active sensor count:', error);
     return 0;
   }
 }
 
-function determineSensorType(name) {
-    const lowerName = name.toLowerCase();
-    if (lowerName.includes('temp')) return 'Temp';
-    if (lowerName.includes('humidity')) return 'Humidity';
-    if (lowerName.includes('air') || lowerName.includes('aqi')) return 'AirQuality';
-    if (lowerName.includes('soil') && lowerName.includes('moist')) return 'SoilMoisture';
-    if (lowerName.includes('soil') && lowerName.includes('ph')) return 'SoilPH';
-    if (lowerName.includes('water') && lowerName.includes('ph')) return 'WaterPH';
-    if (lowerName.includes('water') && lowerName.includes('salinity')) return 'WaterSalinity';
-    if (lowerName.includes('rain')) return 'Rainfall';
-    if (lowerName.includes('water') && lowerName.includes('level')) return 'WaterLevel';
-    return 'Temp';
+// Villager and sensor lists page like the audit log (limit/offset plus a total), sort on
+// one whitelisted column and filter on location ids and assigned=true|false.
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 500;
+
+// sortable: { key: 'sql expression' }. Returns { limit, offset, sort, order, orderBy } or { error }
+function parseListQuery(query, sortable, defaultSort, defaultOrder = 'desc') {
+  const sort = query.sort || defaultSort;
+  if (!Object.prototype.hasOwnProperty.call(sortable, sort)) {
+    return { error: `sort must be one of: ${Object.keys(sortable).join(', ')}` };
+  }
+  const order = String(query.order || defaultOrder).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+  return {
+    limit: Math.min(Math.max(parseInt(query.limit) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT),
+    offset: Math.max(parseInt(query.offset) || 0, 0),
+    sort,
+    order,
+    orderBy: `${sortable[sort]} ${order.toUpperCase()}`
+  };
 }
 
-// ==================== API ROUTES ====================
+// columns: { query_param: 'sql column' }. Adds an equality condition for each id given;
+// returns an error message for a malformed one
+function addIdFilters(query, columns, conditions, params) {
+  for (const [name, column] of Object.entries(columns)) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const id = Number(query[name]);
+    if (!Number.isInteger(id) || id <= 0) return `${name} must be a location id`;
+    conditions.push(`${column} = ?`);
+    params.push(id);
+  }
+  return null;
+}
 
-app.get('/api/test', (req, res) => {
-  res.json({
-    success: true,
-    message: 'API is working!',
-    timestamp: new Date().toISOString()
-  });
-});
+// ?assigned=true|false; undefined when absent, null when malformed
+function parseAssignedFilter(value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return null;
+}
 
-app.get('/api/health', async (req, res) => {
-  try {
-    await db.query('SELECT 1');
-    
-    res.json({
-      success: true,
-      message: 'Smart Panchayat Backend is running',
-      timestamp: new Date().toISOString(),
-      version: '1.0.0',
-      databases: {
-        mysql: 'connected',
-        influxdb: 'connected'
-      },
-      config: {
-        influxBucket: INFLUX_CONFIG.bucket,
-        influxOrg: INFLUX_CONFIG.org
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Database connection failed',
-      message: error.message
-    });
+// ==================== ALERT ENGINE ====================
+
+const THRESHOLD_COLUMNS = [
+  'min_normal', 'max_normal',
+  'min_warning', 'max_warning',
+  'min_danger', 'max_danger'
+];
+
+const ALERT_EVALUATION_INTERVAL = parseInt(process.env.ALERT_EVALUATION_INTERVAL) || 30000;
+const ALERT_SEVERITY = { warning: 1, danger: 2 };
+
+let alertEngineTimer = null;
+let alertEvaluationRunning = false;
+
+function isSet(value) {
+  return value !== null && value !== undefined;
+}
+
+// Classifies a reading against the sensor's bands. Danger bands win over warning
+// bands; leaving the normal band without a warning band configured is a warning.
+function classifyReading(value, sensor) {
+  if (isSet(sensor.min_danger) && value < sensor.min_danger) {
+    return { level: 'danger', threshold: sensor.min_danger, direction: 'below' };
   }
-});
+  if (isSet(sensor.max_danger) && value > sensor.max_danger) {
+    return { level: 'danger', threshold: sensor.max_danger, direction: 'above' };
+  }
+  if (isSet(sensor.min_warning) && value < sensor.min_warning) {
+    return { level: 'warning', threshold: sensor.min_warning, direction: 'below' };
+  }
+  if (isSet(sensor.max_warning) && value > sensor.max_warning) {
+    return { level: 'warning', threshold: sensor.max_warning, direction: 'above' };
+  }
+  if (isSet(sensor.min_normal) && value < sensor.min_normal) {
+    return { level: 'warning', threshold: sensor.min_normal, direction: 'below' };
+  }
+  if (isSet(sensor.max_normal) && value > sensor.max_normal) {
+    return { level: 'warning', threshold: sensor.max_normal, direction: 'above' };
+  }
+  return null;
+}
 
-app.get('/api/test-influx', async (req, res) => {
-  try {
-    const testMeasurement = 'Thrissur_Temp';
-    const query = `
-      from(bucket: "${INFLUX_CONFIG.bucket}")
-        |> range(start: -1h)
-        |> filter(fn: (r) => r._measurement == "${testMeasurement}")
-        |> limit(n: 1)
-    `;
-    const result = await queryInfluxDB(query);
-    res.json({ 
-      success: true, 
-      message: 'InfluxDB connected', 
-      bucket: INFLUX_CONFIG.bucket,
-      org: INFLUX_CONFIG.org,
-      testMeasurement: testMeasurement,
-      hasData: result.length > 0,
-      sampleData: result[0] || null 
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+function buildAlertMessage(sensor, result, value) {
+  const name = sensor.name || sensor.id;
+  if (result.level === 'offline') {
+    return `${name} has stopped reporting`;
   }
-});
+  const reading = sensorTypes.formatValue(sensor.type, value);
+  return `${name} reading ${reading} is ${result.direction} the ${result.level} threshold of ${result.threshold}`;
+}
 
-// ==================== VILLAGER MANAGEMENT ====================
+async function recordAlertEvent(alertId, eventType, { note = null, value = null, adminId = null } = {}) {
+  await db.query(
+    `INSERT INTO sensor_alert_events (alert_id, event_type, note, value, admin_id) VALUES (?, ?, ?, ?, ?)`,
+    [alertId, eventType, note, value, adminId]
+  );
+}
 
-app.get('/api/villagers', async (req, res) => {
-  try {
-    const [rows] = await db.query(
-      `SELECT v.id, v.name, v.phone, v.address, v.created_at
-       FROM villagers v
-       ORDER BY v.created_at DESC`
-    );
+// Pushes the alert's current state to staff and to the villager who owns the sensor
+async function publishAlert(event, alertId) {
+  const alert = await fetchAlertById(alertId);
+  if (!alert) return;
+  realtime.publish(event, alert, { panchayatId: alert.panchayat_id, villagerId: alert.sensor_villager_id });
+}
 
-    res.json({ success: true, villagers: rows, count: rows.length });
-  } catch (err) {
-    console.error('❌ Error fetching villagers:', err);
-    res.status(500).json({ success: false, error: err.message });
+async function openSensorAlert(sensor, result, message, value) {
+  const [insert] = await db.query(
+    `INSERT INTO sensor_alerts (sensor_id, alert_type, message, value, threshold, panchayat_id, village_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [sensor.id, result.level, message, value, result.threshold, sensor.panchayat_id, sensor.village_id]
+  );
+  await recordAlertEvent(insert.insertId, 'opened', { note: message, value });
+  console.log(`🚨 ${result.level} alert ${insert.insertId} opened for sensor ${sensor.id}`);
+  await publishAlert('alert_opened', insert.insertId);
+  return insert.insertId;
+}
+
+// Resolves an open alert. Without an adminId the alert was closed by the engine itself.
+async function resolveSensorAlert(alertId, { adminId = null, note = null } = {}) {
+  const [result] = await db.query(
+    `UPDATE sensor_alerts
+     SET is_resolved = TRUE, resolved_at = CURRENT_TIMESTAMP, resolved_by = ?, resolution_note = ?
+     WHERE id = ? AND is_resolved = FALSE`,
+    [adminId, note, alertId]
+  );
+  if (result.affectedRows > 0) {
+    await recordAlertEvent(alertId, adminId === null ? 'auto_resolved' : 'resolved', { note, adminId });
+    await publishAlert('alert_resolved', alertId);
   }
-});
+  return result.affectedRows > 0;
+}
 
-app.post('/api/villagers', async (req, res) => {
-  try {
-    const { name, phone, address, panchayat_id } = req.body;
+async function evaluateSensorAlerts(sensor, openAlert, snapshot) {
 
-    if (!name || !phone) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields: name, phone' 
-      });
+  let result = null;
+  if (snapshot.status === 'Offline') {
+    // Stock sensors that were never handed to a villager are not expected to report
+    if (sensor.villager_id !== null) {
+      result = { level: 'offline', threshold: null };
+    }
+  } else if (snapshot.numericValue !== null) {
+    // A value the sensor type cannot physically produce is a faulty reading, not an
+    // environmental alarm; leave any open alert as it is until a plausible one arrives
+    if (!sensorTypes.isPlausible(sensor.type, snapshot.numericValue)) {
+      console.warn(`⚠️ Ignoring implausible reading ${snapshot.numericValue} from sensor ${sensor.id}`);
+      return;
+    }
+    result = classifyReading(snapshot.numericValue, sensor);
+  }
+
+  if (!result) {
+    if (openAlert) {
+      await resolveSensorAlert(openAlert.id, { note: 'Reading returned to normal' });
+      console.log(`✅ Alert ${openAlert.id} auto-resolved for sensor ${sensor.id}`);
     }
+    return;
+  }
+
+  const message = buildAlertMessage(sensor, result, snapshot.numericValue);
+
+  if (!openAlert) {
+    await openSensorAlert(sensor, result, message, snapshot.numericValue);
+    return;
+  }
+
+  const sameFamily = (openAlert.alert_type === 'offline') === (result.level === 'offline');
+
+  if (!sameFamily) {
+    // A sensor that goes offline (or comes back out of range) starts a new alert
+    await resolveSensorAlert(openAlert.id, { note: `Superseded by ${result.level} alert` });
+    await openSensorAlert(sensor, result, message, snapshot.numericValue);
+    return;
+  }
 
+  if (result.level !== 'offline' && ALERT_SEVERITY[result.level] > ALERT_SEVERITY[openAlert.alert_type]) {
     await db.query(
-      `INSERT INTO villagers (name, phone, address, panchayat_id)
-       VALUES (?, ?, ?, ?)`,
-      [name, phone, address, panchayat_id || null]
+      `UPDATE sensor_alerts SET alert_type = ?, message = ?, value = ?, threshold = ? WHERE id = ?`,
+      [result.level, message, snapshot.numericValue, result.threshold, openAlert.id]
     );
+    await recordAlertEvent(openAlert.id, 'escalated', { note: message, value: snapshot.numericValue });
+    await publishAlert('alert_updated', openAlert.id);
+    console.log(`⚠️ Alert ${openAlert.id} escalated to ${result.level} for sensor ${sensor.id}`);
+    return;
+  }
 
-    res.json({ success: true, message: 'Villager added successfully' });
-  } catch (err) {
-    if (err.code === 'ER_DUP_ENTRY') {
-      return res.status(409).json({ success: false, error: 'Phone already exists' });
-    }
-    res.status(500).json({ success: false, error: err.message });
+  // Same or lower severity: keep the alert open at its current level, track the latest value
+  if (result.level !== 'offline') {
+    await db.query(`UPDATE sensor_alerts SET value = ? WHERE id = ?`, [snapshot.numericValue, openAlert.id]);
   }
-});
+}
 
-// ==================== SENSOR MANAGEMENT ====================
+async function runAlertEvaluation() {
+  if (alertEvaluationRunning) return;
+  alertEvaluationRunning = true;
 
-app.get('/api/sensors', async (req, res) => {
   try {
-    const [sensorRows] = await db.query(`
-      SELECT s.id, s.name, s.type, s.status, s.location_description, 
-             s.villager_id, s.installed_at, s.updated_at, s.district_id,
-             l.name as district_name
+    const [sensors] = await db.query(`
+      SELECT s.id, s.name, s.type, s.district_id, s.panchayat_id, s.village_id, s.villager_id,
+             s.min_normal, s.max_normal, s.min_warning, s.max_warning, s.min_danger, s.max_danger
       FROM sensors s
-      LEFT JOIN locations l ON l.id = s.district_id
-      ORDER BY s.installed_at DESC
+      WHERE s.status = 'active'
     `);
 
-    const sensors = [];
+    const [openAlerts] = await db.query(
+      `SELECT id, sensor_id, alert_type FROM sensor_alerts WHERE is_resolved = FALSE`
+    );
+    const openBySensor = new Map(openAlerts.map(alert => [alert.sensor_id, alert]));
 
-    for (const sensor of sensorRows) {
-      const snapshot = await fetchLatestSensorSnapshot(sensor.id, sensor.type, sensor.district_id);
-      
-      let location = sensor.location_description || sensor.district_name || 'Unknown';
-      
-      sensors.push({
-        devEUI: sensor.id,
-        name: sensor.name || sensor.id,
-        type: sensor.type,
-        village: location,
-        district: sensor.district_name,
-        measurement: snapshot.measurement,
-        time: snapshot.time,
-        status: snapshot.status,
-        isAssigned: sensor.villager_id !== null
-      });
+    const snapshots = await fetchSensorSnapshots(sensors);
+
+    for (const sensor of sensors) {
+      try {
+        await evaluateSensorAlerts(sensor, openBySensor.get(sensor.id), snapshots.get(sensor.id));
+      } catch (error) {
+        console.error(`❌ Alert evaluation failed for sensor ${sensor.id}:`, error.message);
+      }
+      openBySensor.delete(sensor.id);
     }
 
-    res.json({ success: true, sensors });
-  } catch (err) {
-    console.error('❌ Error fetching sensors:', err);
-    res.status(500).json({ success: false, error: err.message });
-  }
+    // Whatever is left belongs to sensors that were deleted or taken out of service
+    for (const alert of openBySensor.values()) {
+      await resolveSensorAlert(alert.id, { note: 'Sensor removed or taken out of service' });
+    }
+  } catch (error) {
+    console.error('❌ Alert evaluation error:', error.message);
+  } finally {
+    alertEvaluationRunning = false;
+  }
+}
+
+function startAlertEngine() {
+  if (alertEngineTimer) return;
+  console.log(`🚨 Alert engine evaluating every ${ALERT_EVALUATION_INTERVAL / 1000}s`);
+  runAlertEvaluation();
+  alertEngineTimer = setInterval(runAlertEvaluation, ALERT_EVALUATION_INTERVAL);
+}
+
+// ==================== SESSION AUTH ====================
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Accepts both "Bearer <token>" and a bare token, which older app builds send
+function extractBearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header) return null;
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : header.trim();
+}
+
+function signVillagerAccessToken(villager, sessionId) {
+  return jwt.sign(
+    { sub: String(villager.id), role: 'villager', sid: sessionId },
+    AUTH_CONFIG.jwtSecret,
+    { expiresIn: AUTH_CONFIG.accessTokenTtl }
+  );
+}
+
+async function createVillagerSession(villager, req) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + AUTH_CONFIG.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+  await db.query(
+    `INSERT INTO villager_sessions (id, villager_id, refresh_token_hash, expires_at, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [sessionId, villager.id, hashToken(refreshToken), expiresAt, req.ip, req.headers['user-agent'] || null]
+  );
+
+  const accessToken = signVillagerAccessToken(villager, sessionId);
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresAt: new Date(exp * 1000).toISOString(),
+    refreshExpiresAt: expiresAt.toISOString()
+  };
+}
+
+// Verifies the access token and that its session is still live; returns null when it is not
+async function resolveVillagerSession(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, AUTH_CONFIG.jwtSecret);
+  } catch (error) {
+    return null;
+  }
+  if (payload.role !== 'villager' || !payload.sid) return null;
+
+  const [[session]] = await db.query(
+    `SELECT id, villager_id FROM villager_sessions
+     WHERE id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [payload.sid]
+  );
+  if (!session || String(session.villager_id) !== payload.sub) return null;
+
+  return { sessionId: session.id, villagerId: session.villager_id };
+}
+
+async function requireVillagerAuth(req, res, next) {
+  try {
+    const token = extractBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    const session = await resolveVillagerSession(token);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+
+    const villager = await fetchVillagerById(session.villagerId);
+    if (!villager) {
+      return res.status(401).json({ success: false, error: 'Villager account no longer exists' });
+    }
+
+    req.villagerSession = session;
+    req.villager = villager;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ==================== STAFF AUTH ====================
+
+const STAFF_ROLES = ['operator', 'supervisor', 'admin'];
+
+const ROLE_DEFAULT_PERMISSIONS = {
+  operator: { manage_villagers: true, manage_sensors: true, view_reports: true, manage_admins: false },
+  supervisor: { manage_villagers: true, manage_sensors: true, view_reports: true, manage_admins: true },
+  admin: { manage_villagers: true, manage_sensors: true, view_reports: true, manage_admins: true }
+};
+
+function parsePermissions(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+// Stored permissions override the role defaults flag by flag
+function resolvePermissions(role, stored) {
+  return { ...(ROLE_DEFAULT_PERMISSIONS[role] || ROLE_DEFAULT_PERMISSIONS.operator), ...parsePermissions(stored) };
+}
+
+function normalizeStaffUser(row) {
+  return {
+    userId: row.id,
+    username: row.username,
+    fullName: row.full_name,
+    email: row.email,
+    phone: row.phone,
+    panchayatId: row.panchayat_id,
+    role: row.role,
+    permissions: resolvePermissions(row.role, row.permissions)
+  };
+}
+
+// Creates the first admin account from the environment when the table is still empty
+async function bootstrapAdminUser() {
+  const username = process.env.ADMIN_BOOTSTRAP_USERNAME;
+  const password = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+  if (!username || !password) return;
+
+  const [[{ count }]] = await db.query('SELECT COUNT(*) AS count FROM admin_users');
+  if (count > 0) return;
+
+  await db.query(
+    `INSERT INTO admin_users (username, password_hash, full_name, role, permissions)
+     VALUES (?, ?, ?, 'admin', ?)`,
+    [username, await bcrypt.hash(password, 10), 'Administrator', JSON.stringify(ROLE_DEFAULT_PERMISSIONS.admin)]
+  );
+  console.log(`✅ Bootstrap admin user "${username}" created`);
+}
+
+// The account a staff token was issued to, while it is active and its password has not
+// been reset since. Tokens from before token versions existed carry no ver and count as 0.
+async function fetchActiveStaffUser(payload) {
+  const [[user]] = await db.query(
+    `SELECT id, username, full_name, email, phone, panchayat_id, role, permissions
+     FROM admin_users WHERE id = ? AND is_active = TRUE AND token_version = ?`,
+    [payload.sub, payload.ver || 0]
+  );
+  return user ? normalizeStaffUser(user) : null;
+}
+
+// Socket handshakes, and the routes the mobile app shares with the dashboard, accept
+// either a staff token or a villager access token
+async function authenticateSocketToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, AUTH_CONFIG.jwtSecret);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.typ === 'staff') {
+    const user = await fetchActiveStaffUser(payload);
+    return user ? { type: 'staff', user, scope: await tenancy.scopeFor(user) } : null;
+  }
+
+  const session = await resolveVillagerSession(token);
+  if (!session) return null;
+  const villager = await fetchVillagerById(session.villagerId);
+  return villager ? { type: 'villager', villager } : null;
+}
+
+async function requireStaffAuth(req, res, next) {
+  try {
+    const token = extractBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, AUTH_CONFIG.jwtSecret);
+    } catch (error) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+    if (payload.typ !== 'staff') {
+      return res.status(401).json({ success: false, error: 'Staff login required' });
+    }
+
+    // Re-read the account so deactivation, password resets and permission edits apply immediately
+    const user = await fetchActiveStaffUser(payload);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Account is disabled or no longer exists' });
+    }
+
+    // The panchayats this account may see and change; see services/tenancy.js
+    req.scope = await tenancy.scopeFor(user);
+    req.user = { ...user, jurisdiction: req.scope.describe() };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function requireRole(...roles) {
+  return [requireStaffAuth, (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ success: false, error: 'Your role cannot perform this action' });
+    }
+    next();
+  }];
+}
+
+// Admins hold every permission; other roles need the flag set on their account
+function requirePermission(permission) {
+  return [requireStaffAuth, (req, res, next) => {
+    if (req.user.role !== 'admin' && req.user.permissions[permission] !== true) {
+      return res.status(403).json({ success: false, error: `Missing permission: ${permission}` });
+    }
+    next();
+  }];
+}
+
+// Staff get req.user and req.scope as with requireStaffAuth; villagers get req.villager
+async function requireStaffOrVillagerAuth(req, res, next) {
+  try {
+    const token = extractBearerToken(req);
+    const identity = token ? await authenticateSocketToken(token) : null;
+    if (!identity) {
+      return res.status(401).json({ success: false, error: token ? 'Invalid or expired token' : 'Authentication required' });
+    }
+
+    if (identity.type === 'staff') {
+      req.scope = identity.scope;
+      req.user = { ...identity.user, jurisdiction: identity.scope.describe() };
+    } else {
+      req.villager = identity.villager;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Sends a 403 and returns true when the account may not change records of `panchayatId`
+function denyOutsideScope(req, res, panchayatId) {
+  if (req.scope.canWrite(panchayatId)) return false;
+  res.status(403).json({ success: false, error: req.scope.denialMessage() });
+  return true;
+}
+
+// For maintenance that spans every panchayat; goes after requireStaffAuth or requireRole
+function requireUnrestrictedScope(req, res, next) {
+  if (req.scope.restricted) {
+    return res.status(403).json({ success: false, error: 'Only accounts not tied to a panchayat can do this' });
+  }
+  next();
+}
+
+// ==================== API ROUTES ====================
+
+app.get('/api/test', (req, res) => {
+  res.json({
+    success: true,
+    message: 'API is working!',
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/health', async (req, res) => {
+  try {
+    await db.query('SELECT 1');
+    
+    res.json({
+      success: true,
+      message: 'Smart Panchayat Backend is running',
+      timestamp: new Date().toISOString(),
+      version: '1.0.0',
+      databases: {
+        mysql: 'connected',
+        influxdb: 'connected'
+      },
+      config: {
+        influxBucket: INFLUX_CONFIG.bucket,
+        influxOrg: INFLUX_CONFIG.org
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Database connection failed',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/test-influx', async (req, res) => {
+  try {
+    const testMeasurement = 'Thrissur_Temp';
+    const query = FluxQuery.from(INFLUX_CONFIG.bucket)
+      .range({ start: -3600 })
+      .whereEquals('_measurement', testMeasurement)
+      .limit(1);
+    const result = await queryInfluxDB(query);
+    res.json({ 
+      success: true, 
+      message: 'InfluxDB connected', 
+      bucket: INFLUX_CONFIG.bucket,
+      org: INFLUX_CONFIG.org,
+      testMeasurement: testMeasurement,
+      hasData: result.length > 0,
+      sampleData: result[0] || null 
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== LOCATIONS ====================
+
+function sendLocationError(res, err, context) {
+  if (err instanceof LocationError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${context}:`, err);
+  res.status(500).json({ success: false, error: err.message });
+}
+
+// parent_id may be sent as "" or null to mean "top level"
+function parseParentId(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const id = parseInt(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
+
+app.get('/api/locations', requireStaffAuth, async (req, res) => {
+  try {
+    const { type, parent_id, search } = req.query;
+    if (type && !LOCATION_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `type must be one of: ${LOCATION_TYPES.join(', ')}` });
+    }
+
+    const locations = await locationService.list({ type, parentId: parent_id, search });
+    res.json({ success: true, locations, count: locations.length });
+  } catch (err) {
+    sendLocationError(res, err, 'Error fetching locations');
+  }
+});
+
+// Nested states > districts > panchayats > villages with villager/sensor totals per node
+app.get('/api/locations/tree', requireStaffAuth, async (req, res) => {
+  try {
+    const { roots, byId, unlocated } = await locationService.tree(req.scope);
+
+    if (req.query.root_id) {
+      const root = byId.get(parseInt(req.query.root_id));
+      if (!root) {
+        return res.status(404).json({ success: false, error: 'Location not found' });
+      }
+      return res.json({ success: true, tree: [root], path: LocationService.pathOf(root, byId) });
+    }
+
+    res.json({ success: true, tree: roots, unlocated });
+  } catch (err) {
+    sendLocationError(res, err, 'Error building location tree');
+  }
+});
+
+app.get('/api/locations/:id', requireStaffAuth, async (req, res) => {
+  try {
+    const { byId } = await locationService.tree(req.scope);
+    const node = byId.get(parseInt(req.params.id));
+    if (!node) {
+      return res.status(404).json({ success: false, error: 'Location not found' });
+    }
+
+    const { children, ...location } = node;
+    res.json({
+      success: true,
+      location: {
+        ...location,
+        path: LocationService.pathOf(node, byId),
+        children: children.map(({ children: grandchildren, ...child }) => child)
+      }
+    });
+  } catch (err) {
+    sendLocationError(res, err, 'Error fetching location');
+  }
+});
+
+// Supervisors tied to a panchayat maintain its villages; the rest of the tree is
+// shared by every panchayat and only unrestricted accounts may change it
+function denyLocationChange(req, res, type, parentId) {
+  if (!req.scope.restricted) return false;
+  if (type !== 'village') {
+    res.status(403).json({ success: false, error: 'Only villages of your own panchayat can be changed' });
+    return true;
+  }
+  return denyOutsideScope(req, res, parentId);
+}
+
+app.post('/api/locations', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { name, type, state } = req.body || {};
+    const parentId = parseParentId(req.body && req.body.parent_id);
+    if (Number.isNaN(parentId)) {
+      return res.status(400).json({ success: false, error: 'parent_id must be a location id' });
+    }
+    if (denyLocationChange(req, res, type, parentId)) return;
+
+    const location = await withTransaction(async (conn) => {
+      const created = await locationService.create({ name, type, parentId, state }, conn);
+      await auditLog.record(req, { action: 'create_location', table: 'locations', recordId: created.id, after: created }, conn);
+      return created;
+    });
+
+    tenancy.invalidate();
+    realtime.publish('locations_updated', { action: 'created', location });
+    res.status(201).json({ success: true, message: 'Location created successfully', location });
+  } catch (err) {
+    sendLocationError(res, err, 'Error creating location');
+  }
+});
+
+// Renames or moves a location; a move re-derives the state of the whole subtree
+app.put('/api/locations/:id', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { name, state } = req.body || {};
+    const parentId = parseParentId(req.body && req.body.parent_id);
+    if (Number.isNaN(parentId)) {
+      return res.status(400).json({ success: false, error: 'parent_id must be a location id' });
+    }
+
+    const current = await locationService.find(req.params.id);
+    if (!current) {
+      return res.status(404).json({ success: false, error: 'Location not found' });
+    }
+    if (denyLocationChange(req, res, current.type, current.parent_id)) return;
+    if (parentId !== undefined && denyLocationChange(req, res, current.type, parentId)) return;
+
+    const { after } = await withTransaction(async (conn) => {
+      const result = await locationService.update(req.params.id, { name, parentId, state }, conn);
+      await auditLog.record(req, {
+        action: 'update_location',
+        table: 'locations',
+        recordId: result.before.id,
+        before: result.before,
+        after: result.after
+      }, conn);
+      return result;
+    });
+
+    tenancy.invalidate();
+    realtime.publish('locations_updated', { action: 'updated', location: after });
+    res.json({ success: true, message: 'Location updated successfully', location: after });
+  } catch (err) {
+    sendLocationError(res, err, 'Error updating location');
+  }
+});
+
+app.delete('/api/locations/:id', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const current = await locationService.find(req.params.id);
+    if (!current) {
+      return res.status(404).json({ success: false, error: 'Location not found' });
+    }
+    if (denyLocationChange(req, res, current.type, current.parent_id)) return;
+
+    const removed = await withTransaction(async (conn) => {
+      const location = await locationService.remove(req.params.id, conn);
+      await auditLog.record(req, { action: 'delete_location', table: 'locations', recordId: location.id, before: location }, conn);
+      return location;
+    });
+
+    tenancy.invalidate();
+    realtime.publish('locations_updated', { action: 'deleted', location: removed });
+    res.json({ success: true, message: 'Location deleted successfully' });
+  } catch (err) {
+    sendLocationError(res, err, 'Error deleting location');
+  }
+});
+
+// Rows the village backfill could not place on its own, for manual review
+app.get('/api/migrations/village-backfill', requireRole('supervisor', 'admin'), requireUnrestrictedScope, async (req, res) => {
+  try {
+    const issues = await villageBackfill.listIssues({ includeResolved: req.query.include_resolved === 'true' });
+    res.json({ success: true, issues, count: issues.length });
+  } catch (err) {
+    console.error('❌ Error loading village backfill issues:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Re-runs the backfill; a dry run (the default) reports what would change
+app.post('/api/migrations/village-backfill', requireRole('supervisor', 'admin'), requireUnrestrictedScope, async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run !== 'false';
+    const summary = await villageBackfill.run({ dryRun });
+
+    if (!dryRun) {
+      const { issues, ...counts } = summary;
+      await auditLog.record(req, {
+        action: 'village_backfill',
+        table: 'villagers',
+        after: { ...counts, issues: issues.length }
+      });
+      if (summary.villagers.villagesCreated > 0) {
+        tenancy.invalidate();
+        realtime.publish('locations_updated', { action: 'backfill' });
+      }
+    }
+
+    res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error('❌ Error running village backfill:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ==================== VILLAGER MANAGEMENT ====================
+
+
+function duplicateVillagerError(err) {
+  const detail = err.sqlMessage || '';
+  if (detail.includes('aadhaar')) return 'Aadhaar number already exists';
+  return 'Phone already exists';
+}
+
+// The dashboard addresses villagers by Aadhaar; rows registered before Aadhaar was
+// captured are addressed by their numeric id instead (ids never reach 12 digits).
+// With a tenant scope, villagers of other panchayats are reported as not found.
+async function fetchVillagerRowByKey(key, conn = db, scope = null) {
+  const column = AADHAAR_PATTERN.test(key) ? 'v.aadhaar_number' : 'v.id';
+  const [rows] = await conn.query(
+    `${VILLAGER_WITH_LOCATION_SQL} WHERE ${column} = ? AND v.is_active = TRUE`,
+    [key]
+  );
+  if (rows.length === 0 || (scope && !scope.canRead(rows[0].panchayat_id))) return null;
+  return rows[0];
+}
+
+const VILLAGER_SORTS = {
+  created_at: 'v.created_at',
+  name: 'v.name',
+  phone: 'v.phone',
+  village: 'vl.name',
+  panchayat: 'p.name'
+};
+
+const VILLAGER_HAS_SENSOR_SQL = `EXISTS (SELECT 1 FROM sensors s WHERE s.villager_id = v.id AND s.status <> 'deleted')`;
+
+// Query: q (name, phone or Aadhaar), district_id, panchayat_id, village_id,
+// assigned (has a sensor), sort, order, limit, offset
+app.get('/api/villagers', requireStaffAuth, async (req, res) => {
+  try {
+    const paging = parseListQuery(req.query, VILLAGER_SORTS, 'created_at');
+    if (paging.error) {
+      return res.status(400).json({ success: false, error: paging.error });
+    }
+
+    const [inScope, scopeParams] = req.scope.filter('v.panchayat_id');
+    const conditions = ['v.is_active = TRUE', inScope];
+    const params = [...scopeParams];
+
+    const idError = addIdFilters(req.query, {
+      district_id: 'p.parent_id',
+      panchayat_id: 'v.panchayat_id',
+      village_id: 'v.village_id'
+    }, conditions, params);
+    if (idError) {
+      return res.status(400).json({ success: false, error: idError });
+    }
+
+    const assigned = parseAssignedFilter(req.query.assigned);
+    if (assigned === null) {
+      return res.status(400).json({ success: false, error: 'assigned must be true or false' });
+    }
+    if (assigned !== undefined) {
+      conditions.push(assigned ? VILLAGER_HAS_SENSOR_SQL : `NOT ${VILLAGER_HAS_SENSOR_SQL}`);
+    }
+
+    const q = String(req.query.q || '').trim();
+    if (q) {
+      const like = `%${q}%`;
+      conditions.push('(v.name LIKE ? OR v.phone LIKE ? OR v.aadhaar_number LIKE ?)');
+      params.push(like, like, like);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const [[{ total }]] = await db.query(
+      `SELECT COUNT(*) AS total
+       FROM villagers v
+       LEFT JOIN locations p ON p.id = v.panchayat_id
+       ${where}`,
+      params
+    );
+    const [rows] = await db.query(
+      `${VILLAGER_WITH_LOCATION_SQL}
+       ${where}
+       ORDER BY ${paging.orderBy}, v.id ${paging.order.toUpperCase()}
+       LIMIT ? OFFSET ?`,
+      [...params, paging.limit, paging.offset]
+    );
+
+    const villagers = rows.map(formatVillagerForAdmin);
+    res.json({
+      success: true,
+      villagers,
+      count: villagers.length,
+      total,
+      limit: paging.limit,
+      offset: paging.offset,
+      sort: paging.sort,
+      order: paging.order
+    });
+  } catch (err) {
+    console.error('❌ Error fetching villagers:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/villagers', requirePermission('manage_villagers'), async (req, res) => {
+  try {
+    const { name, phone, address, occupation } = req.body;
+    const aadhaarNumber = req.body.aadhaarNumber || req.body.aadhaar_number;
+
+    if (!name || !phone) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing required fields: name, phone' 
+      });
+    }
+    const invalid = checkPhone(phone) || (aadhaarNumber && checkAadhaar(aadhaarNumber));
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const panchayat = req.body.village_id ? { id: null } : await locationService.resolvePanchayatId(req.body);
+    if (panchayat.error) {
+      return res.status(400).json({ success: false, error: panchayat.error });
+    }
+    // Staff of a single panchayat register into it unless they name another
+    if (!req.body.village_id && !panchayat.id) panchayat.id = req.scope.defaultPanchayatId;
+    const picked = await locationService.resolveVillage(req.body, req.body.panchayat_id || panchayat.id);
+    if (picked && picked.error) {
+      return res.status(400).json({ success: false, error: picked.error });
+    }
+    if (denyOutsideScope(req, res, picked ? picked.panchayatId : panchayat.id)) return;
+
+    const [result] = await db.query(
+      `INSERT INTO villagers (name, phone, address, panchayat_id, village_id, aadhaar_number, occupation)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        String(name).trim(),
+        phone,
+        address ? String(address).trim() : null,
+        picked ? picked.panchayatId : panchayat.id,
+        picked ? picked.villageId : null,
+        aadhaarNumber || null,
+        occupation || null
+      ]
+    );
+
+    const [[created]] = await db.query('SELECT * FROM villagers WHERE id = ?', [result.insertId]);
+    await auditLog.record(req, {
+      action: 'create_villager',
+      table: 'villagers',
+      recordId: result.insertId,
+      after: created
+    });
+    realtime.publish('villager_added', { villager: created }, { panchayatId: created.panchayat_id });
+
+    res.json({ success: true, message: 'Villager added successfully' });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, error: duplicateVillagerError(err) });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ==================== VILLAGER IMPORT ====================
+
+// Import columns and the other header spellings accepted for them
+const VILLAGER_IMPORT_COLUMNS = {
+  name: ['full name', 'villager name'],
+  phone: ['mobile', 'phone number', 'mobile number'],
+  address: [],
+  village: ['village name'],
+  village_id: [],
+  panchayat: ['panchayat name'],
+  panchayat_id: [],
+  aadhaar_number: ['aadhaar', 'aadhar', 'aadhar number'],
+  occupation: []
+};
+const VILLAGER_IMPORT_FORMATS = ['csv', 'xlsx'];
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 5000;
+const IMPORT_UPLOAD_LIMIT = process.env.IMPORT_UPLOAD_LIMIT || '5mb';
+
+// Reads the raw upload into req.body as a Buffer, answering oversized files with a 413
+const parseImportUpload = express.raw({ type: () => true, limit: IMPORT_UPLOAD_LIMIT });
+
+function importUpload(req, res, next) {
+  parseImportUpload(req, res, err => {
+    if (!err) return next();
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ success: false, error: `File is larger than ${IMPORT_UPLOAD_LIMIT}` });
+    }
+    res.status(400).json({ success: false, error: err.message });
+  });
+}
+
+// Spreadsheets often carry spaces, dashes or a +91 prefix in phone numbers
+function normalizeImportPhone(value) {
+  return String(value || '').replace(/[\s-]/g, '').replace(/^\+91(?=\d{10}$)/, '');
+}
+
+// Checks every row against the same rules as POST /api/villagers, against other rows
+// in the file and against registered villagers (including deleted ones, which still
+// hold their phone and Aadhaar). Rows may leave out the panchayat when the importing
+// account belongs to exactly one, and may only name panchayats the account can change.
+// Returns [{ row, name, phone, panchayat, village, errors, record }].
+async function validateVillagerImport(rows, scope) {
+  const phones = rows.map(({ values }) => normalizeImportPhone(values.phone)).filter(Boolean);
+  const aadhaars = rows.map(({ values }) => values.aadhaar_number).filter(Boolean);
+  const existingPhones = new Map();
+  const existingAadhaars = new Map();
+  if (phones.length > 0 || aadhaars.length > 0) {
+    const [existing] = await db.query(
+      'SELECT id, phone, aadhaar_number, is_active FROM villagers WHERE phone IN (?) OR aadhaar_number IN (?)',
+      [phones.length > 0 ? phones : [''], aadhaars.length > 0 ? aadhaars : ['']]
+    );
+    for (const row of existing) {
+      if (row.phone) existingPhones.set(row.phone, row);
+      if (row.aadhaar_number) existingAadhaars.set(row.aadhaar_number, row);
+    }
+  }
+
+  const panchayats = new Map();
+  const villages = new Map();
+  const seenPhones = new Map();
+  const seenAadhaars = new Map();
+  const results = [];
+
+  for (const { rowNumber, values } of rows) {
+    const errors = [];
+    const name = values.name || '';
+    const phone = normalizeImportPhone(values.phone);
+    const aadhaarNumber = values.aadhaar_number || null;
+
+    if (!name) errors.push('Name is required');
+    if (!phone) {
+      errors.push('Phone is required');
+    } else if (!PHONE_PATTERN.test(phone)) {
+      errors.push('Phone must be a 10-digit number');
+    } else if (seenPhones.has(phone)) {
+      errors.push(`Phone also appears on row ${seenPhones.get(phone)}`);
+    } else if (existingPhones.has(phone)) {
+      const match = existingPhones.get(phone);
+      errors.push(match.is_active ? 'Phone already exists' : 'Phone belongs to a deleted villager');
+    }
+    if (phone) seenPhones.set(phone, seenPhones.get(phone) || rowNumber);
+
+    if (aadhaarNumber) {
+      if (!AADHAAR_PATTERN.test(aadhaarNumber)) {
+        errors.push('Aadhaar number must be 12 digits');
+      } else if (seenAadhaars.has(aadhaarNumber)) {
+        errors.push(`Aadhaar number also appears on row ${seenAadhaars.get(aadhaarNumber)}`);
+      } else if (existingAadhaars.has(aadhaarNumber)) {
+        errors.push('Aadhaar number already exists');
+      }
+      seenAadhaars.set(aadhaarNumber, seenAadhaars.get(aadhaarNumber) || rowNumber);
+    }
+
+    let panchayatId = null;
+    if (!values.panchayat && !values.panchayat_id) {
+      panchayatId = scope.defaultPanchayatId;
+      if (!panchayatId) errors.push('Panchayat is required');
+    } else {
+      const key = values.panchayat_id ? `id:${values.panchayat_id}` : `name:${values.panchayat.toLowerCase()}`;
+      if (!panchayats.has(key)) {
+        panchayats.set(key, await locationService.resolvePanchayatId({ panchayat_id: values.panchayat_id, panchayat: values.panchayat }));
+      }
+      const panchayat = panchayats.get(key);
+      if (panchayat.error) errors.push(panchayat.error);
+      panchayatId = panchayat.id || null;
+    }
+    if (panchayatId && !scope.canWrite(panchayatId)) {
+      errors.push('Panchayat is outside your jurisdiction');
+    }
+
+    let villageId = null;
+    if ((values.village || values.village_id) && panchayatId) {
+      const key = `${panchayatId}:${values.village_id ? `id:${values.village_id}` : `name:${values.village.toLowerCase()}`}`;
+      if (!villages.has(key)) villages.set(key, await locationService.resolveVillage(values, panchayatId));
+      const village = villages.get(key);
+      if (village.error) errors.push(village.error);
+      villageId = village.villageId || null;
+    }
+
+    results.push({
+      row: rowNumber,
+      name,
+      phone,
+      panchayat: values.panchayat || values.panchayat_id || '',
+      village: values.village || values.village_id || '',
+      errors,
+      record: {
+        name,
+        phone,
+        address: values.address || null,
+        panchayat_id: panchayatId,
+        village_id: villageId,
+        aadhaar_number: aadhaarNumber,
+        occupation: values.occupation || null
+      }
+    });
+  }
+  return results;
+}
+
+// Upload the file as the request body (Content-Type text/csv or the XLSX type, or
+// ?format=csv|xlsx). Defaults to a dry run that only reports per-row errors; pass
+// dry_run=false to insert, and skip_invalid=true to import the valid rows of a file
+// that still has errors. All inserts share one transaction.
+app.post(
+  '/api/villagers/import',
+  requirePermission('manage_villagers'),
+  importUpload,
+  async (req, res) => {
+    try {
+      const format = detectImportFormat(req.query.format, req.headers['content-type'], VILLAGER_IMPORT_FORMATS);
+      if (!format) {
+        return res.status(400).json({ success: false, error: 'Upload a CSV or XLSX file (or pass ?format=csv|xlsx)' });
+      }
+      const dryRun = req.query.dry_run !== 'false';
+      const skipInvalid = req.query.skip_invalid === 'true';
+
+      const rows = await readImportRows(req.body, format, VILLAGER_IMPORT_COLUMNS, { maxRows: MAX_IMPORT_ROWS });
+      const results = await validateVillagerImport(rows, req.scope);
+      const valid = results.filter(entry => entry.errors.length === 0);
+      const invalidCount = results.length - valid.length;
+      const summary = { total: results.length, valid: valid.length, invalid: invalidCount, created: 0 };
+      const preview = results.map(({ record, ...entry }) => ({ ...entry, status: entry.errors.length > 0 ? 'error' : 'valid' }));
+
+      if (dryRun) {
+        return res.json({ success: true, dryRun: true, summary, rows: preview });
+      }
+      if (invalidCount > 0 && !skipInvalid) {
+        return res.status(422).json({
+          success: false,
+          error: `${invalidCount} row(s) have errors; fix them or import with skip_invalid=true`,
+          summary,
+          rows: preview
+        });
+      }
+      if (valid.length === 0) {
+        return res.status(400).json({ success: false, error: 'No valid rows to import', summary, rows: preview });
+      }
+
+      let currentRow = null;
+      let created;
+      try {
+        created = await withTransaction(async (conn) => {
+          const ids = new Map();
+          for (const entry of valid) {
+            currentRow = entry.row;
+            const { record } = entry;
+            const [result] = await conn.query(
+              `INSERT INTO villagers (name, phone, address, panchayat_id, village_id, aadhaar_number, occupation, registered_by)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+              [
+                record.name, record.phone, record.address, record.panchayat_id, record.village_id,
+                record.aadhaar_number, record.occupation, req.user.userId
+              ]
+            );
+            const [[row]] = await conn.query('SELECT * FROM villagers WHERE id = ?', [result.insertId]);
+            await auditLog.record(req, { action: 'create_villager', table: 'villagers', recordId: row.id, after: row }, conn);
+            ids.set(entry.row, row);
+          }
+
+          const panchayatIds = new Set(valid.map(entry => entry.record.panchayat_id));
+          for (const panchayatId of panchayatIds) {
+            await refreshPanchayatCounters(panchayatId, conn);
+          }
+          await auditLog.record(req, {
+            action: 'import_villagers',
+            table: 'villagers',
+            after: { format, created: ids.size, skipped: invalidCount }
+          }, conn);
+          return ids;
+        });
+      } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({
+            success: false,
+            error: `Row ${currentRow}: ${duplicateVillagerError(err)}. Nothing was imported.`,
+            summary,
+            rows: preview
+          });
+        }
+        throw err;
+      }
+
+      const byPanchayat = new Map();
+      for (const row of created.values()) {
+        byPanchayat.set(row.panchayat_id, (byPanchayat.get(row.panchayat_id) || 0) + 1);
+      }
+      for (const [panchayatId, count] of byPanchayat) {
+        realtime.publish('villagers_imported', { count, panchayatId }, { panchayatId });
+      }
+
+      summary.created = created.size;
+      console.log(`📥 Imported ${created.size} villagers (${invalidCount} skipped)`);
+      res.json({
+        success: true,
+        dryRun: false,
+        summary,
+        rows: preview.map(entry => {
+          const row = created.get(entry.row);
+          return row ? { ...entry, status: 'created', id: row.id } : { ...entry, status: 'skipped' };
+        })
+      });
+    } catch (err) {
+      if (err instanceof ImportFileError) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+      console.error('❌ Villager import error:', err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.get('/api/villagers/:aadhaar', requireStaffAuth, async (req, res) => {
+  try {
+    const row = await fetchVillagerRowByKey(req.params.aadhaar, db, req.scope);
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'Villager not found' });
+    }
+
+    res.json({ success: true, villager: formatVillagerForAdmin(row) });
+  } catch (err) {
+    console.error('❌ Error fetching villager:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.put('/api/villagers/:aadhaar', requirePermission('manage_villagers'), async (req, res) => {
+  try {
+    const row = await fetchVillagerRowByKey(req.params.aadhaar, db, req.scope);
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'Villager not found' });
+    }
+    if (denyOutsideScope(req, res, row.panchayat_id)) return;
+    const current = formatVillagerForAdmin(row);
+    const { name, phone, address, occupation } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ success: false, error: 'Name cannot be empty' });
+    }
+    if (phone !== undefined && checkPhone(phone)) {
+      return res.status(400).json({ success: false, error: checkPhone(phone) });
+    }
+
+    let panchayatId = current.panchayat_id;
+    let villageId = current.village_id;
+    if (!req.body.village_id && (req.body.panchayat_id !== undefined || (req.body.panchayat && req.body.panchayat !== current.panchayat))) {
+      const panchayat = await locationService.resolvePanchayatId(req.body);
+      if (panchayat.error) {
+        return res.status(400).json({ success: false, error: panchayat.error });
+      }
+      panchayatId = panchayat.id;
+    }
+
+    const picked = await locationService.resolveVillage(req.body, req.body.village_id ? req.body.panchayat_id : panchayatId);
+    if (picked && picked.error) {
+      return res.status(400).json({ success: false, error: picked.error });
+    }
+    if (picked) {
+      panchayatId = picked.panchayatId;
+      villageId = picked.villageId;
+    } else if (panchayatId !== current.panchayat_id || req.body.village_id === null || req.body.village === '') {
+      // A village from the old panchayat cannot stay
+      villageId = null;
+    }
+    if (panchayatId !== current.panchayat_id && denyOutsideScope(req, res, panchayatId)) return;
+
+    await db.query(
+      `UPDATE villagers SET name = ?, phone = ?, address = ?, panchayat_id = ?, village_id = ?, occupation = ? WHERE id = ?`,
+      [
+        name !== undefined ? String(name).trim() : current.name,
+        phone !== undefined ? phone : current.phone,
+        address !== undefined ? (address ? String(address).trim() : null) : (current.address || null),
+        panchayatId,
+        villageId,
+        occupation !== undefined ? (occupation || null) : (current.occupation || null),
+        current.id
+      ]
+    );
+
+    const updated = await fetchVillagerRowByKey(String(current.id));
+    await auditLog.record(req, {
+      action: 'update_villager',
+      table: 'villagers',
+      recordId: current.id,
+      before: row,
+      after: updated
+    });
+    realtime.publish('villager_updated', { villager: formatVillagerForAdmin(updated) }, {
+      panchayatId: updated.panchayat_id,
+      villagerId: updated.id
+    });
+    res.json({ success: true, message: 'Villager updated successfully', villager: formatVillagerForAdmin(updated) });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, error: duplicateVillagerError(err) });
+    }
+    console.error('❌ Error updating villager:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Soft delete: the row is kept for history, its sensors are released and its sessions revoked
+app.delete('/api/villagers/:aadhaar', requirePermission('manage_villagers'), async (req, res) => {
+  try {
+    const conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    try {
+      const row = await fetchVillagerRowByKey(req.params.aadhaar, conn, req.scope);
+      if (!row) {
+        await conn.rollback();
+        return res.status(404).json({ success: false, error: 'Villager not found' });
+      }
+      if (!req.scope.canWrite(row.panchayat_id)) {
+        await conn.rollback();
+        return denyOutsideScope(req, res, row.panchayat_id);
+      }
+
+      await conn.query(
+        `UPDATE villagers SET is_active = FALSE, deleted_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [row.id]
+      );
+      await sensorAssignments.releaseVillager(conn, {
+        villagerId: row.id,
+        reason: 'villager_deleted',
+        adminId: req.user.userId
+      });
+      const [unmapped] = await conn.query(
+        `UPDATE sensors SET villager_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE villager_id = ?`,
+        [row.id]
+      );
+      await conn.query(
+        `UPDATE villager_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE villager_id = ? AND revoked_at IS NULL`,
+        [row.id]
+      );
+
+      await auditLog.record(req, {
+        action: 'delete_villager',
+        table: 'villagers',
+        recordId: row.id,
+        before: row
+      }, conn);
+
+      await conn.commit();
+      realtime.publish('villager_deleted', { villagerId: row.id }, { panchayatId: row.panchayat_id });
+
+      res.json({
+        success: true,
+        message: 'Villager deleted successfully',
+        unmappedSensors: unmapped.affectedRows
+      });
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+  } catch (err) {
+    console.error('❌ Error deleting villager:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/villagers/:aadhaar/sensors', requireStaffAuth, async (req, res) => {
+  try {
+    const row = await fetchVillagerRowByKey(req.params.aadhaar, db, req.scope);
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'Villager not found' });
+    }
+    const villager = formatVillagerForAdmin(row);
+
+    const [sensorRows] = await db.query(`
+      SELECT s.id, s.name, s.type, s.location_description, s.district_id,
+             l.name as district_name
+      FROM sensors s
+      LEFT JOIN locations l ON l.id = s.district_id
+      WHERE s.villager_id = ?
+      ORDER BY s.installed_at DESC
+    `, [villager.id]);
+
+    const sensors = [];
+    const snapshots = await fetchSensorSnapshots(sensorRows);
+    for (const sensor of sensorRows) {
+      const snapshot = snapshots.get(sensor.id);
+      sensors.push({
+        devEUI: sensor.id,
+        name: sensor.name || sensor.id,
+        type: sensor.type,
+        location: sensor.location_description || sensor.district_name || 'Unknown',
+        measurement: snapshot.measurement,
+        time: snapshot.time,
+        status: snapshot.status
+      });
+    }
+
+    res.json({
+      success: true,
+      villager: {
+        id: villager.id,
+        name: villager.name,
+        aadhaar: villager.aadhaar_number || '',
+        phone: villager.phone,
+        village: villager.village
+      },
+      sensors,
+      count: sensors.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching villager sensors:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ==================== SENSOR MANAGEMENT ====================
+
+const SENSOR_SORTS = {
+  installed_at: 's.installed_at',
+  devEUI: 's.id',
+  name: 'COALESCE(s.name, s.id)',
+  type: 's.type',
+  status: 's.status',
+  village: 'vl.name'
+};
+
+
+// Query: q (devEUI, name, location or owner), type, status, district_id, panchayat_id,
+// village_id, assigned (mapped to a villager), sort, order, limit, offset. Latest
+// readings are only looked up for the page being returned.
+app.get('/api/sensors', requireStaffAuth, async (req, res) => {
+  try {
+    const paging = parseListQuery(req.query, SENSOR_SORTS, 'installed_at');
+    if (paging.error) {
+      return res.status(400).json({ success: false, error: paging.error });
+    }
+
+    const [inScope, scopeParams] = req.scope.filter('s.panchayat_id');
+    const conditions = [`s.status <> 'deleted'`, inScope];
+    const params = [...scopeParams];
+
+    const idError = addIdFilters(req.query, {
+      district_id: 's.district_id',
+      panchayat_id: 's.panchayat_id',
+      village_id: 's.village_id'
+    }, conditions, params);
+    if (idError) {
+      return res.status(400).json({ success: false, error: idError });
+    }
+
+    if (req.query.status) {
+      if (checkSensorStatus(req.query.status)) {
+        return res.status(400).json({ success: false, error: checkSensorStatus(req.query.status) });
+      }
+      conditions.push('s.status = ?');
+      params.push(req.query.status);
+    }
+    if (req.query.type) {
+      // Older rows may store an alias rather than the type's key
+      const sensorType = sensorTypes.resolve(req.query.type);
+      conditions.push('s.type IN (?)');
+      params.push(sensorType ? [sensorType.key, ...sensorType.aliases] : [String(req.query.type)]);
+    }
+
+    const assigned = parseAssignedFilter(req.query.assigned);
+    if (assigned === null) {
+      return res.status(400).json({ success: false, error: 'assigned must be true or false' });
+    }
+    if (assigned !== undefined) {
+      conditions.push(assigned ? 's.villager_id IS NOT NULL' : 's.villager_id IS NULL');
+    }
+
+    const q = String(req.query.q || '').trim();
+    if (q) {
+      const like = `%${q}%`;
+      conditions.push('(s.id LIKE ? OR s.name LIKE ? OR s.location_description LIKE ? OR v.name LIKE ? OR v.phone LIKE ?)');
+      params.push(like, like, like, like, like);
+    }
+
+    const from = `
+      FROM sensors s
+      LEFT JOIN locations l ON l.id = s.district_id
+      LEFT JOIN locations vl ON vl.id = s.village_id
+      LEFT JOIN villagers v ON v.id = s.villager_id
+      WHERE ${conditions.join(' AND ')}
+    `;
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total ${from}`, params);
+    const [sensorRows] = await db.query(`
+      SELECT s.id, s.name, s.type, s.status, s.location_description, 
+             s.villager_id, s.installed_at, s.updated_at, s.district_id,
+             l.name as district_name, s.village_id, vl.name AS village_name
+      ${from}
+      ORDER BY ${paging.orderBy}, s.id ${paging.order.toUpperCase()}
+      LIMIT ? OFFSET ?
+    `, [...params, paging.limit, paging.offset]);
+
+    const sensors = [];
+
+    const snapshots = await fetchSensorSnapshots(sensorRows);
+
+    for (const sensor of sensorRows) {
+      const snapshot = snapshots.get(sensor.id);
+      
+      let location = sensor.village_name || sensor.location_description || sensor.district_name || 'Unknown';
+      
+      sensors.push({
+        devEUI: sensor.id,
+        name: sensor.name || sensor.id,
+        type: sensor.type,
+        village: location,
+        village_id: sensor.village_id,
+        district: sensor.district_name,
+        measurement: snapshot.measurement,
+        time: snapshot.time,
+        status: snapshot.status,
+        deviceStatus: sensor.status,
+        isAssigned: sensor.villager_id !== null
+      });
+    }
+
+    res.json({
+      success: true,
+      sensors,
+      count: sensors.length,
+      total,
+      limit: paging.limit,
+      offset: paging.offset,
+      sort: paging.sort,
+      order: paging.order,
+      snapshotCache: snapshotService.getStatus()
+    });
+  } catch (err) {
+    console.error('❌ Error fetching sensors:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/sensors/:devEUI', requireStaffAuth, async (req, res) => {
+  try {
+    const { devEUI } = req.params;
+
+    const [rows] = await db.query(`
+      SELECT s.id, s.name, s.type, s.status, s.location_description, 
+             s.villager_id, s.district_id, l.name as district_name,
+             s.panchayat_id, p.name AS panchayat_name, s.village_id, vl.name AS village_name,
+             v.name AS owner_name, v.phone AS owner_phone,
+             s.min_normal, s.max_normal, s.min_warning, s.max_warning, s.min_danger, s.max_danger
+      FROM sensors s
+      LEFT JOIN locations l ON l.id = s.district_id
+      LEFT JOIN locations p ON p.id = s.panchayat_id
+      LEFT JOIN locations vl ON vl.id = s.village_id
+      LEFT JOIN villagers v ON v.id = s.villager_id
+      WHERE s.id = ? AND s.status <> 'deleted'
+    `, [devEUI]);
+
+    if (rows.length === 0 || !req.scope.canRead(rows[0].panchayat_id)) {
+      return res.status(404).json({ success: false, error: 'Sensor not found' });
+    }
+
+    const sensor = rows[0];
+    const [snapshot, assignments] = await Promise.all([
+      fetchLatestSensorSnapshot(sensor.id, sensor.type, sensor.district_id),
+      sensorAssignments.history(sensor.id)
+    ]);
+    const currentAssignment = assignments.find(entry => entry.current && entry.villagerId === sensor.villager_id);
+
+    res.json({ 
+      success: true, 
+      sensor: {
+        id: sensor.id,
+        devEUI: sensor.id,
+        name: sensor.name,
+        type: sensor.type,
+        typeInfo: sensorTypes.resolve(sensor.type),
+        location: sensor.location_description,
+        district: sensor.district_name,
+        district_id: sensor.district_id,
+        panchayat: sensor.panchayat_name || '',
+        panchayat_id: sensor.panchayat_id,
+        village: sensor.village_name || '',
+        village_id: sensor.village_id,
+        measurement: snapshot.measurement,
+        time: snapshot.time,
+        status: snapshot.status,
+        isAssigned: sensor.villager_id !== null,
+        owner: sensor.villager_id === null ? null : {
+          villagerId: sensor.villager_id,
+          name: sensor.owner_name,
+          phone: sensor.owner_phone,
+          since: currentAssignment ? currentAssignment.assignedAt : null
+        },
+        pastOwners: assignments.filter(entry => !entry.current),
+        thresholds: Object.fromEntries(THRESHOLD_COLUMNS.map(column => [column, sensor[column]]))
+      }
+    });
+  } catch (err) {
+    console.error('❌ Error fetching sensor:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// The registered type a submitted type names (any spelling or alias) or, when none is
+// given, the one guessed from the device name. Returns { type, inferred } or { error }.
+function resolveSensorType(submitted, name) {
+  if (submitted) {
+    const type = sensorTypes.resolve(submitted);
+    return type ? { type, inferred: false } : { error: `Unknown sensor type "${submitted}"` };
+  }
+  const guess = sensorTypes.guessFromName(name);
+  return guess ? { type: guess, inferred: true } : { error: 'Sensor type could not be guessed from the name; choose one' };
+}
+
+app.post('/api/sensors', requirePermission('manage_sensors'), async (req, res) => {
+  const { devEUI, type, location_description } = req.body;
+  const name = req.body.name || req.body.deviceName;
+
+  if (!devEUI) {
+    return res.status(400).json({ success: false, error: 'devEUI is required' });
+  }
+
+  const sensorType = resolveSensorType(type, name || devEUI);
+  if (sensorType.error) {
+    return res.status(400).json({ success: false, error: sensorType.error });
+  }
+
+  try {
+    const placement = req.body.village_id || req.body.panchayat_id
+      ? req.body
+      : { ...req.body, panchayat_id: req.scope.defaultPanchayatId };
+    const location = await locationService.resolveSensorLocation(placement);
+    if (location.error) {
+      return res.status(400).json({ success: false, error: location.error });
+    }
+    if (denyOutsideScope(req, res, location.panchayatId)) return;
+
+    // New sensors start from their type's default thresholds
+    const thresholds = sensorTypes.defaultThresholds(sensorType.type.key);
+    await db.query(
+      `INSERT INTO sensors (id, name, type, location_description, village_id, panchayat_id, district_id, status,
+                            ${THRESHOLD_COLUMNS.join(', ')})
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'active', ${THRESHOLD_COLUMNS.map(() => '?').join(', ')})`,
+      [
+        devEUI, name || devEUI, sensorType.type.key, location_description || null,
+        location.villageId, location.panchayatId, location.districtId,
+        ...THRESHOLD_COLUMNS.map(column => thresholds[column])
+      ]
+    );
+
+    const [[created]] = await db.query('SELECT * FROM sensors WHERE id = ?', [devEUI]);
+    await auditLog.record(req, { action: 'create_sensor', table: 'sensors', recordId: devEUI, after: created });
+    realtime.publish('sensor_added', { sensor: created }, sensorScope(created));
+
+    res.json({ success: true, message: 'Sensor registered successfully' });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, error: 'Sensor already exists' });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Fields left out of the body keep their current value
+app.put('/api/sensors/:devEUI', requirePermission('manage_sensors'), async (req, res) => {
+  const { devEUI } = req.params;
+  const { type, location_description, status } = req.body;
+  const name = req.body.name !== undefined ? req.body.name : req.body.deviceName;
+
+  // 'deleted' is only set by DELETE, which also releases the owner and the counters
+  if (status !== undefined && checkSensorStatus(status)) {
+    return res.status(400).json({ success: false, error: checkSensorStatus(status) });
+  }
+
+  try {
+    const [[before]] = await db.query(`SELECT * FROM sensors WHERE id = ? AND status <> 'deleted'`, [devEUI]);
+    if (!before || !req.scope.canRead(before.panchayat_id)) {
+      return res.status(404).json({ success: false, error: 'Sensor not found' });
+    }
+    if (denyOutsideScope(req, res, before.panchayat_id)) return;
+
+    // Another spelling of the current type keeps the stored text, which names the
+    // sensor's InfluxDB measurement
+    let storedType = before.type;
+    if (type) {
+      const resolved = sensorTypes.resolve(type);
+      if (!resolved) {
+        return res.status(400).json({ success: false, error: `Unknown sensor type "${type}"` });
+      }
+      if (resolved !== sensorTypes.resolve(before.type)) storedType = resolved.key;
+    }
+
+    let location = { villageId: before.village_id, panchayatId: before.panchayat_id, districtId: before.district_id };
+    if (req.body.village_id !== undefined || req.body.panchayat_id !== undefined || req.body.district_id !== undefined) {
+      location = await locationService.resolveSensorLocation(req.body);
+      if (location.error) {
+        return res.status(400).json({ success: false, error: location.error });
+      }
+      if (denyOutsideScope(req, res, location.panchayatId)) return;
+    }
+
+    await db.query(
+      `UPDATE sensors SET name = ?, type = ?, location_description = ?, status = ?,
+         village_id = ?, panchayat_id = ?, district_id = ?
+       WHERE id = ?`,
+      [
+        name !== undefined ? (name || before.id) : before.name,
+        storedType,
+        location_description !== undefined ? (location_description || null) : before.location_description,
+        status || before.status,
+        location.villageId,
+        location.panchayatId,
+        location.districtId,
+        devEUI
+      ]
+    );
+    if (location.panchayatId !== before.panchayat_id) {
+      await refreshPanchayatCounters(before.panchayat_id);
+      await refreshPanchayatCounters(location.panchayatId);
+    }
+
+    const [[after]] = await db.query('SELECT * FROM sensors WHERE id = ?', [devEUI]);
+    await auditLog.record(req, { action: 'update_sensor', table: 'sensors', recordId: devEUI, before, after });
+    realtime.publish('sensor_updated', { sensorId: devEUI, sensor: after }, sensorScope(after));
+
+    res.json({ success: true, message: 'Sensor updated successfully' });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.put('/api/sensors/:devEUI/thresholds', requirePermission('manage_sensors'), async (req, res) => {
+  const { devEUI } = req.params;
+  const values = [];
+
+  for (const column of THRESHOLD_COLUMNS) {
+    const raw = req.body[column];
+    if (raw === undefined || raw === null || raw === '') {
+      values.push(null);
+      continue;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value)) {
+      return res.status(400).json({ success: false, error: `${column} must be a number` });
+    }
+    values.push(value);
+  }
+
+  try {
+    const [[before]] = await db.query(
+      `SELECT type, panchayat_id, villager_id, ${THRESHOLD_COLUMNS.join(', ')} FROM sensors WHERE id = ? AND status <> 'deleted'`,
+      [devEUI]
+    );
+    if (!before || !req.scope.canRead(before.panchayat_id)) {
+      return res.status(404).json({ success: false, error: 'Sensor not found' });
+    }
+    if (denyOutsideScope(req, res, before.panchayat_id)) return;
+
+    // Bands must be ordered and lie within what the sensor type can measure
+    sensorTypes.checkThresholds(before.type, Object.fromEntries(THRESHOLD_COLUMNS.map((column, index) => [column, values[index]])));
+
+    await db.query(
+      `UPDATE sensors SET ${THRESHOLD_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...values, devEUI]
+    );
+
+    await auditLog.record(req, {
+      action: 'update_sensor_thresholds',
+      table: 'sensors',
+      recordId: devEUI,
+      before: Object.fromEntries(THRESHOLD_COLUMNS.map(column => [column, before[column]])),
+      after: Object.fromEntries(THRESHOLD_COLUMNS.map((column, index) => [column, values[index]]))
+    });
+    realtime.publish('sensor_updated', {
+      sensorId: devEUI,
+      thresholds: Object.fromEntries(THRESHOLD_COLUMNS.map((column, index) => [column, values[index]]))
+    }, sensorScope(before));
+
+    res.json({ success: true, message: 'Sensor thresholds updated successfully' });
+  } catch (err) {
+    if (err instanceof SensorTypeError) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Soft delete shared with /api/admin/sensors so history and alerts keep their sensor row
+app.delete('/api/sensors/:devEUI', requirePermission('manage_sensors'), AdminController.deleteSensor);
+
+// ==================== SENSOR TYPES ====================
+// Registry of units, display precision, icons, valid ranges and default thresholds.
+// Body fields: key (create only), label, aliases, unit, precision, icon, validMin,
+// validMax and thresholds { min_normal, max_normal, ... }.
+
+function sendSensorTypeError(res, err, context) {
+  if (err instanceof SensorTypeError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${context}:`, err);
+  res.status(500).json({ success: false, error: err.message });
+}
+
+app.get('/api/sensor-types', requireStaffAuth, (req, res) => {
+  const types = sensorTypes.list();
+  res.json({ success: true, types, count: types.length });
+});
+
+// Accepts the key or any alias
+app.get('/api/sensor-types/:key', requireStaffAuth, (req, res) => {
+  const type = sensorTypes.resolve(req.params.key);
+  if (!type) {
+    return res.status(404).json({ success: false, error: 'Sensor type not found' });
+  }
+  res.json({ success: true, type });
+});
+
+app.post('/api/sensor-types', requireRole('admin'), async (req, res) => {
+  try {
+    const type = await sensorTypes.create(req.body || {});
+    await auditLog.record(req, { action: 'create_sensor_type', table: 'sensor_types', recordId: type.key, after: type });
+    realtime.publish('sensor_types_updated', { action: 'created', type });
+    res.status(201).json({ success: true, message: 'Sensor type created successfully', type });
+  } catch (err) {
+    sendSensorTypeError(res, err, 'Error creating sensor type');
+  }
+});
+
+// Fields left out keep their current value; changes apply to the next reading
+app.put('/api/sensor-types/:key', requireRole('admin'), async (req, res) => {
+  try {
+    const { before, after } = await sensorTypes.update(req.params.key, req.body || {});
+    await auditLog.record(req, { action: 'update_sensor_type', table: 'sensor_types', recordId: after.key, before, after });
+    realtime.publish('sensor_types_updated', { action: 'updated', type: after });
+    res.json({ success: true, message: 'Sensor type updated successfully', type: after });
+  } catch (err) {
+    sendSensorTypeError(res, err, 'Error updating sensor type');
+  }
+});
+
+app.delete('/api/sensor-types/:key', requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await sensorTypes.remove(req.params.key);
+    await auditLog.record(req, { action: 'delete_sensor_type', table: 'sensor_types', recordId: removed.key, before: removed });
+    realtime.publish('sensor_types_updated', { action: 'deleted', type: removed });
+    res.json({ success: true, message: 'Sensor type deleted successfully' });
+  } catch (err) {
+    sendSensorTypeError(res, err, 'Error deleting sensor type');
+  }
+});
+
+// ==================== SNAPSHOT CACHE ====================
+
+app.get('/api/snapshots/status', requireStaffAuth, (req, res) => {
+  res.json({ success: true, snapshotCache: snapshotService.getStatus() });
+});
+
+// Forces a refresh now instead of waiting for the next scheduled one
+app.post('/api/snapshots/refresh', requirePermission('manage_sensors'), async (req, res) => {
+  try {
+    await snapshotService.refresh();
+    res.json({ success: true, message: 'Sensor snapshots refreshed', snapshotCache: snapshotService.getStatus() });
+  } catch (err) {
+    console.error('❌ Error refreshing sensor snapshots:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ==================== SENSOR HISTORY ENDPOINT ====================
+
+const HISTORY_AGGREGATES = ['mean', 'min', 'max', 'last', 'count'];
+const HISTORY_DEFAULT_POINTS = 300;
+const HISTORY_MAX_POINTS = parseInt(process.env.HISTORY_MAX_POINTS) || 1000;
+const HISTORY_MAX_RANGE_DAYS = parseInt(process.env.HISTORY_MAX_RANGE_DAYS) || 90;
+
+// Accepts a relative duration ("-24h", "24h") or an absolute timestamp; returns a Date or null
+function parseHistoryTime(value, now) {
+  const text = String(value).trim();
+  const relative = parseDurationSeconds(text.replace(/^-/, ''));
+  if (relative !== null) return new Date(now.getTime() - relative * 1000);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(text)) return null;
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// Validates start/stop (legacy `range` is an alias for start) against the maximum range
+function parseHistoryRange(query) {
+  const now = new Date();
+  const start = parseHistoryTime(query.start || query.range || '-24h', now);
+  if (!start) return { error: 'start must be a duration like -24h or an ISO timestamp' };
+
+  const stop = query.stop ? parseHistoryTime(query.stop, now) : now;
+  if (!stop) return { error: 'stop must be a duration like -1h or an ISO timestamp' };
+  if (start >= stop) return { error: 'start must be before stop' };
+
+  const rangeSeconds = Math.ceil((stop - start) / 1000);
+  if (rangeSeconds > HISTORY_MAX_RANGE_DAYS * 86400) {
+    return { error: `Range cannot exceed ${HISTORY_MAX_RANGE_DAYS} days` };
+  }
+
+  return { start, stop, rangeSeconds };
+}
+
+// Validates start/stop/every/fn/points; the window is widened when it would exceed the point limit
+function parseHistoryOptions(query) {
+  const range = parseHistoryRange(query);
+  if (range.error) return range;
+  const { start, stop, rangeSeconds } = range;
+
+  const fn = query.fn || 'mean';
+  if (!HISTORY_AGGREGATES.includes(fn)) {
+    return { error: `fn must be one of: ${HISTORY_AGGREGATES.join(', ')}` };
+  }
+
+  const points = query.points === undefined ? HISTORY_DEFAULT_POINTS : parseInt(query.points);
+  if (!Number.isInteger(points) || points < 1 || points > HISTORY_MAX_POINTS) {
+    return { error: `points must be between 1 and ${HISTORY_MAX_POINTS}` };
+  }
+
+  let everySeconds;
+  if (query.every) {
+    everySeconds = parseDurationSeconds(query.every);
+    if (everySeconds === null) return { error: 'every must be a duration like 30s, 5m or 1h' };
+  } else {
+    everySeconds = Math.ceil(rangeSeconds / points);
+  }
+
+  // Never return more than the hard limit, whatever window was asked for
+  everySeconds = Math.max(everySeconds, Math.ceil(rangeSeconds / HISTORY_MAX_POINTS), 1);
+
+  return { start, stop, fn, points, everySeconds };
+}
+
+// Staff see the sensors of their panchayats; the mobile app only its villager's own sensors
+app.get('/api/sensors/:devEUI/history', requireStaffOrVillagerAuth, async (req, res) => {
+  try {
+    const { devEUI } = req.params;
+    const options = parseHistoryOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+    const { start, stop, fn, everySeconds } = options;
+
+    console.log(`📊 Fetching history for sensor ${devEUI}, ${start.toISOString()} → ${stop.toISOString()}, ${fn} every ${everySeconds}s`);
+
+    const [sensorInfo] = await db.query(`
+      SELECT s.type, s.district_id, s.panchayat_id, s.villager_id, l.name as district_name 
+      FROM sensors s
+      LEFT JOIN locations l ON l.id = s.district_id
+      WHERE s.id = ?
+    `, [devEUI]);
+    
+    const visible = sensorInfo.length > 0 && (req.villager
+      ? sensorInfo[0].villager_id === req.villager.id
+      : req.scope.canRead(sensorInfo[0].panchayat_id));
+    if (!visible) {
+      return res.status(404).json({ success: false, error: 'Sensor not found' });
+    }
+    
+    const sensorType = sensorInfo[0].type;
+    const districtName = sensorInfo[0].district_name;
+    
+    if (!districtName) {
+      return res.json({ success: true, history: [], count: 0, message: 'District not found for sensor' });
+    }
+    
+    const measurementName = `${districtName}_${sensorType}`;
+    console.log(`📊 Querying history: measurement=${measurementName}, sensor_id=${devEUI}`);
+
+    const fluxQuery = FluxQuery.from(INFLUX_CONFIG.bucket)
+      .range({ start, stop })
+      .whereEquals('_measurement', measurementName)
+      .whereEquals('sensor_id', devEUI)
+      .aggregateWindow({ everySeconds, fn })
+      .sort(['_time'])
+      .limit(HISTORY_MAX_POINTS);
+
+    const rows = await queryInfluxDB(fluxQuery);
+    
+    console.log(`📊 Found ${rows.length} aggregated records for sensor ${devEUI}`);
+
+    const window = {
+      start: start.toISOString(),
+      stop: stop.toISOString(),
+      every: `${everySeconds}s`,
+      fn
+    };
+    
+    if (rows.length === 0) {
+      return res.json({ success: true, history: [], count: 0, ...window, message: 'No data found for this sensor' });
+    }
+
+    const history = [];
+    
+    for (const row of rows) {
+      let value = null;
+      let timestamp = row._time;
+      
+      // Read the _value field
+      if (row._value !== undefined && row._value !== null) {
+        value = typeof row._value === 'number' ? row._value : parseFloat(row._value);
+      } else if (row.value !== undefined) {
+        value = typeof row.value === 'number' ? row.value : parseFloat(row.value);
+      }
+      
+      if (value !== null && !isNaN(value) && isFinite(value)) {
+        history.push({
+          time: timestamp,
+          value: value,
+          field: sensorType
+        });
+      }
+    }
+
+    console.log(`✅ Returning ${history.length} valid numeric data points`);
+
+    res.json({
+      success: true,
+      history: history,
+      count: history.length,
+      ...window,
+      sensorType: sensorType,
+      unit: fn === 'count' ? 'readings' : sensorTypes.unitFor(sensorType),
+      measurementName: measurementName
+    });
+
+  } catch (err) {
+    console.error('❌ Error fetching sensor history:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// ==================== SENSOR EXPORT ====================
+
+// Export keeps the raw readings unless an `every` window is given
+function parseExportOptions(query) {
+  const format = query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+
+  const range = parseHistoryRange(query);
+  if (range.error) return range;
+
+  if (!query.every) {
+    return { format, start: range.start, stop: range.stop, everySeconds: null, fn: null };
+  }
+
+  const everySeconds = parseDurationSeconds(query.every);
+  if (everySeconds === null) return { error: 'every must be a duration like 30s, 5m or 1h' };
+  const fn = query.fn || 'mean';
+  if (!HISTORY_AGGREGATES.includes(fn)) {
+    return { error: `fn must be one of: ${HISTORY_AGGREGATES.join(', ')}` };
+  }
+  return { format, start: range.start, stop: range.stop, everySeconds, fn };
+}
+
+// sensors: rows with id, name, type, district_name. One Flux query per measurement.
+async function streamSensorExport(res, sensors, options, filename) {
+  const sensorsById = new Map(sensors.map(sensor => [String(sensor.id), sensor]));
+  const byMeasurement = new Map();
+  for (const sensor of sensors) {
+    if (!sensor.district_name) continue;
+    const measurementName = `${sensor.district_name}_${sensor.type}`;
+    if (!byMeasurement.has(measurementName)) byMeasurement.set(measurementName, []);
+    byMeasurement.get(measurementName).push(String(sensor.id));
+  }
+
+  const writer = createExportWriter(res, options.format, filename);
+  let rowCount = 0;
+
+  try {
+    for (const [measurementName, sensorIds] of byMeasurement) {
+      const query = FluxQuery.from(INFLUX_CONFIG.bucket)
+        .range({ start: options.start, stop: options.stop })
+        .whereEquals('_measurement', measurementName)
+        .whereIn('sensor_id', sensorIds);
+      if (options.everySeconds) {
+        query.aggregateWindow({ everySeconds: options.everySeconds, fn: options.fn });
+      }
+
+      rowCount += await streamFluxRows(queryApi, query, row => {
+        const sensor = sensorsById.get(String(row.sensor_id)) || {};
+        return writer.writeRow({
+          time: row._time,
+          sensor_id: row.sensor_id,
+          sensor_name: sensor.name || row.sensor_id,
+          district: sensor.district_name,
+          type: sensor.type,
+          value: row._value,
+          unit: options.fn === 'count' ? 'readings' : sensorTypes.unitFor(sensor.type)
+        });
+      });
+    }
+
+    await writer.end();
+    console.log(`📤 Exported ${rowCount} rows as ${options.format} (${filename})`);
+  } catch (err) {
+    // Headers are already out, so the only way to signal failure is to cut the download
+    console.error('❌ Export stream failed:', err.message);
+    res.destroy(err);
+  }
+}
+
+function exportTimestamp(date) {
+  return date.toISOString().slice(0, 16).replace(/[-:T]/g, '');
+}
+
+app.get('/api/sensors/:devEUI/history/export', requirePermission('view_reports'), async (req, res) => {
+  try {
+    const options = parseExportOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+
+    const [[sensor]] = await db.query(`
+      SELECT s.id, s.name, s.type, s.panchayat_id, l.name AS district_name
+      FROM sensors s
+      LEFT JOIN locations l ON l.id = s.district_id
+      WHERE s.id = ? AND s.status <> 'deleted'
+    `, [req.params.devEUI]);
+
+    if (!sensor || !req.scope.canRead(sensor.panchayat_id)) {
+      return res.status(404).json({ success: false, error: 'Sensor not found' });
+    }
+    if (!sensor.district_name) {
+      return res.status(400).json({ success: false, error: 'District not found for sensor' });
+    }
+
+    const filename = `${sensor.id}_${exportTimestamp(options.start)}-${exportTimestamp(options.stop)}`.replace(/[^\w.-]/g, '_');
+    await streamSensorExport(res, [sensor], options, filename);
+  } catch (err) {
+    console.error('❌ Error exporting sensor history:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Multi-sensor export: ?district=<id or name>&type=<sensor type>&start=&stop=&format=
+app.get('/api/history/export', requirePermission('view_reports'), async (req, res) => {
+  try {
+    const options = parseExportOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+
+    const [inScope, scopeParams] = req.scope.filter('s.panchayat_id');
+    const conditions = [`s.status <> 'deleted'`, inScope];
+    const params = [...scopeParams];
+    const { district, type } = req.query;
+    if (district) {
+      conditions.push(/^\d+$/.test(district) ? 's.district_id = ?' : 'LOWER(l.name) = LOWER(?)');
+      params.push(district);
+    }
+    if (type) {
+      // Older rows may store an alias rather than the type's key
+      const sensorType = sensorTypes.resolve(type);
+      conditions.push('s.type IN (?)');
+      params.push(sensorType ? [sensorType.key, ...sensorType.aliases] : [String(type)]);
+    }
+
+    const [sensors] = await db.query(`
+      SELECT s.id, s.name, s.type, l.name AS district_name
+      FROM sensors s
+      LEFT JOIN locations l ON l.id = s.district_id
+      WHERE ${conditions.join(' AND ')}
+    `, params);
+
+    if (sensors.length === 0) {
+      return res.status(404).json({ success: false, error: 'No sensors match the filters' });
+    }
+
+    const label = [district, type].filter(Boolean).join('_') || 'all';
+    const filename = `sensors_${label}_${exportTimestamp(options.start)}-${exportTimestamp(options.stop)}`.replace(/[^\w.-]/g, '_');
+    await streamSensorExport(res, sensors, options, filename);
+  } catch (err) {
+    console.error('❌ Error exporting sensors:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ==================== PANCHAYAT REPORTS ====================
+
+const reportService = new PanchayatReportService({
+  db,
+  queryApi,
+  bucket: INFLUX_CONFIG.bucket,
+  unitForType: type => sensorTypes.unitFor(type)
+});
+
+const reportScheduler = new ReportScheduler({
+  db,
+  reportService,
+  reportsDir: process.env.REPORTS_DIR || path.join(__dirname, 'reports'),
+  intervalMs: parseInt(process.env.REPORT_SCHEDULER_INTERVAL) || 60000
+});
+
+reportScheduler.on('generated', ({ report }) => {
+  realtime.publish('report_generated', report, { panchayatId: report.panchayatId });
+});
+
+// panchayat_id may be empty or "all" for a report across every panchayat
+function parseReportPanchayat(value) {
+  if (value === undefined || value === null || value === '' || value === 'all') return { panchayatId: null };
+  const panchayatId = parseInt(value);
+  if (!Number.isInteger(panchayatId)) return { error: 'panchayat_id must be a number or "all"' };
+  return { panchayatId };
+}
+
+// { period, date, panchayatId, format }; date is any day inside the wanted period
+function parseReportOptions(input, formats) {
+  const period = input.period || 'weekly';
+  if (!REPORT_PERIODS.includes(period)) {
+    return { error: `period must be one of: ${REPORT_PERIODS.join(', ')}` };
+  }
+
+  const format = input.format || 'pdf';
+  if (!formats.includes(format)) {
+    return { error: `format must be one of: ${formats.join(', ')}` };
+  }
+
+  let date = new Date();
+  if (input.date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(input.date);
+    date = match ? new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])) : new Date(input.date);
+    if (Number.isNaN(date.getTime())) return { error: 'date must be YYYY-MM-DD' };
+  }
+
+  const scope = parseReportPanchayat(input.panchayat_id);
+  if (scope.error) return scope;
+
+  return { period, date, format, panchayatId: scope.panchayatId };
+}
+
+// Restricted accounts report on one of their own panchayats; the all-panchayats
+// report is left to unrestricted ones. With `write` (setting up a schedule) the
+// panchayat must be one the account may change. Returns { panchayatId } or { status, error }.
+function scopeReportPanchayat(req, panchayatId, { write = false } = {}) {
+  if (!req.scope.restricted) return { panchayatId };
+  if (panchayatId === null) {
+    const own = [...(write ? req.scope.writable : req.scope.readable)];
+    if (own.length === 1) return { panchayatId: own[0] };
+    if (write && req.scope.readOnly) return { status: 403, error: req.scope.denialMessage() };
+    return { status: 400, error: 'Choose one of your panchayats for the report' };
+  }
+  if (!req.scope.canRead(panchayatId)) return { status: 404, error: 'Panchayat not found' };
+  if (write && !req.scope.canWrite(panchayatId)) return { status: 403, error: req.scope.denialMessage() };
+  return { panchayatId };
+}
+
+function sendReportError(res, err, context) {
+  if (err instanceof ReportError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${context}:`, err);
+  res.status(500).json({ success: false, error: err.message });
+}
+
+app.get('/api/reports/panchayats', requirePermission('view_reports'), async (req, res) => {
+  try {
+    const [inScope, scopeParams] = req.scope.filter('p.id');
+    const [rows] = await db.query(`
+      SELECT p.id, p.name, parent.name AS parent_name
+      FROM locations p
+      LEFT JOIN locations parent ON parent.id = p.parent_id
+      WHERE p.type = 'panchayat' AND ${inScope}
+      ORDER BY p.name
+    `, scopeParams);
+    res.json({ success: true, panchayats: rows.map(row => ({ id: row.id, name: row.name, parent: row.parent_name || '' })) });
+  } catch (err) {
+    console.error('❌ Error loading report panchayats:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Builds a report on the fly and sends it as a download (or inline JSON)
+app.get('/api/reports/render', requirePermission('view_reports'), async (req, res) => {
+  try {
+    const options = parseReportOptions(req.query, REPORT_FORMATS);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+    const scoped = scopeReportPanchayat(req, options.panchayatId);
+    if (scoped.error) {
+      return res.status(scoped.status).json({ success: false, error: scoped.error });
+    }
+    options.panchayatId = scoped.panchayatId;
+
+    const report = await reportService.build(options);
+    if (options.format === 'json') {
+      return res.json({ success: true, report });
+    }
+
+    const { body, contentType } = await renderReport(report, options.format);
+    const scope = report.panchayat ? report.panchayat.name : 'all';
+    const filename = `${options.period}-report_${scope}_${report.start.slice(0, 10)}`.replace(/[^\w.-]/g, '_');
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${options.format}"`);
+    res.send(body);
+  } catch (err) {
+    sendReportError(res, err, 'Error rendering report');
+  }
+});
+
+app.get('/api/reports', requirePermission('view_reports'), async (req, res) => {
+  try {
+    const scope = parseReportPanchayat(req.query.panchayat_id);
+    if (scope.error) {
+      return res.status(400).json({ success: false, error: scope.error });
+    }
+    const result = await reportScheduler.listReports({
+      panchayatId: scope.panchayatId,
+      scope: req.scope,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('❌ Error listing reports:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Generates a report now and keeps it in the archive next to the scheduled ones
+app.post('/api/reports', requirePermission('view_reports'), async (req, res) => {
+  try {
+    const options = parseReportOptions(req.body || {}, SCHEDULE_FORMATS);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+    const scoped = scopeReportPanchayat(req, options.panchayatId);
+    if (scoped.error) {
+      return res.status(scoped.status).json({ success: false, error: scoped.error });
+    }
+    options.panchayatId = scoped.panchayatId;
+
+    const report = await reportScheduler.generate({ ...options, generatedBy: req.user.userId });
+    await auditLog.record(req, {
+      action: 'generate_report',
+      table: 'generated_reports',
+      recordId: report.id,
+      after: { period: report.period, format: report.format, panchayat_id: report.panchayatId, file_name: report.fileName }
+    });
+
+    realtime.publish('report_generated', report, { panchayatId: report.panchayatId });
+    res.status(201).json({ success: true, report });
+  } catch (err) {
+    sendReportError(res, err, 'Error generating report');
+  }
+});
+
+app.get('/api/reports/:id/download', requirePermission('view_reports'), async (req, res) => {
+  try {
+    const report = await reportScheduler.findReport(req.params.id);
+    if (!report || !req.scope.canRead(report.panchayatId)) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    res.download(reportScheduler.filePath(report), report.fileName, err => {
+      if (err && !res.headersSent) {
+        console.error('❌ Report file missing:', report.fileName);
+        res.status(404).json({ success: false, error: 'Report file is no longer available' });
+      }
+    });
+  } catch (err) {
+    console.error('❌ Error downloading report:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/report-schedules', requirePermission('view_reports'), async (req, res) => {
+  try {
+    const schedules = await reportScheduler.listSchedules(req.scope);
+    res.json({ success: true, schedules });
+  } catch (err) {
+    console.error('❌ Error listing report schedules:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/report-schedules', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const options = parseReportOptions(req.body || {}, SCHEDULE_FORMATS);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+    const scoped = scopeReportPanchayat(req, options.panchayatId, { write: true });
+    if (scoped.error) {
+      return res.status(scoped.status).json({ success: false, error: scoped.error });
+    }
+    options.panchayatId = scoped.panchayatId;
+    if (options.panchayatId !== null && !(await reportService.loadPanchayat(options.panchayatId))) {
+      return res.status(404).json({ success: false, error: 'Panchayat not found' });
+    }
+
+    const schedule = await reportScheduler.createSchedule({
+      panchayatId: options.panchayatId,
+      period: options.period,
+      format: options.format,
+      createdBy: req.user.userId
+    });
+    await auditLog.record(req, {
+      action: 'create_report_schedule',
+      table: 'report_schedules',
+      recordId: schedule.id,
+      after: { panchayat_id: schedule.panchayatId, period: schedule.period, format: schedule.format }
+    });
+
+    res.status(201).json({ success: true, schedule });
+  } catch (err) {
+    console.error('❌ Error creating report schedule:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.put('/api/report-schedules/:id', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { period, format, is_active } = req.body || {};
+    if (period !== undefined && !REPORT_PERIODS.includes(period)) {
+      return res.status(400).json({ success: false, error: `period must be one of: ${REPORT_PERIODS.join(', ')}` });
+    }
+    if (format !== undefined && !SCHEDULE_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of: ${SCHEDULE_FORMATS.join(', ')}` });
+    }
+
+    const before = await reportScheduler.findSchedule(req.params.id);
+    if (!before || !req.scope.canRead(before.panchayatId)) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    if (denyOutsideScope(req, res, before.panchayatId)) return;
+
+    const schedule = await reportScheduler.updateSchedule(req.params.id, {
+      period,
+      format,
+      isActive: is_active === undefined ? undefined : Boolean(is_active)
+    });
+    await auditLog.record(req, {
+      action: 'update_report_schedule',
+      table: 'report_schedules',
+      recordId: schedule.id,
+      before: { period: before.period, format: before.format, is_active: before.isActive },
+      after: { period: schedule.period, format: schedule.format, is_active: schedule.isActive }
+    });
+
+    res.json({ success: true, schedule });
+  } catch (err) {
+    console.error('❌ Error updating report schedule:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/report-schedules/:id', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const schedule = await reportScheduler.findSchedule(req.params.id);
+    if (!schedule || !req.scope.canRead(schedule.panchayatId)) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    if (denyOutsideScope(req, res, schedule.panchayatId)) return;
+
+    await reportScheduler.deleteSchedule(schedule.id);
+    await auditLog.record(req, {
+      action: 'delete_report_schedule',
+      table: 'report_schedules',
+      recordId: schedule.id,
+      before: { panchayat_id: schedule.panchayatId, period: schedule.period, format: schedule.format }
+    });
+
+    res.json({ success: true, message: 'Schedule deleted' });
+  } catch (err) {
+    console.error('❌ Error deleting report schedule:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ==================== MOBILE ENDPOINTS ====================
+
+app.get('/api/mobile/sensors', requireVillagerAuth, async (req, res) => {
+  try {
+    const { phone } = req.query;
+    const villager = req.villager;
+    console.log('📱 Fetching sensors for villager:', villager.id);
+
+    // The phone parameter is kept for older app builds but may only name the caller
+    if (phone && phone !== villager.phone) {
+      return res.status(403).json({ success: false, error: 'You can only view your own sensors' });
+    }
+
+    const [sensorRows] = await db.query(`
+      SELECT s.id, s.name, s.type, s.location_description, s.district_id,
+             l.name as district_name
+      FROM sensors s
+      LEFT JOIN locations l ON l.id = s.district_id
+      WHERE s.villager_id = ?
+      ORDER BY s.installed_at DESC
+    `, [villager.id]);
+
+    console.log(`📊 Found ${sensorRows.length} sensors for villager ${villager.name}`);
+
+    const sensors = [];
+
+    const snapshots = await fetchSensorSnapshots(sensorRows);
+
+    for (const sensor of sensorRows) {
+      const snapshot = snapshots.get(sensor.id);
+      
+      sensors.push({
+        devEUI: sensor.id,
+        name: sensor.name || sensor.id,
+        type: sensor.type,
+        location: sensor.location_description || sensor.district_name || 'Unknown',
+        district: sensor.district_name,
+        measurement: snapshot.measurement,
+        time: snapshot.time,
+        status: snapshot.status
+      });
+    }
+
+    res.json({
+      success: true,
+      villager: {
+        id: villager.id,
+        name: villager.name,
+        phone: villager.phone,
+        village: villager.village,
+        panchayat: villager.panchayat,
+        district: villager.district,
+        state: villager.state
+      },
+      sensors,
+      sensorCount: sensors.length,
+      snapshotCache: snapshotService.getStatus()
+    });
+  } catch (err) {
+    console.error('❌ Error fetching mobile sensors:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
-app.get('/api/sensors/:devEUI', async (req, res) => {
+// ==================== UNASSIGNED SENSORS ====================
+
+// Sensors placed in a village location and not yet mapped. Pass village_id, or the
+// village name (optionally narrowed with panchayat_id when several villages share it).
+app.get('/api/village-sensors/unassigned', requireStaffAuth, async (req, res) => {
   try {
-    const { devEUI } = req.params;
+    const { village, village_id, panchayat_id } = req.query;
+    console.log('📍 Fetching unassigned sensors for village:', village_id || village);
+    
+    if (!village && !village_id) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'village_id or village name is required' 
+      });
+    }
 
-    const [rows] = await db.query(`
+    let villageRows;
+    if (village_id) {
+      [villageRows] = await db.query(`SELECT id, name, parent_id FROM locations WHERE id = ? AND type = 'village'`, [village_id]);
+    } else {
+      [villageRows] = await db.query(
+        `SELECT id, name, parent_id FROM locations
+         WHERE type = 'village' AND LOWER(name) = LOWER(?) ${panchayat_id ? 'AND parent_id = ?' : ''}`,
+        panchayat_id ? [String(village).trim(), panchayat_id] : [String(village).trim()]
+      );
+    }
+
+    villageRows = villageRows.filter(row => req.scope.canRead(row.parent_id));
+    const [inScope, scopeParams] = req.scope.filter('s.panchayat_id');
+    const [sensorRows] = villageRows.length === 0 ? [[]] : await db.query(`
       SELECT s.id, s.name, s.type, s.status, s.location_description, 
-             s.villager_id, s.district_id, l.name as district_name
+             s.villager_id, s.district_id, l.name as district_name, vl.name AS village_name
       FROM sensors s
       LEFT JOIN locations l ON l.id = s.district_id
-      WHERE s.id = ?
-    `, [devEUI]);
-
-    if (rows.length === 0) {
-      return res.status(404).json({ success: false, error: 'Sensor not found' });
-    }
+      LEFT JOIN locations vl ON vl.id = s.village_id
+      WHERE s.villager_id IS NULL
+        AND s.status <> 'deleted'
+        AND s.village_id IN (?)
+        AND ${inScope}
+      ORDER BY s.name ASC
+    `, [villageRows.map(row => row.id), ...scopeParams]);
 
-    const sensor = rows[0];
-    const snapshot = await fetchLatestSensorSnapshot(sensor.id, sensor.type, sensor.district_id);
+    console.log(`📊 Found ${sensorRows.length} unassigned sensors`);
 
-    res.json({ 
-      success: true, 
-      sensor: {
+    const sensors = [];
+    
+    const snapshots = await fetchSensorSnapshots(sensorRows);
+    
+    for (const sensor of sensorRows) {
+      const snapshot = snapshots.get(sensor.id);
+      
+      sensors.push({
         id: sensor.id,
         devEUI: sensor.id,
         name: sensor.name,
         type: sensor.type,
-        location: sensor.location_description,
+        location: sensor.location_description || sensor.village_name,
+        village: sensor.village_name,
         district: sensor.district_name,
         measurement: snapshot.measurement,
         time: snapshot.time,
         status: snapshot.status,
-        isAssigned: sensor.villager_id !== null
+        isAssigned: false
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      village: village || (villageRows[0] ? villageRows[0].name : null), 
+      villages: villageRows.map(row => ({ id: row.id, name: row.name, panchayatId: row.parent_id })),
+      sensors: sensors, 
+      count: sensors.length 
+    });
+  } catch (err) {
+    console.error('❌ Error fetching unassigned sensors:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+// Villager a sensor may be mapped to: active, found by phone, and in a panchayat the
+// account can change (others are reported as not found)
+async function fetchMappableVillager(phone, scope, conn = db) {
+  const [rows] = await conn.query(
+    `${VILLAGER_WITH_LOCATION_SQL} WHERE v.phone = ? AND v.is_active = TRUE`,
+    [phone]
+  );
+  if (rows.length === 0 || !scope.canWrite(rows[0].panchayat_id)) return null;
+  return normalizeVillager(rows[0]);
+}
+
+app.post('/api/sensors/map', requirePermission('manage_sensors'), async (req, res) => {
+  try {
+    const { devEUI, phone } = req.body;
+    console.log('📍 Mapping sensor:', devEUI, 'to phone:', phone);
+    
+    if (!devEUI || !phone) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'devEUI and phone are required' 
+      });
+    }
+
+    const conn = await db.getConnection();
+    await conn.beginTransaction();
+
+    try {
+      const [[sensor]] = await conn.query(
+        `SELECT id, villager_id, panchayat_id FROM sensors WHERE id = ? AND status <> 'deleted'`,
+        [devEUI]
+      );
+      
+      if (!sensor || !req.scope.canRead(sensor.panchayat_id)) {
+        throw new Error('Sensor not found with this id');
+      }
+      if (!req.scope.canWrite(sensor.panchayat_id)) {
+        await conn.rollback();
+        return denyOutsideScope(req, res, sensor.panchayat_id);
+      }
+
+      const villager = await fetchMappableVillager(phone, req.scope, conn);
+      if (!villager) {
+        throw new Error('Villager not found with this phone number');
+      }
+
+      if (sensor.villager_id !== null) {
+        throw new Error(`Sensor is already mapped to another villager; use /api/sensors/${sensor.id}/reassign`);
+      }
+
+      await conn.query(
+        `UPDATE sensors SET villager_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [villager.id, sensor.id]
+      );
+      await sensorAssignments.assign(conn, { sensorId: sensor.id, villagerId: villager.id, adminId: req.user.userId });
+
+      await auditLog.record(req, {
+        action: 'map_sensor',
+        table: 'sensors',
+        recordId: sensor.id,
+        before: { villager_id: sensor.villager_id },
+        after: { villager_id: villager.id, villager_phone: villager.phone }
+      }, conn);
+      
+      await conn.commit();
+      realtime.publish('sensor_mapped', { sensorId: sensor.id, villagerId: villager.id }, {
+        panchayatId: sensor.panchayat_id,
+        villagerId: villager.id
+      });
+      
+      console.log('✅ Sensor mapped successfully');
+      res.json({ 
+        success: true, 
+        message: 'Sensor mapped successfully' 
+      });
+      
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+  } catch (err) {
+    console.error('❌ Error mapping sensor:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+// Releases a sensor from its villager, closing the ownership record
+app.post('/api/sensors/:devEUI/unmap', requirePermission('manage_sensors'), async (req, res) => {
+  try {
+    const note = req.body && req.body.note ? String(req.body.note).trim() : null;
+
+    const result = await withTransaction(async (conn) => {
+      const [[sensor]] = await conn.query(
+        `SELECT id, villager_id, panchayat_id FROM sensors WHERE id = ? AND status <> 'deleted' FOR UPDATE`,
+        [req.params.devEUI]
+      );
+      if (!sensor || !req.scope.canRead(sensor.panchayat_id)) return { status: 404, error: 'Sensor not found' };
+      if (!req.scope.canWrite(sensor.panchayat_id)) return { status: 403, error: req.scope.denialMessage() };
+      if (sensor.villager_id === null) return { status: 409, error: 'Sensor is not mapped to a villager' };
+
+      await conn.query(
+        `UPDATE sensors SET villager_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [sensor.id]
+      );
+      await sensorAssignments.release(conn, { sensorId: sensor.id, reason: 'unmapped', adminId: req.user.userId, note });
+      await auditLog.record(req, {
+        action: 'unmap_sensor',
+        table: 'sensors',
+        recordId: sensor.id,
+        before: { villager_id: sensor.villager_id },
+        after: { villager_id: null, note }
+      }, conn);
+      return { sensor };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const { sensor } = result;
+    realtime.publish('sensor_unmapped', { sensorId: sensor.id, villagerId: sensor.villager_id }, {
+      panchayatId: sensor.panchayat_id,
+      villagerId: sensor.villager_id
+    });
+    res.json({ success: true, message: 'Sensor unmapped successfully' });
+  } catch (err) {
+    console.error('❌ Error unmapping sensor:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Moves a sensor to another villager (or maps an unmapped one) in one step
+app.post('/api/sensors/:devEUI/reassign', requirePermission('manage_sensors'), async (req, res) => {
+  try {
+    const { phone } = req.body || {};
+    const note = req.body && req.body.note ? String(req.body.note).trim() : null;
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'phone is required' });
+    }
+
+    const result = await withTransaction(async (conn) => {
+      const [[sensor]] = await conn.query(
+        `SELECT id, villager_id, panchayat_id FROM sensors WHERE id = ? AND status <> 'deleted' FOR UPDATE`,
+        [req.params.devEUI]
+      );
+      if (!sensor || !req.scope.canRead(sensor.panchayat_id)) return { status: 404, error: 'Sensor not found' };
+      if (!req.scope.canWrite(sensor.panchayat_id)) return { status: 403, error: req.scope.denialMessage() };
+
+      const villager = await fetchMappableVillager(phone, req.scope, conn);
+      if (!villager) return { status: 404, error: 'Villager not found with this phone number' };
+      if (sensor.villager_id === villager.id) {
+        return { status: 409, error: 'Sensor is already mapped to this villager' };
+      }
+
+      if (sensor.villager_id !== null) {
+        await sensorAssignments.release(conn, { sensorId: sensor.id, reason: 'reassigned', adminId: req.user.userId, note });
       }
+      await conn.query(
+        `UPDATE sensors SET villager_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [villager.id, sensor.id]
+      );
+      await sensorAssignments.assign(conn, { sensorId: sensor.id, villagerId: villager.id, adminId: req.user.userId, note });
+      await auditLog.record(req, {
+        action: sensor.villager_id === null ? 'map_sensor' : 'reassign_sensor',
+        table: 'sensors',
+        recordId: sensor.id,
+        before: { villager_id: sensor.villager_id },
+        after: { villager_id: villager.id, villager_phone: villager.phone, note }
+      }, conn);
+      return { sensor, villager };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const { sensor, villager } = result;
+    if (sensor.villager_id !== null) {
+      realtime.publish('sensor_unmapped', { sensorId: sensor.id, villagerId: sensor.villager_id }, {
+        panchayatId: sensor.panchayat_id,
+        villagerId: sensor.villager_id
+      });
+    }
+    realtime.publish('sensor_mapped', { sensorId: sensor.id, villagerId: villager.id }, {
+      panchayatId: sensor.panchayat_id,
+      villagerId: villager.id
+    });
+
+    res.json({
+      success: true,
+      message: sensor.villager_id === null ? 'Sensor mapped successfully' : 'Sensor reassigned successfully',
+      previousVillagerId: sensor.villager_id,
+      villagerId: villager.id
     });
   } catch (err) {
-    console.error('❌ Error fetching sensor:', err);
+    console.error('❌ Error reassigning sensor:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-app.post('/api/sensors', async (req, res) => {
-  const { devEUI, name, type, location_description, panchayat_id, district_id } = req.body;
+// ==================== SENSOR PROVISIONING ====================
+
+const SENSOR_MANIFEST_COLUMNS = {
+  devEUI: ['dev eui', 'deveui', 'sensor id', 'sensor_id', 'id'],
+  name: ['sensor name'],
+  type: ['sensor type'],
+  district: ['district name'],
+  district_id: [],
+  panchayat: ['panchayat name'],
+  panchayat_id: [],
+  village: ['village name'],
+  village_id: [],
+  location_description: ['location', 'location description'],
+  latitude: ['lat'],
+  longitude: ['lng', 'lon', 'long'],
+  phone: ['villager phone', 'owner phone', 'mobile']
+};
+const SENSOR_MANIFEST_FORMATS = ['csv', 'xlsx', 'json'];
+const DEV_EUI_MAX_LENGTH = 50;
+
+// District by id or name; returns { id, name } or { error }
+async function resolveDistrict({ district_id, district }) {
+  if (district_id) {
+    const [[row]] = await db.query(`SELECT id, name FROM locations WHERE id = ? AND type = 'district'`, [district_id]);
+    return row || { error: 'District not found' };
+  }
+  const [[row]] = await db.query(
+    `SELECT id, name FROM locations WHERE type = 'district' AND LOWER(name) = LOWER(?)`,
+    [district]
+  );
+  return row || { error: `District "${district}" not found` };
+}
 
-  if (!devEUI) {
-    return res.status(400).json({ success: false, error: 'devEUI is required' });
+function parseCoordinate(value, limit) {
+  if (value === '' || value === undefined) return { value: null };
+  const number = Number(value);
+  if (!Number.isFinite(number) || Math.abs(number) > limit) return { error: true };
+  return { value: number };
+}
+
+// Checks every manifest row without writing. Type falls back to a guess from the name
+// the way POST /api/sensors does; phone, when given, must belong to an active villager.
+// The district, panchayat and village must agree the way they must for a single sensor.
+// Accounts tied to a panchayat may only provision sensors (and map villagers) there.
+// Returns [{ row, devEUI, name, type, typeInferred, district, phone, errors, record }].
+async function validateSensorManifest(rows, scope) {
+  const devEUIs = rows.map(({ values }) => values.devEUI).filter(Boolean);
+  const existingSensors = new Map();
+  if (devEUIs.length > 0) {
+    const [existing] = await db.query('SELECT id, status FROM sensors WHERE id IN (?)', [devEUIs]);
+    existing.forEach(row => existingSensors.set(String(row.id).toLowerCase(), row));
+  }
+
+  const phones = rows.map(({ values }) => normalizeImportPhone(values.phone)).filter(phone => PHONE_PATTERN.test(phone));
+  const villagersByPhone = new Map();
+  if (phones.length > 0) {
+    const [villagers] = await db.query(
+      'SELECT id, phone, panchayat_id FROM villagers WHERE phone IN (?) AND is_active = TRUE',
+      [phones]
+    );
+    villagers.forEach(villager => villagersByPhone.set(villager.phone, villager));
+  }
+
+  const districts = new Map();
+  const panchayats = new Map();
+  const villages = new Map();
+  const placements = new Map();
+  const seen = new Map();
+  const results = [];
+
+  for (const { rowNumber, values } of rows) {
+    const errors = [];
+    const devEUI = values.devEUI || '';
+    const name = values.name || devEUI;
+    const sensorType = resolveSensorType(values.type, name);
+    const typeInferred = Boolean(sensorType.inferred);
+    const type = sensorType.type ? sensorType.type.key : values.type || '';
+    if (sensorType.error) errors.push(sensorType.error);
+
+    if (!devEUI) {
+      errors.push('devEUI is required');
+    } else if (devEUI.length > DEV_EUI_MAX_LENGTH || /\s/.test(devEUI)) {
+      errors.push(`devEUI must be at most ${DEV_EUI_MAX_LENGTH} characters with no spaces`);
+    } else if (seen.has(devEUI.toLowerCase())) {
+      errors.push(`devEUI also appears on row ${seen.get(devEUI.toLowerCase())}`);
+    } else if (existingSensors.has(devEUI.toLowerCase())) {
+      const match = existingSensors.get(devEUI.toLowerCase());
+      errors.push(match.status === 'deleted' ? 'devEUI belongs to a deleted sensor' : 'Sensor already exists');
+    }
+    if (devEUI && !seen.has(devEUI.toLowerCase())) seen.set(devEUI.toLowerCase(), rowNumber);
+
+    // Cleared when the row has no district or names a location that cannot be found
+    let locationFound = true;
+
+    let district = null;
+    if (!values.district && !values.district_id) {
+      errors.push('District is required');
+      locationFound = false;
+    } else {
+      const key = values.district_id ? `id:${values.district_id}` : `name:${values.district.toLowerCase()}`;
+      if (!districts.has(key)) districts.set(key, await resolveDistrict(values));
+      district = districts.get(key);
+      if (district.error) {
+        errors.push(district.error);
+        district = null;
+        locationFound = false;
+      }
+    }
+
+    let panchayatId = null;
+    if (values.panchayat || values.panchayat_id) {
+      const key = values.panchayat_id ? `id:${values.panchayat_id}` : `name:${values.panchayat.toLowerCase()}`;
+      if (!panchayats.has(key)) {
+        panchayats.set(key, await locationService.resolvePanchayatId({ panchayat_id: values.panchayat_id, panchayat: values.panchayat }));
+      }
+      const panchayat = panchayats.get(key);
+      if (panchayat.error) {
+        errors.push(panchayat.error);
+        locationFound = false;
+      }
+      panchayatId = panchayat.id || null;
+    }
+
+    let villageId = null;
+    if (values.village || values.village_id) {
+      const key = `${panchayatId}:${values.village_id ? `id:${values.village_id}` : `name:${values.village.toLowerCase()}`}`;
+      if (!villages.has(key)) villages.set(key, await locationService.resolveVillage(values, panchayatId));
+      const village = villages.get(key);
+      if (village.error) {
+        errors.push(village.error);
+        locationFound = false;
+      } else {
+        villageId = village.villageId;
+        panchayatId = village.panchayatId;
+      }
+    }
+
+    const latitude = parseCoordinate(values.latitude, 90);
+    const longitude = parseCoordinate(values.longitude, 180);
+    if (latitude.error) errors.push('Latitude must be a number between -90 and 90');
+    if (longitude.error) errors.push('Longitude must be a number between -180 and 180');
+
+    let villager = null;
+    const phone = normalizeImportPhone(values.phone);
+    if (phone) {
+      if (!PHONE_PATTERN.test(phone)) {
+        errors.push('Phone must be a 10-digit number');
+      } else {
+        villager = villagersByPhone.get(phone) || null;
+        if (villager && !scope.canWrite(villager.panchayat_id)) villager = null;
+        if (!villager) errors.push('No villager with this phone');
+      }
+    }
+
+    // A mapped sensor without its own panchayat takes the villager's
+    let recordPanchayatId = panchayatId || (villager ? villager.panchayat_id : null);
+    let location = null;
+    if (locationFound) {
+      const placement = { village_id: villageId, panchayat_id: recordPanchayatId, district_id: district.id };
+      const key = `${placement.village_id}:${placement.panchayat_id}:${placement.district_id}`;
+      if (!placements.has(key)) placements.set(key, await locationService.resolveSensorLocation(placement));
+      location = placements.get(key);
+      if (location.error) {
+        errors.push(location.error);
+        location = null;
+      } else {
+        recordPanchayatId = location.panchayatId;
+      }
+    }
+    if (!scope.canWrite(recordPanchayatId)) {
+      errors.push(recordPanchayatId ? 'Panchayat is outside your jurisdiction' : 'Panchayat is required');
+    }
+
+    results.push({
+      row: rowNumber,
+      devEUI,
+      name,
+      type,
+      typeInferred,
+      district: district ? district.name : values.district || values.district_id || '',
+      phone,
+      errors,
+      record: {
+        id: devEUI,
+        name,
+        type,
+        location_description: values.location_description || null,
+        village_id: villageId,
+        panchayat_id: recordPanchayatId,
+        district_id: location ? location.districtId : null,
+        latitude: latitude.value === undefined ? null : latitude.value,
+        longitude: longitude.value === undefined ? null : longitude.value,
+        villager_id: villager ? villager.id : null,
+        thresholds: sensorTypes.defaultThresholds(type)
+      }
+    });
+  }
+  return results;
+}
+
+// Upload a manifest (CSV, XLSX or JSON array) as the request body. Same flow as the
+// villager import: dry run by default, dry_run=false to register every sensor (and
+// map it to its villager) in one transaction, skip_invalid=true to leave out bad rows.
+app.post('/api/sensors/import', requirePermission('manage_sensors'), importUpload, async (req, res) => {
+  try {
+    const format = detectImportFormat(req.query.format, req.headers['content-type'], SENSOR_MANIFEST_FORMATS);
+    if (!format) {
+      return res.status(400).json({ success: false, error: 'Upload a CSV, XLSX or JSON manifest (or pass ?format=csv|xlsx|json)' });
+    }
+    const dryRun = req.query.dry_run !== 'false';
+    const skipInvalid = req.query.skip_invalid === 'true';
+
+    const rows = await readImportRows(req.body, format, SENSOR_MANIFEST_COLUMNS, { maxRows: MAX_IMPORT_ROWS });
+    const results = await validateSensorManifest(rows, req.scope);
+    const valid = results.filter(entry => entry.errors.length === 0);
+    const invalidCount = results.length - valid.length;
+    const summary = {
+      total: results.length,
+      valid: valid.length,
+      invalid: invalidCount,
+      toMap: valid.filter(entry => entry.record.villager_id).length,
+      created: 0,
+      mapped: 0
+    };
+    const preview = results.map(({ record, ...entry }) => ({ ...entry, status: entry.errors.length > 0 ? 'error' : 'valid' }));
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, summary, rows: preview });
+    }
+    if (invalidCount > 0 && !skipInvalid) {
+      return res.status(422).json({
+        success: false,
+        error: `${invalidCount} row(s) have errors; fix them or import with skip_invalid=true`,
+        summary,
+        rows: preview
+      });
+    }
+    if (valid.length === 0) {
+      return res.status(400).json({ success: false, error: 'No valid rows to import', summary, rows: preview });
+    }
+
+    let currentRow = null;
+    let created;
+    try {
+      created = await withTransaction(async (conn) => {
+        const sensors = new Map();
+        for (const entry of valid) {
+          currentRow = entry.row;
+          const { record } = entry;
+          await conn.query(
+            `INSERT INTO sensors (id, name, type, location_description, village_id, panchayat_id, district_id,
+                                  latitude, longitude, villager_id, added_by, status, ${THRESHOLD_COLUMNS.join(', ')})
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ${THRESHOLD_COLUMNS.map(() => '?').join(', ')})`,
+            [
+              record.id, record.name, record.type, record.location_description, record.village_id, record.panchayat_id,
+              record.district_id, record.latitude, record.longitude, record.villager_id, req.user.userId,
+              ...THRESHOLD_COLUMNS.map(column => record.thresholds[column])
+            ]
+          );
+          const [[sensor]] = await conn.query('SELECT * FROM sensors WHERE id = ?', [record.id]);
+          await auditLog.record(req, { action: 'create_sensor', table: 'sensors', recordId: sensor.id, after: sensor }, conn);
+          if (sensor.villager_id) {
+            await sensorAssignments.assign(conn, {
+              sensorId: sensor.id,
+              villagerId: sensor.villager_id,
+              adminId: req.user.userId,
+              note: 'Mapped by manifest import'
+            });
+            await auditLog.record(req, {
+              action: 'map_sensor',
+              table: 'sensors',
+              recordId: sensor.id,
+              before: { villager_id: null },
+              after: { villager_id: sensor.villager_id, villager_phone: entry.phone }
+            }, conn);
+          }
+          sensors.set(entry.row, sensor);
+        }
+
+        const panchayatIds = new Set([...sensors.values()].map(sensor => sensor.panchayat_id));
+        for (const panchayatId of panchayatIds) {
+          await refreshPanchayatCounters(panchayatId, conn);
+        }
+        await auditLog.record(req, {
+          action: 'import_sensors',
+          table: 'sensors',
+          after: { format, created: sensors.size, mapped: summary.toMap, skipped: invalidCount }
+        }, conn);
+        return sensors;
+      });
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          success: false,
+          error: `Row ${currentRow}: Sensor already exists. Nothing was imported.`,
+          summary,
+          rows: preview
+        });
+      }
+      throw err;
+    }
+
+    // One event per panchayat rather than one per sensor, so dashboards reload once
+    const byPanchayat = new Map();
+    for (const sensor of created.values()) {
+      byPanchayat.set(sensor.panchayat_id, (byPanchayat.get(sensor.panchayat_id) || 0) + 1);
+    }
+    for (const [panchayatId, count] of byPanchayat) {
+      realtime.publish('sensors_imported', { count, panchayatId }, { panchayatId });
+    }
+
+    summary.created = created.size;
+    summary.mapped = [...created.values()].filter(sensor => sensor.villager_id).length;
+    console.log(`📥 Provisioned ${summary.created} sensors, mapped ${summary.mapped} (${invalidCount} skipped)`);
+    res.json({
+      success: true,
+      dryRun: false,
+      summary,
+      rows: preview.map(entry => (created.has(entry.row)
+        ? { ...entry, status: created.get(entry.row).villager_id ? 'mapped' : 'created' }
+        : { ...entry, status: 'skipped' }))
+    });
+  } catch (err) {
+    if (err instanceof ImportFileError) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('❌ Sensor manifest import error:', err);
+    res.status(500).json({ success: false, error: err.message });
   }
+});
+
+// ==================== ALERT MANAGEMENT ====================
+
+const ALERT_TYPES = ['warning', 'danger', 'offline'];
+
+const ALERT_SELECT_SQL = `
+  SELECT a.id, a.sensor_id, a.alert_type, a.message, a.value, a.threshold,
+         a.panchayat_id, a.village_id,
+         a.is_resolved, a.resolved_by, a.resolved_at, a.resolution_note,
+         a.acknowledged_by, a.acknowledged_at, a.created_at, a.updated_at,
+         s.name AS sensor_name, s.type AS sensor_type, s.villager_id AS sensor_villager_id,
+         p.name AS panchayat_name, l.name AS village_name
+  FROM sensor_alerts a
+  LEFT JOIN sensors s ON s.id = a.sensor_id
+  LEFT JOIN locations p ON p.id = a.panchayat_id
+  LEFT JOIN locations l ON l.id = a.village_id
+`;
 
-  let sensorType = type || determineSensorType(name || devEUI);
+async function fetchAlertById(alertId) {
+  const [rows] = await db.query(`${ALERT_SELECT_SQL} WHERE a.id = ?`, [alertId]);
+  return rows.length > 0 ? rows[0] : null;
+}
 
+app.get('/api/alerts', requireStaffAuth, async (req, res) => {
   try {
-    await db.query(
-      `INSERT INTO sensors (id, name, type, location_description, panchayat_id, district_id, status)
-       VALUES (?, ?, ?, ?, ?, ?, 'active')`,
-      [devEUI, name || devEUI, sensorType, location_description || null, panchayat_id || null, district_id || null]
+    const { panchayat_id, village_id, sensor_id, type, resolved } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const [inScope, scopeParams] = req.scope.filter('a.panchayat_id');
+    const conditions = [inScope];
+    const params = [...scopeParams];
+
+    if (panchayat_id) {
+      conditions.push('a.panchayat_id = ?');
+      params.push(panchayat_id);
+    }
+    if (village_id) {
+      conditions.push('a.village_id = ?');
+      params.push(village_id);
+    }
+    if (sensor_id) {
+      conditions.push('a.sensor_id = ?');
+      params.push(sensor_id);
+    }
+    if (type) {
+      if (!ALERT_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, error: `type must be one of: ${ALERT_TYPES.join(', ')}` });
+      }
+      conditions.push('a.alert_type = ?');
+      params.push(type);
+    }
+    if (resolved === 'true' || resolved === 'false') {
+      conditions.push('a.is_resolved = ?');
+      params.push(resolved === 'true');
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const [rows] = await db.query(
+      `${ALERT_SELECT_SQL} ${where} ORDER BY a.created_at DESC LIMIT ?`,
+      [...params, limit]
+    );
+
+    res.json({ success: true, alerts: rows, count: rows.length });
+  } catch (err) {
+    console.error('❌ Error fetching alerts:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/alerts/:id', requireStaffAuth, async (req, res) => {
+  try {
+    const alert = await fetchAlertById(req.params.id);
+    if (!alert || !req.scope.canRead(alert.panchayat_id)) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+
+    const [history] = await db.query(
+      `SELECT id, event_type, note, value, admin_id, created_at
+       FROM sensor_alert_events
+       WHERE alert_id = ?
+       ORDER BY created_at ASC, id ASC`,
+      [alert.id]
     );
 
-    res.json({ success: true, message: 'Sensor registered successfully' });
+    res.json({ success: true, alert, history });
   } catch (err) {
-    if (err.code === 'ER_DUP_ENTRY') {
-      return res.status(409).json({ success: false, error: 'Sensor already exists' });
-    }
+    console.error('❌ Error fetching alert:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-app.put('/api/sensors/:devEUI', async (req, res) => {
-  const { devEUI } = req.params;
-  const { name, type, location_description, status } = req.body;
+// Loads the alert for a change by this account; sends 404/403 and resolves to null otherwise
+async function fetchAlertForChange(req, res) {
+  const alert = await fetchAlertById(req.params.id);
+  if (!alert || !req.scope.canRead(alert.panchayat_id)) {
+    res.status(404).json({ success: false, error: 'Alert not found' });
+    return null;
+  }
+  return denyOutsideScope(req, res, alert.panchayat_id) ? null : alert;
+}
 
+app.post('/api/alerts/:id/acknowledge', requirePermission('manage_sensors'), async (req, res) => {
   try {
+    if (!(await fetchAlertForChange(req, res))) return;
+    const adminId = req.user.userId;
     const [result] = await db.query(
-      `UPDATE sensors SET name = ?, type = ?, location_description = ?, status = ? WHERE id = ?`,
-      [name || null, type || null, location_description || null, status || 'active', devEUI]
+      `UPDATE sensor_alerts SET acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND is_resolved = FALSE AND acknowledged_at IS NULL`,
+      [adminId, req.params.id]
     );
 
     if (result.affectedRows === 0) {
-      return res.status(404).json({ success: false, error: 'Sensor not found' });
+      const alert = await fetchAlertById(req.params.id);
+      if (!alert) {
+        return res.status(404).json({ success: false, error: 'Alert not found' });
+      }
+      return res.status(409).json({
+        success: false,
+        error: alert.is_resolved ? 'Alert is already resolved' : 'Alert is already acknowledged'
+      });
     }
 
-    res.json({ success: true, message: 'Sensor updated successfully' });
+    await recordAlertEvent(req.params.id, 'acknowledged', { note: req.body.note || null, adminId });
+    await publishAlert('alert_updated', req.params.id);
+    await auditLog.record(req, {
+      action: 'acknowledge_alert',
+      table: 'sensor_alerts',
+      recordId: req.params.id,
+      after: { acknowledged_by: adminId, note: req.body.note || null }
+    });
+    res.json({ success: true, message: 'Alert acknowledged', alert: await fetchAlertById(req.params.id) });
   } catch (err) {
+    console.error('❌ Error acknowledging alert:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-app.delete('/api/sensors/:devEUI', async (req, res) => {
-  const { devEUI } = req.params;
-
+app.post('/api/alerts/:id/resolve', requirePermission('manage_sensors'), async (req, res) => {
   try {
-    const [result] = await db.query(`DELETE FROM sensors WHERE id = ?`, [devEUI]);
+    const note = req.body.note ? String(req.body.note).trim() : '';
+    if (!note) {
+      return res.status(400).json({ success: false, error: 'A resolution note is required' });
+    }
+    if (!(await fetchAlertForChange(req, res))) return;
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ success: false, error: 'Sensor not found' });
+    const resolved = await resolveSensorAlert(req.params.id, { adminId: req.user.userId, note });
+
+    if (!resolved) {
+      const alert = await fetchAlertById(req.params.id);
+      if (!alert) {
+        return res.status(404).json({ success: false, error: 'Alert not found' });
+      }
+      return res.status(409).json({ success: false, error: 'Alert is already resolved' });
     }
 
-    res.json({ success: true, message: 'Sensor deleted successfully' });
+    await auditLog.record(req, {
+      action: 'resolve_alert',
+      table: 'sensor_alerts',
+      recordId: req.params.id,
+      before: { is_resolved: false },
+      after: { is_resolved: true, resolution_note: note }
+    });
+    res.json({ success: true, message: 'Alert resolved', alert: await fetchAlertById(req.params.id) });
   } catch (err) {
+    console.error('❌ Error resolving alert:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ==================== SENSOR HISTORY ENDPOINT ====================
-
-app.get('/api/sensors/:devEUI/history', async (req, res) => {
+app.post('/api/alerts/:id/comments', requirePermission('manage_sensors'), async (req, res) => {
   try {
-    const { devEUI } = req.params;
-    const { range } = req.query;
-    let rangeValue = range ? range : '-24h';
-
-    console.log(`📊 Fetching history for sensor ${devEUI}, range: ${rangeValue}`);
-
-    const [sensorInfo] = await db.query(`
-      SELECT s.type, s.district_id, l.name as district_name 
-      FROM sensors s
-      LEFT JOIN locations l ON l.id = s.district_id
-      WHERE s.id = ?
-    `, [devEUI]);
-    
-    if (sensorInfo.length === 0) {
-      return res.status(404).json({ success: false, error: 'Sensor not found' });
-    }
-    
-    const sensorType = sensorInfo[0].type;
-    const districtName = sensorInfo[0].district_name;
-    
-    if (!districtName) {
-      return res.json({ success: true, history: [], count: 0, message: 'District not found for sensor' });
-    }
-    
-    const measurementName = `${districtName}_${sensorType}`;
-    console.log(`📊 Querying history: measurement=${measurementName}, sensor_id=${devEUI}`);
-
-    const fluxQuery = `
-      from(bucket: "${INFLUX_CONFIG.bucket}")
-        |> range(start: ${rangeValue})
-        |> filter(fn: (r) => r._measurement == "${measurementName}")
-        |> filter(fn: (r) => r.sensor_id == "${devEUI}")
-        |> sort(columns: ["_time"], desc: false)
-    `;
-
-    const rows = await queryInfluxDB(fluxQuery);
-    
-    console.log(`📊 Found ${rows.length} raw records for sensor ${devEUI}`);
-    
-    if (rows.length === 0) {
-      return res.json({ success: true, history: [], count: 0, message: 'No data found for this sensor' });
-    }
-
-    const history = [];
-    
-    for (const row of rows) {
-      let value = null;
-      let timestamp = row._time;
-      
-      // Read the _value field
-      if (row._value !== undefined && row._value !== null) {
-        value = typeof row._value === 'number' ? row._value : parseFloat(row._value);
-      } else if (row.value !== undefined) {
-        value = typeof row.value === 'number' ? row.value : parseFloat(row.value);
-      }
-      
-      if (value !== null && !isNaN(value) && isFinite(value)) {
-        history.push({
-          time: timestamp,
-          value: value,
-          field: sensorType
-        });
-      }
+    const comment = req.body.comment ? String(req.body.comment).trim() : '';
+    if (!comment) {
+      return res.status(400).json({ success: false, error: 'Comment is required' });
     }
 
-    console.log(`✅ Returning ${history.length} valid numeric data points`);
+    const alert = await fetchAlertForChange(req, res);
+    if (!alert) return;
 
-    res.json({
-      success: true,
-      history: history,
-      count: history.length,
-      sensorType: sensorType,
-      unit: getUnitForType(sensorType),
-      measurementName: measurementName
+    await recordAlertEvent(alert.id, 'comment', { note: comment, adminId: req.user.userId });
+    await publishAlert('alert_updated', alert.id);
+    await auditLog.record(req, {
+      action: 'comment_alert',
+      table: 'sensor_alerts',
+      recordId: alert.id,
+      after: { comment }
     });
-
+    res.json({ success: true, message: 'Comment added' });
   } catch (err) {
-    console.error('❌ Error fetching sensor history:', err);
-    res.status(500).json({
-      success: false,
-      error: err.message
-    });
+    console.error('❌ Error adding alert comment:', err);
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ==================== MOBILE ENDPOINTS ====================
+// ==================== ADMIN DASHBOARD ====================
 
-app.get('/api/mobile/sensors', async (req, res) => {
+app.get('/api/admin/dashboard', requireStaffAuth, async (req, res) => {
   try {
-    const { phone } = req.query;
-    console.log('📱 Fetching sensors for phone:', phone);
-    
-    if (!phone) {
-      return res.status(400).json({ success: false, error: 'Phone number is required' });
-    }
-
-    const villager = await fetchVillagerByPhone(phone);
+    // Every figure covers the panchayats this account can see, summed across them
+    const [villagersInScope, villagerParams] = req.scope.filter('v.panchayat_id');
+    const [sensorsInScope, sensorParams] = req.scope.filter('s.panchayat_id');
+    const [alertsInScope, alertParams] = req.scope.filter('a.panchayat_id');
+
+    const [[{ totalVillagers }]] = await db.query(
+      `SELECT COUNT(*) AS totalVillagers FROM villagers v WHERE v.is_active = TRUE AND ${villagersInScope}`,
+      villagerParams
+    );
+    const [[{ totalSensors }]] = await db.query(
+      `SELECT COUNT(*) AS totalSensors FROM sensors s WHERE s.status <> 'deleted' AND ${sensorsInScope}`,
+      sensorParams
+    );
+    const totalVillages = await locationService.countVillages(req.scope);
+    const activeSensors = await getActiveSensorCount(req.scope);
 
-    if (!villager) {
-      return res.status(404).json({ success: false, error: 'Villager not found' });
-    }
+    const [recentVillagers] = await db.query(
+      `${VILLAGER_WITH_LOCATION_SQL} WHERE v.is_active = TRUE AND ${villagersInScope} ORDER BY v.created_at DESC LIMIT 5`,
+      villagerParams
+    );
 
     const [sensorRows] = await db.query(`
-      SELECT s.id, s.name, s.type, s.location_description, s.district_id,
-             l.name as district_name
+      SELECT s.id, s.name, s.type, s.status, s.district_id, l.name as district_name
       FROM sensors s
       LEFT JOIN locations l ON l.id = s.district_id
-      WHERE s.villager_id = ?
-      ORDER BY s.installed_at DESC
-    `, [villager.id]);
+      WHERE s.status <> 'deleted' AND ${sensorsInScope}
+      ORDER BY s.installed_at DESC LIMIT 5
+    `, sensorParams);
 
-    console.log(`📊 Found ${sensorRows.length} sensors for villager ${villager.name}`);
+    const [[{ activeAlerts }]] = await db.query(
+      `SELECT COUNT(*) AS activeAlerts FROM sensor_alerts a WHERE a.is_resolved = FALSE AND ${alertsInScope}`,
+      alertParams
+    );
 
-    const sensors = [];
+    const [activeAlertRows] = await db.query(`
+      SELECT a.id, a.sensor_id, a.alert_type, a.message, a.value, a.threshold, a.created_at,
+             s.name AS sensor_name
+      FROM sensor_alerts a
+      LEFT JOIN sensors s ON s.id = a.sensor_id
+      WHERE a.is_resolved = FALSE AND ${alertsInScope}
+      ORDER BY FIELD(a.alert_type, 'danger', 'offline', 'warning'), a.created_at DESC
+      LIMIT 10
+    `, alertParams);
 
+    const recentSensors = [];
+    const snapshots = await fetchSensorSnapshots(sensorRows);
     for (const sensor of sensorRows) {
-      const snapshot = await fetchLatestSensorSnapshot(sensor.id, sensor.type, sensor.district_id);
-      
-      sensors.push({
+      const snapshot = snapshots.get(sensor.id);
+      recentSensors.push({
         devEUI: sensor.id,
         name: sensor.name || sensor.id,
         type: sensor.type,
-        location: sensor.location_description || sensor.district_name || 'Unknown',
         district: sensor.district_name,
-        measurement: snapshot.measurement,
-        time: snapshot.time,
         status: snapshot.status
       });
     }
 
     res.json({
       success: true,
-      villager: {
-        id: villager.id,
-        name: villager.name,
-        phone: villager.phone,
-        village: villager.village,
-        panchayat: villager.panchayat,
-        district: villager.district,
-        state: villager.state
+      data: {
+        statistics: { 
+          totalVillagers, 
+          totalSensors, 
+          activeSensors,
+          totalVillages, 
+          activeAlerts
+        },
+        recentVillagers: recentVillagers.map(formatVillagerForAdmin),
+        recentSensors,
+        activeAlerts: activeAlertRows
       },
-      sensors,
-      sensorCount: sensors.length
+      snapshotCache: snapshotService.getStatus()
+    });
+  } catch (error) {
+    console.error('❌ Dashboard error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== ADMIN CONTROLLER ROUTES ====================
+
+app.post('/api/admin/villagers', requirePermission('manage_villagers'), AdminController.addVillager);
+app.put('/api/admin/villagers/:id', requirePermission('manage_villagers'), AdminController.updateVillager);
+app.delete('/api/admin/villagers/:id', requirePermission('manage_villagers'), AdminController.deleteVillager);
+
+app.post('/api/admin/sensors', requirePermission('manage_sensors'), AdminController.addSensor);
+app.put('/api/admin/sensors/:sensorId', requirePermission('manage_sensors'), AdminController.updateSensor);
+app.delete('/api/admin/sensors/:sensorId', requirePermission('manage_sensors'), AdminController.deleteSensor);
+
+app.get('/api/admin/summary', requireStaffAuth, AdminController.getDashboardData);
+
+// ==================== AUDIT LOG ====================
+
+app.get('/api/audit', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { action, table, record_id, actor_type, admin_id, villager_id, from, to, q, limit, offset } = req.query;
+
+    if (actor_type && !ACTOR_TYPES.includes(actor_type)) {
+      return res.status(400).json({ success: false, error: `actor_type must be one of: ${ACTOR_TYPES.join(', ')}` });
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ success: false, error: `${name} must be a valid date` });
+      }
+    }
+
+    const result = await auditLog.search({
+      action,
+      table,
+      recordId: record_id,
+      actorType: actor_type,
+      adminId: admin_id,
+      villagerId: villager_id,
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+      q,
+      limit,
+      offset,
+      scope: req.scope,
+      viewerId: req.user.userId
     });
+
+    res.json({ success: true, ...result, count: result.entries.length });
   } catch (err) {
-    console.error('❌ Error fetching mobile sensors:', err);
+    console.error('❌ Error searching audit log:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ==================== UNASSIGNED SENSORS ====================
+app.get('/api/audit/:id', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const entry = await auditLog.findById(req.params.id, { scope: req.scope, viewerId: req.user.userId });
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Audit entry not found' });
+    }
+    res.json({ success: true, entry });
+  } catch (err) {
+    console.error('❌ Error fetching audit entry:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ==================== STAFF AUTHENTICATION ====================
 
-app.get('/api/village-sensors/unassigned', async (req, res) => {
+app.post('/api/admin/auth/login', async (req, res) => {
   try {
-    const { village } = req.query;
-    console.log('📍 Fetching unassigned sensors for village:', village);
-    
-    if (!village) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Village name is required' 
-      });
+    const { username, password } = req.body;
+    console.log('🔐 Staff login attempt for:', username);
+
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: 'Username and password are required' });
     }
 
-    const searchTerm = `%${String(village).trim().toLowerCase()}%`;
-    
-    const [sensorRows] = await db.query(`
-      SELECT s.id, s.name, s.type, s.status, s.location_description, 
-             s.villager_id, s.district_id, l.name as district_name
-      FROM sensors s
-      LEFT JOIN locations l ON l.id = s.district_id
-      WHERE s.villager_id IS NULL
-        AND (
-          LOWER(COALESCE(s.location_description, '')) LIKE ?
-          OR LOWER(COALESCE(s.name, '')) LIKE ?
-          OR LOWER(COALESCE(l.name, '')) LIKE ?
-        )
-      ORDER BY s.name ASC
-    `, [searchTerm, searchTerm, searchTerm]);
+    const [[user]] = await db.query(
+      `SELECT id, username, password_hash, full_name, email, phone, panchayat_id, role, permissions, is_active,
+              token_version
+       FROM admin_users WHERE username = ?`,
+      [username]
+    );
 
-    console.log(`📊 Found ${sensorRows.length} unassigned sensors`);
+    // Same answer for unknown users and wrong passwords so usernames cannot be probed
+    const passwordMatches = user ? await bcrypt.compare(String(password), user.password_hash) : false;
+    if (!passwordMatches) {
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+    if (!user.is_active) {
+      return res.status(403).json({ success: false, error: 'Account is disabled' });
+    }
 
-    const sensors = [];
-    
-    for (const sensor of sensorRows) {
-      const snapshot = await fetchLatestSensorSnapshot(sensor.id, sensor.type, sensor.district_id);
-      
-      sensors.push({
-        id: sensor.id,
-        devEUI: sensor.id,
-        name: sensor.name,
-        type: sensor.type,
-        location: sensor.location_description || sensor.district_name,
-        district: sensor.district_name,
-        measurement: snapshot.measurement,
-        time: snapshot.time,
-        status: snapshot.status,
-        isAssigned: false
+    await db.query('UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+    await auditLog.record(req, {
+      action: 'staff_login',
+      table: 'admin_users',
+      recordId: user.id,
+      actor: { type: 'staff', id: user.id }
+    });
+
+    const token = jwt.sign(
+      { sub: String(user.id), typ: 'staff', role: user.role, ver: user.token_version },
+      AUTH_CONFIG.jwtSecret,
+      { expiresIn: AUTH_CONFIG.staffTokenTtl }
+    );
+    const { exp } = jwt.decode(token);
+
+    console.log('✅ Staff login successful for:', user.username);
+    res.json({
+      success: true,
+      token,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      user: normalizeStaffUser(user)
+    });
+  } catch (error) {
+    console.error('❌ Staff login error:', error);
+    res.status(500).json({ success: false, error: 'Login failed: ' + error.message });
+  }
+});
+
+app.get('/api/admin/auth/me', requireStaffAuth, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+// ==================== STAFF MANAGEMENT ====================
+
+const PERMISSION_FLAGS = Object.keys(ROLE_DEFAULT_PERMISSIONS.admin);
+const MIN_PASSWORD_LENGTH = 8;
+
+const STAFF_SELECT_SQL = `
+  SELECT id, username, full_name, email, phone, panchayat_id, role, is_active,
+         permissions, created_at, last_login
+  FROM admin_users
+`;
+
+function formatStaffAccount(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    fullName: row.full_name,
+    email: row.email,
+    phone: row.phone,
+    panchayatId: row.panchayat_id,
+    role: row.role,
+    isActive: Boolean(row.is_active),
+    permissions: resolvePermissions(row.role, row.permissions),
+    createdAt: row.created_at,
+    lastLogin: row.last_login
+  };
+}
+
+// Admins manage everyone; supervisors only manage operator accounts
+function canManageAccount(actor, targetRole) {
+  return actor.role === 'admin' || targetRole === 'operator';
+}
+
+// Returns an error message, or null when the permission map is acceptable for this actor
+function validatePermissionChanges(actor, permissions) {
+  if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+    return 'permissions must be an object';
+  }
+  for (const [flag, value] of Object.entries(permissions)) {
+    if (!PERMISSION_FLAGS.includes(flag)) {
+      return `Unknown permission: ${flag}`;
+    }
+    if (typeof value !== 'boolean') {
+      return `Permission ${flag} must be true or false`;
+    }
+    if (value && actor.role !== 'admin' && actor.permissions[flag] !== true) {
+      return `You cannot grant ${flag} without holding it`;
+    }
+  }
+  return null;
+}
+
+// Accounts tied to a location only manage staff tied somewhere inside it; others are not found
+async function fetchStaffAccount(id, scope = null) {
+  const [rows] = await db.query(`${STAFF_SELECT_SQL} WHERE id = ?`, [id]);
+  if (rows.length === 0 || (scope && !scope.covers(rows[0].panchayat_id))) return null;
+  return rows[0];
+}
+
+function sendTenancyError(res, err, context) {
+  if (err instanceof TenancyError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${context}:`, err);
+  res.status(500).json({ success: false, error: err.message });
+}
+
+app.get('/api/admin/users', requirePermission('manage_admins'), async (req, res) => {
+  try {
+    const area = req.scope.restricted ? [...req.scope.area] : null;
+    const [rows] = await db.query(
+      `${STAFF_SELECT_SQL} ${area ? 'WHERE panchayat_id IN (?) OR id = ?' : ''} ORDER BY created_at DESC`,
+      area ? [area.length > 0 ? area : [0], req.user.userId] : []
+    );
+    const users = rows.map(formatStaffAccount);
+    res.json({ success: true, users, count: users.length });
+  } catch (err) {
+    console.error('❌ Error fetching staff accounts:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/admin/users', requirePermission('manage_admins'), async (req, res) => {
+  try {
+    const { username, password, full_name, email, phone, panchayat_id, permissions } = req.body;
+    const role = req.body.role || 'operator';
+
+    if (!username || !password || !full_name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: username, password, full_name'
+      });
+    }
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${STAFF_ROLES.join(', ')}` });
+    }
+    if (!canManageAccount(req.user, role)) {
+      return res.status(403).json({ success: false, error: `Your role cannot create ${role} accounts` });
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
       });
     }
 
-    res.json({ 
-      success: true, 
-      village: village, 
-      sensors: sensors, 
-      count: sensors.length 
+    const permissionError = validatePermissionChanges(req.user, permissions || {});
+    if (permissionError) {
+      return res.status(400).json({ success: false, error: permissionError });
+    }
+    const grantedPermissions = { ...ROLE_DEFAULT_PERMISSIONS[role], ...(permissions || {}) };
+    // New accounts land where their creator works unless another location is chosen
+    const location = panchayat_id ? await tenancy.assignableLocation(panchayat_id, req.scope) : null;
+
+    const [result] = await db.query(
+      `INSERT INTO admin_users (username, password_hash, full_name, email, phone, panchayat_id, role, permissions)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        username,
+        await bcrypt.hash(String(password), 10),
+        full_name,
+        email || null,
+        phone || null,
+        location ? location.id : req.user.panchayatId || null,
+        role,
+        JSON.stringify(grantedPermissions)
+      ]
+    );
+
+    const created = await fetchStaffAccount(result.insertId);
+    await auditLog.record(req, { action: 'create_staff', table: 'admin_users', recordId: created.id, after: created });
+
+    res.json({
+      success: true,
+      message: 'Staff account created successfully',
+      user: formatStaffAccount(created)
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, error: 'Username already exists' });
+    }
+    sendTenancyError(res, err, 'Error creating staff account');
+  }
+});
+
+app.put('/api/admin/users/:id/permissions', requirePermission('manage_admins'), async (req, res) => {
+  try {
+    const account = await fetchStaffAccount(req.params.id, req.scope);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Staff account not found' });
+    }
+    if (!canManageAccount(req.user, account.role)) {
+      return res.status(403).json({ success: false, error: `Your role cannot manage ${account.role} accounts` });
+    }
+
+    const { permissions } = req.body;
+    const permissionError = validatePermissionChanges(req.user, permissions);
+    if (permissionError) {
+      return res.status(400).json({ success: false, error: permissionError });
+    }
+
+    const merged = { ...resolvePermissions(account.role, account.permissions), ...permissions };
+    await db.query('UPDATE admin_users SET permissions = ? WHERE id = ?', [JSON.stringify(merged), account.id]);
+
+    const updated = await fetchStaffAccount(account.id);
+    await auditLog.record(req, {
+      action: 'update_staff_permissions',
+      table: 'admin_users',
+      recordId: account.id,
+      before: { permissions: resolvePermissions(account.role, account.permissions) },
+      after: { permissions: merged }
     });
-  } catch (err) {
-    console.error('❌ Error fetching unassigned sensors:', err);
-    res.status(500).json({ 
-      success: false, 
-      error: err.message 
+
+    res.json({
+      success: true,
+      message: 'Permissions updated successfully',
+      user: formatStaffAccount(updated)
     });
+  } catch (err) {
+    console.error('❌ Error updating permissions:', err);
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
-app.post('/api/sensors/map', async (req, res) => {
+// Ties an account to a panchayat (full access there) or a district or state (read
+// access below it); null removes the restriction and is left to unrestricted accounts
+app.put('/api/admin/users/:id/panchayat', requirePermission('manage_admins'), async (req, res) => {
   try {
-    const { devEUI, phone } = req.body;
-    console.log('📍 Mapping sensor:', devEUI, 'to phone:', phone);
-    
-    if (!devEUI || !phone) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'devEUI and phone are required' 
-      });
+    const account = await fetchStaffAccount(req.params.id, req.scope);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Staff account not found' });
+    }
+    if (!canManageAccount(req.user, account.role)) {
+      return res.status(403).json({ success: false, error: `Your role cannot manage ${account.role} accounts` });
+    }
+    if (account.id === req.user.userId) {
+      return res.status(400).json({ success: false, error: 'You cannot move your own account' });
     }
 
-    const conn = await db.getConnection();
-    await conn.beginTransaction();
-
-    try {
-      const villager = await fetchVillagerByPhone(phone, conn);
-      if (!villager) {
-        throw new Error('Villager not found with this phone number');
+    const { panchayat_id } = req.body || {};
+    if (panchayat_id === undefined) {
+      return res.status(400).json({ success: false, error: 'panchayat_id is required (null for every panchayat)' });
+    }
+    let location = null;
+    if (panchayat_id === null || panchayat_id === '') {
+      if (req.scope.restricted) {
+        return res.status(403).json({ success: false, error: 'Only accounts not tied to a panchayat can lift the restriction' });
       }
+    } else {
+      location = await tenancy.assignableLocation(panchayat_id, req.scope);
+    }
 
-      const [[sensor]] = await conn.query(
-        `SELECT id, villager_id FROM sensors WHERE id = ?`,
-        [devEUI]
-      );
-      
-      if (!sensor) {
-        throw new Error('Sensor not found with this id');
-      }
+    await db.query('UPDATE admin_users SET panchayat_id = ? WHERE id = ?', [location ? location.id : null, account.id]);
 
-      if (sensor.villager_id !== null) {
-        throw new Error('Sensor is already mapped to another villager');
-      }
+    const updated = await fetchStaffAccount(account.id);
+    await auditLog.record(req, {
+      action: 'update_staff_panchayat',
+      table: 'admin_users',
+      recordId: account.id,
+      before: { panchayat_id: account.panchayat_id },
+      after: { panchayat_id: updated.panchayat_id }
+    });
 
-      await conn.query(
-        `UPDATE sensors SET villager_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-        [villager.id, sensor.id]
-      );
-      
-      await conn.commit();
-      
-      console.log('✅ Sensor mapped successfully');
-      res.json({ 
-        success: true, 
-        message: 'Sensor mapped successfully' 
-      });
-      
-    } catch (err) {
-      await conn.rollback();
-      throw err;
-    } finally {
-      conn.release();
-    }
-  } catch (err) {
-    console.error('❌ Error mapping sensor:', err);
-    res.status(500).json({ 
-      success: false, 
-      error: err.message 
+    res.json({
+      success: true,
+      message: location ? `Account now works in ${location.name}` : 'Account now covers every panchayat',
+      user: formatStaffAccount(updated)
     });
+  } catch (err) {
+    sendTenancyError(res, err, 'Error updating staff panchayat');
   }
 });
 
-// ==================== ADMIN DASHBOARD ====================
-
-app.get('/api/admin/dashboard', async (req, res) => {
+app.post('/api/admin/users/:id/reset-password', requirePermission('manage_admins'), async (req, res) => {
   try {
-    const [[{ totalVillagers }]] = await db.query(`SELECT COUNT(*) AS totalVillagers FROM villagers`);
-    const [[{ totalSensors }]] = await db.query(`SELECT COUNT(*) AS totalSensors FROM sensors`);
-    const activeSensors = await getActiveSensorCount();
+    const account = await fetchStaffAccount(req.params.id, req.scope);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Staff account not found' });
+    }
+    if (!canManageAccount(req.user, account.role)) {
+      return res.status(403).json({ success: false, error: `Your role cannot manage ${account.role} accounts` });
+    }
 
-    const [recentVillagers] = await db.query(
-      `SELECT name, phone, created_at FROM villagers ORDER BY created_at DESC LIMIT 5`
+    // Without a password in the body a temporary one is generated and returned once
+    const generated = !req.body.password;
+    const password = generated ? crypto.randomBytes(6).toString('base64url') : String(req.body.password);
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    // Bumping the token version signs the account out everywhere it is logged in
+    await db.query(
+      'UPDATE admin_users SET password_hash = ?, token_version = token_version + 1 WHERE id = ?',
+      [await bcrypt.hash(password, 10), account.id]
     );
+    await auditLog.record(req, {
+      action: 'reset_staff_password',
+      table: 'admin_users',
+      recordId: account.id,
+      after: { generated }
+    });
 
-    const [sensorRows] = await db.query(`
-      SELECT s.id, s.name, s.type, s.status, s.district_id, l.name as district_name
-      FROM sensors s
-      LEFT JOIN locations l ON l.id = s.district_id
-      ORDER BY s.installed_at DESC LIMIT 5
-    `);
+    res.json({
+      success: true,
+      message: 'Password reset successfully',
+      ...(generated ? { temporaryPassword: password } : {})
+    });
+  } catch (err) {
+    console.error('❌ Error resetting password:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    const recentSensors = [];
-    for (const sensor of sensorRows) {
-      const snapshot = await fetchLatestSensorSnapshot(sensor.id, sensor.type, sensor.district_id);
-      recentSensors.push({
-        devEUI: sensor.id,
-        name: sensor.name || sensor.id,
-        type: sensor.type,
-        district: sensor.district_name,
-        status: snapshot.status
-      });
+async function setStaffAccountActive(req, res, isActive) {
+  try {
+    const account = await fetchStaffAccount(req.params.id, req.scope);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Staff account not found' });
+    }
+    if (!canManageAccount(req.user, account.role)) {
+      return res.status(403).json({ success: false, error: `Your role cannot manage ${account.role} accounts` });
     }
+    if (account.id === req.user.userId) {
+      return res.status(400).json({ success: false, error: 'You cannot change the status of your own account' });
+    }
+
+    await db.query('UPDATE admin_users SET is_active = ? WHERE id = ?', [isActive, account.id]);
+
+    const updated = await fetchStaffAccount(account.id);
+    await auditLog.record(req, {
+      action: isActive ? 'activate_staff' : 'deactivate_staff',
+      table: 'admin_users',
+      recordId: account.id,
+      before: { is_active: Boolean(account.is_active) },
+      after: { is_active: isActive }
+    });
 
     res.json({
       success: true,
-      data: {
-        statistics: { 
-          totalVillagers, 
-          totalSensors, 
-          activeSensors,
-          totalVillages: 1, 
-          activeAlerts: 0 
-        },
-        recentVillagers,
-        recentSensors
-      }
+      message: isActive ? 'Staff account activated' : 'Staff account deactivated',
+      user: formatStaffAccount(updated)
     });
-  } catch (error) {
-    console.error('❌ Dashboard error:', error);
-    res.status(500).json({ success: false, error: error.message });
+  } catch (err) {
+    console.error('❌ Error updating staff account status:', err);
+    res.status(500).json({ success: false, error: err.message });
   }
+}
+
+app.post('/api/admin/users/:id/deactivate', requirePermission('manage_admins'), (req, res) => {
+  return setStaffAccountActive(req, res, false);
+});
+
+app.post('/api/admin/users/:id/activate', requirePermission('manage_admins'), (req, res) => {
+  return setStaffAccountActive(req, res, true);
 });
 
 // ==================== MOBILE AUTHENTICATION ====================
@@ -954,44 +4418,49 @@ app.post('/api/verify/check-phone', async (req, res) => {
   }
 });
 
-app.post('/api/verify/send-otp', async (req, res) => {
-  try {
-    const { phone } = req.body;
-    console.log('📱 Sending OTP to:', phone);
-    
-    if (!phone || phone.length !== 10) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Please enter valid 10-digit phone number' 
-      });
-    }
-
-    const villager = await fetchVillagerByPhone(phone);
-    if (!villager) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Phone number not registered' 
-      });
-    }
+// Shared by send-otp and resend-otp: both require a registered phone and obey the same limits
+async function handleOtpSend(req, res, successMessage) {
+  const { phone } = req.body;
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const expiresAt = Date.now() + 5 * 60 * 1000;
-    otpStore.set(phone, { 
-      otp, 
-      expiresAt, 
-      phone, 
-      villagerId: villager.id, 
-      attempts: 0 
+  if (!phone || phone.length !== 10) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Please enter valid 10-digit phone number' 
     });
+  }
 
-    console.log(`✅ OTP ${otp} generated for phone ${phone}`);
-    
-    res.json({ 
-      success: true, 
-      message: 'OTP sent successfully', 
-      otp: otp,
-      test_mode: true 
+  const villager = await fetchVillagerByPhone(phone);
+  if (!villager) {
+    return res.status(404).json({ 
+      success: false, 
+      error: 'Phone number not registered' 
     });
+  }
+
+  const blocked = await otpStore.checkSendAllowed(phone, req.ip);
+  if (blocked) {
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(429).json({ success: false, error: blocked.error, retryAfter: blocked.retryAfter });
+  }
+
+  const otp = await otpStore.issue(phone, villager.id, req.ip);
+
+  try {
+    await deliverOtp(phone, otp);
+  } catch (deliveryError) {
+    await otpStore.discard(phone);
+    console.error('❌ OTP delivery failed:', deliveryError.message);
+    return res.status(502).json({ success: false, error: 'Could not deliver OTP. Please try again.' });
+  }
+
+  console.log(`✅ OTP generated for phone ${phone}`);
+  res.json(otpResponse(successMessage, otp));
+}
+
+app.post('/api/verify/send-otp', async (req, res) => {
+  try {
+    console.log('📱 Sending OTP to:', req.body.phone);
+    await handleOtpSend(req, res, 'OTP sent successfully');
   } catch (error) {
     console.error('❌ OTP send error:', error);
     res.status(500).json({ 
@@ -1013,39 +4482,36 @@ app.post('/api/verify/check-otp', async (req, res) => {
       });
     }
 
-    const otpData = otpStore.get(phone);
-    
-    if (!otpData) {
-      return res.json({ 
-        success: false, 
-        error: 'OTP not found or expired. Please request a new one.' 
-      });
-    }
-    
-    if (Date.now() > otpData.expiresAt) {
-      otpStore.delete(phone);
-      return res.json({ 
-        success: false, 
-        error: 'OTP has expired. Please request a new one.' 
-      });
-    }
-    
-    if (otpData.attempts >= 3) {
-      otpStore.delete(phone);
-      return res.json({ 
-        success: false, 
-        error: 'Too many attempts. OTP invalidated.' 
-      });
-    }
+    const result = await otpStore.verify(phone, otp);
 
-    otpData.attempts++;
-    
-    if (otpData.otp !== otp) {
-      otpStore.set(phone, otpData);
-      return res.json({ 
-        success: false, 
-        error: `Invalid OTP. ${3 - otpData.attempts} attempts remaining.` 
-      });
+    switch (result.status) {
+      case 'locked':
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: `Too many failed attempts. Try again in ${Math.ceil(result.retryAfter / 60)} minute(s).`,
+          retryAfter: result.retryAfter
+        });
+      case 'not_found':
+        return res.json({ 
+          success: false, 
+          error: 'OTP not found or expired. Please request a new one.' 
+        });
+      case 'expired':
+        return res.json({ 
+          success: false, 
+          error: 'OTP has expired. Please request a new one.' 
+        });
+      case 'exhausted':
+        return res.json({ 
+          success: false, 
+          error: 'Too many attempts. OTP invalidated.' 
+        });
+      case 'invalid':
+        return res.json({ 
+          success: false, 
+          error: `Invalid OTP. ${result.attemptsRemaining} attempts remaining.` 
+        });
     }
 
     const villager = await fetchVillagerByPhone(phone);
@@ -1061,14 +4527,20 @@ app.post('/api/verify/check-otp', async (req, res) => {
       [villager.id]
     );
 
-    const token = 'villager-' + Date.now() + '-' + phone;
-    otpStore.delete(phone);
+    const session = await createVillagerSession(villager, req);
+    await auditLog.record(req, {
+      action: 'villager_login',
+      table: 'villager_sessions',
+      recordId: villager.id,
+      actor: { type: 'villager', id: villager.id },
+      after: { method: 'otp' }
+    });
 
     console.log('✅ OTP verified successfully for:', villager.name);
     
     res.json({
       success: true,
-      token,
+      ...session,
       user: {
         id: villager.id,
         name: villager.name,
@@ -1097,35 +4569,8 @@ app.post('/api/verify/check-otp', async (req, res) => {
 
 app.post('/api/verify/resend-otp', async (req, res) => {
   try {
-    const { phone } = req.body;
-    console.log('📱 Resending OTP to:', phone);
-    
-    if (!phone) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Phone number is required' 
-      });
-    }
-
-    otpStore.delete(phone);
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const expiresAt = Date.now() + 5 * 60 * 1000;
-    
-    otpStore.set(phone, { 
-      otp, 
-      expiresAt, 
-      phone, 
-      attempts: 0 
-    });
-
-    console.log(`✅ New OTP ${otp} generated for ${phone}`);
-    
-    res.json({ 
-      success: true, 
-      message: 'New OTP sent successfully', 
-      otp: otp,
-      test_mode: true 
-    });
+    console.log('📱 Resending OTP to:', req.body.phone);
+    await handleOtpSend(req, res, 'New OTP sent successfully');
   } catch (error) {
     console.error('❌ Resend OTP error:', error);
     res.status(500).json({ 
@@ -1139,6 +4584,13 @@ app.post('/api/login', async (req, res) => {
   try {
     const { phone } = req.body;
     console.log('📱 Login attempt for phone:', phone);
+
+    if (!AUTH_CONFIG.allowPhoneLogin) {
+      return res.status(403).json({
+        success: false,
+        error: 'Phone-only login is disabled. Please verify with OTP.'
+      });
+    }
     
     if (!phone || phone.length !== 10) {
       return res.status(400).json({ 
@@ -1161,11 +4613,18 @@ app.post('/api/login', async (req, res) => {
       [villager.id]
     );
     
-    const token = 'villager-' + Date.now() + '-' + phone;
+    const session = await createVillagerSession(villager, req);
+    await auditLog.record(req, {
+      action: 'villager_login',
+      table: 'villager_sessions',
+      recordId: villager.id,
+      actor: { type: 'villager', id: villager.id },
+      after: { method: 'phone' }
+    });
     
     res.json({ 
       success: true, 
-      token: token, 
+      ...session,
       user: {
         id: villager.id,
         name: villager.name,
@@ -1188,19 +4647,104 @@ app.post('/api/login', async (req, res) => {
 });
 
 app.get('/api/auth/validate', async (req, res) => {
-  const token = req.headers.authorization;
-  if (!token) {
-    return res.json({ success: false, error: 'No token' });
+  try {
+    const token = extractBearerToken(req);
+    if (!token) {
+      return res.json({ success: false, error: 'No token' });
+    }
+
+    const session = await resolveVillagerSession(token);
+    if (!session) {
+      return res.json({ success: false, valid: false, error: 'Invalid token' });
+    }
+
+    return res.json({
+      success: true,
+      valid: true,
+      message: 'Token is valid',
+      villagerId: session.villagerId
+    });
+  } catch (error) {
+    console.error('❌ Token validation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, error: 'refreshToken is required' });
+    }
+
+    const [[session]] = await db.query(
+      `SELECT s.id, s.villager_id
+       FROM villager_sessions s
+       WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+      [hashToken(String(refreshToken))]
+    );
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
+    }
+
+    const villager = await fetchVillagerById(session.villager_id);
+    if (!villager) {
+      return res.status(401).json({ success: false, error: 'Villager account no longer exists' });
+    }
+
+    // Rotate: the presented refresh token is spent and its session closed. Only the
+    // request that actually closes it may continue, so a token replayed concurrently
+    // cannot open two sessions.
+    const [rotated] = await db.query(
+      `UPDATE villager_sessions SET revoked_at = CURRENT_TIMESTAMP, last_used_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND revoked_at IS NULL`,
+      [session.id]
+    );
+    if (rotated.affectedRows !== 1) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
+    }
+    const newSession = await createVillagerSession(villager, req);
+
+    res.json({ success: true, ...newSession });
+  } catch (error) {
+    console.error('❌ Token refresh error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-  if (token.startsWith('villager-') || token.startsWith('token-')) {
-    return res.json({ success: true, valid: true, message: 'Token is valid' });
+});
+
+app.post('/api/auth/logout', requireVillagerAuth, async (req, res) => {
+  try {
+    if (req.body.allDevices) {
+      await db.query(
+        `UPDATE villager_sessions SET revoked_at = CURRENT_TIMESTAMP
+         WHERE villager_id = ? AND revoked_at IS NULL`,
+        [req.villager.id]
+      );
+    } else {
+      await db.query(
+        `UPDATE villager_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [req.villagerSession.sessionId]
+      );
+    }
+
+    await auditLog.record(req, {
+      action: 'villager_logout',
+      table: 'villager_sessions',
+      recordId: req.villager.id,
+      after: { allDevices: Boolean(req.body.allDevices) }
+    });
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-  return res.json({ success: false, valid: false, error: 'Invalid token' });
 });
 
 // ==================== DEBUG ENDPOINTS ====================
 
-app.get('/api/debug/influx-check/:devEUI', async (req, res) => {
+app.get('/api/debug/influx-check/:devEUI', requireRole('admin'), async (req, res) => {
   try {
     const { devEUI } = req.params;
     
@@ -1218,14 +4762,12 @@ app.get('/api/debug/influx-check/:devEUI', async (req, res) => {
     const sensor = sensorInfo[0];
     const measurementName = `${sensor.district_name}_${sensor.type}`;
     
-    const fluxQuery = `
-      from(bucket: "${INFLUX_CONFIG.bucket}")
-        |> range(start: -1h)
-        |> filter(fn: (r) => r._measurement == "${measurementName}")
-        |> filter(fn: (r) => r.sensor_id == "${devEUI}")
-        |> sort(columns: ["_time"], desc: true)
-        |> limit(n: 10)
-    `;
+    const fluxQuery = FluxQuery.from(INFLUX_CONFIG.bucket)
+      .range({ start: -3600 })
+      .whereEquals('_measurement', measurementName)
+      .whereEquals('sensor_id', devEUI)
+      .sort(['_time'], { desc: true })
+      .limit(10);
     
     const data = await queryInfluxDB(fluxQuery);
     
@@ -1261,9 +4803,9 @@ app.get('/api/debug/influx-check/:devEUI', async (req, res) => {
   }
 });
 
-app.get('/api/debug/raw', async (req, res) => {
+app.get('/api/debug/raw', requireRole('admin'), async (req, res) => {
   try {
-    const query = `from(bucket: "${INFLUX_CONFIG.bucket}") |> range(start: -1h) |> limit(n: 20)`;
+    const query = FluxQuery.from(INFLUX_CONFIG.bucket).range({ start: -3600 }).limit(20);
     const result = await queryInfluxDB(query);
     res.json({ success: true, count: result.length, data: result });
   } catch (error) {
@@ -1293,6 +4835,14 @@ app.use('/api', (req, res) => {
 });
 
 app.use((err, req, res, next) => {
+  // Bodies the JSON parser rejected (too large, malformed) are the client's fault
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: 'Request body is too large' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'Request body is not valid JSON' });
+  }
+
   console.error('❌ Server error:', err.message);
   res.status(500).json({
     success: false,
@@ -1303,7 +4853,7 @@ app.use((err, req, res, next) => {
 
 // ==================== START SERVER ====================
 
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log('🚀 Smart Panchayat Backend');
   console.log('══════════════════════════════════════════════════════');
   console.log(`📡 Server running on port: ${PORT}`);
@@ -1311,9 +4861,17 @@ app.listen(PORT, () => {
   console.log(`🏢 InfluxDB Org: ${INFLUX_CONFIG.org}`);
   console.log(`🔧 API:    /api/*`);
   console.log(`📱 Mobile: /api/verify/*, /api/mobile/sensors`);
-  console.log(`📋 Unassigned Sensors: /api/village-sensors/unassigned?village=NAME`);
-  console.log(`🔗 Map Sensor: /api/sensors/map`);
+  console.log(`🔐 Auth:   /api/auth/validate, /api/auth/refresh, /api/auth/logout`);
+  console.log(`📋 Unassigned Sensors: /api/village-sensors/unassigned?village_id=ID`);
+  console.log(`🗺️  Locations: /api/locations, /api/locations/tree, /api/migrations/village-backfill`);
+  console.log(`🔗 Map Sensor: /api/sensors/map, /api/sensors/:devEUI/unmap, /api/sensors/:devEUI/reassign`);
   console.log(`🏠 Admin:  http://localhost:${PORT}/admin`);
+  console.log(`🔑 Staff:  /api/admin/auth/login (roles: ${STAFF_ROLES.join(', ')})`);
+  console.log('🛠️  Admin API: /api/admin/villagers, /api/admin/sensors, /api/admin/summary');
+  console.log('📜 Audit:  /api/audit?action=&table=&record_id=&q=');
+  console.log('📑 Reports: /api/reports/render?period=weekly|monthly&panchayat_id=&format=pdf|html|json, /api/report-schedules');
+  console.log('⚡ Realtime: Socket.IO on this port, handshake auth.token = staff or villager token');
+  console.log(`🗃️  Snapshot cache: refresh every ${snapshotService.refreshIntervalMs / 1000}s, fresh for ${snapshotService.freshnessWindowMs / 1000}s (/api/snapshots/status)`);
   console.log('══════════════════════════════════════════════════════');
   console.log('📊 InfluxDB Query Format:');
   console.log('   Measurement = <district_name>_<sensor_type>');
@@ -0,0 +1,263 @@
+const { db } = require('../config/database');
+
+// ==================== AUDIT LOG ====================
+// One row per mutating action: who did it (staff account, villager or the system),
+// what record it touched and the values before and after. Updates only keep the
+// fields that actually changed so the log reads as a diff.
+
+const ACTOR_TYPES = ['staff', 'villager', 'system'];
+
+// Never copied into the log
+const REDACTED_FIELDS = ['password_hash', 'refresh_token_hash', 'code_hash'];
+
+// Bookkeeping columns that change on every write and would drown out the real diff
+const IGNORED_FIELDS = ['updated_at', 'last_updated'];
+
+const MAX_SEARCH_LIMIT = 500;
+
+function normalizeValue(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return value.toString();
+    return value;
+}
+
+// Free-text search matches these characters literally rather than as LIKE wildcards
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+function sanitize(values) {
+    if (!values) return null;
+    const clean = {};
+    for (const [key, value] of Object.entries(values)) {
+        if (REDACTED_FIELDS.includes(key)) continue;
+        clean[key] = normalizeValue(value);
+    }
+    return clean;
+}
+
+// Returns { oldValues, newValues }. Creates and deletes keep the whole record;
+// updates keep only changed keys (both sides null when nothing changed).
+function diffValues(before, after) {
+    const oldClean = sanitize(before);
+    const newClean = sanitize(after);
+    if (!oldClean || !newClean) {
+        return { oldValues: oldClean, newValues: newClean };
+    }
+
+    const oldValues = {};
+    const newValues = {};
+    const keys = new Set([...Object.keys(oldClean), ...Object.keys(newClean)]);
+    for (const key of keys) {
+        if (IGNORED_FIELDS.includes(key)) continue;
+        const previous = oldClean[key] === undefined ? null : oldClean[key];
+        const next = newClean[key] === undefined ? null : newClean[key];
+        if (JSON.stringify(previous) === JSON.stringify(next)) continue;
+        oldValues[key] = previous;
+        newValues[key] = next;
+    }
+
+    if (Object.keys(newValues).length === 0) {
+        return { oldValues: null, newValues: null };
+    }
+    return { oldValues, newValues };
+}
+
+// Staff requests carry req.user, villager requests carry req.villager
+function resolveActor(req, actor) {
+    if (actor) return actor;
+    if (req && req.user) return { type: 'staff', id: req.user.userId };
+    if (req && req.villager) return { type: 'villager', id: req.villager.id };
+    return { type: 'system', id: null };
+}
+
+function parseJson(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+class AuditLog {
+    constructor(database) {
+        this.db = database;
+    }
+
+    async ensureSchema() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS audit_logs (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                actor_type VARCHAR(20) DEFAULT 'staff',
+                admin_id INT,
+                villager_id INT,
+                action_type VARCHAR(50) NOT NULL,
+                table_name VARCHAR(50),
+                record_id VARCHAR(50),
+                old_values JSON,
+                new_values JSON,
+                ip_address VARCHAR(45),
+                user_agent TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_audit_admin (admin_id),
+                INDEX idx_audit_villager (villager_id),
+                INDEX idx_audit_record (table_name, record_id),
+                INDEX idx_audit_created (created_at)
+            )
+        `);
+    }
+
+    // entry: { action, table, recordId, before, after, actor: { type, id } }.
+    // Pass conn to write inside the caller's transaction so the log rolls back with it.
+    async record(req, entry, conn = this.db) {
+        const { action, table = null, recordId = null, before = null, after = null } = entry;
+        const actor = resolveActor(req, entry.actor);
+        const { oldValues, newValues } = diffValues(before, after);
+
+        await conn.query(
+            `INSERT INTO audit_logs
+               (actor_type, admin_id, villager_id, action_type, table_name, record_id,
+                old_values, new_values, ip_address, user_agent)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                actor.type,
+                actor.type === 'staff' ? actor.id : null,
+                actor.type === 'villager' ? actor.id : null,
+                action,
+                table,
+                recordId === null ? null : String(recordId),
+                oldValues ? JSON.stringify(oldValues) : null,
+                newValues ? JSON.stringify(newValues) : null,
+                (req && req.ip) || null,
+                (req && req.headers && req.headers['user-agent']) || null
+            ]
+        );
+    }
+
+    // A tenant-scoped reader sees what staff and villagers of its panchayats did, plus
+    // its own actions; system entries and other panchayats stay hidden. [sql, params]
+    static visibility(scope, viewerId) {
+        if (!scope || !scope.restricted) return ['TRUE', []];
+        const [staffScope, staffParams] = scope.filter('u.panchayat_id');
+        const [villagerScope, villagerParams] = scope.filter('v.panchayat_id');
+        return [
+            `(${staffScope} OR ${villagerScope} OR a.admin_id = ?)`,
+            [...staffParams, ...villagerParams, viewerId || 0]
+        ];
+    }
+
+    // Filters: action, table, recordId, actorType, adminId, villagerId, from, to, q, limit,
+    // offset, and scope/viewerId to limit a restricted reader (see visibility)
+    async search(filters = {}) {
+        const [visible, visibleParams] = AuditLog.visibility(filters.scope, filters.viewerId);
+        const conditions = [visible];
+        const params = [...visibleParams];
+
+        if (filters.action) {
+            conditions.push('a.action_type = ?');
+            params.push(filters.action);
+        }
+        if (filters.table) {
+            conditions.push('a.table_name = ?');
+            params.push(filters.table);
+        }
+        if (filters.recordId) {
+            conditions.push('a.record_id = ?');
+            params.push(String(filters.recordId));
+        }
+        if (filters.actorType) {
+            conditions.push('a.actor_type = ?');
+            params.push(filters.actorType);
+        }
+        if (filters.adminId) {
+            conditions.push('a.admin_id = ?');
+            params.push(filters.adminId);
+        }
+        if (filters.villagerId) {
+            conditions.push('a.villager_id = ?');
+            params.push(filters.villagerId);
+        }
+        if (filters.from) {
+            conditions.push('a.created_at >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('a.created_at <= ?');
+            params.push(filters.to);
+        }
+        if (filters.q) {
+            const like = `%${escapeLike(String(filters.q).toLowerCase())}%`;
+            conditions.push(`(
+                LOWER(a.record_id) LIKE ? ESCAPE '\\\\'
+                OR LOWER(CAST(a.old_values AS CHAR)) LIKE ? ESCAPE '\\\\'
+                OR LOWER(CAST(a.new_values AS CHAR)) LIKE ? ESCAPE '\\\\'
+                OR LOWER(COALESCE(u.username, '')) LIKE ? ESCAPE '\\\\'
+                OR LOWER(COALESCE(v.name, '')) LIKE ? ESCAPE '\\\\'
+            )`);
+            params.push(like, like, like, like, like);
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), MAX_SEARCH_LIMIT);
+        const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+        const from = `
+            FROM audit_logs a
+            LEFT JOIN admin_users u ON u.id = a.admin_id
+            LEFT JOIN villagers v ON v.id = a.villager_id
+            ${where}
+        `;
+
+        const [[{ total }]] = await this.db.query(`SELECT COUNT(*) AS total ${from}`, params);
+        const [rows] = await this.db.query(
+            `SELECT a.*, u.username AS admin_username, u.full_name AS admin_name, v.name AS villager_name
+             ${from}
+             ORDER BY a.created_at DESC, a.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        return { entries: rows.map(AuditLog.format), total, limit, offset };
+    }
+
+    async findById(id, { scope = null, viewerId = null } = {}) {
+        const [visible, visibleParams] = AuditLog.visibility(scope, viewerId);
+        const [rows] = await this.db.query(
+            `SELECT a.*, u.username AS admin_username, u.full_name AS admin_name, v.name AS villager_name
+             FROM audit_logs a
+             LEFT JOIN admin_users u ON u.id = a.admin_id
+             LEFT JOIN villagers v ON v.id = a.villager_id
+             WHERE a.id = ? AND ${visible}`,
+            [id, ...visibleParams]
+        );
+        return rows.length > 0 ? AuditLog.format(rows[0]) : null;
+    }
+
+    static format(row) {
+        let actorName = 'System';
+        if (row.actor_type === 'staff') actorName = row.admin_name || row.admin_username || `Staff #${row.admin_id}`;
+        if (row.actor_type === 'villager') actorName = row.villager_name || `Villager #${row.villager_id}`;
+
+        return {
+            id: row.id,
+            action: row.action_type,
+            table: row.table_name,
+            recordId: row.record_id,
+            actorType: row.actor_type,
+            actorId: row.actor_type === 'villager' ? row.villager_id : row.admin_id,
+            actorName,
+            oldValues: parseJson(row.old_values),
+            newValues: parseJson(row.new_values),
+            ipAddress: row.ip_address,
+            userAgent: row.user_agent,
+            createdAt: row.created_at
+        };
+    }
+}
+
+const auditLog = new AuditLog(db);
+
+module.exports = { AuditLog, auditLog, diffValues, ACTOR_TYPES };
@@ -0,0 +1,145 @@
+// ==================== FLUX QUERY BUILDER ====================
+// Every value that reaches a Flux query goes through here. Strings are emitted as
+// escaped Flux string literals (quotes, backslashes and ${ interpolation neutralised),
+// columns are addressed as r["name"], durations and timestamps are validated and
+// re-serialised, and aggregate functions come from a fixed list. Nothing is spliced
+// into the query text as-is.
+
+const DURATION_SECONDS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+const AGGREGATE_FUNCTIONS = ['mean', 'min', 'max', 'last', 'first', 'count', 'sum', 'median'];
+
+class FluxQueryError extends Error {}
+
+// "15m" -> 900; returns null for anything that is not <positive integer><s|m|h|d|w>
+function parseDurationSeconds(value) {
+    const match = /^(\d+)(s|m|h|d|w)$/.exec(String(value).trim());
+    if (!match) return null;
+    const seconds = parseInt(match[1]) * DURATION_SECONDS[match[2]];
+    return seconds > 0 ? seconds : null;
+}
+
+function fluxString(value) {
+    if (value === null || value === undefined) {
+        throw new FluxQueryError('Flux string value is required');
+    }
+    const escaped = String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\$\{/g, '\\${')
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+}
+
+// Record member access that works for any column name
+function fluxColumn(name) {
+    return `r[${fluxString(name)}]`;
+}
+
+function fluxDuration(seconds, { allowNegative = false } = {}) {
+    if (!Number.isInteger(seconds) || seconds === 0 || (seconds < 0 && !allowNegative)) {
+        throw new FluxQueryError(`Invalid duration: ${seconds}`);
+    }
+    return `${seconds}s`;
+}
+
+// Range bounds: a Date becomes an RFC3339 literal, a number of seconds becomes a
+// relative duration (negative = in the past)
+function fluxTime(value) {
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) throw new FluxQueryError('Invalid timestamp');
+        return value.toISOString();
+    }
+    if (typeof value === 'number') {
+        return fluxDuration(value, { allowNegative: true });
+    }
+    throw new FluxQueryError('Range bounds must be a Date or a number of seconds');
+}
+
+function fluxInteger(value, name) {
+    if (!Number.isInteger(value) || value < 0) {
+        throw new FluxQueryError(`${name} must be a non-negative integer`);
+    }
+    return String(value);
+}
+
+class FluxQuery {
+    constructor(bucket) {
+        this.lines = [`from(bucket: ${fluxString(bucket)})`];
+    }
+
+    static from(bucket) {
+        return new FluxQuery(bucket);
+    }
+
+    pipe(line) {
+        this.lines.push(`|> ${line}`);
+        return this;
+    }
+
+    range({ start, stop = null }) {
+        const bounds = [`start: ${fluxTime(start)}`];
+        if (stop !== null) bounds.push(`stop: ${fluxTime(stop)}`);
+        return this.pipe(`range(${bounds.join(', ')})`);
+    }
+
+    whereEquals(column, value) {
+        return this.pipe(`filter(fn: (r) => ${fluxColumn(column)} == ${fluxString(value)})`);
+    }
+
+    whereIn(column, values) {
+        if (!values || values.length === 0) {
+            throw new FluxQueryError(`whereIn(${column}) needs at least one value`);
+        }
+        const set = values.map(fluxString).join(', ');
+        return this.pipe(`filter(fn: (r) => contains(value: ${fluxColumn(column)}, set: [${set}]))`);
+    }
+
+    aggregateWindow({ everySeconds, fn, createEmpty = false }) {
+        if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+            throw new FluxQueryError(`Unsupported aggregate function: ${fn}`);
+        }
+        return this.pipe(
+            `aggregateWindow(every: ${fluxDuration(everySeconds)}, fn: ${fn}, createEmpty: ${createEmpty ? 'true' : 'false'})`
+        );
+    }
+
+    // Collapses each table to one row, e.g. mean() over the whole range
+    aggregate(fn) {
+        if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+            throw new FluxQueryError(`Unsupported aggregate function: ${fn}`);
+        }
+        return this.pipe(`${fn}()`);
+    }
+
+    group(columns) {
+        return this.pipe(`group(columns: [${columns.map(fluxString).join(', ')}])`);
+    }
+
+    sort(columns, { desc = false } = {}) {
+        return this.pipe(`sort(columns: [${columns.map(fluxString).join(', ')}], desc: ${desc ? 'true' : 'false'})`);
+    }
+
+    last() {
+        return this.pipe('last()');
+    }
+
+    limit(n) {
+        return this.pipe(`limit(n: ${fluxInteger(n, 'limit')})`);
+    }
+
+    toString() {
+        return this.lines.join('\n  ');
+    }
+}
+
+module.exports = {
+    FluxQuery,
+    FluxQueryError,
+    AGGREGATE_FUNCTIONS,
+    parseDurationSeconds,
+    fluxString,
+    fluxColumn,
+    fluxTime
+};
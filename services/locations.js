@@ -0,0 +1,385 @@
+const { db } = require('../config/database');
+
+// ==================== LOCATION HIERARCHY ====================
+// The `locations` table holds states, districts, panchayats and villages in one tree
+// (parent_id). Each level may only hang under the level directly above it; districts
+// may also sit at the root for deployments that never recorded states. The `state`
+// column is denormalised onto every node so villager lookups can show a state without
+// walking the tree, and is kept in step when a node is renamed or moved.
+// Counts are live: villagers and sensors attach to the most specific location they
+// have (village, then panchayat, then for sensors district), and every node reports
+// the totals of its subtree.
+
+const LOCATION_TYPES = ['state', 'district', 'panchayat', 'village'];
+
+const PARENT_TYPE = {
+    state: null,
+    district: 'state',
+    panchayat: 'district',
+    village: 'panchayat'
+};
+
+class LocationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function byName(a, b) {
+    return String(a.name).localeCompare(String(b.name));
+}
+
+class LocationService {
+    constructor(database) {
+        this.db = database;
+    }
+
+    async find(id, conn = this.db) {
+        const [[row]] = await conn.query('SELECT id, name, type, parent_id, state FROM locations WHERE id = ?', [id]);
+        return row || null;
+    }
+
+    // Case-insensitive lookup of a named child, e.g. a village within a panchayat
+    async findChild(parentId, type, name, conn = this.db) {
+        const [[row]] = await conn.query(
+            `SELECT id, name, type, parent_id, state FROM locations
+             WHERE parent_id = ? AND type = ? AND LOWER(name) = LOWER(?)`,
+            [parentId, type, String(name).trim()]
+        );
+        return row || null;
+    }
+
+    // Walks up from `id` and returns the first location of `type` (the node itself included)
+    async ancestorOfType(id, type, conn = this.db) {
+        let node = id ? await this.find(id, conn) : null;
+        for (let depth = 0; node && depth < LOCATION_TYPES.length; depth++) {
+            if (node.type === type) return node;
+            node = node.parent_id ? await this.find(node.parent_id, conn) : null;
+        }
+        return null;
+    }
+
+    // Accepts panchayat_id or a panchayat name; returns { id } or { error }
+    async resolvePanchayatId({ panchayat_id, panchayat }, conn = this.db) {
+        if (panchayat_id) {
+            const [[row]] = await conn.query(`SELECT id FROM locations WHERE id = ? AND type = 'panchayat'`, [panchayat_id]);
+            return row ? { id: row.id } : { error: 'Panchayat not found' };
+        }
+        if (panchayat && String(panchayat).trim()) {
+            const [[row]] = await conn.query(
+                `SELECT id FROM locations WHERE type = 'panchayat' AND LOWER(name) = LOWER(?)`,
+                [String(panchayat).trim()]
+            );
+            return row ? { id: row.id } : { error: `Panchayat "${panchayat}" not found` };
+        }
+        return { id: null };
+    }
+
+    // A village by village_id, or by name within the given panchayat. The village fixes the
+    // panchayat too; returns { villageId, panchayatId }, { error }, or null when neither is given.
+    async resolveVillage({ village_id, village }, panchayatId, conn = this.db) {
+        if (village_id) {
+            const row = await this.find(village_id, conn);
+            if (!row || row.type !== 'village') return { error: 'Village not found' };
+            if (panchayatId && parseInt(panchayatId) !== row.parent_id) {
+                return { error: `${row.name} does not belong to the selected panchayat` };
+            }
+            return { villageId: row.id, panchayatId: row.parent_id };
+        }
+        if (village && String(village).trim()) {
+            if (!panchayatId) return { error: 'Choose a panchayat for the village' };
+            const row = await this.findChild(panchayatId, 'village', village, conn);
+            if (!row) return { error: `Village "${String(village).trim()}" not found in this panchayat` };
+            return { villageId: row.id, panchayatId: row.parent_id };
+        }
+        return null;
+    }
+
+    // A sensor is placed in a village or a panchayat (the levels above follow from the
+    // tree) or directly in a district; returns { villageId, panchayatId, districtId } or { error }
+    async resolveSensorLocation({ village_id, panchayat_id, district_id }, conn = this.db) {
+        let villageId = null;
+        if (village_id) {
+            const village = await this.find(village_id, conn);
+            if (!village || village.type !== 'village') return { error: 'Village not found' };
+            if (panchayat_id && parseInt(panchayat_id) !== village.parent_id) {
+                return { error: `${village.name} does not belong to the selected panchayat` };
+            }
+            villageId = village.id;
+            panchayat_id = village.parent_id;
+        }
+        if (panchayat_id) {
+            const panchayat = await this.find(panchayat_id, conn);
+            if (!panchayat || panchayat.type !== 'panchayat') return { error: 'Panchayat not found' };
+            const district = await this.ancestorOfType(panchayat.id, 'district', conn);
+            if (district_id && district && parseInt(district_id) !== district.id) {
+                return { error: `${panchayat.name} does not belong to the selected district` };
+            }
+            return { villageId, panchayatId: panchayat.id, districtId: district ? district.id : (parseInt(district_id) || null) };
+        }
+        if (district_id) {
+            const district = await this.find(district_id, conn);
+            if (!district || district.type !== 'district') return { error: 'District not found' };
+            return { villageId: null, panchayatId: null, districtId: district.id };
+        }
+        return { villageId: null, panchayatId: null, districtId: null };
+    }
+
+    // filters: { type, parentId ('root' for top-level nodes), search }
+    async list({ type, parentId, search } = {}) {
+        const clauses = [];
+        const params = [];
+        if (type) {
+            clauses.push('l.type = ?');
+            params.push(type);
+        }
+        if (parentId === 'root') {
+            clauses.push('l.parent_id IS NULL');
+        } else if (parentId) {
+            clauses.push('l.parent_id = ?');
+            params.push(parentId);
+        }
+        if (search) {
+            clauses.push('l.name LIKE ?');
+            params.push(`%${search}%`);
+        }
+
+        const [rows] = await this.db.query(
+            `SELECT l.id, l.name, l.type, l.parent_id, l.state, parent.name AS parent_name
+             FROM locations l
+             LEFT JOIN locations parent ON parent.id = l.parent_id
+             ${clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''}
+             ORDER BY FIELD(l.type, 'state', 'district', 'panchayat', 'village'), l.name`,
+            params
+        );
+        return rows.map(row => ({
+            id: row.id,
+            name: row.name,
+            type: row.type,
+            parentId: row.parent_id,
+            parentName: row.parent_name || null,
+            state: row.state || null
+        }));
+    }
+
+    // Resolves to { roots, byId, unlocated } with subtree counts on every node. With a
+    // tenant scope the whole tree is still returned, but only its panchayats are counted.
+    async tree(scope = null) {
+        const [inScope, scopeParams] = scope ? scope.filter('panchayat_id') : ['TRUE', []];
+        const [[rows], [villagerCounts], [sensorCounts]] = await Promise.all([
+            this.db.query('SELECT id, name, type, parent_id, state FROM locations'),
+            this.db.query(
+                `SELECT COALESCE(village_id, panchayat_id) AS location_id, COUNT(*) AS count
+                 FROM villagers WHERE is_active = TRUE AND ${inScope}
+                 GROUP BY COALESCE(village_id, panchayat_id)`,
+                scopeParams
+            ),
+            this.db.query(
+                `SELECT COALESCE(village_id, panchayat_id, district_id) AS location_id, COUNT(*) AS count
+                 FROM sensors WHERE status <> 'deleted' AND ${inScope}
+                 GROUP BY COALESCE(village_id, panchayat_id, district_id)`,
+                scopeParams
+            )
+        ]);
+
+        const byId = new Map(rows.map(row => [row.id, {
+            id: row.id,
+            name: row.name,
+            type: row.type,
+            parentId: row.parent_id,
+            state: row.state || null,
+            counts: { villagers: 0, sensors: 0, children: 0 },
+            children: []
+        }]));
+
+        const unlocated = { villagers: 0, sensors: 0 };
+        const addCount = (locationId, key, count) => {
+            const node = locationId ? byId.get(locationId) : null;
+            if (node) {
+                node.counts[key] += count;
+            } else {
+                unlocated[key] += count;
+            }
+        };
+        villagerCounts.forEach(row => addCount(row.location_id, 'villagers', Number(row.count)));
+        sensorCounts.forEach(row => addCount(row.location_id, 'sensors', Number(row.count)));
+
+        const roots = [];
+        for (const node of byId.values()) {
+            const parent = node.parentId ? byId.get(node.parentId) : null;
+            if (parent && parent !== node) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        }
+
+        // Post-order so each node adds its finished subtree totals to its parent
+        const visited = new Set();
+        const rollUp = (node) => {
+            visited.add(node.id);
+            node.children.sort(byName);
+            for (const child of node.children) {
+                if (visited.has(child.id)) continue;
+                rollUp(child);
+                node.counts.villagers += child.counts.villagers;
+                node.counts.sensors += child.counts.sensors;
+            }
+            node.counts.children = node.children.length;
+        };
+        roots.sort(byName).forEach(rollUp);
+
+        return { roots, byId, unlocated };
+    }
+
+    // Root-first chain of { id, name, type } ending at the node itself
+    static pathOf(node, byId) {
+        const path = [];
+        const seen = new Set();
+        for (let current = node; current && !seen.has(current.id); current = byId.get(current.parentId)) {
+            seen.add(current.id);
+            path.unshift({ id: current.id, name: current.name, type: current.type });
+        }
+        return path;
+    }
+
+    async countVillages(scope = null) {
+        const [inScope, scopeParams] = scope ? scope.filter('parent_id') : ['TRUE', []];
+        const [[{ count }]] = await this.db.query(
+            `SELECT COUNT(*) AS count FROM locations WHERE type = 'village' AND ${inScope}`,
+            scopeParams
+        );
+        return count;
+    }
+
+    // The state a node inherits from its parent; root districts carry their own
+    static inheritedState(parent, fallback) {
+        if (!parent) return fallback || null;
+        return parent.type === 'state' ? parent.name : parent.state;
+    }
+
+    async validateParent(type, parentId, conn) {
+        const expected = PARENT_TYPE[type];
+        if (!parentId) {
+            if (type === 'panchayat' || type === 'village') {
+                throw new LocationError(`A ${type} needs a parent ${expected}`);
+            }
+            return null;
+        }
+        if (!expected) {
+            throw new LocationError('A state cannot have a parent');
+        }
+
+        const parent = await this.find(parentId, conn);
+        if (!parent) throw new LocationError('Parent location not found', 404);
+        if (parent.type !== expected) {
+            throw new LocationError(`A ${type} must be placed under a ${expected}, not a ${parent.type}`);
+        }
+        return parent;
+    }
+
+    async assertUniqueName(name, type, parentId, exceptId, conn) {
+        const [[duplicate]] = await conn.query(
+            `SELECT id FROM locations
+             WHERE type = ? AND LOWER(name) = LOWER(?) AND parent_id <=> ? AND id <> ?`,
+            [type, name, parentId || null, exceptId || 0]
+        );
+        if (duplicate) {
+            throw new LocationError(`A ${type} named "${name}" already exists here`, 409);
+        }
+    }
+
+    // Rewrites the denormalised state of every descendant of `id`
+    async cascadeState(id, state, conn) {
+        let frontier = [id];
+        while (frontier.length > 0) {
+            const [children] = await conn.query('SELECT id FROM locations WHERE parent_id IN (?)', [frontier]);
+            frontier = children.map(child => child.id);
+            if (frontier.length > 0) {
+                await conn.query('UPDATE locations SET state = ? WHERE id IN (?)', [state, frontier]);
+            }
+        }
+    }
+
+    async create({ name, type, parentId = null, state = null }, conn = this.db) {
+        const trimmed = name ? String(name).trim() : '';
+        if (!trimmed) throw new LocationError('name is required');
+        if (!LOCATION_TYPES.includes(type)) {
+            throw new LocationError(`type must be one of: ${LOCATION_TYPES.join(', ')}`);
+        }
+
+        const parent = await this.validateParent(type, parentId, conn);
+        await this.assertUniqueName(trimmed, type, parentId, null, conn);
+
+        const [result] = await conn.query(
+            'INSERT INTO locations (name, type, parent_id, state) VALUES (?, ?, ?, ?)',
+            [
+                trimmed,
+                type,
+                parent ? parent.id : null,
+                type === 'state' ? trimmed : LocationService.inheritedState(parent, state)
+            ]
+        );
+        return this.find(result.insertId, conn);
+    }
+
+    // changes: { name, parentId, state }. The type of a location never changes; a
+    // node moves by changing parentId to another location of the level above.
+    async update(id, changes, conn = this.db) {
+        const current = await this.find(id, conn);
+        if (!current) throw new LocationError('Location not found', 404);
+
+        const name = changes.name !== undefined ? String(changes.name || '').trim() : current.name;
+        if (!name) throw new LocationError('name cannot be empty');
+
+        const parentId = changes.parentId !== undefined ? (changes.parentId || null) : current.parent_id;
+        const parent = await this.validateParent(current.type, parentId, conn);
+        await this.assertUniqueName(name, current.type, parentId, current.id, conn);
+
+        const state = current.type === 'state'
+            ? name
+            : LocationService.inheritedState(parent, changes.state !== undefined ? changes.state : current.state);
+
+        await conn.query(
+            'UPDATE locations SET name = ?, parent_id = ?, state = ? WHERE id = ?',
+            [name, parentId, state, current.id]
+        );
+        if (state !== current.state) {
+            await this.cascadeState(current.id, state, conn);
+        }
+        return { before: current, after: await this.find(current.id, conn) };
+    }
+
+    // Only empty leaves can go: no child locations, villagers or sensors
+    async remove(id, conn = this.db) {
+        const current = await this.find(id, conn);
+        if (!current) throw new LocationError('Location not found', 404);
+
+        const [[{ children }]] = await conn.query('SELECT COUNT(*) AS children FROM locations WHERE parent_id = ?', [id]);
+        const [[{ villagers }]] = await conn.query(
+            'SELECT COUNT(*) AS villagers FROM villagers WHERE (panchayat_id = ? OR village_id = ?) AND is_active = TRUE',
+            [id, id]
+        );
+        const [[{ sensors }]] = await conn.query(
+            `SELECT COUNT(*) AS sensors FROM sensors
+             WHERE (panchayat_id = ? OR district_id = ? OR village_id = ?) AND status <> 'deleted'`,
+            [id, id, id]
+        );
+
+        const blockers = [];
+        if (children > 0) blockers.push(`${children} child location(s)`);
+        if (villagers > 0) blockers.push(`${villagers} villager(s)`);
+        if (sensors > 0) blockers.push(`${sensors} sensor(s)`);
+        if (blockers.length > 0) {
+            throw new LocationError(`${current.name} still has ${blockers.join(', ')}`, 409);
+        }
+
+        await conn.query('DELETE FROM locations WHERE id = ?', [id]);
+        return current;
+    }
+}
+
+const locationService = new LocationService(db);
+
+module.exports = { LocationService, locationService, LocationError, LOCATION_TYPES };
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==================== OTP DELIVERY PROVIDERS ====================
+// Every provider exposes send(phone, message) and resolves once the message
+// has been handed off; failures are thrown so the caller can discard the OTP.
+
+class SmsGatewayProvider {
+    constructor({ url, apiKey, senderId, timeoutMs = 10000 }) {
+        if (!url) {
+            throw new Error('SMS_GATEWAY_URL is required for the sms OTP provider');
+        }
+        this.name = 'sms';
+        this.url = url;
+        this.apiKey = apiKey;
+        this.senderId = senderId;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async send(phone, message) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                to: phone,
+                message,
+                sender: this.senderId
+            }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new Error(`SMS gateway responded with ${response.status} ${body}`.trim());
+        }
+    }
+}
+
+// Development sink: writes each message to the console and appends it to a local file
+class OutboxProvider {
+    constructor({ file }) {
+        this.name = 'outbox';
+        this.file = file ? path.resolve(file) : null;
+    }
+
+    async send(phone, message) {
+        const entry = `[${new Date().toISOString()}] ${phone}: ${message}`;
+        console.log(`📨 OTP outbox → ${entry}`);
+
+        if (this.file) {
+            await fs.promises.appendFile(this.file, entry + '\n');
+        }
+    }
+}
+
+function createOtpDeliveryProvider(env = process.env) {
+    const isProduction = env.NODE_ENV === 'production';
+    const providerName = env.OTP_PROVIDER || (isProduction ? 'sms' : 'outbox');
+
+    switch (providerName) {
+        case 'sms':
+            return new SmsGatewayProvider({
+                url: env.SMS_GATEWAY_URL,
+                apiKey: env.SMS_GATEWAY_API_KEY,
+                senderId: env.SMS_SENDER_ID || 'SMTPCH',
+                timeoutMs: parseInt(env.SMS_GATEWAY_TIMEOUT_MS) || 10000
+            });
+        case 'outbox':
+            if (isProduction) {
+                console.warn('⚠️ OTP_PROVIDER=outbox in production - villagers will not receive their codes');
+            }
+            return new OutboxProvider({ file: env.OTP_OUTBOX_FILE || 'otp-outbox.log' });
+        default:
+            throw new Error(`Unknown OTP_PROVIDER "${providerName}" (expected sms or outbox)`);
+    }
+}
+
+// Codes are only echoed back to the client from the local outbox outside production
+function shouldEchoOtp(provider, env = process.env) {
+    return env.NODE_ENV !== 'production' && provider.name === 'outbox';
+}
+
+module.exports = {
+    SmsGatewayProvider,
+    OutboxProvider,
+    createOtpDeliveryProvider,
+    shouldEchoOtp
+};
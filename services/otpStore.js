@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+
+// ==================== OTP STORE ====================
+// OTPs live in MySQL so they survive restarts and are shared by every instance.
+// Only an HMAC of the code is stored. Sends are rate limited per phone and per IP,
+// and repeated wrong codes lock the phone out for a while regardless of resends.
+
+const DEFAULT_OPTIONS = {
+    secret: null,
+    ttlSeconds: 300,
+    maxAttempts: 3,
+    resendCooldownSeconds: 60,
+    sendLimitPerPhone: 5,
+    sendLimitPerIp: 20,
+    sendWindowMinutes: 60,
+    lockoutThreshold: 5,
+    lockoutMinutes: 15
+};
+
+class OtpStore {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        if (!this.options.secret) {
+            throw new Error('OtpStore requires a secret for hashing codes');
+        }
+    }
+
+    async ensureSchema() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS otp_codes (
+                phone VARCHAR(15) PRIMARY KEY,
+                villager_id INT,
+                code_hash CHAR(64) NOT NULL,
+                attempts INT DEFAULT 0,
+                expires_at TIMESTAMP NOT NULL,
+                last_sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS otp_send_log (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                phone VARCHAR(15) NOT NULL,
+                ip_address VARCHAR(45),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_otp_send_phone (phone, created_at),
+                INDEX idx_otp_send_ip (ip_address, created_at)
+            )
+        `);
+
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS otp_lockouts (
+                phone VARCHAR(15) PRIMARY KEY,
+                failed_attempts INT DEFAULT 0,
+                locked_until TIMESTAMP NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    hashCode(phone, code) {
+        return crypto.createHmac('sha256', this.options.secret).update(`${phone}:${code}`).digest('hex');
+    }
+
+    // Seconds until the phone's lockout ends, or 0 when it is not locked
+    async getLockoutRemaining(phone) {
+        const [[row]] = await this.db.query(
+            `SELECT TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS remaining
+             FROM otp_lockouts WHERE phone = ? AND locked_until > NOW()`,
+            [phone]
+        );
+        return row ? Math.max(row.remaining, 1) : 0;
+    }
+
+    // Returns null when a new code may be sent, otherwise { error, retryAfter }
+    async checkSendAllowed(phone, ip) {
+        const { resendCooldownSeconds, sendLimitPerPhone, sendLimitPerIp, sendWindowMinutes } = this.options;
+
+        const lockedFor = await this.getLockoutRemaining(phone);
+        if (lockedFor > 0) {
+            return {
+                error: `Too many failed attempts. Try again in ${Math.ceil(lockedFor / 60)} minute(s).`,
+                retryAfter: lockedFor
+            };
+        }
+
+        const [[cooldown]] = await this.db.query(
+            `SELECT TIMESTAMPDIFF(SECOND, NOW(), last_sent_at + INTERVAL ? SECOND) AS remaining
+             FROM otp_codes WHERE phone = ? AND last_sent_at > NOW() - INTERVAL ? SECOND`,
+            [resendCooldownSeconds, phone, resendCooldownSeconds]
+        );
+        if (cooldown) {
+            const retryAfter = Math.max(cooldown.remaining, 1);
+            return { error: `Please wait ${retryAfter} seconds before requesting another OTP.`, retryAfter };
+        }
+
+        const [[{ phoneSends }]] = await this.db.query(
+            `SELECT COUNT(*) AS phoneSends FROM otp_send_log
+             WHERE phone = ? AND created_at > NOW() - INTERVAL ? MINUTE`,
+            [phone, sendWindowMinutes]
+        );
+        if (phoneSends >= sendLimitPerPhone) {
+            return { error: 'Too many OTP requests for this number. Please try again later.', retryAfter: sendWindowMinutes * 60 };
+        }
+
+        if (ip) {
+            const [[{ ipSends }]] = await this.db.query(
+                `SELECT COUNT(*) AS ipSends FROM otp_send_log
+                 WHERE ip_address = ? AND created_at > NOW() - INTERVAL ? MINUTE`,
+                [ip, sendWindowMinutes]
+            );
+            if (ipSends >= sendLimitPerIp) {
+                return { error: 'Too many OTP requests. Please try again later.', retryAfter: sendWindowMinutes * 60 };
+            }
+        }
+
+        return null;
+    }
+
+    // Generates and stores a new code. Attempts carry over from an unexpired earlier code,
+    // so requesting a resend never buys extra guesses.
+    async issue(phone, villagerId, ip) {
+        const code = crypto.randomInt(100000, 1000000).toString();
+
+        await this.db.query(
+            `INSERT INTO otp_codes (phone, villager_id, code_hash, attempts, expires_at, last_sent_at)
+             VALUES (?, ?, ?, 0, NOW() + INTERVAL ? SECOND, NOW())
+             ON DUPLICATE KEY UPDATE
+               attempts = IF(expires_at < NOW(), 0, attempts),
+               villager_id = VALUES(villager_id),
+               code_hash = VALUES(code_hash),
+               expires_at = VALUES(expires_at),
+               last_sent_at = VALUES(last_sent_at)`,
+            [phone, villagerId, this.hashCode(phone, code), this.options.ttlSeconds]
+        );
+
+        await this.db.query('INSERT INTO otp_send_log (phone, ip_address) VALUES (?, ?)', [phone, ip || null]);
+        await this.db.query('DELETE FROM otp_send_log WHERE created_at < NOW() - INTERVAL 1 DAY');
+
+        return code;
+    }
+
+    async discard(phone) {
+        await this.db.query('DELETE FROM otp_codes WHERE phone = ?', [phone]);
+    }
+
+    // Resolves to { status, attemptsRemaining?, retryAfter?, villagerId? } where status is one of
+    // verified, locked, not_found, expired, exhausted, invalid
+    async verify(phone, code) {
+        const { maxAttempts, lockoutThreshold, lockoutMinutes } = this.options;
+
+        const lockedFor = await this.getLockoutRemaining(phone);
+        if (lockedFor > 0) {
+            return { status: 'locked', retryAfter: lockedFor };
+        }
+
+        const [[row]] = await this.db.query(
+            `SELECT villager_id, code_hash, attempts, expires_at < NOW() AS expired
+             FROM otp_codes WHERE phone = ?`,
+            [phone]
+        );
+        if (!row) {
+            return { status: 'not_found' };
+        }
+        if (row.expired) {
+            await this.discard(phone);
+            return { status: 'expired' };
+        }
+
+        // Claim an attempt atomically so parallel guesses cannot exceed the limit
+        const [claim] = await this.db.query(
+            'UPDATE otp_codes SET attempts = attempts + 1 WHERE phone = ? AND attempts < ?',
+            [phone, maxAttempts]
+        );
+        if (claim.affectedRows === 0) {
+            await this.discard(phone);
+            return { status: 'exhausted' };
+        }
+
+        const expected = Buffer.from(row.code_hash, 'hex');
+        const actual = Buffer.from(this.hashCode(phone, String(code)), 'hex');
+        if (crypto.timingSafeEqual(expected, actual)) {
+            await this.discard(phone);
+            await this.db.query('DELETE FROM otp_lockouts WHERE phone = ?', [phone]);
+            return { status: 'verified', villagerId: row.villager_id };
+        }
+
+        await this.db.query(
+            `INSERT INTO otp_lockouts (phone, failed_attempts) VALUES (?, 1)
+             ON DUPLICATE KEY UPDATE
+               failed_attempts = IF(updated_at < NOW() - INTERVAL ? MINUTE, 1, failed_attempts + 1)`,
+            [phone, this.options.sendWindowMinutes]
+        );
+        const [[lockout]] = await this.db.query('SELECT failed_attempts FROM otp_lockouts WHERE phone = ?', [phone]);
+        if (lockout.failed_attempts >= lockoutThreshold) {
+            await this.db.query(
+                `UPDATE otp_lockouts SET failed_attempts = 0, locked_until = NOW() + INTERVAL ? MINUTE WHERE phone = ?`,
+                [lockoutMinutes, phone]
+            );
+            await this.discard(phone);
+            return { status: 'locked', retryAfter: lockoutMinutes * 60 };
+        }
+
+        const attemptsRemaining = maxAttempts - (row.attempts + 1);
+        if (attemptsRemaining <= 0) {
+            await this.discard(phone);
+            return { status: 'exhausted' };
+        }
+        return { status: 'invalid', attemptsRemaining };
+    }
+}
+
+module.exports = { OtpStore };
@@ -0,0 +1,390 @@
+const { FluxQuery } = require('./fluxQuery');
+const { streamFluxRows } = require('./sensorExport');
+
+// ==================== PANCHAYAT REPORTS ====================
+// Weekly and monthly summaries for one panchayat, or for every panchayat at once:
+// villager and sensor counts, sensor uptime, alert totals and per-type reading
+// averages, broken down by district. Counts and alerts come from MySQL; uptime and
+// averages come from InfluxDB with one set of queries per measurement.
+//
+// Uptime is the share of hours in the period (from installation, if later) in which
+// a sensor sent at least one reading.
+
+const REPORT_PERIODS = ['weekly', 'monthly'];
+const UPTIME_WINDOW_SECONDS = 3600;
+
+class ReportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// The Monday-to-Monday week or calendar month containing `date`, in server local time
+function periodBounds(period, date = new Date()) {
+    if (!REPORT_PERIODS.includes(period)) {
+        throw new ReportError(`period must be one of: ${REPORT_PERIODS.join(', ')}`);
+    }
+    if (period === 'monthly') {
+        return {
+            start: new Date(date.getFullYear(), date.getMonth(), 1),
+            stop: new Date(date.getFullYear(), date.getMonth() + 1, 1)
+        };
+    }
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return { start, stop: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+}
+
+// Number of epoch-aligned uptime windows overlapping [start, stop), matching aggregateWindow
+function countWindows(start, stop) {
+    if (stop <= start) return 0;
+    const size = UPTIME_WINDOW_SECONDS * 1000;
+    return Math.floor((stop.getTime() - 1) / size) - Math.floor(start.getTime() / size) + 1;
+}
+
+function round(value, digits = 2) {
+    if (value === null || value === undefined || Number.isNaN(Number(value))) return null;
+    const factor = 10 ** digits;
+    return Math.round(Number(value) * factor) / factor;
+}
+
+function percent(part, whole) {
+    return whole > 0 ? round((part / whole) * 100, 1) : null;
+}
+
+function emptyAlertSummary() {
+    return { total: 0, warning: 0, danger: 0, offline: 0, resolved: 0, open: 0, avgResolutionMinutes: null };
+}
+
+// District of a panchayat row joined with its parent and grandparent locations
+const DISTRICT_OF_PANCHAYAT_SQL = `
+    CASE WHEN parent.type = 'district' THEN parent.id
+         WHEN grandparent.type = 'district' THEN grandparent.id END`;
+
+const DISTRICT_NAME_OF_PANCHAYAT_SQL = `
+    CASE WHEN parent.type = 'district' THEN parent.name
+         WHEN grandparent.type = 'district' THEN grandparent.name END`;
+
+class PanchayatReportService {
+    // options: { db, queryApi, bucket, unitForType }
+    constructor(options) {
+        this.db = options.db;
+        this.queryApi = options.queryApi;
+        this.bucket = options.bucket;
+        this.unitForType = options.unitForType || (() => '');
+    }
+
+    async loadPanchayat(panchayatId) {
+        const [rows] = await this.db.query(
+            `SELECT p.id, p.name, ${DISTRICT_NAME_OF_PANCHAYAT_SQL} AS district_name
+             FROM locations p
+             LEFT JOIN locations parent ON parent.id = p.parent_id
+             LEFT JOIN locations grandparent ON grandparent.id = parent.parent_id
+             WHERE p.id = ? AND p.type = 'panchayat'`,
+            [panchayatId]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    // Sensors that existed at some point during the period
+    async loadSensors(panchayatId, stop) {
+        const params = [stop];
+        let scope = '';
+        if (panchayatId !== null) {
+            scope = 'AND s.panchayat_id = ?';
+            params.push(panchayatId);
+        }
+        const [rows] = await this.db.query(
+            `SELECT s.id, s.name, s.type, s.status, s.district_id, s.villager_id, s.installed_at,
+                    l.name AS district_name
+             FROM sensors s
+             LEFT JOIN locations l ON l.id = s.district_id
+             WHERE s.status <> 'deleted' AND (s.installed_at IS NULL OR s.installed_at < ?) ${scope}
+             ORDER BY s.id`,
+            params
+        );
+        return rows;
+    }
+
+    async countVillagers(panchayatId, start, stop) {
+        const params = [start, stop];
+        let scope = '';
+        if (panchayatId !== null) {
+            scope = 'AND v.panchayat_id = ?';
+            params.push(panchayatId);
+        }
+        const [rows] = await this.db.query(
+            `SELECT ${DISTRICT_OF_PANCHAYAT_SQL} AS district_id,
+                    ${DISTRICT_NAME_OF_PANCHAYAT_SQL} AS district_name,
+                    COUNT(*) AS total,
+                    SUM(v.created_at >= ?) AS new_count
+             FROM villagers v
+             LEFT JOIN locations p ON p.id = v.panchayat_id
+             LEFT JOIN locations parent ON parent.id = p.parent_id
+             LEFT JOIN locations grandparent ON grandparent.id = parent.parent_id
+             WHERE v.is_active = TRUE AND v.created_at < ? ${scope}
+             GROUP BY district_id, district_name`,
+            params
+        );
+        return rows;
+    }
+
+    // Alerts opened during the period; "resolved" means resolved before the period ended
+    async loadAlerts(panchayatId, start, stop) {
+        const params = [stop, stop, start, stop];
+        let scope = '';
+        if (panchayatId !== null) {
+            scope = 'AND s.panchayat_id = ?';
+            params.push(panchayatId);
+        }
+        const where = `
+            FROM sensor_alerts a
+            JOIN sensors s ON s.id = a.sensor_id
+            WHERE a.created_at >= ? AND a.created_at < ? ${scope}`;
+
+        const [byDistrict] = await this.db.query(
+            `SELECT s.district_id, a.alert_type, COUNT(*) AS total,
+                    SUM(a.is_resolved = TRUE AND a.resolved_at < ?) AS resolved,
+                    AVG(CASE WHEN a.is_resolved = TRUE AND a.resolved_at < ?
+                             THEN TIMESTAMPDIFF(MINUTE, a.created_at, a.resolved_at) END) AS avg_resolution_minutes
+             ${where}
+             GROUP BY s.district_id, a.alert_type`,
+            params
+        );
+        const [bySensor] = await this.db.query(
+            `SELECT a.sensor_id, COUNT(*) AS total ${where} GROUP BY a.sensor_id`,
+            params.slice(2)
+        );
+        return { byDistrict, bySensor: new Map(bySensor.map(row => [row.sensor_id, Number(row.total)])) };
+    }
+
+    // Hourly reading counts per sensor plus mean/min/max for the whole measurement
+    async readMeasurement(measurementName, sensorIds, start, stop) {
+        const base = () => FluxQuery.from(this.bucket)
+            .range({ start, stop })
+            .whereEquals('_measurement', measurementName)
+            .whereIn('sensor_id', sensorIds);
+
+        const activity = new Map();
+        const countQuery = base().aggregateWindow({ everySeconds: UPTIME_WINDOW_SECONDS, fn: 'count' });
+        await streamFluxRows(this.queryApi, countQuery, row => {
+            const count = Number(row._value) || 0;
+            if (count === 0) return;
+            const entry = activity.get(row.sensor_id) || { readings: 0, windows: new Set() };
+            entry.readings += count;
+            entry.windows.add(String(row._time));
+            activity.set(row.sensor_id, entry);
+        });
+
+        const stats = {};
+        await Promise.all(['mean', 'min', 'max'].map(async fn => {
+            const rows = await this.queryApi.collectRows(base().group(['_measurement']).aggregate(fn).toString());
+            stats[fn] = rows.length > 0 ? round(rows[0]._value) : null;
+        }));
+
+        return { activity, stats };
+    }
+
+    // Measurements are read one after another so a monthly report does not flood InfluxDB
+    async readInflux(sensors, start, stop) {
+        const byMeasurement = new Map();
+        for (const sensor of sensors) {
+            if (!sensor.district_name) continue;
+            const measurementName = `${sensor.district_name}_${sensor.type}`;
+            if (!byMeasurement.has(measurementName)) byMeasurement.set(measurementName, []);
+            byMeasurement.get(measurementName).push(String(sensor.id));
+        }
+
+        const activity = new Map();
+        const stats = new Map();
+        const errors = [];
+        for (const [measurementName, sensorIds] of byMeasurement) {
+            try {
+                const result = await this.readMeasurement(measurementName, sensorIds, start, stop);
+                result.activity.forEach((entry, sensorId) => activity.set(sensorId, entry));
+                stats.set(measurementName, result.stats);
+            } catch (error) {
+                console.error(`❌ Report query failed for ${measurementName}:`, error.message);
+                errors.push(measurementName);
+            }
+        }
+        return { activity, stats, errors };
+    }
+
+    // panchayatId null covers every panchayat. `date` is any moment inside the wanted
+    // period; a period that has not finished yet is reported up to now and marked partial.
+    async build({ period, date = new Date(), panchayatId = null }) {
+        const bounds = periodBounds(period, date);
+        const now = new Date();
+        if (bounds.start >= now) {
+            throw new ReportError('The report period has not started yet');
+        }
+        const start = bounds.start;
+        const stop = bounds.stop > now ? now : bounds.stop;
+
+        let panchayat = null;
+        if (panchayatId !== null) {
+            panchayat = await this.loadPanchayat(panchayatId);
+            if (!panchayat) throw new ReportError('Panchayat not found', 404);
+        }
+
+        const sensors = await this.loadSensors(panchayatId, stop);
+        const [villagerRows, alerts, influx] = await Promise.all([
+            this.countVillagers(panchayatId, start, stop),
+            this.loadAlerts(panchayatId, start, stop),
+            this.readInflux(sensors, start, stop)
+        ]);
+
+        const districts = new Map();
+        const districtFor = (id, name) => {
+            const key = id === null || id === undefined ? 'none' : String(id);
+            if (!districts.has(key)) {
+                districts.set(key, {
+                    id: id || null,
+                    name: name || 'Unassigned',
+                    villagers: 0,
+                    newVillagers: 0,
+                    sensors: 0,
+                    mappedSensors: 0,
+                    newSensors: 0,
+                    readings: 0,
+                    activeWindows: 0,
+                    expectedWindows: 0,
+                    resolutionMinutes: 0,
+                    uptimePercent: null,
+                    types: new Map(),
+                    alerts: emptyAlertSummary()
+                });
+            }
+            const district = districts.get(key);
+            if (name && district.name === 'Unassigned') district.name = name;
+            return district;
+        };
+
+        for (const row of villagerRows) {
+            const district = districtFor(row.district_id, row.district_name);
+            district.villagers += Number(row.total);
+            district.newVillagers += Number(row.new_count) || 0;
+        }
+
+        const sensorSummaries = [];
+        for (const sensor of sensors) {
+            const district = districtFor(sensor.district_id, sensor.district_name);
+            const installedAt = sensor.installed_at ? new Date(sensor.installed_at) : null;
+            const from = installedAt && installedAt > start ? installedAt : start;
+            const expectedWindows = countWindows(from, stop);
+            const entry = influx.activity.get(String(sensor.id));
+            const readings = entry ? entry.readings : 0;
+            const activeWindows = entry ? Math.min(entry.windows.size, expectedWindows) : 0;
+            const alertCount = alerts.bySensor.get(sensor.id) || 0;
+
+            district.sensors++;
+            if (sensor.villager_id) district.mappedSensors++;
+            if (installedAt && installedAt >= start) district.newSensors++;
+            district.readings += readings;
+            district.activeWindows += activeWindows;
+            district.expectedWindows += expectedWindows;
+
+            if (!district.types.has(sensor.type)) {
+                const measurementStats = influx.stats.get(`${sensor.district_name}_${sensor.type}`) || {};
+                district.types.set(sensor.type, {
+                    type: sensor.type,
+                    unit: this.unitForType(sensor.type),
+                    sensors: 0,
+                    readings: 0,
+                    activeWindows: 0,
+                    expectedWindows: 0,
+                    mean: measurementStats.mean ?? null,
+                    min: measurementStats.min ?? null,
+                    max: measurementStats.max ?? null
+                });
+            }
+            const typeSummary = district.types.get(sensor.type);
+            typeSummary.sensors++;
+            typeSummary.readings += readings;
+            typeSummary.activeWindows += activeWindows;
+            typeSummary.expectedWindows += expectedWindows;
+
+            sensorSummaries.push({
+                id: sensor.id,
+                name: sensor.name || sensor.id,
+                type: sensor.type,
+                district: district.name,
+                readings,
+                uptimePercent: percent(activeWindows, expectedWindows),
+                alerts: alertCount
+            });
+        }
+
+        for (const row of alerts.byDistrict) {
+            const district = districtFor(row.district_id, null);
+            const summary = district.alerts;
+            const total = Number(row.total);
+            const resolved = Number(row.resolved) || 0;
+            district.resolutionMinutes += (Number(row.avg_resolution_minutes) || 0) * resolved;
+            summary.total += total;
+            summary.resolved += resolved;
+            summary.open += total - resolved;
+            if (summary[row.alert_type] !== undefined) summary[row.alert_type] += total;
+        }
+
+        const districtList = [...districts.values()]
+            .map(({ types, activeWindows, expectedWindows, resolutionMinutes, ...district }) => ({
+                ...district,
+                uptimePercent: percent(activeWindows, expectedWindows),
+                alerts: {
+                    ...district.alerts,
+                    avgResolutionMinutes: district.alerts.resolved > 0
+                        ? round(resolutionMinutes / district.alerts.resolved, 0)
+                        : null
+                },
+                types: [...types.values()]
+                    .map(({ activeWindows: active, expectedWindows: expected, ...type }) => ({
+                        ...type,
+                        uptimePercent: percent(active, expected)
+                    }))
+                    .sort((a, b) => a.type.localeCompare(b.type))
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        const sum = key => districtList.reduce((total, district) => total + district[key], 0);
+        const rawSum = key => [...districts.values()].reduce((total, district) => total + district[key], 0);
+        const alertTotals = emptyAlertSummary();
+        for (const district of districtList) {
+            for (const key of ['total', 'warning', 'danger', 'offline', 'resolved', 'open']) {
+                alertTotals[key] += district.alerts[key];
+            }
+        }
+        alertTotals.avgResolutionMinutes = alertTotals.resolved > 0
+            ? round(rawSum('resolutionMinutes') / alertTotals.resolved, 0)
+            : null;
+
+        return {
+            title: `${period === 'weekly' ? 'Weekly' : 'Monthly'} Report - ${panchayat ? panchayat.name : 'All Panchayats'}`,
+            period,
+            start: start.toISOString(),
+            stop: stop.toISOString(),
+            partial: stop < bounds.stop,
+            generatedAt: now.toISOString(),
+            panchayat: panchayat
+                ? { id: panchayat.id, name: panchayat.name, district: panchayat.district_name || '' }
+                : null,
+            totals: {
+                villagers: sum('villagers'),
+                newVillagers: sum('newVillagers'),
+                sensors: sum('sensors'),
+                mappedSensors: sum('mappedSensors'),
+                newSensors: sum('newSensors'),
+                readings: sum('readings'),
+                uptimePercent: percent(rawSum('activeWindows'), rawSum('expectedWindows')),
+                alerts: alertTotals
+            },
+            districts: districtList,
+            sensors: sensorSummaries.sort((a, b) => (a.uptimePercent ?? -1) - (b.uptimePercent ?? -1)),
+            unavailableMeasurements: influx.errors
+        };
+    }
+}
+
+module.exports = { PanchayatReportService, ReportError, REPORT_PERIODS, periodBounds };
@@ -0,0 +1,93 @@
+// ==================== REAL-TIME PUSH ====================
+// Socket.IO channel for readings, status changes, alerts and CRUD events.
+// Every socket authenticates with the same token it uses for the REST API:
+//   - staff sockets join the all-panchayats room, or one panchayat after `subscribe`;
+//     staff tied to panchayats (see services/tenancy.js) join only those rooms
+//   - villager sockets only ever join their own room
+// Events are published with a scope ({ panchayatId, villagerId }) and reach staff
+// watching everything, staff watching that panchayat and the owning villager.
+
+const STAFF_ROOM = 'staff:all';
+
+function panchayatRoom(panchayatId) {
+    return `panchayat:${panchayatId}`;
+}
+
+function villagerRoom(villagerId) {
+    return `villager:${villagerId}`;
+}
+
+// The rooms a staff socket watches when it is not narrowed to one panchayat
+function staffRooms(scope) {
+    if (!scope || !scope.restricted) return [STAFF_ROOM];
+    return [...scope.readable].map(panchayatRoom);
+}
+
+class RealtimeHub {
+    // authenticate(token) resolves to { type: 'staff', user, scope } | { type: 'villager', villager } | null
+    constructor(io, { authenticate }) {
+        this.io = io;
+        this.authenticate = authenticate;
+
+        io.use((socket, next) => this.authorize(socket, next));
+        io.on('connection', socket => this.handleConnection(socket));
+    }
+
+    async authorize(socket, next) {
+        try {
+            const { auth = {}, query = {} } = socket.handshake;
+            const token = auth.token || query.token;
+            const identity = token ? await this.authenticate(String(token).replace(/^Bearer /, '')) : null;
+            if (!identity) {
+                return next(new Error('Unauthorized'));
+            }
+            socket.data.identity = identity;
+            next();
+        } catch (error) {
+            next(new Error('Unauthorized'));
+        }
+    }
+
+    handleConnection(socket) {
+        const { identity } = socket.data;
+
+        if (identity.type === 'villager') {
+            socket.join(villagerRoom(identity.villager.id));
+        } else {
+            socket.join(staffRooms(identity.scope));
+        }
+
+        // Staff narrow the feed to one panchayat with { panchayatId }, or widen it again with {}
+        socket.on('subscribe', (scope = {}, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            if (identity.type !== 'staff') {
+                return reply({ success: false, error: 'Villager feeds are fixed to the account' });
+            }
+
+            const panchayatId = parseInt(scope && scope.panchayatId);
+            const narrowed = Number.isInteger(panchayatId);
+            if (narrowed && identity.scope && !identity.scope.canRead(panchayatId)) {
+                return reply({ success: false, error: 'Panchayat is outside your jurisdiction' });
+            }
+
+            for (const room of socket.rooms) {
+                if (room === STAFF_ROOM || room.startsWith('panchayat:')) socket.leave(room);
+            }
+            socket.join(narrowed ? panchayatRoom(panchayatId) : staffRooms(identity.scope));
+            reply({ success: true, rooms: [...socket.rooms].filter(room => room !== socket.id) });
+        });
+    }
+
+    publish(event, payload, { panchayatId = null, villagerId = null } = {}) {
+        let target = this.io.to(STAFF_ROOM);
+        if (panchayatId) target = target.to(panchayatRoom(panchayatId));
+        if (villagerId) target = target.to(villagerRoom(villagerId));
+        target.emit(event, payload);
+    }
+
+    getStatus() {
+        return { connectedClients: this.io.engine ? this.io.engine.clientsCount : 0 };
+    }
+}
+
+module.exports = { RealtimeHub };
@@ -0,0 +1,259 @@
+const PDFDocument = require('pdfkit');
+
+// ==================== REPORT RENDERING ====================
+// Turns a report built by PanchayatReportService into a standalone HTML page or a PDF.
+// Both layouts show the same sections: totals, districts, per-type averages, alerts
+// and the sensors with the lowest uptime.
+
+const REPORT_FORMATS = ['pdf', 'html', 'json'];
+
+const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    html: 'text/html; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+
+const LOW_UPTIME_ROWS = 15;
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDate(iso) {
+    return new Date(iso).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+function formatNumber(value, suffix = '') {
+    return value === null || value === undefined ? 'n/a' : `${value}${suffix}`;
+}
+
+function formatMinutes(minutes) {
+    if (minutes === null || minutes === undefined) return 'n/a';
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+function periodLabel(report) {
+    const last = new Date(new Date(report.stop).getTime() - 1);
+    return `${formatDate(report.start)} - ${formatDate(last.toISOString())}${report.partial ? ' (in progress)' : ''}`;
+}
+
+// Rows shared by both renderers: [label, value]
+function summaryRows(report) {
+    const { totals } = report;
+    return [
+        ['Villagers', `${totals.villagers} (${totals.newVillagers} new)`],
+        ['Sensors', `${totals.sensors} (${totals.newSensors} new, ${totals.mappedSensors} mapped)`],
+        ['Sensor uptime', formatNumber(totals.uptimePercent, '%')],
+        ['Readings received', totals.readings],
+        ['Alerts opened', `${totals.alerts.total} (${totals.alerts.danger} danger, ${totals.alerts.warning} warning, ${totals.alerts.offline} offline)`],
+        ['Alerts still open', totals.alerts.open],
+        ['Average resolution time', formatMinutes(totals.alerts.avgResolutionMinutes)]
+    ];
+}
+
+function districtRows(report) {
+    return report.districts.map(district => [
+        district.name,
+        `${district.villagers}`,
+        `${district.sensors}`,
+        formatNumber(district.uptimePercent, '%'),
+        `${district.alerts.total}`,
+        `${district.alerts.open}`
+    ]);
+}
+
+function typeRows(report) {
+    const rows = [];
+    for (const district of report.districts) {
+        for (const type of district.types) {
+            const unit = type.unit ? ` ${type.unit}` : '';
+            rows.push([
+                district.name,
+                type.type,
+                `${type.sensors}`,
+                formatNumber(type.mean, unit),
+                formatNumber(type.min, unit),
+                formatNumber(type.max, unit),
+                formatNumber(type.uptimePercent, '%')
+            ]);
+        }
+    }
+    return rows;
+}
+
+function sensorRows(report) {
+    return report.sensors.slice(0, LOW_UPTIME_ROWS).map(sensor => [
+        sensor.name,
+        sensor.type,
+        sensor.district,
+        formatNumber(sensor.uptimePercent, '%'),
+        `${sensor.readings}`,
+        `${sensor.alerts}`
+    ]);
+}
+
+const DISTRICT_HEADERS = ['District', 'Villagers', 'Sensors', 'Uptime', 'Alerts', 'Open'];
+const TYPE_HEADERS = ['District', 'Type', 'Sensors', 'Average', 'Min', 'Max', 'Uptime'];
+const SENSOR_HEADERS = ['Sensor', 'Type', 'District', 'Uptime', 'Readings', 'Alerts'];
+
+// ========== HTML ==========
+
+function htmlTable(headers, rows) {
+    if (rows.length === 0) return '<p class="empty">No data for this period.</p>';
+    const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+    const body = rows
+        .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+        .join('\n');
+    return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function renderReportHtml(report) {
+    const summary = summaryRows(report)
+        .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join('\n');
+    const scope = report.panchayat
+        ? `${report.panchayat.name}${report.panchayat.district ? `, ${report.panchayat.district}` : ''}`
+        : 'All panchayats';
+    const warning = report.unavailableMeasurements.length > 0
+        ? `<p class="warning">Readings could not be loaded for: ${escapeHtml(report.unavailableMeasurements.join(', '))}</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 32px; }
+  h1 { margin-bottom: 4px; }
+  h2 { margin-top: 32px; border-bottom: 2px solid #0d6efd; padding-bottom: 4px; }
+  .meta { color: #666; margin-top: 0; }
+  table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+  th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; }
+  thead th { background: #f1f5fb; }
+  table.summary { width: auto; }
+  table.summary th { background: #f8f9fa; }
+  .warning { color: #b35c00; }
+  .empty { color: #888; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">${escapeHtml(scope)} &middot; ${escapeHtml(periodLabel(report))} &middot; generated ${escapeHtml(new Date(report.generatedAt).toLocaleString('en-IN'))}</p>
+${warning}
+<h2>Summary</h2>
+<table class="summary">
+${summary}
+</table>
+<h2>Districts</h2>
+${htmlTable(DISTRICT_HEADERS, districtRows(report))}
+<h2>Readings by Sensor Type</h2>
+${htmlTable(TYPE_HEADERS, typeRows(report))}
+<h2>Lowest Uptime Sensors</h2>
+${htmlTable(SENSOR_HEADERS, sensorRows(report))}
+</body>
+</html>
+`;
+}
+
+// ========== PDF ==========
+
+function pdfHeading(doc, text) {
+    doc.moveDown(1.2).font('Helvetica-Bold').fontSize(13).fillColor('#0d6efd').text(text);
+    doc.moveDown(0.3).font('Helvetica').fontSize(9).fillColor('#222');
+}
+
+function pdfTable(doc, headers, rows) {
+    if (rows.length === 0) {
+        doc.fillColor('#888').text('No data for this period.').fillColor('#222');
+        return;
+    }
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const columnWidth = width / headers.length;
+    const rowHeight = 16;
+
+    const drawRow = (cells, bold) => {
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+        const y = doc.y;
+        if (bold) doc.rect(left, y, width, rowHeight).fill('#f1f5fb').fillColor('#222');
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        cells.forEach((cell, index) => {
+            doc.text(String(cell), left + index * columnWidth + 4, y + 4, {
+                width: columnWidth - 8,
+                height: rowHeight - 4,
+                ellipsis: true,
+                lineBreak: false
+            });
+        });
+        doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).strokeColor('#dddddd').stroke();
+        doc.x = left;
+        doc.y = y + rowHeight;
+    };
+
+    drawRow(headers, true);
+    rows.forEach(row => drawRow(row, false));
+    doc.font('Helvetica');
+}
+
+// Resolves to the finished PDF as a Buffer
+function renderReportPdf(report) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: report.title } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const scope = report.panchayat
+            ? `${report.panchayat.name}${report.panchayat.district ? `, ${report.panchayat.district}` : ''}`
+            : 'All panchayats';
+
+        doc.font('Helvetica-Bold').fontSize(18).text(report.title);
+        doc.font('Helvetica').fontSize(10).fillColor('#666')
+            .text(`${scope} - ${periodLabel(report)}`)
+            .text(`Generated ${new Date(report.generatedAt).toLocaleString('en-IN')}`)
+            .fillColor('#222');
+
+        if (report.unavailableMeasurements.length > 0) {
+            doc.moveDown(0.5).fillColor('#b35c00')
+                .text(`Readings could not be loaded for: ${report.unavailableMeasurements.join(', ')}`)
+                .fillColor('#222');
+        }
+
+        pdfHeading(doc, 'Summary');
+        pdfTable(doc, ['Item', 'Value'], summaryRows(report));
+        pdfHeading(doc, 'Districts');
+        pdfTable(doc, DISTRICT_HEADERS, districtRows(report));
+        pdfHeading(doc, 'Readings by Sensor Type');
+        pdfTable(doc, TYPE_HEADERS, typeRows(report));
+        pdfHeading(doc, 'Lowest Uptime Sensors');
+        pdfTable(doc, SENSOR_HEADERS, sensorRows(report));
+
+        doc.end();
+    });
+}
+
+// Resolves to { body, contentType } for any of REPORT_FORMATS
+async function renderReport(report, format) {
+    let body;
+    if (format === 'pdf') {
+        body = await renderReportPdf(report);
+    } else if (format === 'html') {
+        body = renderReportHtml(report);
+    } else {
+        body = JSON.stringify(report, null, 2);
+    }
+    return { body, contentType: CONTENT_TYPES[format] };
+}
+
+module.exports = { REPORT_FORMATS, renderReport, renderReportHtml, renderReportPdf };
@@ -0,0 +1,309 @@
+const fs = require('fs/promises');
+const path = require('path');
+const EventEmitter = require('events');
+const { periodBounds } = require('./panchayatReports');
+const { renderReport } = require('./reportRenderer');
+
+// ==================== REPORT SCHEDULER ====================
+// Recurring weekly and monthly reports. A schedule names a panchayat (or all of them),
+// a period and a file format. When its period ends the report for that period is
+// generated, written to the reports directory and listed in generated_reports for
+// download. A failed run is retried after RETRY_DELAY_SECONDS; a schedule that missed
+// several periods while the server was down catches up one period per tick.
+// Emits 'generated' with { schedule, report } after each file is written.
+
+const SCHEDULE_FORMATS = ['pdf', 'html'];
+const RETRY_DELAY_SECONDS = 900;
+const MAX_LIST_LIMIT = 200;
+
+const SCHEDULE_SELECT_SQL = `
+    SELECT rs.*, p.name AS panchayat_name, u.full_name AS created_by_name
+    FROM report_schedules rs
+    LEFT JOIN locations p ON p.id = rs.panchayat_id
+    LEFT JOIN admin_users u ON u.id = rs.created_by
+`;
+
+const REPORT_SELECT_SQL = `
+    SELECT gr.*, p.name AS panchayat_name, u.full_name AS generated_by_name
+    FROM generated_reports gr
+    LEFT JOIN locations p ON p.id = gr.panchayat_id
+    LEFT JOIN admin_users u ON u.id = gr.generated_by
+`;
+
+function fileDate(iso) {
+    return iso.slice(0, 10).replace(/-/g, '');
+}
+
+class ReportScheduler extends EventEmitter {
+    // options: { db, reportService, reportsDir, intervalMs }
+    constructor(options) {
+        super();
+        this.db = options.db;
+        this.reportService = options.reportService;
+        this.reportsDir = options.reportsDir;
+        this.intervalMs = options.intervalMs || 60000;
+        this.running = null;
+        this.timer = null;
+    }
+
+    async ensureSchema() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS report_schedules (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                panchayat_id INT NULL,
+                period VARCHAR(10) NOT NULL,
+                format VARCHAR(10) DEFAULT 'pdf',
+                is_active BOOLEAN DEFAULT TRUE,
+                next_run_at TIMESTAMP NULL,
+                last_run_at TIMESTAMP NULL,
+                last_attempt_at TIMESTAMP NULL,
+                last_error TEXT,
+                created_by INT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_report_schedules_due (is_active, next_run_at)
+            )
+        `);
+
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS generated_reports (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                schedule_id INT NULL,
+                panchayat_id INT NULL,
+                period VARCHAR(10) NOT NULL,
+                format VARCHAR(10) NOT NULL,
+                period_start TIMESTAMP NULL,
+                period_end TIMESTAMP NULL,
+                is_partial BOOLEAN DEFAULT FALSE,
+                file_name VARCHAR(255) NOT NULL,
+                file_size INT,
+                generated_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_generated_reports_panchayat (panchayat_id),
+                INDEX idx_generated_reports_created (created_at)
+            )
+        `);
+    }
+
+    // A schedule first runs when the period in progress ends
+    static nextRunAt(period, after = new Date()) {
+        return periodBounds(period, after).stop;
+    }
+
+    // ========== SCHEDULES ==========
+
+    // scope: a tenant scope limiting the list to its panchayats
+    async listSchedules(scope = null) {
+        const [inScope, params] = scope ? scope.filter('rs.panchayat_id') : ['TRUE', []];
+        const [rows] = await this.db.query(`${SCHEDULE_SELECT_SQL} WHERE ${inScope} ORDER BY rs.created_at DESC`, params);
+        return rows.map(ReportScheduler.formatSchedule);
+    }
+
+    async findSchedule(id) {
+        const [rows] = await this.db.query(`${SCHEDULE_SELECT_SQL} WHERE rs.id = ?`, [id]);
+        return rows.length > 0 ? ReportScheduler.formatSchedule(rows[0]) : null;
+    }
+
+    async createSchedule({ panchayatId = null, period, format = 'pdf', createdBy = null }) {
+        const [result] = await this.db.query(
+            `INSERT INTO report_schedules (panchayat_id, period, format, next_run_at, created_by)
+             VALUES (?, ?, ?, ?, ?)`,
+            [panchayatId, period, format, ReportScheduler.nextRunAt(period), createdBy]
+        );
+        return this.findSchedule(result.insertId);
+    }
+
+    // changes: { period, format, isActive }. Changing the period or reactivating a
+    // schedule restarts it from the end of the period in progress.
+    async updateSchedule(id, changes) {
+        const current = await this.findSchedule(id);
+        if (!current) return null;
+
+        const period = changes.period || current.period;
+        const format = changes.format || current.format;
+        const isActive = changes.isActive === undefined ? current.isActive : changes.isActive;
+        const restart = period !== current.period || (isActive && !current.isActive);
+
+        await this.db.query(
+            `UPDATE report_schedules
+             SET period = ?, format = ?, is_active = ?, next_run_at = ?, last_error = IF(?, NULL, last_error)
+             WHERE id = ?`,
+            [
+                period,
+                format,
+                isActive,
+                restart ? ReportScheduler.nextRunAt(period) : current.nextRunAt,
+                restart,
+                id
+            ]
+        );
+        return this.findSchedule(id);
+    }
+
+    async deleteSchedule(id) {
+        const [result] = await this.db.query('DELETE FROM report_schedules WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    // ========== GENERATED REPORTS ==========
+
+    async listReports({ panchayatId = null, scope = null, limit, offset } = {}) {
+        const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIST_LIMIT);
+        const safeOffset = Math.max(parseInt(offset) || 0, 0);
+        const [inScope, params] = scope ? scope.filter('gr.panchayat_id') : ['TRUE', []];
+        const conditions = [inScope];
+        if (panchayatId !== null) {
+            conditions.push('gr.panchayat_id = ?');
+            params.push(panchayatId);
+        }
+        const where = `WHERE ${conditions.join(' AND ')}`;
+
+        const [[{ total }]] = await this.db.query(
+            `SELECT COUNT(*) AS total FROM generated_reports gr ${where}`,
+            params
+        );
+        const [rows] = await this.db.query(
+            `${REPORT_SELECT_SQL} ${where} ORDER BY gr.created_at DESC, gr.id DESC LIMIT ? OFFSET ?`,
+            [...params, safeLimit, safeOffset]
+        );
+        return { reports: rows.map(ReportScheduler.formatReport), total, limit: safeLimit, offset: safeOffset };
+    }
+
+    async findReport(id) {
+        const [rows] = await this.db.query(`${REPORT_SELECT_SQL} WHERE gr.id = ?`, [id]);
+        return rows.length > 0 ? ReportScheduler.formatReport(rows[0]) : null;
+    }
+
+    filePath(report) {
+        return path.join(this.reportsDir, path.basename(report.fileName));
+    }
+
+    // Builds, renders and stores one report; resolves to the generated_reports entry
+    async generate({ period, date, panchayatId = null, format, scheduleId = null, generatedBy = null }) {
+        const report = await this.reportService.build({ period, date, panchayatId });
+        const { body } = await renderReport(report, format);
+
+        const fileName = `${period}_${panchayatId || 'all'}_${fileDate(report.start)}_${Date.now()}.${format}`;
+        await fs.mkdir(this.reportsDir, { recursive: true });
+        await fs.writeFile(path.join(this.reportsDir, fileName), body);
+
+        const [result] = await this.db.query(
+            `INSERT INTO generated_reports
+               (schedule_id, panchayat_id, period, format, period_start, period_end, is_partial,
+                file_name, file_size, generated_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                scheduleId,
+                panchayatId,
+                period,
+                format,
+                new Date(report.start),
+                new Date(report.stop),
+                report.partial,
+                fileName,
+                Buffer.byteLength(body),
+                generatedBy
+            ]
+        );
+        return this.findReport(result.insertId);
+    }
+
+    // ========== SCHEDULING ==========
+
+    async runSchedule(schedule) {
+        const nextRunAt = new Date(schedule.nextRunAt);
+        await this.db.query('UPDATE report_schedules SET last_attempt_at = NOW() WHERE id = ?', [schedule.id]);
+
+        try {
+            // The period that has just ended is the one containing the instant before next_run_at
+            const report = await this.generate({
+                period: schedule.period,
+                date: new Date(nextRunAt.getTime() - 1),
+                panchayatId: schedule.panchayatId,
+                format: schedule.format,
+                scheduleId: schedule.id
+            });
+
+            await this.db.query(
+                `UPDATE report_schedules
+                 SET last_run_at = NOW(), last_error = NULL, next_run_at = ?
+                 WHERE id = ?`,
+                [ReportScheduler.nextRunAt(schedule.period, nextRunAt), schedule.id]
+            );
+            console.log(`📑 Scheduled ${schedule.period} report generated: ${report.fileName}`);
+            this.emit('generated', { schedule, report });
+        } catch (error) {
+            console.error(`❌ Scheduled report ${schedule.id} failed:`, error.message);
+            await this.db.query('UPDATE report_schedules SET last_error = ? WHERE id = ?', [error.message, schedule.id]);
+        }
+    }
+
+    // Runs every due schedule once; overlapping ticks share the run in progress
+    runDue() {
+        if (!this.running) {
+            this.running = (async () => {
+                const [rows] = await this.db.query(
+                    `${SCHEDULE_SELECT_SQL}
+                     WHERE rs.is_active = TRUE AND rs.next_run_at <= NOW()
+                       AND (rs.last_attempt_at IS NULL OR rs.last_attempt_at < NOW() - INTERVAL ? SECOND)
+                     ORDER BY rs.next_run_at`,
+                    [RETRY_DELAY_SECONDS]
+                );
+                for (const row of rows) {
+                    await this.runSchedule(ReportScheduler.formatSchedule(row));
+                }
+                return rows.length;
+            })().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    start() {
+        if (this.timer) return;
+        const run = () => this.runDue().catch(error => {
+            console.error('❌ Report scheduler run failed:', error.message);
+        });
+        run();
+        this.timer = setInterval(run, this.intervalMs);
+    }
+
+    static formatSchedule(row) {
+        return {
+            id: row.id,
+            panchayatId: row.panchayat_id,
+            panchayatName: row.panchayat_id ? row.panchayat_name || `Panchayat #${row.panchayat_id}` : 'All panchayats',
+            period: row.period,
+            format: row.format,
+            isActive: Boolean(row.is_active),
+            nextRunAt: row.next_run_at,
+            lastRunAt: row.last_run_at,
+            lastError: row.last_error,
+            createdBy: row.created_by,
+            createdByName: row.created_by_name || null,
+            createdAt: row.created_at
+        };
+    }
+
+    static formatReport(row) {
+        return {
+            id: row.id,
+            scheduleId: row.schedule_id,
+            panchayatId: row.panchayat_id,
+            panchayatName: row.panchayat_id ? row.panchayat_name || `Panchayat #${row.panchayat_id}` : 'All panchayats',
+            period: row.period,
+            format: row.format,
+            periodStart: row.period_start,
+            periodEnd: row.period_end,
+            partial: Boolean(row.is_partial),
+            fileName: row.file_name,
+            fileSize: row.file_size,
+            generatedBy: row.generated_by,
+            generatedByName: row.generated_by_name || (row.schedule_id ? 'Scheduler' : null),
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = { ReportScheduler, SCHEDULE_FORMATS };
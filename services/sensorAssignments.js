@@ -0,0 +1,120 @@
+const { db } = require('../config/database');
+
+// ==================== SENSOR ASSIGNMENTS ====================
+// Ownership history of each device. sensors.villager_id stays the source of truth for
+// the current owner; every change to it opens or closes a row here inside the same
+// transaction, so a sensor has at most one open assignment (unassigned_at IS NULL).
+
+const END_REASONS = ['unmapped', 'reassigned', 'villager_deleted', 'sensor_deleted'];
+
+const HISTORY_SELECT_SQL = `
+    SELECT sa.*, v.name AS villager_name, v.phone AS villager_phone,
+           ab.full_name AS assigned_by_name, ub.full_name AS unassigned_by_name
+    FROM sensor_assignments sa
+    LEFT JOIN villagers v ON v.id = sa.villager_id
+    LEFT JOIN admin_users ab ON ab.id = sa.assigned_by
+    LEFT JOIN admin_users ub ON ub.id = sa.unassigned_by
+`;
+
+class SensorAssignments {
+    constructor(database) {
+        this.db = database;
+    }
+
+    async ensureSchema() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS sensor_assignments (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                sensor_id VARCHAR(50) NOT NULL,
+                villager_id INT NOT NULL,
+                assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                assigned_by INT NULL,
+                assign_note TEXT,
+                unassigned_at TIMESTAMP NULL,
+                unassigned_by INT NULL,
+                end_reason VARCHAR(30) NULL,
+                end_note TEXT,
+                INDEX idx_assignments_sensor (sensor_id, unassigned_at),
+                INDEX idx_assignments_villager (villager_id)
+            )
+        `);
+    }
+
+    // Opens an assignment for sensors mapped before this table existed; returns how many
+    async backfill() {
+        const [result] = await this.db.query(`
+            INSERT INTO sensor_assignments (sensor_id, villager_id, assigned_at, assign_note)
+            SELECT s.id, s.villager_id, COALESCE(s.updated_at, s.installed_at, CURRENT_TIMESTAMP),
+                   'Recorded from the existing mapping'
+            FROM sensors s
+            WHERE s.villager_id IS NOT NULL
+              AND NOT EXISTS (
+                  SELECT 1 FROM sensor_assignments sa
+                  WHERE sa.sensor_id = s.id AND sa.unassigned_at IS NULL
+              )
+        `);
+        return result.affectedRows;
+    }
+
+    async assign(conn, { sensorId, villagerId, adminId = null, note = null }) {
+        await conn.query(
+            `INSERT INTO sensor_assignments (sensor_id, villager_id, assigned_by, assign_note)
+             VALUES (?, ?, ?, ?)`,
+            [sensorId, villagerId, adminId, note]
+        );
+    }
+
+    // Closes the sensor's open assignment; reason is one of END_REASONS
+    async release(conn, { sensorId, reason, adminId = null, note = null }) {
+        await conn.query(
+            `UPDATE sensor_assignments
+             SET unassigned_at = CURRENT_TIMESTAMP, unassigned_by = ?, end_reason = ?, end_note = ?
+             WHERE sensor_id = ? AND unassigned_at IS NULL`,
+            [adminId, reason, note, sensorId]
+        );
+    }
+
+    // Closes every open assignment held by a villager (the villager is being removed)
+    async releaseVillager(conn, { villagerId, reason, adminId = null }) {
+        await conn.query(
+            `UPDATE sensor_assignments
+             SET unassigned_at = CURRENT_TIMESTAMP, unassigned_by = ?, end_reason = ?
+             WHERE villager_id = ? AND unassigned_at IS NULL`,
+            [adminId, reason, villagerId]
+        );
+    }
+
+    // Newest first; the open assignment, if any, is the first entry
+    async history(sensorId) {
+        const [rows] = await this.db.query(
+            `${HISTORY_SELECT_SQL}
+             WHERE sa.sensor_id = ?
+             ORDER BY sa.unassigned_at IS NULL DESC, sa.assigned_at DESC, sa.id DESC`,
+            [sensorId]
+        );
+        return rows.map(SensorAssignments.format);
+    }
+
+    static format(row) {
+        return {
+            id: row.id,
+            villagerId: row.villager_id,
+            villagerName: row.villager_name || `Villager #${row.villager_id}`,
+            villagerPhone: row.villager_phone || null,
+            assignedAt: row.assigned_at,
+            assignedBy: row.assigned_by,
+            assignedByName: row.assigned_by_name || null,
+            assignNote: row.assign_note || null,
+            unassignedAt: row.unassigned_at,
+            unassignedBy: row.unassigned_by,
+            unassignedByName: row.unassigned_by_name || null,
+            endReason: row.end_reason || null,
+            endNote: row.end_note || null,
+            current: row.unassigned_at === null
+        };
+    }
+}
+
+const sensorAssignments = new SensorAssignments(db);
+
+module.exports = { SensorAssignments, sensorAssignments, END_REASONS };
@@ -0,0 +1,109 @@
+const ExcelJS = require('exceljs');
+
+// ==================== SENSOR EXPORT ====================
+// Streams readings to the response as CSV, XLSX or a JSON array. Rows are written
+// as they arrive from InfluxDB and the writer waits for the socket to drain, so a
+// long range never has to fit in memory.
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const EXPORT_COLUMNS = [
+    { key: 'time', header: 'Time' },
+    { key: 'sensor_id', header: 'Sensor ID' },
+    { key: 'sensor_name', header: 'Sensor Name' },
+    { key: 'district', header: 'District' },
+    { key: 'type', header: 'Type' },
+    { key: 'value', header: 'Value' },
+    { key: 'unit', header: 'Unit' }
+];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json; charset=utf-8'
+};
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    // Quote anything with separators, and neutralise spreadsheet formulas
+    const safe = /^[=+\-@]/.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+// Waits for the socket to drain; rejects once the client has gone away so the
+// Influx iteration stops instead of writing into a closed response
+function writeChunk(res, chunk) {
+    if (res.destroyed) return Promise.reject(new Error('Client disconnected'));
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            res.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            res.off('drain', onDrain);
+            reject(new Error('Client disconnected'));
+        };
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+    });
+}
+
+// Returns { writeRow(row), end() }. Headers are sent immediately.
+function createExportWriter(res, format, filename) {
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+        const sheet = workbook.addWorksheet('Readings');
+        sheet.columns = EXPORT_COLUMNS.map(column => ({ ...column, width: column.key === 'time' ? 26 : 16 }));
+        return {
+            async writeRow(row) {
+                if (res.destroyed) throw new Error('Client disconnected');
+                sheet.addRow(row).commit();
+            },
+            async end() {
+                sheet.commit();
+                await workbook.commit();
+            }
+        };
+    }
+
+    if (format === 'json') {
+        let first = true;
+        res.write('[\n');
+        return {
+            async writeRow(row) {
+                await writeChunk(res, `${first ? '' : ',\n'}${JSON.stringify(row)}`);
+                first = false;
+            },
+            async end() {
+                res.end('\n]\n');
+            }
+        };
+    }
+
+    res.write(`${EXPORT_COLUMNS.map(column => column.header).join(',')}\r\n`);
+    return {
+        async writeRow(row) {
+            await writeChunk(res, `${EXPORT_COLUMNS.map(column => csvField(row[column.key])).join(',')}\r\n`);
+        },
+        async end() {
+            res.end();
+        }
+    };
+}
+
+// Feeds every row of a FluxQuery to onRow without collecting the result set
+async function streamFluxRows(queryApi, fluxQuery, onRow) {
+    let count = 0;
+    for await (const { values, tableMeta } of queryApi.iterateRows(fluxQuery.toString())) {
+        await onRow(tableMeta.toObject(values));
+        count++;
+    }
+    return count;
+}
+
+module.exports = { EXPORT_FORMATS, createExportWriter, streamFluxRows };
@@ -0,0 +1,269 @@
+// ==================== SENSOR SNAPSHOTS ====================
+// Latest reading for many sensors at once. Sensors are grouped by their InfluxDB
+// measurement (<district>_<type>) and each measurement is read with a single Flux
+// query, instead of one MySQL district lookup and one Flux query per sensor.
+// Identical queries already in flight are shared between concurrent callers.
+//
+// Snapshots of every sensor are also cached in memory and refreshed on a schedule,
+// so Live/Offline is decided once per refresh rather than once per request. A
+// request that finds the cache older than the freshness window refreshes it first.
+// Each refresh emits 'reading' for sensors with a new point and 'status' for sensors
+// that went Live or Offline, with { sensor, snapshot, previous }.
+
+const EventEmitter = require('events');
+const { FluxQuery } = require('./fluxQuery');
+
+const NO_DATA = { measurement: 'No data', time: '', status: 'Offline', numericValue: null };
+const QUERY_ERROR = { measurement: 'Error', time: '', status: 'Offline', numericValue: null };
+
+class SensorSnapshotService extends EventEmitter {
+    // options: { db, queryApi, bucket, formatValue(type, value), lookbackMinutes,
+    //            liveThresholdSeconds, refreshIntervalMs, freshnessWindowMs }
+    constructor(options) {
+        super();
+        this.db = options.db;
+        this.queryApi = options.queryApi;
+        this.bucket = options.bucket;
+        this.formatValue = options.formatValue || ((type, value) => value.toFixed(2));
+        this.lookbackMinutes = options.lookbackMinutes || 5;
+        this.liveThresholdSeconds = options.liveThresholdSeconds || 22;
+        this.refreshIntervalMs = options.refreshIntervalMs || 5000;
+        this.freshnessWindowMs = options.freshnessWindowMs || 15000;
+        this.inFlight = new Map();
+
+        this.cache = new Map();
+        this.sensors = new Map();
+        this.refreshedAt = null;
+        this.refreshing = null;
+        this.timer = null;
+    }
+
+    async resolveDistrictNames(districtIds) {
+        const ids = [...new Set(districtIds.filter(Boolean))];
+        if (ids.length === 0) return new Map();
+
+        const [rows] = await this.db.query(
+            `SELECT id, name FROM locations WHERE type = 'district' AND id IN (?)`,
+            [ids]
+        );
+        return new Map(rows.map(row => [row.id, row.name]));
+    }
+
+    // Runs the query once even if several requests ask for it at the same moment
+    runShared(query) {
+        const fluxQuery = query.toString();
+        if (!this.inFlight.has(fluxQuery)) {
+            const pending = this.queryApi.collectRows(fluxQuery)
+                .finally(() => this.inFlight.delete(fluxQuery));
+            this.inFlight.set(fluxQuery, pending);
+        }
+        return this.inFlight.get(fluxQuery);
+    }
+
+    // Last point per sensor_id within the lookback window for one measurement
+    async fetchMeasurement(measurementName, sensorIds) {
+        const query = FluxQuery.from(this.bucket)
+            .range({ start: -this.lookbackMinutes * 60 })
+            .whereEquals('_measurement', measurementName)
+            .whereIn('sensor_id', [...sensorIds].map(String).sort())
+            .group(['sensor_id'])
+            .last();
+
+        const rows = await this.runShared(query);
+        const points = new Map();
+        for (const row of rows || []) {
+            const previous = points.get(row.sensor_id);
+            if (!previous || new Date(row._time) > new Date(previous._time)) {
+                points.set(row.sensor_id, row);
+            }
+        }
+        return points;
+    }
+
+    buildSnapshot(point, sensorType) {
+        if (!point) return { ...NO_DATA };
+
+        const readingTime = new Date(point._time);
+        const diffSeconds = (Date.now() - readingTime.getTime()) / 1000;
+        const snapshot = {
+            measurement: 'No data',
+            time: readingTime.toLocaleString(),
+            status: diffSeconds <= this.liveThresholdSeconds ? 'Live' : 'Offline',
+            numericValue: null
+        };
+
+        let value = null;
+        if (point._value !== undefined && point._value !== null) {
+            value = point._value;
+        } else if (point.value !== undefined) {
+            value = point.value;
+        }
+
+        if (value !== null && value !== undefined) {
+            const numValue = typeof value === 'number' ? value : parseFloat(value);
+            if (!isNaN(numValue)) {
+                snapshot.numericValue = numValue;
+                snapshot.measurement = `${sensorType}: ${this.formatValue(sensorType, numValue)}`;
+            }
+        }
+
+        if (snapshot.measurement === 'No data' && point.measurement) {
+            snapshot.measurement = point.measurement;
+        }
+        return snapshot;
+    }
+
+    // sensors: rows with { id, type, district_id }. Resolves to Map(sensorId -> snapshot);
+    // every requested sensor gets an entry, Offline when nothing could be read.
+    async fetchSnapshots(sensors) {
+        const snapshots = new Map();
+        if (!sensors || sensors.length === 0) return snapshots;
+
+        let districtNames;
+        try {
+            districtNames = await this.resolveDistrictNames(sensors.map(sensor => sensor.district_id));
+        } catch (error) {
+            console.error('❌ Error resolving sensor districts:', error.message);
+            sensors.forEach(sensor => snapshots.set(sensor.id, { ...QUERY_ERROR }));
+            return snapshots;
+        }
+
+        const byMeasurement = new Map();
+        for (const sensor of sensors) {
+            const districtName = districtNames.get(sensor.district_id);
+            if (!districtName) {
+                snapshots.set(sensor.id, { ...NO_DATA });
+                continue;
+            }
+            const measurementName = `${districtName}_${sensor.type}`;
+            if (!byMeasurement.has(measurementName)) byMeasurement.set(measurementName, []);
+            byMeasurement.get(measurementName).push(sensor);
+        }
+
+        await Promise.all([...byMeasurement.entries()].map(async ([measurementName, group]) => {
+            try {
+                const points = await this.fetchMeasurement(measurementName, group.map(sensor => sensor.id));
+                for (const sensor of group) {
+                    snapshots.set(sensor.id, this.buildSnapshot(points.get(String(sensor.id)), sensor.type));
+                }
+            } catch (error) {
+                console.error(`❌ Error fetching snapshots for ${measurementName}:`, error.message);
+                group.forEach(sensor => snapshots.set(sensor.id, { ...QUERY_ERROR }));
+            }
+        }));
+
+        return snapshots;
+    }
+
+    // ========== CACHE ==========
+
+    async loadSensors() {
+        const [rows] = await this.db.query(
+            `SELECT id, name, type, district_id, panchayat_id, villager_id
+             FROM sensors WHERE status <> 'deleted'`
+        );
+        return rows;
+    }
+
+    // Compares a refresh with the previous one; the first refresh has nothing to compare to
+    emitChanges(previousCache, snapshots) {
+        if (previousCache.size === 0) return;
+
+        for (const [sensorId, snapshot] of snapshots) {
+            const previous = previousCache.get(sensorId);
+            const sensor = this.sensors.get(sensorId);
+            if (!previous || !sensor) continue;
+
+            if (snapshot.time !== previous.time || snapshot.measurement !== previous.measurement) {
+                this.emit('reading', { sensor, snapshot, previous });
+            }
+            if (snapshot.status !== previous.status) {
+                this.emit('status', { sensor, snapshot, previous });
+            }
+        }
+    }
+
+    // Re-reads every sensor; concurrent callers share the refresh already running
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = (async () => {
+                const sensors = await this.loadSensors();
+                const snapshots = await this.fetchSnapshots(sensors);
+                const previousCache = this.cache;
+
+                this.sensors = new Map(sensors.map(sensor => [sensor.id, sensor]));
+                this.cache = snapshots;
+                this.refreshedAt = new Date();
+                this.emitChanges(previousCache, snapshots);
+                return snapshots;
+            })().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    start() {
+        if (this.timer) return;
+        const run = () => this.refresh().catch(error => {
+            console.error('❌ Snapshot cache refresh failed:', error.message);
+        });
+        run();
+        this.timer = setInterval(run, this.refreshIntervalMs);
+    }
+
+    getAgeMs() {
+        return this.refreshedAt ? Date.now() - this.refreshedAt.getTime() : null;
+    }
+
+    isFresh() {
+        const age = this.getAgeMs();
+        return age !== null && age <= this.freshnessWindowMs;
+    }
+
+    // Same contract as fetchSnapshots, served from the cache. Sensors the cache has not
+    // seen yet (registered since the last refresh) are read live and added to it.
+    async getSnapshots(sensors) {
+        if (!this.isFresh()) {
+            try {
+                await this.refresh();
+            } catch (error) {
+                console.error('❌ Snapshot cache refresh failed:', error.message);
+            }
+        }
+
+        const snapshots = new Map();
+        const missing = [];
+        for (const sensor of sensors || []) {
+            if (this.cache.has(sensor.id)) {
+                snapshots.set(sensor.id, this.cache.get(sensor.id));
+            } else {
+                missing.push(sensor);
+            }
+        }
+
+        if (missing.length > 0) {
+            const fetched = await this.fetchSnapshots(missing);
+            for (const [sensorId, snapshot] of fetched) {
+                this.cache.set(sensorId, snapshot);
+                snapshots.set(sensorId, snapshot);
+            }
+        }
+        return snapshots;
+    }
+
+    getStatus() {
+        const age = this.getAgeMs();
+        return {
+            refreshedAt: this.refreshedAt ? this.refreshedAt.toISOString() : null,
+            ageSeconds: age === null ? null : Math.round(age / 1000),
+            fresh: this.isFresh(),
+            sensorCount: this.cache.size,
+            refreshIntervalSeconds: this.refreshIntervalMs / 1000,
+            freshnessWindowSeconds: this.freshnessWindowMs / 1000,
+            liveThresholdSeconds: this.liveThresholdSeconds
+        };
+    }
+}
+
+module.exports = { SensorSnapshotService };
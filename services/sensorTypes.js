@@ -0,0 +1,397 @@
+const { db } = require('../config/database');
+
+// ==================== SENSOR TYPE REGISTRY ====================
+// One row per kind of sensor, managed through /api/sensor-types. The canonical key is
+// also the suffix of the sensor's InfluxDB measurement (<district>_<key>), so it never
+// changes once created. Lookups ignore case and punctuation, so "soil_moisture",
+// "SoilMoisture" and "soil moisture" are the same type, and aliases add true synonyms
+// ("temperature" for Temp). Sensors registered before the registry keep whatever type
+// text they were stored with; it is resolved through the same lookup.
+//
+// The registry is small and read on every reading, so it is held in memory and
+// reloaded after each change; formatting and validation never wait on MySQL.
+
+const THRESHOLD_FIELDS = [
+    'min_normal', 'max_normal',
+    'min_warning', 'max_warning',
+    'min_danger', 'max_danger'
+];
+
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9]{0,49}$/;
+const MAX_PRECISION = 6;
+
+// Installed on first start, matching the units and name guesses the server used to hard-code
+const BUILT_IN_TYPES = [
+    {
+        key: 'Temp', label: 'Temperature', aliases: ['temperature'], unit: '°C', precision: 1, icon: 'thermometer-half',
+        validMin: -40, validMax: 85,
+        thresholds: { min_normal: 10, max_normal: 35, min_warning: 5, max_warning: 40, min_danger: 0, max_danger: 45 }
+    },
+    {
+        key: 'Humidity', label: 'Humidity', aliases: [], unit: '%', precision: 0, icon: 'droplet-half',
+        validMin: 0, validMax: 100,
+        thresholds: { min_normal: 30, max_normal: 80, min_warning: 20, max_warning: 90, min_danger: 10, max_danger: 95 }
+    },
+    {
+        key: 'AirQuality', label: 'Air quality', aliases: ['aqi', 'air'], unit: 'AQI', precision: 0, icon: 'wind',
+        validMin: 0, validMax: 500,
+        thresholds: { max_normal: 100, max_warning: 200, max_danger: 300 }
+    },
+    {
+        key: 'SoilMoisture', label: 'Soil moisture', aliases: ['soil_moist'], unit: '%', precision: 0, icon: 'moisture',
+        validMin: 0, validMax: 100,
+        thresholds: { min_normal: 20, max_normal: 60, min_warning: 15, max_warning: 70, min_danger: 10, max_danger: 80 }
+    },
+    {
+        key: 'SoilPH', label: 'Soil pH', aliases: ['ph_soil'], unit: 'pH', precision: 1, icon: 'eyedropper',
+        validMin: 0, validMax: 14,
+        thresholds: { min_normal: 5.5, max_normal: 7.5, min_warning: 5, max_warning: 8, min_danger: 4.5, max_danger: 8.5 }
+    },
+    {
+        key: 'WaterPH', label: 'Water pH', aliases: ['ph_water'], unit: 'pH', precision: 1, icon: 'eyedropper',
+        validMin: 0, validMax: 14,
+        thresholds: { min_normal: 6.5, max_normal: 8.5, min_warning: 6, max_warning: 9, min_danger: 5.5, max_danger: 9.5 }
+    },
+    {
+        key: 'WaterSalinity', label: 'Water salinity', aliases: ['salinity'], unit: 'ppm', precision: 0, icon: 'water',
+        validMin: 0, validMax: 50000,
+        thresholds: { max_normal: 1000, max_warning: 2000, max_danger: 3000 }
+    },
+    {
+        key: 'Rainfall', label: 'Rainfall', aliases: ['rain'], unit: 'mm', precision: 1, icon: 'cloud-rain',
+        validMin: 0, validMax: 500,
+        thresholds: { max_normal: 50, max_warning: 100, max_danger: 150 }
+    },
+    {
+        key: 'WaterLevel', label: 'Water level', aliases: [], unit: 'm', precision: 2, icon: 'rulers',
+        validMin: 0, validMax: 20,
+        thresholds: {}
+    }
+];
+
+class SensorTypeError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// "Soil_Moisture", "soil moisture" and "SoilMoisture" all become "soilmoisture"
+function normalizeTypeName(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function isSet(value) {
+    return value !== null && value !== undefined;
+}
+
+function optionalNumber(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new SensorTypeError(`${field} must be a number`);
+    return number;
+}
+
+class SensorTypeRegistry {
+    constructor(database) {
+        this.db = database;
+        this.types = new Map();
+        this.lookup = new Map();
+    }
+
+    async ensureSchema() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS sensor_types (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                type_key VARCHAR(50) NOT NULL,
+                label VARCHAR(100) NOT NULL,
+                aliases JSON NULL,
+                unit VARCHAR(20) NOT NULL DEFAULT '',
+                display_precision TINYINT NOT NULL DEFAULT 2,
+                icon VARCHAR(50) NULL,
+                valid_min DOUBLE NULL,
+                valid_max DOUBLE NULL,
+                min_normal DOUBLE NULL,
+                max_normal DOUBLE NULL,
+                min_warning DOUBLE NULL,
+                max_warning DOUBLE NULL,
+                min_danger DOUBLE NULL,
+                max_danger DOUBLE NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_sensor_types_key (type_key)
+            )
+        `);
+    }
+
+    // Installs the built-in types into an empty registry; returns how many
+    async seed() {
+        const [[{ count }]] = await this.db.query('SELECT COUNT(*) AS count FROM sensor_types');
+        if (count > 0) return 0;
+
+        for (const type of BUILT_IN_TYPES) {
+            await this.insert(this.validate(type));
+        }
+        return BUILT_IN_TYPES.length;
+    }
+
+    async load() {
+        const [rows] = await this.db.query('SELECT * FROM sensor_types ORDER BY label');
+        const types = new Map();
+        const lookup = new Map();
+        for (const row of rows) {
+            const type = SensorTypeRegistry.format(row);
+            types.set(type.key, type);
+            for (const name of [type.key, ...type.aliases]) {
+                lookup.set(normalizeTypeName(name), type);
+            }
+        }
+        this.types = types;
+        this.lookup = lookup;
+        return this.list();
+    }
+
+    list() {
+        return [...this.types.values()];
+    }
+
+    // The registered type a stored or submitted type name refers to, or null
+    resolve(name) {
+        return this.lookup.get(normalizeTypeName(name)) || null;
+    }
+
+    // Guesses the type from a device name such as "Thrissur_SoilMoist_03": the longest
+    // key or alias found in the name wins. Null when nothing matches or two types tie.
+    guessFromName(name) {
+        const haystack = normalizeTypeName(name);
+        if (!haystack) return null;
+
+        let best = null;
+        let bestLength = 0;
+        let tied = false;
+        for (const [needle, type] of this.lookup) {
+            if (!haystack.includes(needle) || needle.length < bestLength) continue;
+            if (needle.length === bestLength && best !== type) {
+                tied = true;
+                continue;
+            }
+            if (needle.length > bestLength) tied = false;
+            best = type;
+            bestLength = needle.length;
+        }
+        return tied ? null : best;
+    }
+
+    unitFor(name) {
+        const type = this.resolve(name);
+        return type ? type.unit : '';
+    }
+
+    // "23.4 °C" at the type's display precision; unregistered types keep two decimals
+    formatValue(name, value) {
+        const type = this.resolve(name);
+        const text = Number(value).toFixed(type ? type.precision : 2);
+        return type && type.unit ? `${text} ${type.unit}` : text;
+    }
+
+    // Whether a reading could physically come from this kind of sensor; readings of
+    // unregistered types, or types without a range, are always plausible
+    isPlausible(name, value) {
+        const type = this.resolve(name);
+        if (!type) return true;
+        if (isSet(type.validRange.min) && value < type.validRange.min) return false;
+        if (isSet(type.validRange.max) && value > type.validRange.max) return false;
+        return true;
+    }
+
+    // Threshold columns for a new sensor of this type, all null when it has no defaults
+    defaultThresholds(name) {
+        const type = this.resolve(name);
+        return Object.fromEntries(THRESHOLD_FIELDS.map(field => [field, type ? type.thresholds[field] : null]));
+    }
+
+    // Throws unless `thresholds` ({ min_normal, ... }, null for unset) has ordered bands
+    // inside the valid range of the named type
+    checkThresholds(name, thresholds) {
+        SensorTypeRegistry.checkBands(this.resolve(name), thresholds);
+    }
+
+    static checkBands(type, thresholds) {
+        for (const band of ['normal', 'warning', 'danger']) {
+            const min = thresholds[`min_${band}`];
+            const max = thresholds[`max_${band}`];
+            if (isSet(min) && isSet(max) && min > max) {
+                throw new SensorTypeError(`Minimum ${band} threshold cannot exceed the maximum`);
+            }
+        }
+
+        if (!type) return;
+        const { min: validMin, max: validMax } = type.validRange;
+        for (const field of THRESHOLD_FIELDS) {
+            const value = thresholds[field];
+            if (!isSet(value)) continue;
+            if ((isSet(validMin) && value < validMin) || (isSet(validMax) && value > validMax)) {
+                throw new SensorTypeError(
+                    `${field} must lie within the ${type.label.toLowerCase()} range of ${validMin ?? '-∞'} to ${validMax ?? '∞'} ${type.unit}`.trim()
+                );
+            }
+        }
+    }
+
+    // input: { key, label, aliases, unit, precision, icon, validMin, validMax, thresholds }.
+    // `current` is the type being updated, whose key cannot change. Returns the clean fields.
+    validate(input, current = null) {
+        const key = current ? current.key : String(input.key || '').trim();
+        if (!KEY_PATTERN.test(key)) {
+            throw new SensorTypeError('key must start with a letter and hold only letters and digits (at most 50)');
+        }
+
+        const pick = (field, fallback) => (input[field] !== undefined ? input[field] : fallback);
+        const label = String(pick('label', current ? current.label : key) || '').trim();
+        if (!label) throw new SensorTypeError('label cannot be empty');
+
+        const rawAliases = pick('aliases', current ? current.aliases : []) || [];
+        if (!Array.isArray(rawAliases)) throw new SensorTypeError('aliases must be an array of names');
+
+        // Aliases that only differ from the key or each other in case or punctuation add nothing
+        const names = new Map([[normalizeTypeName(key), key]]);
+        for (const raw of rawAliases) {
+            const alias = String(raw).trim().toLowerCase();
+            if (!alias) continue;
+            const normalized = normalizeTypeName(alias);
+            if (!normalized) throw new SensorTypeError(`"${alias}" is not a usable alias`);
+            if (!names.has(normalized)) names.set(normalized, alias);
+        }
+
+        // Every name must lead to exactly one type
+        for (const [normalized, name] of names) {
+            const owner = this.lookup.get(normalized);
+            if (owner && (!current || owner.key !== current.key)) {
+                throw new SensorTypeError(`"${name}" already refers to the ${owner.key} type`, 409);
+            }
+        }
+
+        const unit = String(pick('unit', current ? current.unit : '') || '').trim();
+        if (unit.length > 20) throw new SensorTypeError('unit must be at most 20 characters');
+
+        const precision = Number(pick('precision', current ? current.precision : 2));
+        if (!Number.isInteger(precision) || precision < 0 || precision > MAX_PRECISION) {
+            throw new SensorTypeError(`precision must be a whole number from 0 to ${MAX_PRECISION}`);
+        }
+
+        const icon = pick('icon', current ? current.icon : null);
+        if (icon && String(icon).length > 50) throw new SensorTypeError('icon must be at most 50 characters');
+
+        const validMin = optionalNumber(pick('validMin', current ? current.validRange.min : null), 'validMin');
+        const validMax = optionalNumber(pick('validMax', current ? current.validRange.max : null), 'validMax');
+        if (isSet(validMin) && isSet(validMax) && validMin >= validMax) {
+            throw new SensorTypeError('validMin must be below validMax');
+        }
+
+        // Threshold fields left out keep their current value; null clears one
+        const submitted = input.thresholds === undefined ? {} : input.thresholds;
+        if (!submitted || typeof submitted !== 'object' || Array.isArray(submitted)) {
+            throw new SensorTypeError('thresholds must be an object of min_normal, max_normal, ...');
+        }
+        const thresholds = Object.fromEntries(THRESHOLD_FIELDS.map(field => [
+            field,
+            submitted[field] !== undefined ? optionalNumber(submitted[field], field) : (current ? current.thresholds[field] : null)
+        ]));
+
+        const clean = {
+            key,
+            label,
+            aliases: [...names.values()].slice(1),
+            unit,
+            precision,
+            icon: icon ? String(icon).trim() : null,
+            validRange: { min: validMin, max: validMax },
+            thresholds
+        };
+        // Against the range being saved, not the one currently loaded
+        SensorTypeRegistry.checkBands(clean, thresholds);
+        return clean;
+    }
+
+    async insert(type, conn = this.db) {
+        await conn.query(
+            `INSERT INTO sensor_types (type_key, label, aliases, unit, display_precision, icon, valid_min, valid_max,
+                                       ${THRESHOLD_FIELDS.join(', ')})
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${THRESHOLD_FIELDS.map(() => '?').join(', ')})`,
+            [
+                type.key, type.label, JSON.stringify(type.aliases), type.unit, type.precision, type.icon,
+                type.validRange.min, type.validRange.max, ...THRESHOLD_FIELDS.map(field => type.thresholds[field])
+            ]
+        );
+    }
+
+    async create(input) {
+        const type = this.validate(input);
+        try {
+            await this.insert(type);
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') throw new SensorTypeError(`A sensor type named ${type.key} already exists`, 409);
+            throw error;
+        }
+        await this.load();
+        return this.types.get(type.key);
+    }
+
+    // Fields left out keep their current value; the key itself cannot change
+    async update(name, changes) {
+        const current = this.resolve(name);
+        if (!current) throw new SensorTypeError('Sensor type not found', 404);
+        if (changes.key !== undefined && changes.key !== current.key) {
+            throw new SensorTypeError('The key names InfluxDB measurements and cannot change; add an alias instead');
+        }
+
+        const type = this.validate(changes, current);
+        await this.db.query(
+            `UPDATE sensor_types SET label = ?, aliases = ?, unit = ?, display_precision = ?, icon = ?,
+               valid_min = ?, valid_max = ?, ${THRESHOLD_FIELDS.map(field => `${field} = ?`).join(', ')}
+             WHERE type_key = ?`,
+            [
+                type.label, JSON.stringify(type.aliases), type.unit, type.precision, type.icon,
+                type.validRange.min, type.validRange.max, ...THRESHOLD_FIELDS.map(field => type.thresholds[field]),
+                current.key
+            ]
+        );
+        await this.load();
+        return { before: current, after: this.types.get(current.key) };
+    }
+
+    // Only types no sensor uses can go
+    async remove(name) {
+        const current = this.resolve(name);
+        if (!current) throw new SensorTypeError('Sensor type not found', 404);
+
+        // Stored type text may be any spelling of the type
+        const [sensors] = await this.db.query(`SELECT DISTINCT type FROM sensors WHERE status <> 'deleted'`);
+        if (sensors.some(row => this.resolve(row.type) === current)) {
+            throw new SensorTypeError(`Sensors of type ${current.key} still exist`, 409);
+        }
+
+        await this.db.query('DELETE FROM sensor_types WHERE type_key = ?', [current.key]);
+        await this.load();
+        return current;
+    }
+
+    static format(row) {
+        let aliases = row.aliases || [];
+        if (typeof aliases === 'string') aliases = JSON.parse(aliases);
+        return {
+            key: row.type_key,
+            label: row.label,
+            aliases,
+            unit: row.unit || '',
+            precision: row.display_precision,
+            icon: row.icon || null,
+            validRange: { min: row.valid_min, max: row.valid_max },
+            thresholds: Object.fromEntries(THRESHOLD_FIELDS.map(field => [field, row[field]]))
+        };
+    }
+}
+
+const sensorTypes = new SensorTypeRegistry(db);
+
+module.exports = { SensorTypeRegistry, sensorTypes, SensorTypeError, normalizeTypeName, BUILT_IN_TYPES };
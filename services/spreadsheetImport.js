@@ -0,0 +1,178 @@
+const ExcelJS = require('exceljs');
+
+// ==================== SPREADSHEET IMPORT ====================
+// Reads an uploaded CSV, XLSX or JSON file into plain row objects for the bulk import
+// endpoints. Headers (or JSON keys) are matched loosely ("Phone Number", "phone_number" and
+// "phonenumber" are the same column) against the aliases the caller passes in, and
+// every value comes back as a trimmed string. Row numbers match what the user sees
+// in a spreadsheet program: the header is row 1, the first record row 2. JSON uploads
+// are an array of objects (or { rows: [...] }) and number their entries from 1.
+
+const IMPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const FORMAT_CONTENT_TYPES = {
+    'text/csv': 'csv',
+    'application/csv': 'csv',
+    'text/plain': 'csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/json': 'json'
+};
+
+class ImportFileError extends Error {}
+
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// ?format= wins; otherwise the upload's Content-Type decides. Null when the format
+// is unknown or not one of `allowed`.
+function detectImportFormat(requestedFormat, contentType, allowed = IMPORT_FORMATS) {
+    const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const format = requestedFormat || FORMAT_CONTENT_TYPES[mimeType] || null;
+    return allowed.includes(format) ? format : null;
+}
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) throw new ImportFileError('CSV has an unterminated quoted field');
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+async function readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new ImportFileError('File is not a readable XLSX workbook');
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const cells = [];
+        for (let column = 1; column <= sheet.columnCount; column++) {
+            cells.push(row.getCell(column).text);
+        }
+        rows[rowNumber - 1] = cells;
+    });
+    return Array.from(rows, cells => cells || []);
+}
+
+// Accepts the raw upload, or the already-parsed body when express.json got there first
+function readJson(input) {
+    let data = input;
+    if (Buffer.isBuffer(input)) {
+        try {
+            data = JSON.parse(input.toString('utf8').replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new ImportFileError('File is not valid JSON');
+        }
+    }
+    if (data && !Array.isArray(data) && Array.isArray(data.rows)) data = data.rows;
+    if (!Array.isArray(data) || data.some(entry => !entry || typeof entry !== 'object' || Array.isArray(entry))) {
+        throw new ImportFileError('JSON must be an array of objects');
+    }
+    return data;
+}
+
+function cellText(value) {
+    return value === null || value === undefined ? '' : String(value).trim();
+}
+
+// aliases: { field: ['header', 'other header', ...] }. Resolves to
+// [{ rowNumber, values: { field: 'text' } }]; blank lines are skipped.
+async function readImportRows(input, format, aliases, { maxRows = 5000 } = {}) {
+    if (!input || (Buffer.isBuffer(input) && input.length === 0)) {
+        throw new ImportFileError('Uploaded file is empty');
+    }
+
+    const lookup = new Map();
+    for (const [field, names] of Object.entries(aliases)) {
+        for (const name of [field, ...names]) lookup.set(normalizeHeader(name), field);
+    }
+    const noColumns = () => new ImportFileError(`No recognised columns; expected some of: ${Object.keys(aliases).join(', ')}`);
+
+    const rows = [];
+    if (format === 'json') {
+        const entries = readJson(input);
+        let recognised = false;
+        entries.forEach((entry, index) => {
+            const values = {};
+            for (const [key, value] of Object.entries(entry)) {
+                const field = lookup.get(normalizeHeader(key));
+                if (field && values[field] === undefined) values[field] = cellText(value);
+            }
+            if (Object.keys(values).length > 0) recognised = true;
+            if (Object.values(values).every(value => value === '')) return;
+            rows.push({ rowNumber: index + 1, values });
+        });
+        if (entries.length > 0 && !recognised) throw noColumns();
+    } else {
+        const table = format === 'xlsx'
+            ? await readXlsx(input)
+            : parseCsv(input.toString('utf8').replace(/^\uFEFF/, ''));
+
+        if (table.length === 0) {
+            throw new ImportFileError('File has no header row');
+        }
+
+        const columns = table[0].map(header => lookup.get(normalizeHeader(header)) || null);
+        if (!columns.some(Boolean)) throw noColumns();
+
+        for (let index = 1; index < table.length; index++) {
+            const cells = table[index];
+            if (cells.every(cell => cellText(cell) === '')) continue;
+
+            const values = {};
+            columns.forEach((field, column) => {
+                if (field && values[field] === undefined) values[field] = cellText(cells[column]);
+            });
+            rows.push({ rowNumber: index + 1, values });
+        }
+    }
+
+    if (rows.length > maxRows) {
+        throw new ImportFileError(`File has ${rows.length} rows; the limit is ${maxRows} per upload`);
+    }
+    return rows;
+}
+
+module.exports = { IMPORT_FORMATS, ImportFileError, detectImportFormat, parseCsv, readImportRows };
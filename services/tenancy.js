@@ -0,0 +1,200 @@
+const { db } = require('../config/database');
+
+// ==================== TENANCY ====================
+// Staff work inside the part of the location tree their account belongs to.
+// admin_users.panchayat_id names that place:
+//   - a panchayat (or a village in one): read and change that panchayat's data
+//   - a district or state: read every panchayat below it, change nothing. This is
+//     the supervisor who oversees several panchayats.
+//   - nothing: every panchayat, as before accounts were tied to one; admins always
+//     see everything
+// Villagers, sensors, reports and alerts are matched on their own panchayat_id (an
+// alert keeps the panchayat its sensor was in when it opened). Records without
+// a panchayat are only visible to unrestricted accounts.
+// Scopes are worked out on every staff request, so the location hierarchy they are
+// built from is cached. Whoever changes locations calls invalidate() once the change
+// is committed; the expiry only covers edits made outside the API.
+
+// How long the cached hierarchy is trusted without an invalidate()
+const HIERARCHY_TTL_MS = 5 * 60 * 1000;
+
+class TenancyError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class TenantScope {
+    // readable / writable: panchayat ids; area: every location id in the account's
+    // subtree. All three are ignored when the scope is unrestricted.
+    constructor({ restricted = false, location = null, readable = [], writable = [], area = [] } = {}) {
+        this.restricted = restricted;
+        this.location = location;
+        this.readable = new Set(readable);
+        this.writable = new Set(writable);
+        this.area = new Set(area);
+    }
+
+    static unrestricted() {
+        return new TenantScope();
+    }
+
+    canRead(panchayatId) {
+        if (!this.restricted) return true;
+        return panchayatId !== null && panchayatId !== undefined && this.readable.has(Number(panchayatId));
+    }
+
+    canWrite(panchayatId) {
+        if (!this.restricted) return true;
+        return panchayatId !== null && panchayatId !== undefined && this.writable.has(Number(panchayatId));
+    }
+
+    // Whether a location (e.g. the one a staff account is tied to) lies inside this scope
+    covers(locationId) {
+        if (!this.restricted) return true;
+        return locationId !== null && locationId !== undefined && this.area.has(Number(locationId));
+    }
+
+    // Throws a TenancyError unless records of `panchayatId` may be changed
+    assertWritable(panchayatId) {
+        if (!this.canWrite(panchayatId)) throw new TenancyError(this.denialMessage());
+    }
+
+    denialMessage() {
+        return this.readOnly
+            ? 'Your account has read-only access to its panchayats'
+            : 'This belongs to a panchayat outside your jurisdiction';
+    }
+
+    get readOnly() {
+        return this.restricted && this.writable.size === 0;
+    }
+
+    // The panchayat new records land in when the request names none: the only one
+    // this account may change, or null when it has none or several
+    get defaultPanchayatId() {
+        return this.restricted && this.writable.size === 1 ? [...this.writable][0] : null;
+    }
+
+    // [sql, params] keeping `column` inside the readable panchayats, for a WHERE clause
+    filter(column) {
+        if (!this.restricted) return ['TRUE', []];
+        if (this.readable.size === 0) return ['FALSE', []];
+        return [`${column} IN (?)`, [[...this.readable]]];
+    }
+
+    describe() {
+        return {
+            restricted: this.restricted,
+            locationId: this.location ? this.location.id : null,
+            locationName: this.location ? this.location.name : null,
+            locationType: this.location ? this.location.type : null,
+            panchayatIds: this.restricted ? [...this.readable] : null,
+            writablePanchayatIds: this.restricted ? [...this.writable] : null,
+            readOnly: this.readOnly
+        };
+    }
+}
+
+class TenancyService {
+    constructor(database) {
+        this.db = database;
+        this.hierarchy = null;
+        this.hierarchyLoadedAt = 0;
+    }
+
+    // Resolves to every location as { id, name, type, parent_id }. Concurrent callers
+    // share one query; a failed load is not cached.
+    locations() {
+        if (!this.hierarchy || Date.now() - this.hierarchyLoadedAt > HIERARCHY_TTL_MS) {
+            this.hierarchyLoadedAt = Date.now();
+            const loading = this.db.query('SELECT id, name, type, parent_id FROM locations').then(([rows]) => rows);
+            loading.catch(() => {
+                if (this.hierarchy === loading) this.hierarchy = null;
+            });
+            this.hierarchy = loading;
+        }
+        return this.hierarchy;
+    }
+
+    // Call after locations are created, changed or deleted
+    invalidate() {
+        this.hierarchy = null;
+    }
+
+    // user: the normalised staff account ({ role, panchayatId })
+    async scopeFor(user) {
+        if (user.role === 'admin' || !user.panchayatId) {
+            return TenantScope.unrestricted();
+        }
+
+        const rows = await this.locations();
+        const byId = new Map(rows.map(row => [row.id, row]));
+        const location = byId.get(Number(user.panchayatId));
+
+        // An account pointing at a location that no longer exists sees nothing rather than everything
+        if (!location) {
+            return new TenantScope({ restricted: true });
+        }
+
+        if (location.type === 'panchayat' || location.type === 'village') {
+            const panchayat = location.type === 'panchayat' ? location : byId.get(location.parent_id);
+            if (!panchayat) return new TenantScope({ restricted: true, location });
+            const ids = [panchayat.id];
+            const area = [panchayat.id, ...TenancyService.subtree(panchayat.id, rows).map(row => row.id)];
+            return new TenantScope({ restricted: true, location, readable: ids, writable: ids, area });
+        }
+
+        const below = TenancyService.subtree(location.id, rows);
+        return new TenantScope({
+            restricted: true,
+            location,
+            readable: below.filter(row => row.type === 'panchayat').map(row => row.id),
+            area: [location.id, ...below.map(row => row.id)]
+        });
+    }
+
+    // Every location below `rootId`, breadth first
+    static subtree(rootId, rows) {
+        const children = new Map();
+        for (const row of rows) {
+            if (!children.has(row.parent_id)) children.set(row.parent_id, []);
+            children.get(row.parent_id).push(row);
+        }
+
+        const found = [];
+        const seen = new Set([rootId]);
+        let frontier = [rootId];
+        while (frontier.length > 0) {
+            const next = [];
+            for (const id of frontier) {
+                for (const child of children.get(id) || []) {
+                    if (seen.has(child.id)) continue;
+                    seen.add(child.id);
+                    found.push(child);
+                    next.push(child.id);
+                }
+            }
+            frontier = next;
+        }
+        return found;
+    }
+
+    // Checks that `actorScope` may tie a staff account to `locationId`; returns the location
+    async assignableLocation(locationId, actorScope) {
+        const [[location]] = await this.db.query('SELECT id, name, type, parent_id FROM locations WHERE id = ?', [locationId]);
+        if (!location) throw new TenancyError('Location not found', 404);
+        if (location.type === 'village') {
+            throw new TenancyError('Staff belong to a panchayat, district or state, not a village', 400);
+        }
+        if (!actorScope.covers(location.id)) {
+            throw new TenancyError(`${location.name} is outside your jurisdiction`);
+        }
+        return location;
+    }
+}
+
+const tenancy = new TenancyService(db);
+
+module.exports = { TenancyService, TenantScope, TenancyError, tenancy };
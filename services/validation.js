@@ -0,0 +1,32 @@
+// ==================== FIELD VALIDATION ====================
+// Formats shared by the dashboard routes in server.js and the admin API in
+// controllers/adminController.js, so a record one path rejects cannot be written
+// through the other. The check* helpers return an error message, or null when the
+// value is acceptable.
+
+const AADHAAR_PATTERN = /^\d{12}$/;
+const PHONE_PATTERN = /^\d{10}$/;
+
+// Statuses staff may give a sensor; 'deleted' is only ever set by deleting it
+const SENSOR_STATUSES = ['active', 'inactive', 'maintenance'];
+
+function checkPhone(phone) {
+    return PHONE_PATTERN.test(phone) ? null : 'Phone must be a 10-digit number';
+}
+
+function checkAadhaar(aadhaarNumber) {
+    return AADHAAR_PATTERN.test(aadhaarNumber) ? null : 'Aadhaar number must be 12 digits';
+}
+
+function checkSensorStatus(status) {
+    return SENSOR_STATUSES.includes(status) ? null : `status must be one of: ${SENSOR_STATUSES.join(', ')}`;
+}
+
+module.exports = {
+    AADHAAR_PATTERN,
+    PHONE_PATTERN,
+    SENSOR_STATUSES,
+    checkPhone,
+    checkAadhaar,
+    checkSensorStatus
+};
@@ -0,0 +1,314 @@
+const { db, withTransaction, refreshPanchayatCounters } = require('../config/database');
+const { locationService } = require('./locations');
+
+// ==================== VILLAGE BACKFILL ====================
+// Moves villagers and sensors from the old "the village is the first comma segment of
+// the address" convention onto villagers.village_id / sensors.village_id. Only rows
+// without a village are looked at, so it is safe to run on every start and again on
+// demand. A villager whose panchayat is known gets that panchayat's village of the same
+// name, which is created when it does not exist yet; a sensor is matched on the first
+// segment of its location description, or takes its owner's village. Anything that
+// cannot be placed with confidence is written to village_backfill_issues for review;
+// once the record gets a village through the normal edit forms the next run marks the
+// issue resolved. Startup only runs it dry; changes are applied by an explicit
+// POST /api/migrations/village-backfill?dry_run=false once the report has been reviewed.
+
+const ISSUE_REASONS = {
+    no_label: 'No address to read a village from',
+    suspicious_label: 'First address segment looks like a house number or landmark, not a village name',
+    ambiguous: 'Several villages share this name',
+    no_panchayat: 'No panchayat to create the village under',
+    unmatched: 'No village location with this name'
+};
+
+const MAX_LABEL_LENGTH = 60;
+
+// Words that mark a landmark, street or postal detail rather than a village name
+const NON_VILLAGE_WORDS = new Set([
+    'near', 'opp', 'opposite', 'behind', 'beside', 'next', 'front', 'via',
+    'house', 'home', 'flat', 'plot', 'door', 'no',
+    'road', 'rd', 'street', 'st', 'lane', 'cross', 'junction', 'nagar', 'colony',
+    'temple', 'church', 'mosque', 'school', 'hospital', 'bus', 'stand', 'stop', 'market',
+    'po', 'post', 'pin', 'dist', 'district', 'taluk', 'ward'
+]);
+
+// The heuristic the dashboard used before villages were locations
+function extractVillageLabel(address) {
+    if (!address) return '';
+    return String(address)
+        .split(',')
+        .map(part => part.trim())
+        .find(Boolean) || '';
+}
+
+// House numbers, pin codes and landmarks ("Near temple") end up in the first segment
+// surprisingly often
+function isSuspiciousLabel(label) {
+    if (/\d/.test(label) || label.length > MAX_LABEL_LENGTH) return true;
+    const words = label.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+    return words.length === 0 || words.some(word => NON_VILLAGE_WORDS.has(word));
+}
+
+class VillageBackfill {
+    constructor(database) {
+        this.db = database;
+    }
+
+    async ensureSchema() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS village_backfill_issues (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                record_type VARCHAR(20) NOT NULL,
+                record_id VARCHAR(50) NOT NULL,
+                label VARCHAR(255),
+                reason VARCHAR(30) NOT NULL,
+                candidates JSON NULL,
+                detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                resolved_at TIMESTAMP NULL,
+                UNIQUE KEY uniq_backfill_issue (record_type, record_id),
+                INDEX idx_backfill_open (resolved_at)
+            )
+        `);
+    }
+
+    // Village locations keyed by lower-cased name, each with its panchayat and district
+    async loadVillages(conn) {
+        const [rows] = await conn.query('SELECT id, name, type, parent_id FROM locations');
+        const byId = new Map(rows.map(row => [row.id, row]));
+        const byName = new Map();
+        for (const row of rows) {
+            if (row.type !== 'village') continue;
+            const panchayat = byId.get(row.parent_id);
+            const village = {
+                id: row.id,
+                name: row.name,
+                panchayatId: panchayat ? panchayat.id : null,
+                panchayat: panchayat ? panchayat.name : null,
+                districtId: panchayat && byId.has(panchayat.parent_id) ? panchayat.parent_id : null
+            };
+            const key = row.name.toLowerCase();
+            if (!byName.has(key)) byName.set(key, []);
+            byName.get(key).push(village);
+        }
+        return { byId, byName };
+    }
+
+    // Decides what to do with one villager: { villageId } | { create: { name, panchayatId } } | { issue }
+    static planVillager(villager, villages, pending) {
+        const label = extractVillageLabel(villager.address);
+        if (!label) return { issue: { reason: 'no_label', label: null } };
+
+        const candidates = villages.byName.get(label.toLowerCase()) || [];
+        if (villager.panchayat_id) {
+            const local = candidates.filter(village => village.panchayatId === villager.panchayat_id);
+            if (local.length === 1) return { villageId: local[0].id };
+            if (local.length > 1) return { issue: { reason: 'ambiguous', label, candidates: local } };
+            if (isSuspiciousLabel(label)) return { issue: { reason: 'suspicious_label', label } };
+
+            const key = `${villager.panchayat_id}:${label.toLowerCase()}`;
+            if (pending.has(key)) return { pendingKey: key };
+            return { create: { key, name: label, panchayatId: villager.panchayat_id } };
+        }
+
+        if (candidates.length === 1) return { villageId: candidates[0].id, panchayatId: candidates[0].panchayatId };
+        if (candidates.length > 1) return { issue: { reason: 'ambiguous', label, candidates } };
+        return { issue: { reason: 'no_panchayat', label } };
+    }
+
+    // Sensors are matched within their panchayat, or failing that their district
+    static planSensor(sensor, villages, ownerVillageId) {
+        const label = extractVillageLabel(sensor.location_description);
+        const candidates = (label ? villages.byName.get(label.toLowerCase()) : null) || [];
+        const inScope = candidates.filter(village => {
+            if (sensor.panchayat_id) return village.panchayatId === sensor.panchayat_id;
+            if (sensor.district_id) return village.districtId === sensor.district_id;
+            return true;
+        });
+
+        if (inScope.length === 1) return { villageId: inScope[0].id, panchayatId: inScope[0].panchayatId };
+        if (ownerVillageId) return { villageId: ownerVillageId, fromOwner: true };
+        if (inScope.length > 1) return { issue: { reason: 'ambiguous', label, candidates: inScope } };
+        if (label) return { issue: { reason: 'unmatched', label, candidates } };
+        return {};
+    }
+
+    // Resolves to a summary; with dryRun nothing is written
+    async run({ dryRun = false } = {}) {
+        const execute = async (conn) => {
+            const summary = {
+                dryRun,
+                villagers: { checked: 0, linked: 0, villagesCreated: 0, issues: 0 },
+                sensors: { checked: 0, linked: 0, fromOwner: 0, issues: 0 },
+                resolved: 0,
+                villagesToCreate: []
+            };
+            const issues = [];
+            const touchedPanchayats = new Set();
+            const villages = await this.loadVillages(conn);
+
+            // ---- villagers ----
+            const [villagers] = await conn.query(
+                `SELECT id, address, panchayat_id FROM villagers
+                 WHERE is_active = TRUE AND village_id IS NULL
+                 ORDER BY id`
+            );
+            const pending = new Map();
+            const ownerVillages = new Map();
+
+            for (const villager of villagers) {
+                summary.villagers.checked++;
+                const plan = VillageBackfill.planVillager(villager, villages, pending);
+
+                if (plan.issue) {
+                    issues.push({ recordType: 'villager', recordId: villager.id, ...plan.issue });
+                    summary.villagers.issues++;
+                    continue;
+                }
+
+                let villageId = plan.villageId;
+                if (plan.create) {
+                    summary.villagers.villagesCreated++;
+                    summary.villagesToCreate.push({ name: plan.create.name, panchayatId: plan.create.panchayatId });
+                    villageId = dryRun
+                        ? `new:${plan.create.key}`
+                        : (await locationService.create({ name: plan.create.name, type: 'village', parentId: plan.create.panchayatId }, conn)).id;
+                    pending.set(plan.create.key, villageId);
+                } else if (plan.pendingKey) {
+                    villageId = pending.get(plan.pendingKey);
+                }
+
+                summary.villagers.linked++;
+                ownerVillages.set(villager.id, villageId);
+                if (!dryRun) {
+                    await conn.query(
+                        'UPDATE villagers SET village_id = ?, panchayat_id = COALESCE(panchayat_id, ?) WHERE id = ?',
+                        [villageId, plan.panchayatId || null, villager.id]
+                    );
+                    if (!villager.panchayat_id && plan.panchayatId) touchedPanchayats.add(plan.panchayatId);
+                }
+            }
+
+            // ---- sensors ----
+            const [sensors] = await conn.query(
+                `SELECT s.id, s.location_description, s.panchayat_id, s.district_id, s.villager_id,
+                        v.village_id AS owner_village_id, v.panchayat_id AS owner_panchayat_id
+                 FROM sensors s
+                 LEFT JOIN villagers v ON v.id = s.villager_id
+                 WHERE s.status <> 'deleted' AND s.village_id IS NULL
+                 ORDER BY s.id`
+            );
+
+            for (const sensor of sensors) {
+                summary.sensors.checked++;
+                // The owner's village only counts when it lies in the sensor's own panchayat
+                const ownerVillageId = sensor.owner_village_id || ownerVillages.get(sensor.villager_id) || null;
+                const ownerFits = !sensor.panchayat_id || sensor.panchayat_id === sensor.owner_panchayat_id;
+                const plan = VillageBackfill.planSensor(sensor, villages, ownerFits ? ownerVillageId : null);
+
+                if (plan.issue) {
+                    issues.push({ recordType: 'sensor', recordId: sensor.id, ...plan.issue });
+                    summary.sensors.issues++;
+                    continue;
+                }
+                if (!plan.villageId) continue;
+
+                summary.sensors.linked++;
+                if (plan.fromOwner) summary.sensors.fromOwner++;
+                if (!dryRun) {
+                    await conn.query(
+                        'UPDATE sensors SET village_id = ?, panchayat_id = COALESCE(panchayat_id, ?) WHERE id = ?',
+                        [plan.villageId, plan.panchayatId || null, sensor.id]
+                    );
+                    if (!sensor.panchayat_id && plan.panchayatId) touchedPanchayats.add(plan.panchayatId);
+                }
+            }
+
+            if (!dryRun) {
+                summary.resolved = await this.resolveFixed(conn);
+                for (const issue of issues) {
+                    await conn.query(
+                        `INSERT INTO village_backfill_issues (record_type, record_id, label, reason, candidates)
+                         VALUES (?, ?, ?, ?, ?)
+                         ON DUPLICATE KEY UPDATE label = VALUES(label), reason = VALUES(reason),
+                           candidates = VALUES(candidates), resolved_at = NULL`,
+                        [
+                            issue.recordType,
+                            String(issue.recordId),
+                            issue.label,
+                            issue.reason,
+                            issue.candidates ? JSON.stringify(issue.candidates.map(({ id, name, panchayat }) => ({ id, name, panchayat }))) : null
+                        ]
+                    );
+                }
+                for (const panchayatId of touchedPanchayats) {
+                    await refreshPanchayatCounters(panchayatId, conn);
+                }
+            }
+
+            summary.issues = issues.map(issue => ({ ...issue, description: ISSUE_REASONS[issue.reason] }));
+            return summary;
+        };
+
+        return dryRun ? execute(this.db) : withTransaction(execute);
+    }
+
+    // Closes issues whose record now has a village or is gone; returns how many
+    async resolveFixed(conn = this.db) {
+        const [villagers] = await conn.query(
+            `UPDATE village_backfill_issues i
+             JOIN villagers v ON i.record_type = 'villager' AND v.id = i.record_id
+             SET i.resolved_at = CURRENT_TIMESTAMP
+             WHERE i.resolved_at IS NULL AND (v.village_id IS NOT NULL OR v.is_active = FALSE)`
+        );
+        const [sensors] = await conn.query(
+            `UPDATE village_backfill_issues i
+             JOIN sensors s ON i.record_type = 'sensor' AND s.id = i.record_id
+             SET i.resolved_at = CURRENT_TIMESTAMP
+             WHERE i.resolved_at IS NULL AND (s.village_id IS NOT NULL OR s.status = 'deleted')`
+        );
+        return villagers.affectedRows + sensors.affectedRows;
+    }
+
+    async listIssues({ includeResolved = false } = {}) {
+        await this.resolveFixed();
+        const [rows] = await this.db.query(
+            `SELECT i.*,
+                    COALESCE(v.name, s.name) AS record_name,
+                    COALESCE(v.address, s.location_description) AS source_text,
+                    COALESCE(vp.name, sp.name) AS panchayat_name,
+                    v.aadhaar_number
+             FROM village_backfill_issues i
+             LEFT JOIN villagers v ON i.record_type = 'villager' AND v.id = i.record_id
+             LEFT JOIN sensors s ON i.record_type = 'sensor' AND s.id = i.record_id
+             LEFT JOIN locations vp ON vp.id = v.panchayat_id
+             LEFT JOIN locations sp ON sp.id = s.panchayat_id
+             ${includeResolved ? '' : 'WHERE i.resolved_at IS NULL'}
+             ORDER BY i.resolved_at IS NULL DESC, i.record_type, i.detected_at DESC`
+        );
+        return rows.map(VillageBackfill.formatIssue);
+    }
+
+    static formatIssue(row) {
+        let candidates = row.candidates || [];
+        if (typeof candidates === 'string') candidates = JSON.parse(candidates);
+        return {
+            id: row.id,
+            recordType: row.record_type,
+            recordId: row.record_id,
+            recordKey: row.aadhaar_number || row.record_id,
+            recordName: row.record_name || row.record_id,
+            sourceText: row.source_text || '',
+            panchayat: row.panchayat_name || null,
+            label: row.label,
+            reason: row.reason,
+            description: ISSUE_REASONS[row.reason] || row.reason,
+            candidates,
+            detectedAt: row.detected_at,
+            resolvedAt: row.resolved_at
+        };
+    }
+}
+
+const villageBackfill = new VillageBackfill(db);
+
+module.exports = { VillageBackfill, villageBackfill, extractVillageLabel, ISSUE_REASONS };
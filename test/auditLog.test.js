@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog, diffValues } = require('../services/auditLog');
+
+// Evaluates a LIKE pattern with ESCAPE '\' the way MySQL does
+function likeMatches(pattern, text) {
+    let regex = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\' && i + 1 < pattern.length) {
+            regex += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (char === '%') {
+            regex += '[\\s\\S]*';
+        } else if (char === '_') {
+            regex += '[\\s\\S]';
+        } else {
+            regex += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${regex}$`).test(text);
+}
+
+// Records the search queries and answers them with no rows
+function recordingDatabase() {
+    const queries = [];
+    return {
+        queries,
+        async query(sql, params = []) {
+            queries.push({ sql, params });
+            return /COUNT\(\*\)/.test(sql) ? [[{ total: 0 }]] : [[]];
+        }
+    };
+}
+
+async function searchPattern(q) {
+    const database = recordingDatabase();
+    await new AuditLog(database).search({ q });
+    const [count] = database.queries;
+    assert.equal(count.sql.match(/LIKE \? ESCAPE '\\\\'/g).length, 5);
+    return count.params[0];
+}
+
+test('search matches % and _ in the text literally', async () => {
+    const pattern = await searchPattern('50%_off');
+    assert.equal(pattern, '%50\\%\\_off%');
+    assert.ok(likeMatches(pattern, 'price: 50%_off today'));
+    assert.ok(!likeMatches(pattern, 'price: 500 xoff'));
+});
+
+test('search matches a backslash in the text literally', async () => {
+    const pattern = await searchPattern('C:\\Temp');
+    assert.equal(pattern, '%c:\\\\temp%');
+    assert.ok(likeMatches(pattern, 'path c:\\temp\\x'));
+    assert.ok(!likeMatches(pattern, 'path c:temp'));
+});
+
+test('search without q adds no text condition', async () => {
+    const database = recordingDatabase();
+    await new AuditLog(database).search({});
+    assert.doesNotMatch(database.queries[0].sql, /LIKE/);
+});
+
+test('an update keeps only the fields that changed', () => {
+    const before = { id: 7, name: 'Asha', phone: '9876543210', updated_at: '2026-01-01' };
+    const after = { id: 7, name: 'Asha K', phone: '9876543210', updated_at: '2026-01-02' };
+    assert.deepEqual(diffValues(before, after), {
+        oldValues: { name: 'Asha' },
+        newValues: { name: 'Asha K' }
+    });
+});
+
+test('an update that changes nothing records no values', () => {
+    const row = { id: 7, name: 'Asha', family_members: [{ name: 'Ravi' }] };
+    assert.deepEqual(diffValues(row, { ...row, family_members: [{ name: 'Ravi' }] }), { oldValues: null, newValues: null });
+});
+
+test('added and removed fields are diffed against null', () => {
+    assert.deepEqual(diffValues({ id: 7, email: 'a@example.com' }, { id: 7, village_id: 101 }), {
+        oldValues: { email: 'a@example.com', village_id: null },
+        newValues: { email: null, village_id: 101 }
+    });
+});
+
+test('creates and deletes keep the whole record, without secrets', () => {
+    const account = { id: 3, username: 'clerk', password_hash: '$2b$10$abc', created_at: new Date('2026-01-01T00:00:00Z') };
+    assert.deepEqual(diffValues(null, account), {
+        oldValues: null,
+        newValues: { id: 3, username: 'clerk', created_at: '2026-01-01T00:00:00.000Z' }
+    });
+    assert.deepEqual(diffValues(account, null).newValues, null);
+    assert.ok(!('password_hash' in diffValues(account, null).oldValues));
+});
+
+test('dates and equal values in different objects do not count as changes', () => {
+    const before = { id: 1, installed_at: new Date('2026-03-01T10:00:00Z') };
+    const after = { id: 1, installed_at: new Date('2026-03-01T10:00:00Z') };
+    assert.deepEqual(diffValues(before, after), { oldValues: null, newValues: null });
+});
+
+test('record stores the diff and the acting staff member', async () => {
+    const database = recordingDatabase();
+    await new AuditLog(database).record(
+        { user: { userId: 5 }, ip: '10.0.0.1', headers: { 'user-agent': 'test' } },
+        { action: 'update_villager', table: 'villagers', recordId: 7, before: { name: 'Asha' }, after: { name: 'Asha K' } }
+    );
+    const [{ params }] = database.queries;
+    assert.deepEqual(params, [
+        'staff', 5, null, 'update_villager', 'villagers', '7',
+        JSON.stringify({ name: 'Asha' }), JSON.stringify({ name: 'Asha K' }), '10.0.0.1', 'test'
+    ]);
+});
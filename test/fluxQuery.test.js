@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FluxQuery, FluxQueryError, fluxString, parseDurationSeconds } = require('../services/fluxQuery');
+
+const ESCAPES = { '\\': '\\', '"': '"', n: '\n', r: '\r', t: '\t', $: '$' };
+
+// Reads the Flux string literal starting at `start` the way the Flux parser does.
+// Returns { value, end } where end is the index just past the closing quote; throws
+// on anything that would leave the literal early or start an interpolation.
+function readFluxString(text, start = 0) {
+    assert.equal(text[start], '"', `expected a string literal at ${start}`);
+    let value = '';
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            const escaped = ESCAPES[text[i + 1]];
+            assert.ok(escaped !== undefined, `unknown escape \\${text[i + 1]}`);
+            value += escaped;
+            i++;
+        } else if (char === '"') {
+            return { value, end: i + 1 };
+        } else if (char === '$' && text[i + 1] === '{') {
+            assert.fail('unescaped ${ starts an interpolation');
+        } else {
+            assert.ok(char !== '\n' && char !== '\r', 'raw line break inside a literal');
+            value += char;
+        }
+    }
+    assert.fail('unterminated string literal');
+}
+
+const PAYLOADS = [
+    'plain',
+    'quote " inside',
+    '") |> drop(columns: ["_value"]) |> yield(name: "x',
+    'back\\slash',
+    'trailing backslash \\',
+    '\\") or true or ("',
+    '${token}',
+    '\\${escaped}',
+    'multi\nline\r\ntext',
+    'tab\there',
+    'unicode ✓ टेस्ट',
+    ''
+];
+
+test('fluxString round-trips every payload as a single literal', () => {
+    for (const payload of PAYLOADS) {
+        const literal = fluxString(payload);
+        const { value, end } = readFluxString(literal);
+        assert.equal(value, payload);
+        assert.equal(end, literal.length, `literal for ${JSON.stringify(payload)} ends early`);
+    }
+});
+
+test('fluxString escapes quotes, backslashes, interpolation and line breaks', () => {
+    assert.equal(fluxString('a"b'), '"a\\"b"');
+    assert.equal(fluxString('a\\b'), '"a\\\\b"');
+    assert.equal(fluxString('${x}'), '"\\${x}"');
+    assert.equal(fluxString('a\nb'), '"a\\nb"');
+    assert.equal(fluxString(42), '"42"');
+});
+
+test('fluxString rejects missing values', () => {
+    assert.throws(() => fluxString(null), FluxQueryError);
+    assert.throws(() => fluxString(undefined), FluxQueryError);
+});
+
+test('whereEquals keeps injected column names and values inside their literals', () => {
+    for (const payload of PAYLOADS) {
+        const line = FluxQuery.from('bucket').whereEquals(payload, payload).lines[1];
+        const prefix = '|> filter(fn: (r) => r[';
+        assert.ok(line.startsWith(prefix));
+
+        const column = readFluxString(line, prefix.length);
+        assert.equal(column.value, payload);
+        assert.equal(line.slice(column.end, column.end + 5), '] == ');
+
+        const value = readFluxString(line, column.end + 5);
+        assert.equal(value.value, payload);
+        assert.equal(line.slice(value.end), ')');
+    }
+});
+
+test('whereIn keeps every injected member inside its own literal', () => {
+    const line = FluxQuery.from('bucket').whereIn('_measurement', PAYLOADS).lines[1];
+    const prefix = '|> filter(fn: (r) => contains(value: r["_measurement"], set: [';
+    assert.ok(line.startsWith(prefix));
+
+    let index = prefix.length;
+    const members = [];
+    for (;;) {
+        const member = readFluxString(line, index);
+        members.push(member.value);
+        if (line.startsWith(', ', member.end)) {
+            index = member.end + 2;
+        } else {
+            assert.equal(line.slice(member.end), ']))');
+            break;
+        }
+    }
+    assert.deepEqual(members, PAYLOADS);
+});
+
+test('whereIn rejects an empty set', () => {
+    assert.throws(() => FluxQuery.from('bucket').whereIn('_field', []), FluxQueryError);
+});
+
+test('the bucket name is escaped too', () => {
+    const query = FluxQuery.from('b") |> yield(name: "x').toString();
+    const { value, end } = readFluxString(query, 'from(bucket: '.length);
+    assert.equal(value, 'b") |> yield(name: "x');
+    assert.equal(query.slice(end), ')');
+});
+
+test('parseDurationSeconds accepts <integer><unit>', () => {
+    assert.equal(parseDurationSeconds('30s'), 30);
+    assert.equal(parseDurationSeconds('15m'), 900);
+    assert.equal(parseDurationSeconds('2h'), 7200);
+    assert.equal(parseDurationSeconds('1d'), 86400);
+    assert.equal(parseDurationSeconds('1w'), 604800);
+    assert.equal(parseDurationSeconds(' 5m '), 300);
+});
+
+test('parseDurationSeconds rejects anything that is not a duration', () => {
+    const inputs = [
+        '', '0s', '-1h', '1.5h', '1y', 'h', '10', '1h30m', '1 h', '1H',
+        '1h) |> drop()', '1h"', '${1h}', '1h\n|> yield()', 'now()', null, undefined, {}, []
+    ];
+    for (const input of inputs) {
+        assert.equal(parseDurationSeconds(input), null, `accepted ${JSON.stringify(input)}`);
+    }
+});
+
+test('aggregates and limits only take known functions and integers', () => {
+    const query = FluxQuery.from('bucket');
+    assert.throws(() => query.aggregateWindow({ everySeconds: 60, fn: 'mean) |> drop(' }), FluxQueryError);
+    assert.throws(() => query.aggregate('yield'), FluxQueryError);
+    assert.throws(() => query.aggregateWindow({ everySeconds: 1.5, fn: 'mean' }), FluxQueryError);
+    assert.throws(() => query.limit('10) |> drop('), FluxQueryError);
+    assert.throws(() => query.limit(-1), FluxQueryError);
+    assert.throws(() => query.range({ start: '-1h' }), FluxQueryError);
+    assert.throws(() => query.range({ start: new Date('invalid') }), FluxQueryError);
+});
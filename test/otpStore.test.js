@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OtpStore } = require('../services/otpStore');
+
+const PHONE = '9876543210';
+
+// The three OTP tables in memory, answering exactly the statements OtpStore sends.
+// NOW() is `clock.now`, which tests move forward with advance(seconds).
+function otpDatabase() {
+    const clock = { now: Date.UTC(2026, 0, 1) };
+    const codes = new Map();
+    const sends = [];
+    const lockouts = new Map();
+    const seconds = ms => Math.floor(ms / 1000);
+
+    const handlers = [
+        [/FROM otp_lockouts WHERE phone = \? AND locked_until > NOW\(\)/, ([phone]) => {
+            const row = lockouts.get(phone);
+            return row && row.locked_until > clock.now ? [[{ remaining: seconds(row.locked_until - clock.now) }]] : [[]];
+        }],
+        [/FROM otp_codes WHERE phone = \? AND last_sent_at >/, ([cooldown, phone]) => {
+            const row = codes.get(phone);
+            const until = row ? row.last_sent_at + cooldown * 1000 : 0;
+            return until > clock.now ? [[{ remaining: seconds(until - clock.now) }]] : [[]];
+        }],
+        [/COUNT\(\*\) AS phoneSends/, ([phone, minutes]) => [[{
+            phoneSends: sends.filter(send => send.phone === phone && send.created_at > clock.now - minutes * 60000).length
+        }]]],
+        [/COUNT\(\*\) AS ipSends/, ([ip, minutes]) => [[{
+            ipSends: sends.filter(send => send.ip === ip && send.created_at > clock.now - minutes * 60000).length
+        }]]],
+        [/INSERT INTO otp_codes/, ([phone, villagerId, codeHash, ttl]) => {
+            const previous = codes.get(phone);
+            codes.set(phone, {
+                villager_id: villagerId,
+                code_hash: codeHash,
+                attempts: previous && previous.expires_at >= clock.now ? previous.attempts : 0,
+                expires_at: clock.now + ttl * 1000,
+                last_sent_at: clock.now
+            });
+            return [{ affectedRows: 1 }];
+        }],
+        [/INSERT INTO otp_send_log/, ([phone, ip]) => {
+            sends.push({ phone, ip, created_at: clock.now });
+            return [{ affectedRows: 1 }];
+        }],
+        [/DELETE FROM otp_send_log/, () => [{ affectedRows: 0 }]],
+        [/DELETE FROM otp_codes WHERE phone = \?/, ([phone]) => [{ affectedRows: codes.delete(phone) ? 1 : 0 }]],
+        [/SELECT villager_id, code_hash, attempts, expires_at < NOW\(\) AS expired/, ([phone]) => {
+            const row = codes.get(phone);
+            return row ? [[{ ...row, expired: row.expires_at < clock.now ? 1 : 0 }]] : [[]];
+        }],
+        [/UPDATE otp_codes SET attempts = attempts \+ 1 WHERE phone = \? AND attempts < \?/, ([phone, maxAttempts]) => {
+            const row = codes.get(phone);
+            if (!row || row.attempts >= maxAttempts) return [{ affectedRows: 0 }];
+            row.attempts++;
+            return [{ affectedRows: 1 }];
+        }],
+        [/DELETE FROM otp_lockouts WHERE phone = \?/, ([phone]) => [{ affectedRows: lockouts.delete(phone) ? 1 : 0 }]],
+        [/INSERT INTO otp_lockouts/, ([phone, windowMinutes]) => {
+            const row = lockouts.get(phone);
+            if (!row) {
+                lockouts.set(phone, { failed_attempts: 1, locked_until: null, updated_at: clock.now });
+            } else {
+                row.failed_attempts = row.updated_at < clock.now - windowMinutes * 60000 ? 1 : row.failed_attempts + 1;
+                row.updated_at = clock.now;
+            }
+            return [{ affectedRows: 1 }];
+        }],
+        [/SELECT failed_attempts FROM otp_lockouts/, ([phone]) => [[lockouts.get(phone)].filter(Boolean)]],
+        [/UPDATE otp_lockouts SET failed_attempts = 0, locked_until/, ([minutes, phone]) => {
+            Object.assign(lockouts.get(phone), { failed_attempts: 0, locked_until: clock.now + minutes * 60000, updated_at: clock.now });
+            return [{ affectedRows: 1 }];
+        }]
+    ];
+
+    return {
+        codes,
+        advance(secondsToAdd) {
+            clock.now += secondsToAdd * 1000;
+        },
+        async query(sql, params = []) {
+            const handler = handlers.find(([pattern]) => pattern.test(sql));
+            assert.ok(handler, `unexpected query: ${sql}`);
+            return handler[1](params);
+        }
+    };
+}
+
+function otpStore(options = {}) {
+    const database = otpDatabase();
+    return { database, store: new OtpStore(database, { secret: 'test-secret', ...options }) };
+}
+
+const wrongCode = code => String((Number(code) % 900000) + 100001);
+
+test('a correct code verifies once and is then gone', async () => {
+    const { database, store } = otpStore();
+    const code = await store.issue(PHONE, 42, '10.0.0.1');
+
+    assert.notEqual(database.codes.get(PHONE).code_hash, code);
+    assert.deepEqual(await store.verify(PHONE, code), { status: 'verified', villagerId: 42 });
+    assert.deepEqual(await store.verify(PHONE, code), { status: 'not_found' });
+});
+
+test('wrong codes count down the attempts and then discard the code', async () => {
+    const { store } = otpStore();
+    const code = await store.issue(PHONE, 42, '10.0.0.1');
+
+    assert.deepEqual(await store.verify(PHONE, wrongCode(code)), { status: 'invalid', attemptsRemaining: 2 });
+    assert.deepEqual(await store.verify(PHONE, wrongCode(code)), { status: 'invalid', attemptsRemaining: 1 });
+    assert.deepEqual(await store.verify(PHONE, wrongCode(code)), { status: 'exhausted' });
+    assert.deepEqual(await store.verify(PHONE, code), { status: 'not_found' });
+});
+
+test('a resend keeps the attempts already used on the unexpired code', async () => {
+    const { database, store } = otpStore();
+    const first = await store.issue(PHONE, 42, '10.0.0.1');
+    await store.verify(PHONE, wrongCode(first));
+    await store.verify(PHONE, wrongCode(first));
+
+    database.advance(61);
+    const second = await store.issue(PHONE, 42, '10.0.0.1');
+    assert.deepEqual(await store.verify(PHONE, wrongCode(second)), { status: 'exhausted' });
+});
+
+test('an expired code is refused', async () => {
+    const { database, store } = otpStore();
+    const code = await store.issue(PHONE, 42, '10.0.0.1');
+    database.advance(301);
+    assert.deepEqual(await store.verify(PHONE, code), { status: 'expired' });
+});
+
+test('repeated failures across resends lock the phone out', async () => {
+    const { database, store } = otpStore();
+    const first = await store.issue(PHONE, 42, '10.0.0.1');
+    for (let i = 0; i < 3; i++) await store.verify(PHONE, wrongCode(first));
+
+    database.advance(61);
+    const second = await store.issue(PHONE, 42, '10.0.0.1');
+    assert.equal((await store.verify(PHONE, wrongCode(second))).status, 'invalid');
+    assert.deepEqual(await store.verify(PHONE, wrongCode(second)), { status: 'locked', retryAfter: 15 * 60 });
+
+    // Neither the right code nor a new one gets through until the lockout ends
+    assert.equal((await store.verify(PHONE, second)).status, 'locked');
+    const blocked = await store.checkSendAllowed(PHONE, '10.0.0.1');
+    assert.match(blocked.error, /Too many failed attempts/);
+    assert.equal(blocked.retryAfter, 15 * 60);
+
+    database.advance(15 * 60 + 1);
+    assert.equal(await store.checkSendAllowed(PHONE, '10.0.0.1'), null);
+    const third = await store.issue(PHONE, 42, '10.0.0.1');
+    assert.equal((await store.verify(PHONE, third)).status, 'verified');
+});
+
+test('a new code has to wait for the resend cooldown', async () => {
+    const { database, store } = otpStore();
+    await store.issue(PHONE, 42, '10.0.0.1');
+    database.advance(20);
+
+    const waiting = await store.checkSendAllowed(PHONE, '10.0.0.1');
+    assert.equal(waiting.retryAfter, 40);
+    database.advance(41);
+    assert.equal(await store.checkSendAllowed(PHONE, '10.0.0.1'), null);
+});
+
+test('sends are limited per phone and per IP within the window', async () => {
+    const { database, store } = otpStore({ sendLimitPerPhone: 2, sendLimitPerIp: 3 });
+    for (let i = 0; i < 2; i++) {
+        await store.issue(PHONE, 42, '10.0.0.1');
+        database.advance(61);
+    }
+    assert.match((await store.checkSendAllowed(PHONE, '10.0.0.2')).error, /for this number/);
+
+    await store.issue('9000000001', 43, '10.0.0.1');
+    database.advance(61);
+    assert.match((await store.checkSendAllowed('9000000002', '10.0.0.1')).error, /^Too many OTP requests\./);
+    assert.equal(await store.checkSendAllowed('9000000002', '10.0.0.2'), null);
+
+    database.advance(60 * 60);
+    assert.equal(await store.checkSendAllowed(PHONE, '10.0.0.1'), null);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TenancyService, TenantScope, TenancyError } = require('../services/tenancy');
+
+// Kerala > Thrissur > panchayats Ollur (1) and Mala (2), each with a village;
+// Ernakulam > panchayat Aluva (3)
+const LOCATIONS = [
+    { id: 100, name: 'Kerala', type: 'state', parent_id: null },
+    { id: 10, name: 'Thrissur', type: 'district', parent_id: 100 },
+    { id: 20, name: 'Ernakulam', type: 'district', parent_id: 100 },
+    { id: 1, name: 'Ollur', type: 'panchayat', parent_id: 10 },
+    { id: 2, name: 'Mala', type: 'panchayat', parent_id: 10 },
+    { id: 3, name: 'Aluva', type: 'panchayat', parent_id: 20 },
+    { id: 101, name: 'Kuttanellur', type: 'village', parent_id: 1 },
+    { id: 201, name: 'Annamanada', type: 'village', parent_id: 2 }
+];
+
+function locationDatabase() {
+    const database = {
+        loads: 0,
+        async query(sql, params = []) {
+            if (/FROM locations WHERE id = \?/.test(sql)) {
+                return [[LOCATIONS.find(row => row.id === Number(params[0]))].filter(Boolean)];
+            }
+            database.loads++;
+            return [LOCATIONS];
+        }
+    };
+    return database;
+}
+
+const staff = panchayatId => ({ role: 'operator', panchayatId });
+
+test('admins and accounts without a location are unrestricted', async () => {
+    const service = new TenancyService(locationDatabase());
+    for (const user of [{ role: 'admin', panchayatId: 1 }, staff(null)]) {
+        const scope = await service.scopeFor(user);
+        assert.equal(scope.restricted, false);
+        assert.ok(scope.canWrite(3) && scope.canRead(null));
+        assert.deepEqual(scope.filter('panchayat_id'), ['TRUE', []]);
+    }
+});
+
+test('a panchayat account reads and changes only its own panchayat', async () => {
+    const scope = await new TenancyService(locationDatabase()).scopeFor(staff(1));
+    assert.ok(scope.canRead(1) && scope.canWrite('1'));
+    assert.ok(!scope.canRead(2) && !scope.canWrite(2));
+    assert.ok(!scope.canRead(null), 'records without a panchayat stay hidden');
+    assert.deepEqual(scope.filter('s.panchayat_id'), ['s.panchayat_id IN (?)', [[1]]]);
+    assert.equal(scope.defaultPanchayatId, 1);
+    assert.ok(scope.covers(101) && !scope.covers(201));
+    assert.throws(() => scope.assertWritable(2), TenancyError);
+});
+
+test('an account tied to a village works in that village\'s panchayat', async () => {
+    const scope = await new TenancyService(locationDatabase()).scopeFor(staff(101));
+    assert.deepEqual(scope.describe().writablePanchayatIds, [1]);
+    assert.equal(scope.describe().locationId, 101);
+});
+
+test('a district account reads every panchayat below it and changes none', async () => {
+    const scope = await new TenancyService(locationDatabase()).scopeFor(staff(10));
+    assert.ok(scope.canRead(1) && scope.canRead(2));
+    assert.ok(!scope.canRead(3));
+    assert.ok(!scope.canWrite(1));
+    assert.equal(scope.readOnly, true);
+    assert.equal(scope.defaultPanchayatId, null);
+    assert.throws(() => scope.assertWritable(1), /read-only access/);
+});
+
+test('an account tied to a missing location sees nothing', async () => {
+    const scope = await new TenancyService(locationDatabase()).scopeFor(staff(999));
+    assert.equal(scope.restricted, true);
+    assert.ok(!scope.canRead(1));
+    assert.deepEqual(scope.filter('panchayat_id'), ['FALSE', []]);
+});
+
+test('the hierarchy is loaded once until invalidated', async () => {
+    const database = locationDatabase();
+    const service = new TenancyService(database);
+    await Promise.all([service.scopeFor(staff(1)), service.scopeFor(staff(10))]);
+    assert.equal(database.loads, 1);
+    service.invalidate();
+    await service.scopeFor(staff(1));
+    assert.equal(database.loads, 2);
+});
+
+test('staff can only be tied to panchayats, districts or states inside the actor\'s area', async () => {
+    const service = new TenancyService(locationDatabase());
+    const district = await service.scopeFor(staff(10));
+
+    assert.equal((await service.assignableLocation(2, district)).name, 'Mala');
+    assert.equal((await service.assignableLocation(3, TenantScope.unrestricted())).name, 'Aluva');
+    await assert.rejects(service.assignableLocation(3, district), /outside your jurisdiction/);
+    await assert.rejects(service.assignableLocation(101, district), error => error.status === 400);
+    await assert.rejects(service.assignableLocation(999, district), error => error.status === 404);
+});
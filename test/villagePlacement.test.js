@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db } = require('../config/database');
+const { LocationService } = require('../services/locations');
+const { TenantScope } = require('../services/tenancy');
+const AdminController = require('../controllers/adminController');
+
+// District 10 holds panchayats 1 and 2; village 101 lies in panchayat 1, village 201 in 2
+const LOCATIONS = [
+    { id: 10, name: 'Thrissur', type: 'district', parent_id: null, state: 'Kerala' },
+    { id: 1, name: 'Ollur', type: 'panchayat', parent_id: 10, state: 'Kerala' },
+    { id: 2, name: 'Mala', type: 'panchayat', parent_id: 10, state: 'Kerala' },
+    { id: 101, name: 'Kuttanellur', type: 'village', parent_id: 1, state: 'Kerala' },
+    { id: 201, name: 'Annamanada', type: 'village', parent_id: 2, state: 'Kerala' }
+];
+
+// Answers the location lookups from LOCATIONS and records every write
+function fakeDatabase({ sensor = null } = {}) {
+    const writes = [];
+    const query = async (sql, params = []) => {
+        const byId = LOCATIONS.find(row => row.id === Number(params[0]));
+        if (/FROM locations WHERE id = \? AND type = 'panchayat'/.test(sql)) {
+            return [[byId && byId.type === 'panchayat' ? { id: byId.id } : undefined].filter(Boolean)];
+        }
+        if (/FROM locations WHERE id = \?/.test(sql)) return [[byId].filter(Boolean)];
+        if (/SELECT id FROM villagers WHERE aadhaar_number/.test(sql)) return [[]];
+        if (/SELECT \* FROM sensors WHERE id = \?/.test(sql)) return [[sensor].filter(Boolean)];
+        if (/SELECT \* FROM villagers WHERE id = \?/.test(sql)) {
+            const insert = writes.find(write => /INSERT INTO villagers/.test(write.sql));
+            if (!insert) return [[]];
+            const columns = insert.sql.match(/\(([^)]*)\)/)[1].split(',').map(column => column.trim());
+            return [[{ id: 500, ...Object.fromEntries(columns.map((column, index) => [column, insert.params[index]])) }]];
+        }
+        if (/^\s*(INSERT|UPDATE)/.test(sql)) {
+            writes.push({ sql, params });
+            return [{ insertId: 500, affectedRows: 1 }];
+        }
+        return [[]];
+    };
+    const conn = {
+        query,
+        beginTransaction: async () => {},
+        commit: async () => {},
+        rollback: async () => {},
+        release: () => {}
+    };
+    return { query, conn, writes };
+}
+
+function useDatabase(t, fake) {
+    const original = { query: db.query, getConnection: db.getConnection };
+    db.query = fake.query;
+    db.getConnection = async () => fake.conn;
+    t.after(() => Object.assign(db, original));
+}
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+// Staff tied to panchayat 1 only
+function panchayatStaff(body, params = {}) {
+    return {
+        body,
+        params,
+        headers: {},
+        user: { userId: 7 },
+        scope: new TenantScope({ restricted: true, readable: [1], writable: [1], area: [1, 101] })
+    };
+}
+
+const villagerInserts = fake => fake.writes.filter(write => /INSERT INTO villagers/.test(write.sql));
+
+test('resolveVillage rejects a village of another panchayat', async () => {
+    const service = new LocationService(fakeDatabase());
+    const result = await service.resolveVillage({ village_id: 201 }, 1);
+    assert.match(result.error, /does not belong to the selected panchayat/);
+});
+
+test('resolveVillage rejects ids that are not villages', async () => {
+    const service = new LocationService(fakeDatabase());
+    assert.deepEqual(await service.resolveVillage({ village_id: 2 }, null), { error: 'Village not found' });
+    assert.deepEqual(await service.resolveVillage({ village_id: 999 }, null), { error: 'Village not found' });
+});
+
+test('resolveVillage takes the panchayat from the village', async () => {
+    const service = new LocationService(fakeDatabase());
+    assert.deepEqual(await service.resolveVillage({ village_id: 101 }, null), { villageId: 101, panchayatId: 1 });
+});
+
+test('resolveSensorLocation fills the panchayat and district from the village', async () => {
+    const service = new LocationService(fakeDatabase());
+    assert.deepEqual(
+        await service.resolveSensorLocation({ village_id: 101 }),
+        { villageId: 101, panchayatId: 1, districtId: 10 }
+    );
+    assert.match((await service.resolveSensorLocation({ village_id: 201, panchayat_id: 1 })).error, /does not belong/);
+});
+
+test('addVillager refuses a village in a panchayat outside the account', async (t) => {
+    const fake = fakeDatabase();
+    useDatabase(t, fake);
+    const res = fakeResponse();
+
+    await AdminController.addVillager(
+        panchayatStaff({ aadhaarNumber: '123456789012', name: 'Asha', phone: '9876543210', villageId: 201 }),
+        res
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /does not belong to the selected panchayat/);
+    assert.equal(villagerInserts(fake).length, 0);
+});
+
+test('addVillager refuses a foreign village even when its panchayat is named', async (t) => {
+    const fake = fakeDatabase();
+    useDatabase(t, fake);
+    const res = fakeResponse();
+
+    await AdminController.addVillager(
+        panchayatStaff({ aadhaarNumber: '123456789012', name: 'Asha', phone: '9876543210', villageId: 201, panchayatId: 2 }),
+        res
+    );
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(villagerInserts(fake).length, 0);
+});
+
+test('addVillager refuses a villageId that is not a village', async (t) => {
+    const fake = fakeDatabase();
+    useDatabase(t, fake);
+    const res = fakeResponse();
+
+    await AdminController.addVillager(
+        panchayatStaff({ aadhaarNumber: '123456789012', name: 'Asha', phone: '9876543210', villageId: 1 }),
+        res
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Village not found');
+    assert.equal(villagerInserts(fake).length, 0);
+});
+
+test('addVillager stores the village together with its own panchayat', async (t) => {
+    const fake = fakeDatabase();
+    useDatabase(t, fake);
+    const res = fakeResponse();
+
+    await AdminController.addVillager(
+        panchayatStaff({ aadhaarNumber: '123456789012', name: 'Asha', phone: '9876543210', villageId: 101 }),
+        res
+    );
+
+    assert.equal(res.statusCode, 200);
+    const [insert] = villagerInserts(fake);
+    const columns = insert.sql.match(/\(([^)]*)\)/)[1].split(',').map(column => column.trim());
+    assert.equal(insert.params[columns.indexOf('village_id')], 101);
+    assert.equal(insert.params[columns.indexOf('panchayat_id')], 1);
+});
+
+test('updateSensor refuses to move a sensor to a foreign or non-village location', async (t) => {
+    const fake = fakeDatabase({ sensor: { id: 'EUI1', type: 'Temp', panchayat_id: 1, village_id: 101, status: 'active' } });
+    useDatabase(t, fake);
+
+    for (const villageId of [201, 2]) {
+        const res = fakeResponse();
+        await AdminController.updateSensor(panchayatStaff({ villageId, panchayatId: 1 }, { sensorId: 'EUI1' }), res);
+        assert.equal(res.statusCode, 400);
+    }
+    assert.equal(fake.writes.filter(write => /UPDATE sensors/.test(write.sql)).length, 0);
+});